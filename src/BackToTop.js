@@ -4,6 +4,7 @@ import throttle from 'lodash/throttle'
 import { ArrowUpward } from '@material-ui/icons'
 import { Fab, Fade } from '@material-ui/core'
 import { makeStyles } from '@material-ui/core/styles'
+import useLocale from './locale/useLocale'
 
 const styles = () => ({
   /**
@@ -49,6 +50,7 @@ export default function BackToTop({
   const [visible, setVisible] = useState(false)
   const el = useRef()
   classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
 
   useEffect(() => {
     const onScroll = throttle(() => {
@@ -73,7 +75,12 @@ export default function BackToTop({
   return (
     <div className={classes.root} ref={el}>
       <Fade in={visible} timeout={fadeTime}>
-        <Fab className={classes.fab} size={size} onClick={scrollToTop} title="back to top">
+        <Fab
+          className={classes.fab}
+          size={size}
+          onClick={scrollToTop}
+          title={formatMessage('BackToTop.title')}
+        >
           <Icon className={classes.icon} />
         </Fab>
       </Fade>
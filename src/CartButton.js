@@ -6,6 +6,7 @@ import { ShoppingCart as Cart } from '@material-ui/icons'
 import { makeStyles } from '@material-ui/core/styles'
 import { Badge } from '@material-ui/core'
 import clsx from 'clsx'
+import useLocale from './locale/useLocale'
 
 export const styles = theme => ({
   /**
@@ -51,6 +52,7 @@ export default function CartButton({
   buttonProps,
 }) {
   classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
   const cartIcon = icon || <Cart className={classes.icon} />
 
   return (
@@ -61,7 +63,7 @@ export default function CartButton({
       as={as}
       onClick={onClick}
     >
-      <ToolbarButton {...buttonProps}>
+      <ToolbarButton aria-label={formatMessage('CartButton.label')} {...buttonProps}>
         <Badge
           badgeContent={quantity}
           {...badgeProps}
@@ -92,6 +94,7 @@ CartButton.propTypes = {
 
   /**
    * Props passed through to the [`ToolbarButton`](/apiReference/ToolbarButton#props) element.
+   * The `aria-label` defaults to the `CartButton.label` message.
    */
   buttonProps: PropTypes.object,
 
@@ -112,7 +115,6 @@ CartButton.defaultProps = {
     color: 'primary',
   },
   buttonProps: {
-    ['aria-label']: 'Cart',
     color: 'inherit',
   },
   linkProps: {
@@ -3,6 +3,7 @@ import { makeStyles } from '@material-ui/core/styles'
 import { Typography } from '@material-ui/core'
 import { CloudOff as CloseOffIcon } from '@material-ui/icons'
 import PropTypes from 'prop-types'
+import useLocale from './locale/useLocale'
 
 const styles = theme => ({
   /**
@@ -40,15 +41,16 @@ const useStyles = makeStyles(styles, { name: 'RSFOffline' })
  */
 export default function Offline({ classes, heading, message, Icon }) {
   classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
 
   return (
     <div className={classes.root}>
       <Icon className={classes.icon} />
       <Typography variant="h6" component="h1" className={classes.heading}>
-        {heading}
+        {heading || formatMessage('Offline.heading')}
       </Typography>
       <Typography variant="caption" className={classes.message}>
-        {message}
+        {message || formatMessage('Offline.message')}
       </Typography>
     </div>
   )
@@ -61,12 +63,12 @@ Offline.propTypes = {
   classes: PropTypes.object,
 
   /**
-   * Text (or an element) to display as the heading.
+   * Text (or an element) to display as the heading.  Defaults to the `Offline.heading` message.
    */
   heading: PropTypes.oneOfType([PropTypes.string, PropTypes.element]),
 
   /**
-   * Text (or an element) to display as the message.
+   * Text (or an element) to display as the message.  Defaults to the `Offline.message` message.
    */
   message: PropTypes.oneOfType([PropTypes.string, PropTypes.element]),
 
@@ -77,7 +79,5 @@ Offline.propTypes = {
 }
 
 Offline.defaultProps = {
-  heading: "You're offline",
-  message: 'Please check your internet connection',
   Icon: () => <CloseOffIcon />,
 }
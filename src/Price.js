@@ -0,0 +1,62 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import clsx from 'clsx'
+import { makeStyles } from '@material-ui/core/styles'
+import useLocale from './locale/useLocale'
+
+const styles = theme => ({
+  /**
+   * Styles applied to the root element.
+   */
+  root: {},
+})
+
+const useStyles = makeStyles(styles, { name: 'RSFPrice' })
+
+/**
+ * Displays a price formatted for the current locale and currency, which are provided by `LocaleProvider`.
+ *
+ * ```js
+ * <Price value={product.price} currency={product.currency} />
+ * ```
+ */
+export default function Price({ value, currency, decimals, classes, className, ...others }) {
+  classes = useStyles({ classes })
+  const { formatPrice } = useLocale()
+
+  if (value == null) return null
+
+  const options = {}
+  if (currency) options.currency = currency
+  if (decimals != null) options.decimals = decimals
+
+  return (
+    <span {...others} className={clsx(className, classes.root)}>
+      {formatPrice(value, options)}
+    </span>
+  )
+}
+
+Price.propTypes = {
+  /**
+   * Override or extend the styles applied to the component. See [CSS API](#css) below for more details.
+   */
+  classes: PropTypes.object,
+  /**
+   * CSS class to apply to the root element
+   */
+  className: PropTypes.string,
+  /**
+   * The price as a number
+   */
+  value: PropTypes.number,
+  /**
+   * The currency code of the price.  Defaults to the currency from `LocaleProvider`.  Pass the currency
+   * returned by the connector with each product so that prices are always labeled correctly.
+   */
+  currency: PropTypes.string,
+  /**
+   * The number of decimal places to display
+   */
+  decimals: PropTypes.number,
+}
@@ -4,6 +4,7 @@ import { IconButton } from '@material-ui/core'
 import { makeStyles } from '@material-ui/core/styles'
 import PropTypes from 'prop-types'
 import clsx from 'clsx'
+import useLocale from './locale/useLocale'
 
 export const styles = theme => ({
   /**
@@ -77,6 +78,9 @@ export default function QuantitySelector({
 }) {
   classes = useStyles({ classes })
   const { quantitySelector, icon, button, ...inputClasses } = classes
+  const { formatMessage } = useLocale()
+
+  if (!ariaLabel) ariaLabel = formatMessage('QuantitySelector.label')
 
   if (!value) value = 1
 
@@ -93,7 +97,7 @@ export default function QuantitySelector({
         classes={{ root: button }}
         className={classes.subtract}
         onClick={() => handleChange(value - 1)}
-        aria-label={`add one ${ariaLabel}`}
+        aria-label={formatMessage('QuantitySelector.subtract', { label: ariaLabel })}
         {...subtractButtonProps}
       >
         {subtractIcon || <Remove classes={{ root: icon }} />}
@@ -112,7 +116,7 @@ export default function QuantitySelector({
         classes={{ root: button }}
         className={classes.add}
         onClick={() => handleChange(value + 1)}
-        aria-label={`subtract one ${ariaLabel}`}
+        aria-label={formatMessage('QuantitySelector.add', { label: ariaLabel })}
         {...addButtonProps}
       >
         {addIcon || <Add classes={{ root: icon }} />}
@@ -163,8 +167,9 @@ QuantitySelector.propTypes = {
   onChange: PropTypes.func,
 
   /**
-   * The accessibility label.  Add and subtract button `aria-label` values are derived from this as
-   * `"add one {ariaLabel}"` and `"subtract one {ariaLabel}"`.
+   * The accessibility label.  Defaults to the `QuantitySelector.label` message.  Add and subtract button
+   * `aria-label` values are derived from this using the `QuantitySelector.add` and `QuantitySelector.subtract`
+   * messages, which default to `"add one {label}"` and `"subtract one {label}"`.
    */
   ariaLabel: PropTypes.string,
 }
@@ -177,5 +182,4 @@ QuantitySelector.defaultProps = {
   inputProps: {},
   minValue: 1,
   maxValue: 100,
-  ariaLabel: 'quantity',
 }
@@ -4,6 +4,7 @@ import { makeStyles } from '@material-ui/core/styles'
 import PropTypes from 'prop-types'
 import clsx from 'clsx'
 import { Hbox } from './Box'
+import useLocale from './locale/useLocale'
 
 /**
  * Displays a star rating corresponding to the provided value
@@ -65,6 +66,7 @@ export default function Rating({
   }
 
   classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
 
   const IconFull = iconFull || Star
   const IconHalf = iconHalf || StarHalf
@@ -90,7 +92,12 @@ export default function Rating({
       {reviewCount ? (
         <div className={classes.reviewsLabel}>
           ({reviewCount}
-          {label(reviewCount)})
+          {label ? (
+            label(reviewCount)
+          ) : (
+            <span> {formatMessage('Rating.reviews', { count: reviewCount })}</span>
+          )}
+          )
         </div>
       ) : null}
     </Hbox>
@@ -116,7 +123,7 @@ Rating.propTypes = {
   /**
    * A function that returns the label displayed to the right of the review count.
    * For example: `<Rating label={reviewCount => <span> {reviewCount == 1 ? 'review' : 'reviews'}</span>}/>`.
-   * This value used in this example is the default.
+   * Defaults to the `Rating.reviews` message.
    */
   label: PropTypes.func,
 
@@ -147,6 +154,5 @@ Rating.propTypes = {
 }
 
 Rating.defaultProps = {
-  label: reviewCount => <span> {reviewCount == 1 ? 'review' : 'reviews'}</span>,
   fillEmpty: false,
 }
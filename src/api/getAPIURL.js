@@ -1,11 +1,21 @@
 import addVersion from './addVersion'
+import { parseLocale, getCurrentLocale, getLocales, LOCALE_PARAM } from '../locale/localeRouting'
 
 /**
- * Returns the API URL for the given page
+ * Returns the API URL for the given page.  When the page URI is prefixed with a locale, for example `/fr/p/1`,
+ * the prefix is removed and the locale is passed as the `locale` query parameter: `/api/p/1?locale=fr`.  URIs
+ * without a prefix get the locale of the page being displayed.
  * @param {String} pageURI The page URI
  * @return {String}
  */
 export default function getAPIURL(pageURI) {
-  const parsed = addVersion(pageURI)
+  const { locale, path } = parseLocale(pageURI)
+  const parsed = addVersion(path)
+  const apiLocale = locale || getCurrentLocale()
+
+  if (apiLocale && apiLocale !== getLocales().defaultLocale) {
+    parsed.searchParams.set(LOCALE_PARAM, apiLocale)
+  }
+
   return '/api' + parsed.pathname.replace(/\/$/, '') + parsed.search
 }
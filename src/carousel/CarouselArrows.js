@@ -4,6 +4,7 @@ import clsx from 'clsx'
 import makeStyles from '@material-ui/core/styles/makeStyles'
 import { IconButton } from '@material-ui/core'
 import { ChevronLeft, ChevronRight } from '@material-ui/icons'
+import useLocale from '../locale/useLocale'
 
 export const styles = theme => ({
   /**
@@ -57,6 +58,7 @@ export default function CarouselArrows({
   rightArrowLabel,
 }) {
   classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
 
   const createOnClickArrow = useCallback(
     idxChange => evt => {
@@ -86,7 +88,7 @@ export default function CarouselArrows({
         <IconButton
           className={clsx(classes.arrow, classes.leftArrow)}
           onClick={createOnClickArrow(-1)}
-          aria-label={leftArrowLabel}
+          aria-label={leftArrowLabel || formatMessage('CarouselArrows.previous')}
         >
           <ChevronLeft classes={{ root: classes.icon }} />
         </IconButton>
@@ -95,7 +97,7 @@ export default function CarouselArrows({
         <IconButton
           className={clsx(classes.arrow, classes.rightArrow)}
           onClick={createOnClickArrow(1)}
-          aria-label={rightArrowLabel}
+          aria-label={rightArrowLabel || formatMessage('CarouselArrows.next')}
         >
           <ChevronRight classes={{ root: classes.icon }} />
         </IconButton>
@@ -131,17 +133,12 @@ CarouselArrows.propTypes = {
   count: PropTypes.number,
 
   /**
-   * Label given to the left arrow for accessbility purposes.
+   * Label given to the left arrow for accessbility purposes.  Defaults to the `CarouselArrows.previous` message.
    */
   leftArrowLabel: PropTypes.string,
 
   /**
-   * Label given to the right arrow for accessbility purposes.
+   * Label given to the right arrow for accessbility purposes.  Defaults to the `CarouselArrows.next` message.
    */
   rightArrowLabel: PropTypes.string,
 }
-
-CarouselArrows.defaultProps = {
-  leftArrowLabel: 'Previous',
-  rightArrowLabel: 'Next',
-}
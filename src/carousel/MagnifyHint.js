@@ -5,6 +5,7 @@ import { makeStyles } from '@material-ui/core/styles'
 import { Typography } from '@material-ui/core'
 import { AddCircleOutline as Icon } from '@material-ui/icons'
 import clsx from 'clsx'
+import useLocale from '../locale/useLocale'
 
 const styles = theme => ({
   /**
@@ -125,6 +126,7 @@ export default function MagnifyHint({
   disableExpand,
 }) {
   const classes = useStyles()
+  const { formatMessage } = useLocale()
   disableZoom = disableZoom || useAmp()
 
   return (
@@ -139,13 +141,13 @@ export default function MagnifyHint({
       <div className={classes.wrap}>
         <Icon className={classes.icon} alt="magnify-icon" />
         <Typography variant="caption" className={clsx(classes.text, classes.zoomTextDesktop)}>
-          {zoomTextDesktop}
+          {zoomTextDesktop || formatMessage('MagnifyHint.zoomDesktop')}
         </Typography>
         <Typography variant="caption" className={clsx(classes.text, classes.expandTextMobile)}>
-          {expandTextMobile}
+          {expandTextMobile || formatMessage('MagnifyHint.expandMobile')}
         </Typography>
         <Typography variant="caption" className={clsx(classes.text, classes.expandTextDesktop)}>
-          {expandTextDesktop}
+          {expandTextDesktop || formatMessage('MagnifyHint.expandDesktop')}
         </Typography>
       </div>
     </div>
@@ -164,17 +166,17 @@ MagnifyHint.propTypes = {
   className: PropTypes.string,
 
   /**
-   * The text displayed to tell the user to hover to zoom.
+   * The text displayed to tell the user to hover to zoom.  Defaults to the `MagnifyHint.zoomDesktop` message.
    */
   zoomTextDesktop: PropTypes.string,
 
   /**
-   * The text displayed to tell a mobile user to tap to expand.
+   * The text displayed to tell a mobile user to tap to expand.  Defaults to the `MagnifyHint.expandMobile` message.
    */
   expandTextMobile: PropTypes.string,
 
   /**
-   * The text displayed to tell a desktop user to click to expand.
+   * The text displayed to tell a desktop user to click to expand.  Defaults to the `MagnifyHint.expandDesktop` message.
    */
   expandTextDesktop: PropTypes.string,
 
@@ -188,9 +190,3 @@ MagnifyHint.propTypes = {
    */
   disableExpand: PropTypes.bool,
 }
-
-MagnifyHint.defaultProps = {
-  zoomTextDesktop: 'Hover to Zoom',
-  expandTextMobile: 'Tap to Expand',
-  expandTextDesktop: 'Click to Expand',
-}
@@ -0,0 +1,3 @@
+import React from 'react'
+const CompareContext = React.createContext()
+export default CompareContext
@@ -0,0 +1,101 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import CompareContext from './CompareContext'
+import { readLocalStorage, writeLocalStorage } from '../utils/localStorage'
+
+/**
+ * Keeps track of the products that the user has selected to compare and provides them to descendant
+ * components via `CompareContext`.  The selection is saved in local storage so that it is kept between
+ * visits.  Use [`CompareTray`](/apiReference/compare/CompareTray) to display the selected products and
+ * [`CompareTable`](/apiReference/compare/CompareTable) to compare them.
+ *
+ * ```js
+ * <CompareProvider maxItems={3}>
+ *   <App />
+ *   <CompareTray />
+ * </CompareProvider>
+ * ```
+ *
+ * The context has:
+ *
+ * - `items` - The selected products, each with `id`, `name`, `url` and `thumbnail`
+ * - `maxItems` - The maximum number of products that can be compared
+ * - `full` - `true` when `maxItems` products are selected
+ * - `isSelected(id)` - Returns `true` if the product with the specified id is selected
+ * - `actions.add(product)` - Selects a product.  Returns `false` if the product could not be added because the
+ *   maximum number of products are already selected.
+ * - `actions.remove(id)` - Deselects a product
+ * - `actions.clear()` - Deselects all products
+ */
+export default function CompareProvider({ maxItems, storageKey, children }) {
+  const [items, setItems] = useState([])
+
+  // Local storage is read after mounting so that the server-rendered markup matches the first render
+  useEffect(() => {
+    const stored = readLocalStorage(storageKey, [])
+    setItems(Array.isArray(stored) ? stored : [])
+  }, [storageKey])
+
+  const value = useMemo(() => {
+    const isSelected = id => items.some(item => String(item.id) === String(id))
+    const full = items.length >= maxItems
+
+    // Updates are applied to the latest items so that changes made in quick succession are all kept
+    const updateItems = update => {
+      setItems(items => {
+        const nextItems = update(items)
+        writeLocalStorage(storageKey, nextItems)
+        return nextItems
+      })
+    }
+
+    const add = product => {
+      if (isSelected(product.id)) return true
+      if (full) return false
+
+      updateItems(items =>
+        items.some(item => String(item.id) === String(product.id)) || items.length >= maxItems
+          ? items
+          : [...items, toItem(product)],
+      )
+
+      return true
+    }
+
+    const remove = id => {
+      updateItems(items => items.filter(item => String(item.id) !== String(id)))
+    }
+
+    const clear = () => {
+      updateItems(() => [])
+    }
+
+    return { items, maxItems, full, isSelected, actions: { add, remove, clear } }
+  }, [items, maxItems, storageKey])
+
+  return <CompareContext.Provider value={value}>{children}</CompareContext.Provider>
+}
+
+/**
+ * Only the properties displayed in the compare tray are saved
+ */
+function toItem({ id, name, url, thumbnail }) {
+  return { id, name, url, thumbnail }
+}
+
+CompareProvider.propTypes = {
+  /**
+   * The maximum number of products that can be compared at once.
+   */
+  maxItems: PropTypes.number,
+
+  /**
+   * The local storage key used to save the selected products.
+   */
+  storageKey: PropTypes.string,
+}
+
+CompareProvider.defaultProps = {
+  maxItems: 4,
+  storageKey: 'rsf_compare',
+}
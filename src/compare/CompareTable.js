@@ -0,0 +1,203 @@
+import React, { useContext } from 'react'
+import PropTypes from 'prop-types'
+import clsx from 'clsx'
+import { makeStyles } from '@material-ui/core/styles'
+import { IconButton, Table, TableBody, TableCell, TableHead, TableRow } from '@material-ui/core'
+import { Close as CloseIcon } from '@material-ui/icons'
+import CompareContext from './CompareContext'
+import getCompareRows, { DEFAULT_COMPARE_ATTRIBUTES } from './getCompareRows'
+import Link from '../link/Link'
+import Price from '../Price'
+import Rating from '../Rating'
+import useLocale from '../locale/useLocale'
+
+export const styles = theme => ({
+  /**
+   * Styles applied to the root element.
+   */
+  root: {
+    overflowX: 'auto',
+  },
+  /**
+   * Styles applied to the header cell of each product.
+   */
+  product: {
+    position: 'relative',
+    verticalAlign: 'top',
+    minWidth: 150,
+    '& img': {
+      display: 'block',
+      width: '100%',
+      maxWidth: 200,
+    },
+  },
+  /**
+   * Styles applied to the remove button of each product.
+   */
+  remove: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+  },
+  /**
+   * Styles applied to the label of each row.
+   */
+  label: {
+    fontWeight: 'bold',
+  },
+  /**
+   * Styles applied to rows whose values differ between products when
+   * [`highlightDifferences`](#prop-highlightDifferences) is `true`.
+   */
+  differs: {
+    backgroundColor: theme.palette.action.hover,
+  },
+})
+
+const useStyles = makeStyles(styles, { name: 'RSFCompareTable' })
+
+/**
+ * Displays products side by side with their attributes aligned in rows.  Pass the `products` and `rows` returned
+ * by the connector's `compare` function, or only `products` to compute the rows with
+ * `react-storefront/compare/getCompareRows`.
+ *
+ * When rendered inside a [`CompareProvider`](/apiReference/compare/CompareProvider), each product has a button
+ * that removes it from the comparison.
+ */
+export default function CompareTable({
+  classes,
+  className,
+  products,
+  rows,
+  highlightDifferences,
+  onRemove,
+}) {
+  classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
+  const compare = useContext(CompareContext)
+
+  rows = rows || getCompareRows(products)
+  onRemove = onRemove || (compare && compare.actions.remove)
+
+  // rows for the default attributes are labeled from the message catalog unless they were given another name
+  const getLabel = row => {
+    const attribute = DEFAULT_COMPARE_ATTRIBUTES.find(
+      attribute => attribute.code === row.code && attribute.name === row.name,
+    )
+    return attribute ? formatMessage(attribute.messageId) : row.name
+  }
+
+  const renderValue = (row, value, product) => {
+    if (value == null) {
+      return '—'
+    }
+
+    switch (row.type) {
+      case 'price':
+        return <Price value={value} currency={product.currency} />
+      case 'rating':
+        return <Rating value={value} />
+      case 'options':
+        return value.join(', ')
+      default:
+        return String(value)
+    }
+  }
+
+  return (
+    <div className={clsx(classes.root, className)}>
+      <Table>
+        <TableHead>
+          <TableRow>
+            <TableCell />
+            {products.map(product => (
+              <TableCell key={product.id} className={classes.product}>
+                {onRemove && (
+                  <IconButton
+                    className={classes.remove}
+                    aria-label={formatMessage('CompareTable.remove', { name: product.name })}
+                    onClick={() => onRemove(product.id)}
+                  >
+                    <CloseIcon />
+                  </IconButton>
+                )}
+                {product.thumbnail && (
+                  <img src={product.thumbnail.src} alt={product.thumbnail.alt || product.name} />
+                )}
+                {product.url ? (
+                  <Link href="/p/[productId]" as={product.url}>
+                    {product.name}
+                  </Link>
+                ) : (
+                  product.name
+                )}
+              </TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.map(row => (
+            <TableRow
+              key={row.code}
+              className={clsx({ [classes.differs]: highlightDifferences && row.differs })}
+            >
+              <TableCell component="th" scope="row" className={classes.label}>
+                {getLabel(row)}
+              </TableCell>
+              {products.map((product, i) => (
+                <TableCell key={product.id}>{renderValue(row, row.values[i], product)}</TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </div>
+  )
+}
+
+CompareTable.propTypes = {
+  /**
+   * Override or extend the styles applied to the component. See [CSS API](#css) below for more details.
+   */
+  classes: PropTypes.object,
+
+  /**
+   * A CSS class to apply to the root element.
+   */
+  className: PropTypes.string,
+
+  /**
+   * The products to compare.
+   */
+  products: PropTypes.arrayOf(PropTypes.object),
+
+  /**
+   * The attributes to compare, each with `code`, `name`, `type`, and one value for each product in `values`.
+   * Defaults to the result of `getCompareRows(products)`.
+   */
+  rows: PropTypes.arrayOf(
+    PropTypes.shape({
+      code: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      type: PropTypes.string,
+      values: PropTypes.array.isRequired,
+      differs: PropTypes.bool,
+    }),
+  ),
+
+  /**
+   * Set to `true` to highlight the attributes whose values are not the same for all products.
+   */
+  highlightDifferences: PropTypes.bool,
+
+  /**
+   * Called with the id of a product when the user removes it.  Defaults to the `remove` action
+   * of `CompareProvider`.
+   */
+  onRemove: PropTypes.func,
+}
+
+CompareTable.defaultProps = {
+  products: [],
+  highlightDifferences: false,
+}
@@ -0,0 +1,167 @@
+import React, { useContext } from 'react'
+import PropTypes from 'prop-types'
+import clsx from 'clsx'
+import { makeStyles } from '@material-ui/core/styles'
+import { Button, IconButton, Paper } from '@material-ui/core'
+import { Close as CloseIcon } from '@material-ui/icons'
+import CompareContext from './CompareContext'
+import Link from '../link/Link'
+import useLocale from '../locale/useLocale'
+
+export const styles = theme => ({
+  /**
+   * Styles applied to the root element.
+   */
+  root: {
+    position: 'fixed',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    zIndex: theme.zIndex.appBar,
+    display: 'flex',
+    alignItems: 'center',
+    padding: theme.spacing(1, 2),
+  },
+  /**
+   * Styles applied to the element around the items.
+   */
+  items: {
+    display: 'flex',
+    flex: 1,
+    overflowX: 'auto',
+  },
+  /**
+   * Styles applied to each item and empty slot.
+   */
+  item: {
+    position: 'relative',
+    width: 64,
+    height: 64,
+    flexShrink: 0,
+    marginRight: theme.spacing(1),
+    '& img': {
+      width: '100%',
+      height: '100%',
+      objectFit: 'contain',
+    },
+  },
+  /**
+   * Styles applied to each empty slot.
+   */
+  empty: {
+    border: `1px dashed ${theme.palette.divider}`,
+  },
+  /**
+   * Styles applied to the remove button of each item.
+   */
+  remove: {
+    position: 'absolute',
+    top: -8,
+    right: -8,
+    padding: 2,
+    backgroundColor: theme.palette.background.paper,
+    '& svg': {
+      fontSize: 16,
+    },
+  },
+  /**
+   * Styles applied to the element around the buttons.
+   */
+  actions: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+  },
+  /**
+   * Styles applied to the clear link.
+   */
+  clear: {
+    ...theme.typography.caption,
+    border: 'none',
+    padding: 0,
+    marginTop: theme.spacing(0.5),
+    textDecoration: 'underline',
+    backgroundColor: 'transparent',
+  },
+})
+
+const useStyles = makeStyles(styles, { name: 'RSFCompareTray' })
+
+/**
+ * A bar fixed to the bottom of the viewport that displays the products selected for comparison, with a button
+ * that links to the comparison page.  The ids of the selected products are passed to the comparison page in
+ * the `ids` query parameter, for example `/compare?ids=1,2`.  Nothing is rendered when no products are selected.
+ *
+ * This component must be rendered inside a [`CompareProvider`](/apiReference/compare/CompareProvider).
+ */
+export default function CompareTray({ classes, className, href, minItems }) {
+  classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
+  const { items, maxItems, actions } = useContext(CompareContext)
+
+  if (items.length === 0) return null
+
+  const compareHref = `${href}?ids=${items.map(item => encodeURIComponent(item.id)).join(',')}`
+  const compareButton = (
+    <Button variant="contained" color="primary" disabled={items.length < minItems}>
+      {formatMessage('CompareTray.compare', { count: items.length })}
+    </Button>
+  )
+
+  return (
+    <Paper className={clsx(classes.root, className)} elevation={8} square>
+      <div className={classes.items}>
+        {items.map(item => (
+          <div key={item.id} className={classes.item}>
+            {item.thumbnail && (
+              <img src={item.thumbnail.src} alt={item.thumbnail.alt || item.name} />
+            )}
+            <IconButton
+              className={classes.remove}
+              aria-label={formatMessage('CompareTray.remove', { name: item.name })}
+              onClick={() => actions.remove(item.id)}
+            >
+              <CloseIcon />
+            </IconButton>
+          </div>
+        ))}
+        {Array.from({ length: Math.max(maxItems - items.length, 0) }, (value, i) => (
+          <div key={`empty-${i}`} className={clsx(classes.item, classes.empty)} />
+        ))}
+      </div>
+      <div className={classes.actions}>
+        {items.length < minItems ? compareButton : <Link href={compareHref}>{compareButton}</Link>}
+        <button type="button" className={classes.clear} onClick={actions.clear}>
+          {formatMessage('CompareTray.clear')}
+        </button>
+      </div>
+    </Paper>
+  )
+}
+
+CompareTray.propTypes = {
+  /**
+   * Override or extend the styles applied to the component. See [CSS API](#css) below for more details.
+   */
+  classes: PropTypes.object,
+
+  /**
+   * A CSS class to apply to the root element.
+   */
+  className: PropTypes.string,
+
+  /**
+   * The path of the comparison page.
+   */
+  href: PropTypes.string,
+
+  /**
+   * The number of products that must be selected before they can be compared.
+   */
+  minItems: PropTypes.number,
+}
+
+CompareTray.defaultProps = {
+  href: '/compare',
+  minItems: 2,
+}
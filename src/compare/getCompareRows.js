@@ -0,0 +1,63 @@
+/**
+ * The attributes compared by default.  Each attribute has:
+ *
+ * - `code` - The property of the product
+ * - `name` - The label for the row
+ * - `type` - How the value is displayed: `price`, `rating`, `options` (a list of `sizes` or `colors`) or `text`
+ * - `messageId` - The id of the name in the message catalog of `LocaleProvider`, which `CompareTable` uses to
+ *   translate the name
+ */
+export const DEFAULT_COMPARE_ATTRIBUTES = [
+  { code: 'price', name: 'Price', type: 'price', messageId: 'CompareTable.price' },
+  { code: 'rating', name: 'Rating', type: 'rating', messageId: 'CompareTable.rating' },
+  { code: 'colors', name: 'Colors', type: 'options', messageId: 'CompareTable.colors' },
+  { code: 'sizes', name: 'Sizes', type: 'options', messageId: 'CompareTable.sizes' },
+  { code: 'specs', name: 'Specs', type: 'text', messageId: 'CompareTable.specs' },
+]
+
+/**
+ * Creates the rows of a product comparison.  Each row has one value for each product, in the order of
+ * `products`, so that attributes line up across products even when some products do not have them.
+ *
+ * ```js
+ * getCompareRows([product1, product2])
+ * // [{ code: 'price', name: 'Price', type: 'price', values: [9.99, 19.99], differs: true }, ...]
+ * ```
+ *
+ * @param {Object[]} products The products to compare
+ * @param {Object[]} attributes The attributes to compare. Defaults to `DEFAULT_COMPARE_ATTRIBUTES`.  An attribute
+ *  can have a `getValue` function that is passed a product and returns the value to display.
+ * @return {Object[]} Rows with the `code`, `name` and `type` of the attribute, `values`, and `differs`, which is
+ *  `true` when the values are not the same for all products.  Values are `null` for products that do not have
+ *  the attribute, and option lists are converted to arrays of option text.  Attributes that no product has are omitted.
+ */
+export default function getCompareRows(products = [], attributes = DEFAULT_COMPARE_ATTRIBUTES) {
+  const rows = []
+
+  for (let { code, name, type = 'text', getValue } of attributes) {
+    const values = products.map(product =>
+      normalize(getValue ? getValue(product) : product[code], type),
+    )
+
+    if (values.every(value => value == null)) continue
+
+    const keys = values.map(value => JSON.stringify(value))
+
+    rows.push({ code, name, type, values, differs: keys.some(key => key !== keys[0]) })
+  }
+
+  return rows
+}
+
+function normalize(value, type) {
+  if (value == null || value === '') {
+    return null
+  } else if (type === 'options') {
+    const options = []
+      .concat(value)
+      .map(option => (typeof option === 'object' ? option.text : option))
+    return options.length ? options : null
+  } else {
+    return value
+  }
+}
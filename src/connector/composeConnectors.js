@@ -0,0 +1,177 @@
+import spec from './connectorSpec'
+
+/**
+ * Creates a connector whose functions are taken from several connectors.  This allows you to, for example,
+ * get catalog data from one platform, search results from another, and the cart from a third.
+ *
+ * Each entry in `methods` can be a connector, or an object with the following properties:
+ *
+ * - `connector` - The connector that implements the function
+ * - `fallback` - A connector, a function, or an array of either, to use when the connector throws an error or times out.
+ *    Fallbacks are tried in order.  Functions are called with the same arguments as the connector function, so
+ *    `fallback: () => []` can be used to return a default value.
+ * - `timeout` - The maximum time in milliseconds to wait for each connector before trying the next fallback.  When the last
+ *    connector times out, an error is thrown.  Overrides the `timeout` option.  Fallback functions are not subject to the timeout.
+ *
+ * A connector that times out is not cancelled.  It keeps running and can still change data on its backend or write to
+ * the response after a fallback has answered.  For this reason timeouts are not applied to functions that the connector
+ * spec marks as mutations, such as `addToCart` and `placeOrder`, since a timeout followed by a fallback would apply the
+ * mutation twice.  Specifying a `timeout` for one of these functions throws an error.  Mutations still fall back when
+ * the connector throws.
+ *
+ * Functions that are not listed in `methods` are taken from the `default` connector.
+ *
+ * To use a composed connector, export it from a module in your app and pass the path to that module as the `connector`
+ * option of `withReactStorefront`:
+ *
+ * ```js
+ * // connector.js
+ * import composeConnectors from 'react-storefront/connector/composeConnectors'
+ * import * as commerce from 'my-commerce-connector'
+ * import * as search from 'my-search-connector'
+ * import * as recommendations from 'my-recommendations-connector'
+ *
+ * module.exports = composeConnectors({
+ *   default: commerce,
+ *   timeout: 5000,
+ *   methods: {
+ *     searchSuggestions: search,
+ *     search: { connector: search, fallback: commerce, timeout: 2000 },
+ *     productSuggestions: { connector: recommendations, fallback: () => [], timeout: 500 },
+ *   },
+ * })
+ *
+ * // next.config.js
+ * module.exports = withReactStorefront({
+ *   connector: require('path').join(__dirname, 'connector'),
+ * })
+ * ```
+ *
+ * @param {Object} options
+ * @param {Object} options.default The connector to use for functions that are not listed in `methods`
+ * @param {Object} options.methods The connector to use for each function, keyed by function name
+ * @param {Number} options.timeout The default timeout in milliseconds for all functions listed in `methods` other than mutations.
+ *  Defaults to no timeout.
+ * @param {Function} options.onFallback Called with the function name, the error, and the index of the fallback when a connector
+ *  fails and the next fallback is tried.  By default, a warning is logged when not in production.
+ * @return {Object} A connector
+ */
+export default function composeConnectors({
+  default: defaultConnector = {},
+  methods = {},
+  timeout,
+  onFallback = logFallback,
+}) {
+  const names = new Set([
+    ...Object.keys(spec),
+    ...Object.keys(defaultConnector),
+    ...Object.keys(methods),
+  ])
+
+  const composed = {}
+
+  for (let name of names) {
+    const mutation = !!(spec[name] && spec[name].mutation)
+
+    const config = methods[name]
+      ? normalizeConfig(methods[name], mutation ? undefined : timeout)
+      : { connector: defaultConnector, fallback: [] }
+
+    if (mutation && config.timeout != null) {
+      throw new Error(`${name}() is a mutation and cannot have a timeout.`)
+    }
+
+    const candidates = [config.connector, ...config.fallback]
+      .map(candidate =>
+        typeof candidate === 'function'
+          ? { fn: candidate }
+          : { fn: candidate[name], timeout: config.timeout },
+      )
+      .filter(({ fn }) => typeof fn === 'function')
+
+    if (candidates.length === 0) continue
+
+    composed[name] = async function composedConnectorMethod(...args) {
+      let lastError
+
+      for (let i = 0; i < candidates.length; i++) {
+        const { fn, timeout } = candidates[i]
+
+        try {
+          return await withTimeout(Promise.resolve(fn(...args)), timeout, name)
+        } catch (e) {
+          lastError = e
+
+          if (i < candidates.length - 1) {
+            onFallback(name, e, i + 1)
+          }
+        }
+      }
+
+      throw lastError
+    }
+  }
+
+  return composed
+}
+
+/**
+ * Converts an entry in the `methods` option to an object with `connector`, `fallback`, and `timeout`.
+ * @param {Object} config
+ * @param {Number} timeout The default timeout
+ * @return {Object}
+ */
+function normalizeConfig(config, timeout) {
+  if (!config.connector) {
+    return { connector: config, fallback: [], timeout }
+  }
+
+  return {
+    connector: config.connector,
+    fallback: [].concat(config.fallback || []),
+    timeout: config.timeout == null ? timeout : config.timeout,
+  }
+}
+
+/**
+ * The default `onFallback` handler
+ * @param {String} name The name of the connector function
+ * @param {Error} error The error thrown by the connector
+ * @param {Number} index The index of the fallback that will be tried
+ */
+function logFallback(name, error, index) {
+  if (process.env.NODE_ENV !== 'production') {
+    console.warn(
+      `react-storefront-connector: ${name}() failed, trying fallback ${index}.`,
+      error.message,
+    )
+  }
+}
+
+/**
+ * Rejects if the promise does not settle within the specified time.
+ * @param {Promise} promise
+ * @param {Number} timeout The timeout in milliseconds. If empty, the promise is returned as is.
+ * @param {String} name The name of the connector function
+ * @return {Promise}
+ */
+function withTimeout(promise, timeout, name) {
+  if (!timeout) return promise
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new Error(`${name}() did not respond within ${timeout}ms.`))
+    }, timeout)
+
+    promise.then(
+      result => {
+        clearTimeout(timer)
+        resolve(result)
+      },
+      error => {
+        clearTimeout(timer)
+        reject(error)
+      },
+    )
+  })
+}
@@ -0,0 +1,630 @@
+/**
+ * The contract that connectors must implement.  A connector is a module that exports the functions listed
+ * in `spec`.  Each function receives its own parameters followed by the node request and response objects,
+ * and returns (or resolves to) data matching the JSON schema for that function.
+ *
+ * Connectors are validated against this spec in development (see `withReactStorefront`'s `validateConnector`
+ * option) and can be tested for conformance using `react-storefront/connector/testConnector`.
+ */
+
+export const image = {
+  type: 'object',
+  required: ['src'],
+  properties: {
+    src: { type: 'string' },
+    alt: { type: 'string' },
+    width: { type: 'number' },
+    height: { type: 'number' },
+  },
+}
+
+export const media = {
+  type: 'object',
+  properties: {
+    full: {
+      type: 'array',
+      items: {
+        ...image,
+        properties: {
+          ...image.properties,
+          magnify: image,
+        },
+      },
+    },
+    thumbnails: { type: 'array', items: image },
+    thumbnail: image,
+  },
+}
+
+export const link = {
+  type: 'object',
+  required: ['text', 'href'],
+  properties: {
+    text: { type: 'string' },
+    href: { type: 'string' },
+    as: { type: 'string' },
+  },
+}
+
+export const breadcrumbs = { type: 'array', items: link }
+
+export const productOption = {
+  type: 'object',
+  required: ['id', 'text'],
+  properties: {
+    id: { type: 'string' },
+    text: { type: 'string' },
+    disabled: { type: 'boolean' },
+    image,
+    media,
+  },
+}
+
+export const product = {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: {
+    id: { type: ['string', 'number'] },
+    url: { type: 'string' },
+    name: { type: 'string' },
+    price: { type: 'number', minimum: 0 },
+    priceText: { type: 'string' },
+    currency: { type: 'string' },
+    rating: { type: 'number', minimum: 0 },
+    reviewCount: { type: 'number', minimum: 0 },
+    thumbnail: image,
+    media,
+    sizes: { type: 'array', items: productOption },
+    colors: { type: 'array', items: productOption },
+    description: { type: 'string' },
+    specs: { type: 'string' },
+  },
+}
+
+export const cartItem = {
+  ...product,
+  required: [...product.required, 'quantity'],
+  properties: {
+    ...product.properties,
+    quantity: { type: 'number', minimum: 0 },
+  },
+}
+
+export const cartTotals = {
+  type: 'object',
+  required: ['subtotal', 'total'],
+  properties: {
+    subtotal: { type: 'number', minimum: 0 },
+    discounts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['amount'],
+        properties: {
+          code: { type: 'string' },
+          description: { type: 'string' },
+          amount: { type: 'number', minimum: 0 },
+        },
+      },
+    },
+    discount: { type: 'number', minimum: 0 },
+    tax: { type: ['number', 'null'], minimum: 0 },
+    shipping: { type: ['number', 'null'], minimum: 0 },
+    total: { type: 'number', minimum: 0 },
+    currency: { type: 'string' },
+  },
+}
+
+export const cart = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: { type: 'array', items: cartItem },
+    coupons: { type: 'array', items: { type: 'string' } },
+    totals: cartTotals,
+  },
+}
+
+const optionsFacet = {
+  type: 'object',
+  required: ['name', 'options'],
+  properties: {
+    name: { type: 'string' },
+    ui: { enum: ['buttons', 'checkboxes'] },
+    options: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'code'],
+        properties: {
+          name: { type: 'string' },
+          code: { type: 'string' },
+          matches: { type: 'number', minimum: 0 },
+          image,
+        },
+      },
+    },
+  },
+}
+
+const rangeFacet = {
+  type: 'object',
+  required: ['name', 'ui', 'code', 'min', 'max'],
+  properties: {
+    name: { type: 'string' },
+    ui: { enum: ['range'] },
+    code: { type: 'string' },
+    min: { type: 'number' },
+    max: { type: 'number' },
+    step: { type: 'number', minimum: 0 },
+    currency: { type: 'string' },
+    buckets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['from', 'to'],
+        properties: {
+          from: { type: 'number' },
+          to: { type: 'number' },
+          matches: { type: 'number', minimum: 0 },
+        },
+      },
+    },
+  },
+}
+
+// The selected range of a range facet is a filter in the form `{code}:{min}-{max}`
+export const facet = { anyOf: [optionsFacet, rangeFacet] }
+
+export const sortOption = {
+  type: 'object',
+  required: ['name', 'code'],
+  properties: {
+    name: { type: 'string' },
+    code: { type: 'string' },
+  },
+}
+
+export const appData = {
+  type: 'object',
+  properties: {
+    menu: { type: 'object' },
+    tabs: { type: 'array', items: link },
+  },
+}
+
+/**
+ * Returns the schema for a page api response as returned by `fulfillAPIRequest`
+ * @param {Object} pageData The schema for `pageData`
+ * @return {Object}
+ */
+export function pageResponse(pageData) {
+  return {
+    type: 'object',
+    required: ['pageData'],
+    properties: {
+      pageData: {
+        ...pageData,
+        required: ['title', ...(pageData.required || [])],
+        properties: {
+          title: { type: 'string' },
+          breadcrumbs,
+          ...pageData.properties,
+        },
+      },
+      appData,
+    },
+  }
+}
+
+// Returned with search results when there are no products, to help the user find something else
+export const searchRecovery = {
+  type: 'object',
+  properties: {
+    text: { type: 'string' },
+    corrections: { type: 'array', items: link },
+    relaxed: {
+      type: ['object', 'null'],
+      required: ['text', 'href', 'dropped', 'products'],
+      properties: {
+        ...link.properties,
+        dropped: { type: 'array', items: { type: 'string' } },
+        total: { type: 'number', minimum: 0 },
+        products: { type: 'array', items: product },
+      },
+    },
+    categories: { type: 'array', items: link },
+  },
+}
+
+export const searchResults = {
+  type: 'object',
+  required: ['products'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    total: { type: 'number', minimum: 0 },
+    page: { type: 'number', minimum: 0 },
+    totalPages: { type: 'number', minimum: 0 },
+    filters: { type: 'array', items: { type: 'string' } },
+    sort: { type: ['string', 'null'] },
+    sortOptions: { type: 'array', items: sortOption },
+    facets: { type: 'array', items: facet },
+    products: { type: 'array', items: product },
+    recovery: searchRecovery,
+  },
+}
+
+export const wishlist = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: { type: 'array', items: product },
+  },
+}
+
+export const session = {
+  type: 'object',
+  required: ['cart'],
+  properties: {
+    signedIn: { type: 'boolean' },
+    name: { type: 'string' },
+    email: { type: 'string' },
+    locale: { type: 'string' },
+    currency: { type: 'string' },
+    currencies: { type: 'array', items: { type: 'string' } },
+    cart,
+    checkout,
+    wishlist,
+  },
+}
+
+export const cartResult = {
+  type: 'object',
+  required: ['cart'],
+  properties: { cart },
+}
+
+export const wishlistResult = {
+  type: 'object',
+  required: ['wishlist'],
+  properties: { wishlist, cart },
+}
+
+// Returned instead of results when a query goes straight to a page, for example by `withSearchRules`
+export const redirect = {
+  type: 'object',
+  required: ['href'],
+  properties: {
+    href: { type: 'string' },
+    as: { type: 'string' },
+  },
+}
+
+export const searchResponse = {
+  ...pageResponse(searchResults),
+  properties: { ...pageResponse(searchResults).properties, redirect },
+}
+
+export const searchSuggestions = {
+  type: 'object',
+  required: ['groups'],
+  properties: {
+    text: { type: 'string' },
+    // true when the groups contain every match for the text, so that they can be narrowed for longer queries
+    complete: { type: 'boolean' },
+    // the number of seconds for which the suggestions can be cached by the client
+    ttl: { type: 'number', minimum: 0 },
+    redirect,
+    groups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['caption', 'links'],
+        properties: {
+          caption: { type: 'string' },
+          ui: { enum: ['list', 'thumbnails'] },
+          links: {
+            type: 'array',
+            items: {
+              ...link,
+              properties: { ...link.properties, thumbnail: image },
+            },
+          },
+        },
+      },
+    },
+  },
+}
+
+export const address = {
+  type: 'object',
+  required: ['firstName', 'lastName', 'address1', 'city', 'postalCode', 'country'],
+  properties: {
+    firstName: { type: 'string' },
+    lastName: { type: 'string' },
+    address1: { type: 'string' },
+    address2: { type: 'string' },
+    city: { type: 'string' },
+    region: { type: 'string' },
+    postalCode: { type: 'string' },
+    country: { type: 'string' },
+    phone: { type: 'string' },
+  },
+}
+
+export const shippingRate = {
+  type: 'object',
+  required: ['code', 'name', 'price'],
+  properties: {
+    code: { type: 'string' },
+    name: { type: 'string' },
+    price: { type: 'number', minimum: 0 },
+  },
+}
+
+export const checkout = {
+  type: 'object',
+  required: ['totals'],
+  properties: {
+    address: { anyOf: [address, { type: 'null' }] },
+    shippingMethod: { type: ['string', 'null'] },
+    shippingRates: { type: 'array', items: shippingRate },
+    totals: cartTotals,
+  },
+}
+
+export const order = {
+  type: 'object',
+  required: ['id', 'items', 'totals'],
+  properties: {
+    id: { type: 'string' },
+    items: { type: 'array', items: cartItem },
+    address,
+    shippingMethod: { type: 'string' },
+    coupons: { type: 'array', items: { type: 'string' } },
+    totals: cartTotals,
+  },
+}
+
+export const checkoutResult = {
+  type: 'object',
+  required: ['checkout'],
+  properties: { checkout },
+}
+
+/**
+ * The params of a page with a dynamic route, used to create the sitemap.  `params` has a value for each dynamic
+ * segment of the route, for example `{ productId: '1' }` for `/p/[productId]`.  Use an array for catch-all segments.
+ */
+export const routeParams = {
+  type: 'object',
+  required: ['params'],
+  properties: {
+    params: {
+      type: 'object',
+      additionalProperties: { type: ['string', 'number', 'array'] },
+    },
+    lastmod: { type: 'string' },
+  },
+}
+
+/**
+ * A product comparison.  Each row has one value for each product, in the same order as `products`.  Values are
+ * `null` for products that do not have the attribute.  See `react-storefront/compare/getCompareRows`.
+ */
+export const comparison = {
+  type: 'object',
+  required: ['products', 'rows'],
+  properties: {
+    products: { type: 'array', items: product },
+    rows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['code', 'name', 'values'],
+        properties: {
+          code: { type: 'string' },
+          name: { type: 'string' },
+          type: { type: 'string', enum: ['price', 'rating', 'options', 'text'] },
+          values: { type: 'array' },
+          differs: { type: 'boolean' },
+        },
+      },
+    },
+  },
+}
+
+/**
+ * The functions that connectors export.  `params` describes the arguments that each function receives
+ * before `req` and `res`.  Functions with `mutation: true` change data on the backend.
+ */
+export default {
+  home: {
+    required: true,
+    params: [],
+    schema: pageResponse({ type: 'object', properties: { slots: { type: 'object' } } }),
+  },
+  product: {
+    required: true,
+    params: ['{ id, color, size }'],
+    schema: {
+      anyOf: [
+        pageResponse({ type: 'object', required: ['product'], properties: { product } }),
+        // product variants are returned without the pageData wrapper
+        { type: 'object', required: ['product'], properties: { product } },
+      ],
+    },
+  },
+  productMedia: {
+    required: false,
+    params: ['{ id, color }'],
+    schema: { type: 'object', required: ['media'], properties: { media } },
+  },
+  productSuggestions: {
+    required: false,
+    params: [],
+    schema: { type: 'array', items: product },
+  },
+  subcategory: {
+    required: true,
+    params: ['{ slug, q, page, filters, sort, more, synonyms, pinned, boosted }'],
+    schema: searchResponse,
+  },
+  search: {
+    required: false,
+    params: ['{ q, page, filters, sort, more, synonyms, pinned, boosted }'],
+    schema: searchResponse,
+  },
+  searchSuggestions: {
+    required: true,
+    params: ['q'],
+    schema: searchSuggestions,
+  },
+  session: {
+    required: true,
+    params: [],
+    schema: session,
+  },
+  setCurrency: {
+    required: false,
+    mutation: true,
+    params: ['currency'],
+    schema: session,
+  },
+  cart: {
+    required: true,
+    params: [],
+    schema: pageResponse({ type: 'object', required: ['cart'], properties: { cart } }),
+  },
+  addToCart: {
+    required: true,
+    mutation: true,
+    params: ['{ product, quantity, color, size }'],
+    schema: cartResult,
+  },
+  updateCartItem: {
+    required: true,
+    mutation: true,
+    params: ['item', 'quantity'],
+    schema: cartResult,
+  },
+  removeCartItem: {
+    required: true,
+    mutation: true,
+    params: ['item'],
+    schema: cartResult,
+  },
+  applyCoupon: {
+    required: false,
+    mutation: true,
+    params: ['code'],
+    schema: cartResult,
+  },
+  removeCoupon: {
+    required: false,
+    mutation: true,
+    params: ['code'],
+    schema: cartResult,
+  },
+  // deprecated: an alias of applyCoupon that removes all coupons when code is null
+  applyPromoCode: {
+    required: false,
+    mutation: true,
+    params: ['code'],
+    schema: cartResult,
+  },
+  checkout: {
+    required: false,
+    params: [],
+    schema: pageResponse({
+      type: 'object',
+      required: ['checkout'],
+      properties: { cart, checkout },
+    }),
+  },
+  setShippingAddress: {
+    required: false,
+    mutation: true,
+    params: ['address'],
+    schema: checkoutResult,
+  },
+  shippingRates: {
+    required: false,
+    params: [],
+    schema: {
+      type: 'object',
+      required: ['shippingRates'],
+      properties: { shippingRates: { type: 'array', items: shippingRate } },
+    },
+  },
+  setShippingMethod: {
+    required: false,
+    mutation: true,
+    params: ['code'],
+    schema: checkoutResult,
+  },
+  placeOrder: {
+    required: false,
+    mutation: true,
+    params: ['{ payment }'],
+    schema: {
+      type: 'object',
+      required: ['order'],
+      properties: { order, cart, checkout },
+    },
+  },
+  order: {
+    required: false,
+    params: ['{ id }'],
+    schema: pageResponse({
+      type: 'object',
+      required: ['order'],
+      properties: { order: { anyOf: [order, { type: 'null' }] } },
+    }),
+  },
+  account: {
+    required: false,
+    params: [],
+    schema: pageResponse({ type: 'object', properties: { account: { type: 'object' } } }),
+  },
+  routeParams: {
+    required: false,
+    params: ['route'],
+    schema: { type: 'array', items: routeParams },
+  },
+  compare: {
+    required: false,
+    params: ['{ ids }'],
+    schema: comparison,
+  },
+  wishlist: {
+    required: false,
+    params: [],
+    schema: wishlistResult,
+  },
+  addToWishlist: {
+    required: false,
+    mutation: true,
+    params: ['{ product }'],
+    schema: wishlistResult,
+  },
+  removeFromWishlist: {
+    required: false,
+    mutation: true,
+    params: ['item'],
+    schema: wishlistResult,
+  },
+  moveToCart: {
+    required: false,
+    mutation: true,
+    params: ['{ item, quantity }'],
+    schema: { ...wishlistResult, required: ['wishlist', 'cart'] },
+  },
+  mergeWishlist: {
+    required: false,
+    mutation: true,
+    params: ['{ items }'],
+    schema: wishlistResult,
+  },
+}
@@ -0,0 +1,159 @@
+import spec from './connectorSpec'
+import validateConnector, { validateResult, formatErrors } from './validateConnector'
+
+/**
+ * The parameters passed to each connector function by default.
+ */
+export const DEFAULT_FIXTURES = {
+  home: [],
+  product: [{ id: '1' }],
+  productMedia: [{ id: '1', color: 'red' }],
+  productSuggestions: [],
+  subcategory: [{ slug: '1' }],
+  search: [{ q: 'shirt' }],
+  searchSuggestions: ['shirt'],
+  session: [],
+  setCurrency: ['USD'],
+  cart: [],
+  addToCart: [{ product: { id: '1' }, quantity: 1 }],
+  updateCartItem: [{ id: '1' }, 2],
+  removeCartItem: [{ id: '1' }],
+  applyCoupon: ['SAVE10'],
+  removeCoupon: ['SAVE10'],
+  applyPromoCode: [null],
+  checkout: [],
+  setShippingAddress: [
+    {
+      firstName: 'Jane',
+      lastName: 'Doe',
+      address1: '1 Main St',
+      city: 'Springfield',
+      region: 'IL',
+      postalCode: '62701',
+      country: 'US',
+    },
+  ],
+  shippingRates: [],
+  setShippingMethod: ['standard'],
+  placeOrder: [{ payment: { cardNumber: '4111111111111111' } }],
+  order: [{ id: '1001' }],
+  account: [],
+  routeParams: ['/p/[productId]'],
+  compare: [{ ids: ['1', '2'] }],
+  wishlist: [],
+  addToWishlist: [{ product: { id: '1' } }],
+  removeFromWishlist: [{ id: '1' }],
+  moveToCart: [{ item: { id: '2' }, quantity: 1 }],
+  mergeWishlist: [{ items: [{ id: '3' }] }],
+}
+
+/**
+ * Runs a connector against the connector spec.  Each function that the connector exports is called
+ * with the parameters from `fixtures` followed by mock `req` and `res` objects, and its result is
+ * validated against the function's schema.  Cookies set by one function are sent to the next, so that
+ * cookie-backed connectors like the mock connector work as they would in the browser.
+ *
+ * Use this in your connector's test suite:
+ *
+ * ```js
+ * import * as connector from '../src'
+ * import testConnector, { formatReport } from 'react-storefront/connector/testConnector'
+ *
+ * it('should implement the connector spec', async () => {
+ *   const report = await testConnector(connector, {
+ *     fixtures: { product: [{ id: 'a-real-product-id' }] },
+ *   })
+ *   if (!report.passed) throw new Error(formatReport(report))
+ * })
+ * ```
+ *
+ * @param {Object} connector The connector module
+ * @param {Object} options
+ * @param {Object} options.fixtures Parameters for each connector function, keyed by function name. These are merged with `DEFAULT_FIXTURES`.
+ * @param {Object} options.cookies Initial cookies
+ * @return {Promise} Resolves to a report with `passed`, `problems` (see `validateConnector`), and `results`, an array with
+ *  the `method`, `errors` and thrown `error` for each function
+ */
+export default async function testConnector(connector, { fixtures = {}, cookies = {} } = {}) {
+  const params = { ...DEFAULT_FIXTURES, ...fixtures }
+  const problems = validateConnector(connector)
+  const results = []
+  const jar = { ...cookies }
+
+  for (let method in spec) {
+    if (typeof connector[method] !== 'function') continue
+
+    const { req, res } = createMockRequest(method, jar)
+    const result = { method, errors: [] }
+
+    try {
+      result.errors = validateResult(method, await connector[method](...params[method], req, res))
+    } catch (error) {
+      result.error = error
+    }
+
+    results.push(result)
+  }
+
+  return {
+    passed: problems.length === 0 && results.every(r => !r.error && r.errors.length === 0),
+    problems,
+    results,
+  }
+}
+
+/**
+ * Formats a report returned by `testConnector` for display.
+ * @param {Object} report
+ * @return {String}
+ */
+export function formatReport({ problems, results }) {
+  const sections = problems.map(problem => `react-storefront-connector: ${problem}`)
+
+  for (let { method, errors, error } of results) {
+    if (error) {
+      sections.push(`react-storefront-connector: ${method}() threw ${error.stack || error}`)
+    } else if (errors.length) {
+      sections.push(formatErrors(method, errors))
+    }
+  }
+
+  return sections.join('\n\n')
+}
+
+/**
+ * Creates mock node request and response objects that share a cookie jar
+ * @param {String} method The name of the connector function being called
+ * @param {Object} jar The cookie jar
+ * @return {Object} An object with `req` and `res`
+ */
+function createMockRequest(method, jar) {
+  const req = {
+    method: 'GET',
+    url: `/api/${method}?_includeAppData=1`,
+    query: { _includeAppData: '1' },
+    headers: {},
+    cookies: jar,
+  }
+
+  const res = {
+    headers: {},
+    statusCode: 200,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value
+
+      if (name.toLowerCase() === 'set-cookie') {
+        for (let cookie of [].concat(value)) {
+          const [pair] = cookie.split(';')
+          const index = pair.indexOf('=')
+          jar[pair.slice(0, index).trim()] = pair.slice(index + 1)
+        }
+      }
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()]
+    },
+  }
+
+  return { req, res }
+}
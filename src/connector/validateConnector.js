@@ -0,0 +1,82 @@
+import chalk from 'chalk'
+import spec from './connectorSpec'
+import validateSchema from './validateSchema'
+
+/**
+ * Checks that a connector exports all of the functions required by the connector spec.
+ * @param {Object} connector The connector module
+ * @return {String[]} A list of problems.  The list is empty when the connector implements the spec.
+ */
+export default function validateConnector(connector) {
+  const problems = []
+
+  for (let method in spec) {
+    const fn = connector[method]
+
+    if (fn == null) {
+      if (spec[method].required) {
+        problems.push(`${method} is required but was not exported by the connector.`)
+      }
+    } else if (typeof fn !== 'function') {
+      problems.push(`${method} should be a function, but was ${typeof fn}.`)
+    }
+  }
+
+  return problems
+}
+
+/**
+ * Validates the result of a connector function against the connector spec.
+ * @param {String} method The name of the connector function
+ * @param {*} result The value returned by the function
+ * @return {Object[]} A list of errors as returned by `validateSchema`.  Functions that are not
+ *  in the spec always return an empty list.
+ */
+export function validateResult(method, result) {
+  const entry = spec[method]
+  return entry ? validateSchema(result, entry.schema) : []
+}
+
+/**
+ * Formats validation errors as a readable diff showing the expected and received value
+ * for each invalid path.
+ * @param {String} method The name of the connector function
+ * @param {Object[]} errors The errors returned by `validateResult`
+ * @return {String}
+ */
+export function formatErrors(method, errors) {
+  const lines = [
+    `react-storefront-connector: ${method}() returned data that does not match the connector spec:`,
+  ]
+
+  for (let { path, expected, received } of errors) {
+    lines.push(
+      '',
+      `  ${chalk.bold(path || '(result)')}`,
+      chalk.green(`    - expected: ${expected}`),
+      chalk.red(`    + received: ${formatValue(received)}`),
+    )
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Returns a short description of a value for use in error messages.
+ * @param {*} value
+ * @return {String}
+ */
+function formatValue(value) {
+  if (value === undefined) {
+    return 'undefined'
+  }
+
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value
+  let json = JSON.stringify(value)
+
+  if (json.length > 60) {
+    json = json.slice(0, 57) + '...'
+  }
+
+  return type === 'null' ? 'null' : `${json} (${type})`
+}
@@ -0,0 +1,119 @@
+/**
+ * Validates a value against a JSON schema.  Only the subset of JSON schema used by the connector spec is
+ * supported: `type`, `properties`, `required`, `additionalProperties`, `items`, `enum`, `anyOf` and `minimum`.
+ *
+ * @param {*} value The value to validate
+ * @param {Object} schema A JSON schema
+ * @param {String} path The path of the value, used in error messages
+ * @return {Object[]} A list of errors, each with `path`, `expected` and `received` properties.  The list is empty when the value is valid.
+ */
+export default function validateSchema(value, schema, path = '') {
+  const errors = []
+
+  if (schema.anyOf) {
+    const valid = schema.anyOf.some(option => validateSchema(value, option, path).length === 0)
+
+    if (!valid) {
+      errors.push({ path, expected: describe(schema), received: value })
+    }
+
+    return errors
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path, expected: describe(schema), received: value })
+    return errors
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, expected: describe(schema), received: value })
+  }
+
+  if (schema.minimum != null && typeof value === 'number' && value < schema.minimum) {
+    errors.push({ path, expected: `a number >= ${schema.minimum}`, received: value })
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${i}]`))
+    })
+  }
+
+  if (isObject(value)) {
+    const { properties = {}, required = [], additionalProperties = true } = schema
+
+    for (let key of required) {
+      if (value[key] === undefined) {
+        errors.push({
+          path: join(path, key),
+          expected: describe(properties[key] || {}),
+          received: undefined,
+        })
+      }
+    }
+
+    for (let key in value) {
+      if (properties[key]) {
+        if (value[key] !== undefined) {
+          errors.push(...validateSchema(value[key], properties[key], join(path, key)))
+        }
+      } else if (additionalProperties === false) {
+        errors.push({ path: join(path, key), expected: 'no such property', received: value[key] })
+      } else if (typeof additionalProperties === 'object') {
+        errors.push(...validateSchema(value[key], additionalProperties, join(path, key)))
+      }
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Returns true if the value matches the specified JSON schema type or types
+ * @param {*} value
+ * @param {String|String[]} type
+ * @return {Boolean}
+ */
+function matchesType(value, type) {
+  if (Array.isArray(type)) {
+    return type.some(t => matchesType(value, t))
+  }
+
+  switch (type) {
+    case 'null':
+      return value === null
+    case 'array':
+      return Array.isArray(value)
+    case 'object':
+      return isObject(value)
+    case 'integer':
+      return Number.isInteger(value)
+    default:
+      return typeof value === type
+  }
+}
+
+function isObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key
+}
+
+/**
+ * Returns a human readable description of the values accepted by a schema
+ * @param {Object} schema
+ * @return {String}
+ */
+function describe(schema) {
+  if (schema.enum) {
+    return `one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`
+  } else if (schema.anyOf) {
+    return schema.anyOf.map(describe).join(' or ')
+  } else if (Array.isArray(schema.type)) {
+    return schema.type.join(' or ')
+  } else {
+    return schema.type || 'any value'
+  }
+}
@@ -0,0 +1,11 @@
+// In development, withReactStorefront aliases react-storefront-connector to this module, which validates
+// the results of the connector configured in next.config.js against the connector spec.
+const withValidation = require('./withValidation').default
+const validateConnector = require('./validateConnector').default
+const connector = require('react-storefront-connector-impl')
+
+for (let problem of validateConnector(connector)) {
+  console.warn(`react-storefront-connector: ${problem}`)
+}
+
+module.exports = withValidation(connector)
@@ -0,0 +1,154 @@
+import normalizeQuery from '../utils/normalizeQuery'
+
+/**
+ * Wraps the search functions of a connector to apply merchandising rules, which are typically kept in a JSON
+ * file so that they can be changed without changing code:
+ *
+ * ```js
+ * // connector.js
+ * import withSearchRules from 'react-storefront/connector/withSearchRules'
+ * import * as commerce from 'my-commerce-connector'
+ * import rules from './searchRules.json'
+ *
+ * module.exports = withSearchRules(commerce, rules)
+ * ```
+ *
+ * The rules file has the following sections, each of which is optional.  Keywords are matched against the whole
+ * query without regard to case or extra whitespace.
+ *
+ * ```json
+ * {
+ *   "redirects": [
+ *     { "keywords": ["returns", "return policy"], "href": "/returns" },
+ *     { "keywords": ["shirts"], "href": "/s/[subcategoryId]", "as": "/s/1" }
+ *   ],
+ *   "synonyms": [
+ *     ["shirt", "tee", "top"],
+ *     ["pants", "trousers"]
+ *   ],
+ *   "promotions": [
+ *     { "keywords": ["shirt", "shirts"], "pinned": ["12", "5"], "boosted": ["40"] }
+ *   ]
+ * }
+ * ```
+ *
+ * - `redirects` - Queries that go straight to a category or content page instead of the search results.
+ *   `search` and `subcategory` return the `redirect` instead of results, and `searchSuggestions` adds it to the
+ *   suggestions so that [`SearchForm`](/apiReference/search/SearchForm) can navigate to the page directly.
+ * - `synonyms` - Sets of words that mean the same thing.  `search` and `subcategory` receive a `synonyms`
+ *   parameter with the other words in the set of each word of the query, for example `{ tee: ['shirt', 'top'] }`.
+ * - `promotions` - Products to show first for a query.  `search` and `subcategory` receive `pinned`, the ids of
+ *   products to show first in the order listed, and `boosted`, the ids of products to rank above the rest.
+ *
+ * Synonyms and promotions are passed to the connector rather than applied to its results, since only the search
+ * engine can apply them across every page of results.  Connectors that do not support them ignore the parameters.
+ *
+ * @param {Object} connector The connector module
+ * @param {Object} rules The merchandising rules
+ * @return {Object} A connector with the same functions
+ */
+export default function withSearchRules(connector, rules = {}) {
+  const wrapped = { ...connector }
+
+  for (let name of ['search', 'subcategory']) {
+    const fn = connector[name]
+
+    if (typeof fn !== 'function') continue
+
+    wrapped[name] = async function searchWithRules(params = {}, ...others) {
+      if (!normalizeQuery(params.q)) {
+        return fn(params, ...others)
+      }
+
+      const redirect = getRedirect(rules, params.q)
+
+      if (redirect) {
+        return { redirect, pageData: { title: params.q, products: [] } }
+      }
+
+      return fn({ ...params, ...getSearchParams(rules, params.q) }, ...others)
+    }
+  }
+
+  if (typeof connector.searchSuggestions === 'function') {
+    wrapped.searchSuggestions = async function searchSuggestionsWithRules(q, ...others) {
+      const result = await connector.searchSuggestions(q, ...others)
+      const redirect = getRedirect(rules, q)
+
+      return redirect ? { ...result, redirect } : result
+    }
+  }
+
+  return wrapped
+}
+
+/**
+ * Returns the page that a query redirects to
+ * @param {Object} rules The merchandising rules
+ * @param {String} q The query
+ * @return {Object} An object with `href` and `as`, or `null` if the query does not redirect
+ */
+export function getRedirect({ redirects = [] }, q) {
+  const rule = redirects.find(rule => matchesKeywords(rule, q))
+  return rule ? { href: rule.href, as: rule.as || rule.href } : null
+}
+
+/**
+ * Returns the other words in the synonym sets of each word of a query
+ * @param {Object} rules The merchandising rules
+ * @param {String} q The query
+ * @return {Object} The synonyms keyed by word
+ */
+export function getSynonyms({ synonyms = [] }, q) {
+  const result = {}
+
+  for (let word of normalizeQuery(q).split(' ')) {
+    for (let set of synonyms) {
+      const words = set.map(normalizeQuery)
+
+      if (words.includes(word)) {
+        result[word] = unique([...(result[word] || []), ...words.filter(other => other !== word)])
+      }
+    }
+  }
+
+  return result
+}
+
+/**
+ * Returns the products that are promoted for a query
+ * @param {Object} rules The merchandising rules
+ * @param {String} q The query
+ * @return {Object} An object with the `pinned` and `boosted` product ids
+ */
+export function getPromotion({ promotions = [] }, q) {
+  const matching = promotions.filter(rule => matchesKeywords(rule, q))
+  const ids = key =>
+    unique(matching.reduce((ids, rule) => ids.concat((rule[key] || []).map(String)), []))
+
+  return { pinned: ids('pinned'), boosted: ids('boosted') }
+}
+
+/**
+ * Returns the parameters to add to a call to `search` or `subcategory`.  Empty rules are left out.
+ */
+function getSearchParams(rules, q) {
+  const params = {}
+  const synonyms = getSynonyms(rules, q)
+  const { pinned, boosted } = getPromotion(rules, q)
+
+  if (Object.keys(synonyms).length) params.synonyms = synonyms
+  if (pinned.length) params.pinned = pinned
+  if (boosted.length) params.boosted = boosted
+
+  return params
+}
+
+function matchesKeywords({ keywords = [] }, q) {
+  const query = normalizeQuery(q)
+  return keywords.some(keyword => normalizeQuery(keyword) === query)
+}
+
+function unique(values) {
+  return [...new Set(values)]
+}
@@ -0,0 +1,41 @@
+import { validateResult, formatErrors } from './validateConnector'
+
+/**
+ * Wraps each function of a connector so that its results are validated against the connector spec.
+ * Results are returned unchanged.  When a result does not match the spec, a readable diff is logged.
+ * This is used in development when `withReactStorefront`'s `validateConnector` option is enabled.
+ *
+ * @param {Object} connector The connector module
+ * @param {Object} options
+ * @param {Function} options.log The function used to report errors. Defaults to `console.warn`.
+ * @return {Object} A connector with the same functions
+ */
+export default function withValidation(connector, { log = console.warn } = {}) {
+  const wrapped = {}
+
+  for (let method in connector) {
+    const fn = connector[method]
+
+    if (typeof fn !== 'function') {
+      wrapped[method] = fn
+      continue
+    }
+
+    wrapped[method] = function validatedConnectorMethod(...args) {
+      const validate = result => {
+        const errors = validateResult(method, result)
+
+        if (errors.length) {
+          log(formatErrors(method, errors))
+        }
+
+        return result
+      }
+
+      const result = fn.apply(this, args)
+      return result && typeof result.then === 'function' ? result.then(validate) : validate(result)
+    }
+  }
+
+  return wrapped
+}
@@ -0,0 +1,52 @@
+import { useContext, useMemo } from 'react'
+import get from 'lodash/get'
+import SessionContext from '../session/SessionContext'
+
+/**
+ * Returns a summary of the amounts owed for the cart in the session.  For the number of items in the cart,
+ * use `useCartTotal`.  The summary has the following properties:
+ *
+ * - `subtotal` - The sum of the price of each item multiplied by its quantity
+ * - `discounts` - The discount for each coupon, with `code`, `description`, and `amount`
+ * - `discount` - The sum of all discounts
+ * - `tax` - The tax, or `null` if it has not been calculated
+ * - `shipping` - The shipping cost, or `null` if a shipping method has not been selected
+ * - `total` - The grand total
+ * - `currency` - The ISO 4217 currency code
+ *
+ * When the connector does not return `cart.totals`, the subtotal is computed from the items in the cart.
+ *
+ * ```js
+ * const { subtotal, discount, total, currency } = useCartSummary()
+ * ```
+ *
+ * @return {Object}
+ */
+export default function useCartSummary() {
+  const context = useContext(SessionContext)
+  const cart = get(context, 'session.cart')
+  const currency = get(context, 'session.currency', 'USD')
+
+  return useMemo(() => {
+    const totals = get(cart, 'totals')
+
+    if (totals) {
+      return { discounts: [], discount: 0, tax: null, shipping: null, currency, ...totals }
+    }
+
+    const subtotal = get(cart, 'items', []).reduce(
+      (sum, item) => sum + (item.price || 0) * item.quantity,
+      0,
+    )
+
+    return {
+      subtotal,
+      discounts: [],
+      discount: 0,
+      tax: null,
+      shipping: null,
+      total: subtotal,
+      currency,
+    }
+  }, [cart, currency])
+}
@@ -0,0 +1,22 @@
+import { useContext } from 'react'
+import get from 'lodash/get'
+import SessionContext from '../session/SessionContext'
+
+/**
+ * Returns the coupon codes applied to the cart along with the actions to apply and remove them.
+ *
+ * ```js
+ * const { coupons, applyCoupon, removeCoupon } = useCoupons()
+ * ```
+ *
+ * @return {Object} An object with `coupons`, `applyCoupon`, and `removeCoupon`
+ */
+export default function useCoupons() {
+  const context = useContext(SessionContext)
+
+  return {
+    coupons: get(context, 'session.cart.coupons', []),
+    applyCoupon: get(context, 'actions.applyCoupon'),
+    removeCoupon: get(context, 'actions.removeCoupon'),
+  }
+}
@@ -4,6 +4,9 @@ import merge from '../utils/merge'
 import LinkContext from '../link/LinkContext'
 import get from 'lodash/get'
 import storeInitialPropsInHistory from '../router/storeInitialPropsInHistory'
+import getAPIURL from '../api/getAPIURL'
+import { VERSION_PARAM } from '../api/addVersion'
+import { API_UPDATED } from '../sw/messages'
 
 storeInitialPropsInHistory()
 
@@ -77,6 +80,30 @@ export default function useLazyState(lazyProps, additionalData = {}) {
     }
   }, [])
 
+  // When the service worker serves a stale response for this page's data using the staleWhileRevalidate
+  // strategy, it posts the fresh data once it arrives so that we can update the page in place.  The fresh
+  // pageData replaces the stale pageData rather than being merged into it so that items removed from arrays
+  // such as products, facets and breadcrumbs are not left behind.
+  useEffect(() => {
+    const { serviceWorker } = navigator
+
+    if (!serviceWorker) return
+
+    const onMessage = ({ data = {} }) => {
+      if (
+        data.type === API_UPDATED &&
+        !stateRef.current.loading &&
+        get(data, 'data.pageData') &&
+        removeVersion(data.url) === removeVersion(getAPIURL(location.pathname + location.search))
+      ) {
+        updateState(state => ({ ...state, pageData: data.data.pageData }))
+      }
+    }
+
+    serviceWorker.addEventListener('message', onMessage)
+    return () => serviceWorker.removeEventListener('message', onMessage)
+  }, [])
+
   // save the page state in history.state before navigation
   const onHistoryChange = useCallback(() => {
     if (!goingBack.current && !stateRef.current.loading) {
@@ -123,3 +150,14 @@ function recordState(state) {
 
   history.replaceState(historyState, document.title, as)
 }
+
+/**
+ * Returns the path and query string of the specified URL without the version param.
+ * @param {String} url
+ * @return {String}
+ */
+function removeVersion(url) {
+  const parsed = new URL(url, 'http://throwaway.api')
+  parsed.searchParams.delete(VERSION_PARAM)
+  return parsed.pathname + parsed.search
+}
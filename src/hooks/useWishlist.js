@@ -0,0 +1,26 @@
+import { useContext } from 'react'
+import get from 'lodash/get'
+import SessionContext from '../session/SessionContext'
+
+/**
+ * Returns the items in the user's wishlist along with the actions to add, remove, and move them to the cart.
+ * Anonymous users' wishlists are kept in local storage until they sign in.
+ *
+ * ```js
+ * const { items, isInWishlist, addToWishlist, removeFromWishlist, moveToCart } = useWishlist()
+ * ```
+ *
+ * @return {Object} An object with `items`, `isInWishlist`, `addToWishlist`, `removeFromWishlist`, and `moveToCart`
+ */
+export default function useWishlist() {
+  const context = useContext(SessionContext)
+  const items = get(context, 'wishlist.items', [])
+
+  return {
+    items,
+    isInWishlist: id => items.some(item => item.id === id),
+    addToWishlist: get(context, 'actions.addToWishlist'),
+    removeFromWishlist: get(context, 'actions.removeFromWishlist'),
+    moveToCart: get(context, 'actions.moveToCart'),
+  }
+}
@@ -7,6 +7,8 @@ import useIntersectionObserver from '../hooks/useIntersectionObserver'
 import { prefetch as doPrefetch } from '../serviceWorker'
 import withDefaultHandler from '../utils/withDefaultHandler'
 import getAPIURL from '../api/getAPIURL'
+import { useRouter } from 'next/router'
+import { parseLocale, localizePath } from '../locale/localeRouting'
 
 /**
  * Use this component for all Links in your React Storefront app.  You can
@@ -24,10 +26,33 @@ import getAPIURL from '../api/getAPIURL'
  *   {product.name}
  * </Link>
  * ```
+ *
+ * When the app is configured with `locales`, the URL is prefixed with the locale of the current page,
+ * so `/p/1` links to `/fr/p/1` when viewing a page in French.  Use the `locale` prop to link to a page in
+ * a different locale.
  */
-const Link = ({ as, href, prefetch, prefetchURL, pageData, onClick, children, ...other }) => {
+const Link = ({
+  as,
+  href,
+  locale,
+  prefetch,
+  prefetchURL,
+  pageData,
+  onClick,
+  children,
+  ...other
+}) => {
   const ref = useRef(null)
   const linkPageData = useContext(LinkContext)
+  const router = useRouter()
+
+  if (locale === undefined) {
+    locale = parseLocale(router ? router.asPath : '').locale
+  }
+
+  if (as || locale) {
+    as = localizePath(as || href, locale)
+  }
 
   const handleClick = withDefaultHandler(onClick, () => {
     if (linkPageData) {
@@ -91,6 +116,11 @@ Link.propTypes = {
    */
   href: PropTypes.string.isRequired,
 
+  /**
+   * The locale of the destination page.  Defaults to the locale of the current page.
+   */
+  locale: PropTypes.string,
+
   /**
    * Set to `visible` to prefetch the JSON data for the destination page component when the link
    * is scrolled into the viewport.  Set to `always` to prefetch the data immediately. Set to
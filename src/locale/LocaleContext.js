@@ -0,0 +1,3 @@
+import React from 'react'
+const LocaleContext = React.createContext()
+export default LocaleContext
@@ -0,0 +1,107 @@
+import React, { useContext, useMemo } from 'react'
+import PropTypes from 'prop-types'
+import get from 'lodash/get'
+import LocaleContext from './LocaleContext'
+import SessionContext from '../session/SessionContext'
+import { useRouter } from 'next/router'
+import { price } from '../utils/format'
+import { parseLocale } from './localeRouting'
+import defaultMessages from './defaultMessages'
+import formatMessage from './formatMessage'
+
+export const DEFAULT_LOCALE = 'en-US'
+export const DEFAULT_CURRENCY = 'USD'
+
+/**
+ * Provides the locale, currency and message catalog to descendant components via `LocaleContext`.  Use
+ * `useLocale` to access them.
+ *
+ * The `locale` and `currency` props take precedence.  Pass them when the locale or currency is part of the
+ * URL so that pages can be cached.  Otherwise, the locale prefix of the current URL (see the `locales` option of
+ * `withReactStorefront`), or the `locale` and `currency` returned by the session api are used.  When this component
+ * is rendered inside of `SessionProvider`, calling `setCurrency` from `useLocale` updates the currency for the session.
+ *
+ * Built-in components read their default text from the message catalog.  Pass `messages` to translate them.  See
+ * `react-storefront/locale/defaultMessages` for the message ids.
+ *
+ * ```js
+ * <SessionProvider url="/api/session">
+ *   <LocaleProvider>
+ *     <App />
+ *   </LocaleProvider>
+ * </SessionProvider>
+ * ```
+ */
+export default function LocaleProvider({ locale, currency, messages, children }) {
+  const sessionContext = useContext(SessionContext)
+  const session = get(sessionContext, 'session') || {}
+  const setCurrency = get(sessionContext, 'actions.setCurrency')
+  const routeLocale = parseLocale(get(useRouter(), 'asPath', '')).locale
+
+  const value = useMemo(
+    () =>
+      createLocale({
+        locale: locale || routeLocale || session.locale,
+        currency: currency || session.currency,
+        currencies: session.currencies,
+        messages,
+        setCurrency,
+      }),
+    [
+      locale,
+      routeLocale,
+      currency,
+      messages,
+      session.locale,
+      session.currency,
+      session.currencies,
+      setCurrency,
+    ],
+  )
+
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>
+}
+
+/**
+ * Creates the value provided by `LocaleContext`
+ * @private
+ */
+export function createLocale({
+  locale = DEFAULT_LOCALE,
+  currency = DEFAULT_CURRENCY,
+  currencies = [currency],
+  messages,
+  setCurrency,
+} = {}) {
+  const catalog = { ...defaultMessages, ...messages }
+
+  return {
+    locale,
+    currency,
+    currencies,
+    messages: catalog,
+    setCurrency,
+    formatPrice: (value, options = {}) => price(value, { locale, currency, ...options }),
+    formatMessage: (id, values) => formatMessage(catalog, locale, id, values),
+  }
+}
+
+LocaleProvider.propTypes = {
+  /**
+   * The BCP 47 language tag used to format numbers and prices, for example `en-US`.  Defaults to the
+   * locale returned by the session api, or `en-US`.
+   */
+  locale: PropTypes.string,
+
+  /**
+   * The text for built-in components and your own messages, keyed by message id.  These are merged with
+   * `react-storefront/locale/defaultMessages`.
+   */
+  messages: PropTypes.object,
+
+  /**
+   * The ISO 4217 currency code, for example `USD`.  Defaults to the currency returned by the session
+   * api, or `USD`.
+   */
+  currency: PropTypes.string,
+}
@@ -0,0 +1,68 @@
+/**
+ * The default (English) text for every built-in component.  To translate the built-in components,
+ * pass a catalog with the same keys to the `messages` prop of `LocaleProvider`.
+ *
+ * Values can contain placeholders like `{count}`, which are replaced with the values passed to `formatMessage`.
+ * Messages that depend on a count can be objects keyed by plural category (`zero`, `one`, `few`, `many`, `other`, ...).
+ */
+export default {
+  'Offline.heading': "You're offline",
+  'Offline.message': 'Please check your internet connection',
+  'BackToTop.title': 'back to top',
+  'CartButton.label': 'Cart',
+  'MenuButton.label': 'Menu',
+  'QuantitySelector.label': 'quantity',
+  'QuantitySelector.add': 'add one {label}',
+  'QuantitySelector.subtract': 'subtract one {label}',
+  'Rating.reviews': { one: 'review', other: 'reviews' },
+  'CarouselArrows.previous': 'Previous',
+  'CarouselArrows.next': 'Next',
+  'MagnifyHint.zoomDesktop': 'Hover to Zoom',
+  'MagnifyHint.expandMobile': 'Tap to Expand',
+  'MagnifyHint.expandDesktop': 'Click to Expand',
+  'SearchButton.label': 'Search',
+  'SearchField.placeholder': 'Search...',
+  'SearchField.label': 'search-text',
+  'SearchProvider.recentSearches': 'Recent Searches',
+  'SearchSuggestionGroup.clear': 'Clear',
+  'SearchSuggestionItem.remove': 'remove {text}',
+  'SearchSuggestions.results': {
+    zero: 'No suggestions',
+    one: '{count} suggestion available',
+    other: '{count} suggestions available',
+  },
+  'FilterButton.title': 'Filter',
+  'FilterButton.selected': { other: '{count} selected' },
+  'FacetGroup.selected': { other: '{count} selected' },
+  'FilterHeader.title': 'Filter By',
+  'FilterHeader.clear': 'clear all',
+  'FilterFooter.selected': {
+    zero: 'No filters selected',
+    one: '{count} filter selected',
+    other: '{count} filters selected',
+  },
+  'FilterFooter.viewResults': 'View Results',
+  'SortButton.title': 'Sort',
+  'AmpSearchLightbox.close': 'close',
+  'ShowMore.label': 'Show More',
+  'SearchRecovery.noResults': 'No results for "{text}"',
+  'SearchRecovery.noResultsFound': 'No results found',
+  'SearchRecovery.didYouMean': 'Did you mean',
+  'SearchRecovery.relaxed': 'Showing results for "{text}"',
+  'SearchRecovery.dropped': 'Not found:',
+  'SearchRecovery.viewAll': { one: 'View {count} result', other: 'View all {count} results' },
+  'SearchRecovery.categories': 'Popular Categories',
+  'RangeFilter.min': 'Min',
+  'RangeFilter.max': 'Max',
+  'RangeFilter.to': 'to',
+  'CompareTray.compare': 'Compare ({count})',
+  'CompareTray.clear': 'clear all',
+  'CompareTray.remove': 'remove {name}',
+  'CompareTable.remove': 'remove {name}',
+  'CompareTable.price': 'Price',
+  'CompareTable.rating': 'Rating',
+  'CompareTable.colors': 'Colors',
+  'CompareTable.sizes': 'Sizes',
+  'CompareTable.specs': 'Specs',
+  'RecentlyViewed.title': 'Recently Viewed',
+}
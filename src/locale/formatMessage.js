@@ -0,0 +1,33 @@
+/**
+ * Returns the text for a message from a catalog.
+ *
+ * ```js
+ * formatMessage(messages, 'en-US', 'FilterFooter.selected', { count: 2 }) // => "2 filters selected"
+ * ```
+ *
+ * @param {Object} messages The message catalog
+ * @param {String} locale The locale, used to select the plural form
+ * @param {String} id The message id
+ * @param {Object} values Values for the message's placeholders.  When the message has plural forms,
+ *  `values.count` is used to select one.
+ * @return {String} The text, or the id if the catalog does not have the message
+ */
+export default function formatMessage(messages, locale, id, values = {}) {
+  let message = messages[id]
+
+  if (message == null) return id
+
+  if (typeof message === 'object') {
+    const { count } = values
+
+    if (count === 0 && message.zero != null) {
+      message = message.zero
+    } else {
+      message = message[new Intl.PluralRules(locale).select(count)] || message.other
+    }
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    values[key] == null ? placeholder : values[key],
+  )
+}
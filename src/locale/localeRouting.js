@@ -0,0 +1,91 @@
+/**
+ * Helpers for locale-prefixed routes.  When an app is configured with `locales` (see the `locales` option of
+ * `withReactStorefront`), pages are served at a URL prefixed with the locale, for example `/fr/p/1`, for
+ * every locale other than the default locale.  The locale is passed to the api as the `locale` query parameter,
+ * so the api for `/fr/p/1` is `/api/p/1?locale=fr`.
+ *
+ * Next's built-in `i18n` config is not used because, in the versions of next that React Storefront supports,
+ * the context passed to a page's `getInitialProps` has no `locale` and its `asPath` has the locale prefix removed.
+ * Pages fetch their data with `createLazyProps` and `fetchFromAPI` from `getInitialProps`, so with the built-in
+ * config, page data would be fetched for the default locale when rendering on the server.  `Link` also needs the
+ * locale of the destination to build the api URL that it prefetches.
+ */
+
+/**
+ * The query parameter used to pass the locale to the api
+ */
+export const LOCALE_PARAM = 'locale'
+
+/**
+ * Returns the locales configured for the app.  These are set by `withReactStorefront` at build time, and
+ * can also be provided as a comma separated list in the `RSF_LOCALES` environment variable.
+ * @return {Object} An object with `locales` and `defaultLocale`.  The default locale is the first locale
+ *  unless `RSF_DEFAULT_LOCALE` is set.
+ */
+export function getLocales() {
+  const locales = (process.env.RSF_LOCALES || '').split(',').filter(Boolean)
+  const defaultLocale = process.env.RSF_DEFAULT_LOCALE || locales[0] || null
+  return { locales, defaultLocale }
+}
+
+/**
+ * Splits the locale prefix from a path
+ * @param {String} path A path, for example `/fr/p/1?color=red`
+ * @return {Object} An object with `locale`, which is `null` if the path is not prefixed with a configured
+ *  locale, and `path`, the path without the prefix
+ */
+export function parseLocale(path) {
+  const { locales } = getLocales()
+  const match = (path || '').match(/^\/([^/?#]+)(.*)$/)
+
+  if (match && locales.includes(match[1])) {
+    const rest = match[2]
+    return { locale: match[1], path: rest.startsWith('/') ? rest : `/${rest}` }
+  }
+
+  return { locale: null, path }
+}
+
+/**
+ * Prefixes a path with a locale.  Any existing locale prefix is replaced.  Paths for the default
+ * locale are not prefixed.
+ * @param {String} path A path without a protocol or host
+ * @param {String} locale The locale
+ * @return {String}
+ */
+export function localizePath(path, locale) {
+  const { locales, defaultLocale } = getLocales()
+  const { path: unprefixed } = parseLocale(path)
+
+  if (!locale || locale === defaultLocale || !locales.includes(locale)) {
+    return unprefixed
+  }
+
+  return `/${locale}${unprefixed === '/' ? '' : unprefixed}`
+}
+
+/**
+ * Returns the locale prefix of the page being displayed in the browser, or `null` when rendering
+ * on the server or when the page is not prefixed.
+ * @return {String}
+ */
+export function getCurrentLocale() {
+  if (typeof window === 'undefined') return null
+  return parseLocale(window.location.pathname).locale
+}
+
+/**
+ * Returns the source of a regular expression that matches an optional locale prefix
+ * @return {String}
+ */
+export function getLocalePrefixPattern() {
+  const { locales } = getLocales()
+
+  if (!locales.length) return ''
+
+  return `(?:\\/(?:${locales.map(escapeRegExp).join('|')}))?`
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+}
@@ -0,0 +1,22 @@
+import { useContext } from 'react'
+import LocaleContext from './LocaleContext'
+import { createLocale } from './LocaleProvider'
+
+const defaults = createLocale()
+
+/**
+ * Returns the locale and currency provided by `LocaleProvider`, along with:
+ *
+ * - `currencies` - The currencies that the shopper can choose from
+ * - `formatPrice(value, options)` - Formats a price in the current locale and currency.  Accepts the same options as `price` in `react-storefront/utils/format`.
+ * - `setCurrency(currency)` - Changes the currency for the session
+ * - `messages` - The message catalog
+ * - `formatMessage(id, values)` - Returns the text for a message in the catalog, replacing placeholders like `{count}` with `values`
+ *
+ * When there is no `LocaleProvider`, `en-US`, `USD` and the default messages are used.
+ *
+ * @return {Object}
+ */
+export default function useLocale() {
+  return useContext(LocaleContext) || defaults
+}
@@ -5,6 +5,7 @@ import ToolbarButton from '../ToolbarButton'
 import MenuIcon from './MenuIcon'
 import PropTypes from 'prop-types'
 import clsx from 'clsx'
+import useLocale from '../locale/useLocale'
 
 export const styles = theme => ({
   link: {
@@ -27,6 +28,7 @@ export default function MenuButton({
   style,
 }) {
   classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
 
   return (
     <Hidden mdUp implementation="css" key="menuButton">
@@ -36,7 +38,7 @@ export default function MenuButton({
         style={style}
       >
         <ToolbarButton
-          aria-label="Menu"
+          aria-label={formatMessage('MenuButton.label')}
           color="inherit"
           onClick={onClick}
           icon={<MenuIcon open={open} {...menuIconProps} />}
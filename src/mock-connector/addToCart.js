@@ -1,5 +1,10 @@
 import { addItem } from './utils/cartStore'
+import { getCoupons } from './utils/couponStore'
+import createCart from './utils/createCart'
+import { getCurrency } from './utils/currency'
 
 export default async function addToCart({ color, size, product, quantity }, req, res) {
-  return { cart: { items: addItem(product.id, quantity, req, res) } }
+  return {
+    cart: createCart(addItem(product.id, quantity, req, res), getCoupons(req), getCurrency(req)),
+  }
 }
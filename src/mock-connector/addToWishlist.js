@@ -0,0 +1,5 @@
+import { addItem } from './utils/wishlistStore'
+
+export default async function addToWishlist({ product }, req, res) {
+  return { wishlist: { items: addItem(product.id, req, res) } }
+}
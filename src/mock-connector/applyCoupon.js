@@ -0,0 +1,11 @@
+import { addCoupon } from './utils/couponStore'
+import { getProducts } from './utils/cartStore'
+import { withRequestErrors } from './utils/requestErrors'
+import createCart from './utils/createCart'
+import { getCurrency } from './utils/currency'
+
+export default async function applyCoupon(code, req, res) {
+  return withRequestErrors(res, () => ({
+    cart: createCart(getProducts(req, res), addCoupon(code, req, res), getCurrency(req)),
+  }))
+}
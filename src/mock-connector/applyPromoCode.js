@@ -0,0 +1,13 @@
+import applyCoupon from './applyCoupon'
+import { clearCoupons } from './utils/couponStore'
+import { getProducts } from './utils/cartStore'
+import createCart from './utils/createCart'
+import { getCurrency } from './utils/currency'
+
+/**
+ * Deprecated.  Use `applyCoupon` and `removeCoupon`, which support more than one code.
+ */
+export default async function applyPromoCode(code, req, res) {
+  if (code) return applyCoupon(code, req, res)
+  return { cart: createCart(getProducts(req, res), clearCoupons(req, res), getCurrency(req)) }
+}
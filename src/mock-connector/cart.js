@@ -1,6 +1,9 @@
 import fulfillAPIRequest from '../props/fulfillAPIRequest'
 import createAppData from './utils/createAppData'
 import { getProducts } from './utils/cartStore'
+import { getCoupons } from './utils/couponStore'
+import createCart from './utils/createCart'
+import { getCurrency } from './utils/currency'
 
 export default async function cart(req, res) {
   return fulfillAPIRequest(req, {
@@ -14,9 +17,7 @@ export default async function cart(req, res) {
             href: '/',
           },
         ],
-        cart: {
-          items: getProducts(req, res),
-        },
+        cart: createCart(getProducts(req, res), getCoupons(req), getCurrency(req)),
       }),
   })
 }
@@ -0,0 +1,25 @@
+import fulfillAPIRequest from '../props/fulfillAPIRequest'
+import createAppData from './utils/createAppData'
+import { getCheckout } from './utils/checkoutStore'
+import { getProducts } from './utils/cartStore'
+import { getCoupons } from './utils/couponStore'
+import createCart from './utils/createCart'
+import { getCurrency } from './utils/currency'
+
+export default async function checkout(req, res) {
+  return fulfillAPIRequest(req, {
+    appData: createAppData,
+    pageData: () =>
+      Promise.resolve({
+        title: 'Checkout',
+        breadcrumbs: [
+          {
+            text: 'Home',
+            href: '/',
+          },
+        ],
+        cart: createCart(getProducts(req, res), getCoupons(req), getCurrency(req)),
+        checkout: getCheckout(req, res),
+      }),
+  })
+}
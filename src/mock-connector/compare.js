@@ -0,0 +1,14 @@
+import createProduct from './utils/createProduct'
+import getCompareRows from 'react-storefront/compare/getCompareRows'
+import { getCurrency, localizeProduct } from './utils/currency'
+
+export default async function compare({ ids = [] }, req, res) {
+  const currency = getCurrency(req)
+
+  // ids can be passed as an array or as the comma-separated `ids` query parameter of the compare page
+  const products = (Array.isArray(ids) ? ids : String(ids).split(','))
+    .filter(Boolean)
+    .map(id => localizeProduct(createProduct(String(id)), currency))
+
+  return { products, rows: getCompareRows(products) }
+}
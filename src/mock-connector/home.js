@@ -18,5 +18,6 @@ export default async function home(req, res) {
             `,
         },
       }),
+    cache: { tags: ['home'] },
   })
 }
@@ -11,3 +11,20 @@ export { default as search } from './search.js'
 export { default as searchSuggestions } from './searchSuggestions.js'
 export { default as session } from './session.js'
 export { default as subcategory } from './subcategory.js'
+export { default as checkout } from './checkout.js'
+export { default as setShippingAddress } from './setShippingAddress.js'
+export { default as shippingRates } from './shippingRates.js'
+export { default as setShippingMethod } from './setShippingMethod.js'
+export { default as placeOrder } from './placeOrder.js'
+export { default as order } from './order.js'
+export { default as applyCoupon } from './applyCoupon.js'
+export { default as removeCoupon } from './removeCoupon.js'
+export { default as applyPromoCode } from './applyPromoCode.js'
+export { default as setCurrency } from './setCurrency.js'
+export { default as routeParams } from './routeParams.js'
+export { default as compare } from './compare.js'
+export { default as wishlist } from './wishlist.js'
+export { default as addToWishlist } from './addToWishlist.js'
+export { default as removeFromWishlist } from './removeFromWishlist.js'
+export { default as moveToCart } from './moveToCart.js'
+export { default as mergeWishlist } from './mergeWishlist.js'
@@ -0,0 +1,6 @@
+import { mergeItems } from './utils/wishlistStore'
+
+export default async function mergeWishlist({ items = [] }, req, res) {
+  const ids = items.map(item => item.id)
+  return { wishlist: { items: mergeItems(ids, req, res) } }
+}
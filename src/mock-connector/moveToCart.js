@@ -0,0 +1,14 @@
+import { removeItem } from './utils/wishlistStore'
+import { addItem } from './utils/cartStore'
+import { getCoupons } from './utils/couponStore'
+import createCart from './utils/createCart'
+import { getCurrency } from './utils/currency'
+
+export default async function moveToCart({ item, quantity = 1 }, req, res) {
+  const items = addItem(item.id, quantity, req, res)
+
+  return {
+    cart: createCart(items, getCoupons(req), getCurrency(req)),
+    wishlist: { items: removeItem(item.id, req, res) },
+  }
+}
@@ -0,0 +1,26 @@
+import fulfillAPIRequest from '../props/fulfillAPIRequest'
+import createAppData from './utils/createAppData'
+import { findOrder } from './utils/checkoutStore'
+
+export default async function order({ id }, req, res) {
+  const order = findOrder(id, req)
+
+  if (!order) {
+    res.statusCode = 404
+  }
+
+  return fulfillAPIRequest(req, {
+    appData: createAppData,
+    pageData: () =>
+      Promise.resolve({
+        title: order ? `Order #${order.id}` : 'Order Not Found',
+        breadcrumbs: [
+          {
+            text: 'Home',
+            href: '/',
+          },
+        ],
+        order,
+      }),
+  })
+}
@@ -0,0 +1,7 @@
+import { placeOrder as createOrder } from './utils/checkoutStore'
+import { withRequestErrors } from './utils/requestErrors'
+
+export default async function placeOrder({ payment }, req, res) {
+  // the cart and coupons are emptied once the order is placed
+  return withRequestErrors(res, () => createOrder({ payment }, req, res))
+}
@@ -1,6 +1,7 @@
 import fulfillAPIRequest from '../props/fulfillAPIRequest'
 import createProduct from './utils/createProduct'
 import createAppData from './utils/createAppData'
+import { getCurrency, localizeProduct } from './utils/currency'
 import getBase64ForImage from 'react-storefront/utils/getBase64ForImage'
 
 function asciiSum(string = '') {
@@ -9,10 +10,12 @@ function asciiSum(string = '') {
 
 export default async function product(params, req, res) {
   const { id, color, size } = params
+  const currency = getCurrency(req)
 
   const result = await fulfillAPIRequest(req, {
     appData: createAppData,
     pageData: () => getPageData(id),
+    cache: { tags: [`product:${id}`] },
   })
 
   // When a query parameter exists, we can fetch custom product data
@@ -24,12 +27,15 @@ export default async function product(params, req, res) {
     // the response, but for demo purposes only, we are setting the
     // price based on the color name.
     const mockPrice = (asciiSum(color) + asciiSum(size)) / 100
-    data.product.price = mockPrice
-    data.product.priceText = `$${mockPrice.toFixed(2)}`
+    data.product = localizeProduct({ ...data.product, price: mockPrice }, currency)
     return data
   }
 
-  return result
+  // Prices are converted after page data is read from the server cache, which is shared by all currencies
+  return {
+    ...result,
+    pageData: { ...result.pageData, product: localizeProduct(result.pageData.product, currency) },
+  }
 }
 
 async function getPageData(id) {
@@ -1,4 +1,5 @@
 import createProduct from './utils/createProduct'
+import { getCurrency, localizeProduct } from './utils/currency'
 
 /**
  * An example endpoint that returns mock product suggestions for a PDP.
@@ -7,9 +8,10 @@ import createProduct from './utils/createProduct'
  */
 export default async function productSuggestions(req, res) {
   const products = []
+  const currency = getCurrency(req)
 
   for (let i = 1; i <= 10; i++) {
-    products.push(createProduct(i))
+    products.push(localizeProduct(createProduct(i), currency))
   }
 
   return products
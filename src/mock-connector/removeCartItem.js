@@ -1,5 +1,8 @@
 import { removeItem } from './utils/cartStore'
+import { getCoupons } from './utils/couponStore'
+import createCart from './utils/createCart'
+import { getCurrency } from './utils/currency'
 
 export default async function removeCartItem(item, req, res) {
-  return { cart: { items: removeItem(item.id, req, res) } }
+  return { cart: createCart(removeItem(item.id, req, res), getCoupons(req), getCurrency(req)) }
 }
@@ -0,0 +1,8 @@
+import { removeCoupon as remove } from './utils/couponStore'
+import { getProducts } from './utils/cartStore'
+import createCart from './utils/createCart'
+import { getCurrency } from './utils/currency'
+
+export default async function removeCoupon(code, req, res) {
+  return { cart: createCart(getProducts(req, res), remove(code, req, res), getCurrency(req)) }
+}
@@ -0,0 +1,5 @@
+import { removeItem } from './utils/wishlistStore'
+
+export default async function removeFromWishlist(item, req, res) {
+  return { wishlist: { items: removeItem(item.id, req, res) } }
+}
@@ -0,0 +1,19 @@
+import { CATALOG_SIZE } from './utils/searchIndex'
+
+// The navigation tabs link to 10 subcategories
+const SUBCATEGORY_COUNT = 10
+
+export default async function routeParams(route, req, res) {
+  switch (route) {
+    case '/p/[productId]':
+      return range(CATALOG_SIZE).map(id => ({ params: { productId: String(id) } }))
+    case '/s/[subcategoryId]':
+      return range(SUBCATEGORY_COUNT).map(id => ({ params: { subcategoryId: String(id) } }))
+    default:
+      return []
+  }
+}
+
+function range(count) {
+  return Array.from({ length: count }, (value, i) => i + 1)
+}
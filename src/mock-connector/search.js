@@ -1 +1,8 @@
-export { default } from './subcategory'
+import subcategory from './subcategory'
+import searchRules from './searchRules'
+import withSearchRules from '../connector/withSearchRules'
+
+/**
+ * Search results for the `q` parameter with the merchandising rules in `searchRules.js` applied
+ */
+export default withSearchRules({ search: subcategory }, searchRules).search
@@ -0,0 +1,14 @@
+/**
+ * Example merchandising rules for the mock search, in the format of the JSON rules file accepted by
+ * `react-storefront/connector/withSearchRules`.
+ */
+export default {
+  redirects: [{ keywords: ['new arrivals', 'whats new'], href: '/s/[subcategoryId]', as: '/s/1' }],
+  synonyms: [
+    ['shirt', 'tee', 'top'],
+    ['pants', 'trousers', 'slacks'],
+    ['sweater', 'jumper', 'pullover'],
+    ['hat', 'cap'],
+  ],
+  promotions: [{ keywords: ['shirt', 'shirts'], pinned: ['71', '64'], boosted: ['130'] }],
+}
@@ -1,10 +1,35 @@
+import searchRules from './searchRules'
+import withSearchRules from '../connector/withSearchRules'
+
+const TRENDING = ['jacket', 'red shirt', 'shoes', 'blue dress', 'sweater']
+
 /**
- * An example implementation of the API for the SearchPopup component using placeholder data.
+ * An example implementation of the API for the SearchPopup component using placeholder data.  When the
+ * search text is empty, the trending searches are returned, which the client can cache for five minutes.  Queries
+ * that redirect according to the merchandising rules in `searchRules.js` include the `redirect`.
  * @param {Object} params
  * @param {String} params.q The search text
  * @return {Object} An object whose shape matches AppModelBase
  */
-export default async function searchSuggestions(q, req, res) {
+async function searchSuggestions(q, req, res) {
+  if (!q) {
+    return {
+      text: '',
+      ttl: 300,
+      groups: [
+        {
+          caption: 'Trending',
+          ui: 'list',
+          links: TRENDING.map(text => ({
+            text,
+            as: `/search?q=${encodeURIComponent(text)}`,
+            href: '/search',
+          })),
+        },
+      ],
+    }
+  }
+
   return {
     text: q,
     groups: [
@@ -65,3 +90,5 @@ export default async function searchSuggestions(q, req, res) {
     ],
   }
 }
+
+export default withSearchRules({ searchSuggestions }, searchRules).searchSuggestions
@@ -1,12 +1,20 @@
 import { getProducts } from './utils/cartStore'
+import { getProducts as getWishlistProducts } from './utils/wishlistStore'
+import { getCoupons } from './utils/couponStore'
+import { getCurrency, EXCHANGE_RATES } from './utils/currency'
+import createCart from './utils/createCart'
 
 export default async function session(req, res) {
+  return createSession(getCurrency(req), req, res)
+}
+
+export function createSession(currency, req, res) {
   return {
     name: 'Mark',
     email: 'mark@domain.com',
-    cart: {
-      items: getProducts(req, res),
-    },
-    currency: 'USD',
+    cart: createCart(getProducts(req, res, currency), getCoupons(req), currency),
+    wishlist: { items: getWishlistProducts(req, currency) },
+    currency,
+    currencies: Object.keys(EXCHANGE_RATES),
   }
 }
@@ -0,0 +1,7 @@
+import { createSession } from './session'
+import { setCurrency as saveCurrency } from './utils/currency'
+import { withRequestErrors } from './utils/requestErrors'
+
+export default async function setCurrency(currency, req, res) {
+  return withRequestErrors(res, () => createSession(saveCurrency(currency, res), req, res))
+}
@@ -0,0 +1,6 @@
+import { setAddress } from './utils/checkoutStore'
+import { withRequestErrors } from './utils/requestErrors'
+
+export default async function setShippingAddress(address, req, res) {
+  return withRequestErrors(res, () => ({ checkout: setAddress(address, req, res) }))
+}
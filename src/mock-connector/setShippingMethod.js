@@ -0,0 +1,6 @@
+import { setShippingMethod as setMethod } from './utils/checkoutStore'
+import { withRequestErrors } from './utils/requestErrors'
+
+export default async function setShippingMethod(code, req, res) {
+  return withRequestErrors(res, () => ({ checkout: setMethod(code, req, res) }))
+}
@@ -0,0 +1,6 @@
+import { getShippingRates } from './utils/checkoutStore'
+import { withRequestErrors } from './utils/requestErrors'
+
+export default async function shippingRates(req, res) {
+  return withRequestErrors(res, () => ({ shippingRates: getShippingRates(req) }))
+}
@@ -1,12 +1,12 @@
-import createFacets from './utils/createFacets'
 import createSortOptions from './utils/createSortOptions'
 import createProduct from './utils/createProduct'
-import colors, { indexForColor } from './utils/colors'
+import { searchCatalog, recoverSearch, categoryForSlug } from './utils/searchIndex'
 import fulfillAPIRequest from 'react-storefront/props/fulfillAPIRequest'
 import createAppData from './utils/createAppData'
+import { getCurrency, localizeProduct } from './utils/currency'
 
 export default async function subcategory(params, req, res) {
-  let { q, slug = '1', page = 0, filters, sort, more = false } = params
+  let { q, slug = '1', page = 0, filters, sort, more = false, synonyms, pinned, boosted } = params
 
   if (filters) {
     filters = JSON.parse(filters)
@@ -14,56 +14,87 @@ export default async function subcategory(params, req, res) {
     filters = []
   }
 
-  return await fulfillAPIRequest(req, {
+  page = parseInt(page) || 0
+
+  const result = await fulfillAPIRequest(req, {
     appData: createAppData,
-    pageData: () =>
-      Promise.resolve({
+    pageData: () => {
+      // The search endpoint uses this function without a slug to search the whole catalog
+      const category = params.slug == null ? undefined : categoryForSlug(slug)
+      const search = page =>
+        searchCatalog({ q, synonyms, category, pinned, boosted, filters, sort, page })
+      const { ids, total, totalPages, facets } = search(page)
+
+      // When more is set, the next page of results is returned as well
+      if (more) ids.push(...search(page + 1).ids)
+
+      const pageData = {
         id: slug,
         name: q != null ? `Results for "${q}"` : `Subcategory ${slug}`,
         title: q != null ? `Results for "${q}"` : `Subcategory ${slug}`,
-        total: 100,
-        page: parseInt(page),
-        totalPages: 5,
+        total,
+        page,
+        totalPages,
         filters,
         sort,
         sortOptions: createSortOptions(),
-        facets: createFacets(),
-        products: filterProducts(page, filters, more),
+        facets,
+        products: ids.map(id => createProduct(id)),
         breadcrumbs: [
           {
             text: `Home`,
             href: '/',
           },
         ],
-      }),
+      }
+
+      if (total === 0 && q) {
+        pageData.recovery = createRecovery({ q, synonyms, filters })
+      }
+
+      return Promise.resolve(pageData)
+    },
+    cache: { tags: [`subcategory:${slug}`] },
   })
-}
 
-function filterProducts(page, filters, more) {
-  const products = []
-  const filteredColors = filters
-    ? filters.filter(f => f.startsWith('color')).map(f => f.replace(/^color:/, ''))
-    : []
-  const count = more ? 20 : 10
+  // Prices are converted after page data is read from the server cache, which is shared by all currencies
+  const currency = getCurrency(req)
 
-  while (products.length < count) {
-    if (filteredColors && filteredColors.length) {
-      for (let color of filteredColors) {
-        const index = indexForColor(color)
+  const localize = products => products.map(product => localizeProduct(product, currency))
+  const { products, recovery } = result.pageData
+  const pageData = { ...result.pageData, products: localize(products) }
 
-        const colorGap = i => Math.floor((page * count) / filteredColors.length) + i
+  if (recovery && recovery.relaxed) {
+    const relaxed = { ...recovery.relaxed, products: localize(recovery.relaxed.products) }
+    pageData.recovery = { ...recovery, relaxed }
+  }
 
-        products.push(
-          ...Array.from({ length: count }, (v, i) => colorGap(i)).map(i =>
-            createProduct('' + (i * Object.keys(colors).length + index)),
-          ),
-        )
-      }
-    } else {
-      const id = page * 10 + products.length + 1
-      products.push(createProduct(id + ''))
-    }
+  return { ...result, pageData }
+}
+
+/**
+ * Returns the spelling corrections, relaxed search and popular categories that are shown when a search has no
+ * results
+ */
+function createRecovery({ q, synonyms, filters }) {
+  const { corrections, relaxed, categories } = recoverSearch({ q, synonyms, filters, pageSize: 4 })
+
+  return {
+    text: q,
+    corrections: corrections.map(searchLink),
+    relaxed: relaxed && {
+      ...searchLink(relaxed.q),
+      dropped: relaxed.dropped,
+      total: relaxed.total,
+      products: relaxed.ids.map(id => createProduct(id)),
+    },
+    categories: categories.map(category => ({
+      ...searchLink(category),
+      text: category.charAt(0).toUpperCase() + category.slice(1),
+    })),
   }
+}
 
-  return products.sort((a, b) => a.id - b.id).slice(0, count)
+function searchLink(text) {
+  return { text, href: '/search', as: `/search?q=${encodeURIComponent(text)}` }
 }
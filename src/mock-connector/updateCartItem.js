@@ -1,5 +1,10 @@
 import { updateItem } from './utils/cartStore'
+import { getCoupons } from './utils/couponStore'
+import createCart from './utils/createCart'
+import { getCurrency } from './utils/currency'
 
 export default function updateCartItem(item, quantity, req, res) {
-  return { cart: { items: updateItem(item.id, quantity, req, res) } }
+  return {
+    cart: createCart(updateItem(item.id, quantity, req, res), getCoupons(req), getCurrency(req)),
+  }
 }
@@ -1,4 +1,6 @@
 import createProduct from './createProduct'
+import setCookie, { getCookie } from './setCookie'
+import { getCurrency, localizeProduct } from './currency'
 
 const CART_COOKIE = 'rsf_mock_cart'
 
@@ -9,41 +11,43 @@ const initialStore = [
 
 function getStore(req, res) {
   if (!req.cookies[CART_COOKIE]) {
-    res.setHeader('Set-Cookie', `${CART_COOKIE}=${JSON.stringify(initialStore)}; Path=/`)
-  }
-  const store = req.cookies[CART_COOKIE] || initialStore
-  try {
-    return JSON.parse(store)
-  } catch (err) {
-    console.log('Failed parsing store from cookie', req.cookies[CART_COOKIE])
-    return []
+    setCookie(res, CART_COOKIE, initialStore)
   }
+  return getCookie(req, CART_COOKIE, initialStore)
 }
 
-function toProduct({ id, quantity }) {
-  return { ...createProduct(id), quantity }
+function toProducts(store, currency) {
+  return store.map(({ id, quantity }) => ({
+    ...localizeProduct(createProduct(id), currency),
+    quantity,
+  }))
 }
 
-export function getProducts(req, res) {
-  return getStore(req, res).map(toProduct)
+export function getProducts(req, res, currency = getCurrency(req)) {
+  return toProducts(getStore(req, res), currency)
 }
 
 export function updateItem(id, quantity, req, res) {
   const newStore = [...getStore(req, res)]
   const item = newStore.find(e => e.id === id)
   item.quantity = quantity
-  res.setHeader('Set-Cookie', `${CART_COOKIE}=${JSON.stringify(newStore)}; Path=/`)
-  return newStore.map(toProduct)
+  setCookie(res, CART_COOKIE, newStore)
+  return toProducts(newStore, getCurrency(req))
 }
 
 export function removeItem(id, req, res) {
   const newStore = [...getStore(req, res)].filter(e => e.id !== id)
-  res.setHeader('Set-Cookie', `${CART_COOKIE}=${JSON.stringify(newStore)}; Path=/`)
-  return newStore.map(toProduct)
+  setCookie(res, CART_COOKIE, newStore)
+  return toProducts(newStore, getCurrency(req))
 }
 
 export function addItem(id, quantity, req, res) {
   const newStore = [{ id, quantity }, ...getStore(req, res)]
-  res.setHeader('Set-Cookie', `${CART_COOKIE}=${JSON.stringify(newStore)}; Path=/`)
-  return newStore.map(toProduct)
+  setCookie(res, CART_COOKIE, newStore)
+  return toProducts(newStore, getCurrency(req))
+}
+
+export function clearCart(req, res) {
+  setCookie(res, CART_COOKIE, [])
+  return []
 }
@@ -0,0 +1,183 @@
+import setCookie, { getCookie } from './setCookie'
+import { getProducts, clearCart } from './cartStore'
+import { getCoupons, clearCoupons } from './couponStore'
+import createCart, { getTotals } from './createCart'
+import createProduct from './createProduct'
+import { RequestError } from './requestErrors'
+import { BASE_CURRENCY, getCurrency, convert, localizeProduct } from './currency'
+
+const CHECKOUT_COOKIE = 'rsf_mock_checkout'
+const ORDERS_COOKIE = 'rsf_mock_orders'
+
+// Only the most recent orders are kept so that the cookie stays small
+const MAX_ORDERS = 5
+
+const FIRST_ORDER_NUMBER = 1001
+
+const ADDRESS_FIELDS = ['firstName', 'lastName', 'address1', 'city', 'postalCode', 'country']
+
+const SHIPPING_METHODS = [
+  { code: 'standard', name: 'Standard (5-7 business days)', price: 5.99 },
+  { code: 'express', name: 'Express (2 business days)', price: 14.99 },
+  { code: 'overnight', name: 'Overnight', price: 29.99, domesticOnly: true },
+]
+
+// Payment with this card number is always declined so that error handling can be tested
+const DECLINED_CARD_NUMBER = '4000000000000002'
+
+function getStore(req) {
+  return getCookie(req, CHECKOUT_COOKIE, {})
+}
+
+function saveStore(store, req, res) {
+  setCookie(res, CHECKOUT_COOKIE, store)
+  return getCheckout(req, res, store)
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+/**
+ * Returns the shipping rates available for an address.  International shipping costs twice
+ * as much and overnight delivery is only available in the US.
+ */
+function getRates(address, currency = BASE_CURRENCY) {
+  const international = address && address.country !== 'US'
+
+  return SHIPPING_METHODS.filter(method => !(international && method.domesticOnly)).map(
+    ({ code, name, price }) => ({
+      code,
+      name,
+      price: convert(international ? round(price * 2) : price, currency),
+    }),
+  )
+}
+
+function getShippingCost({ address, shippingMethod }, currency) {
+  const rate = getRates(address, currency).find(rate => rate.code === shippingMethod)
+  return rate ? rate.price : null
+}
+
+/**
+ * Returns the card number without spaces, or an empty string when it is missing or not a string
+ */
+function getCardNumber(payment) {
+  const cardNumber = payment && payment.cardNumber
+  return typeof cardNumber === 'string' ? cardNumber.replace(/\s/g, '') : ''
+}
+
+function toCheckout(store, items, coupons, currency) {
+  const { address = null, shippingMethod = null } = store
+
+  return {
+    address,
+    shippingMethod,
+    shippingRates: address ? getRates(address, currency) : [],
+    totals: getTotals(items, coupons, getShippingCost(store, currency), currency),
+  }
+}
+
+export function getCheckout(req, res, store = getStore(req)) {
+  return toCheckout(store, getProducts(req, res), getCoupons(req), getCurrency(req))
+}
+
+export function setAddress(address = {}, req, res) {
+  const missing = ADDRESS_FIELDS.filter(field => !address[field])
+
+  if (missing.length) {
+    throw new RequestError(`Please enter the following fields: ${missing.join(', ')}.`)
+  }
+
+  const store = getStore(req)
+  const value = ADDRESS_FIELDS.concat('address2', 'region', 'phone').reduce(
+    (result, field) => (address[field] ? { ...result, [field]: address[field] } : result),
+    {},
+  )
+
+  // Changing the address can make the selected shipping method unavailable
+  const shippingMethod = getRates(value).some(rate => rate.code === store.shippingMethod)
+    ? store.shippingMethod
+    : undefined
+
+  return saveStore({ ...store, address: value, shippingMethod }, req, res)
+}
+
+export function getShippingRates(req) {
+  const { address } = getStore(req)
+
+  if (!address) {
+    throw new RequestError('Please enter a shipping address.')
+  }
+
+  return getRates(address, getCurrency(req))
+}
+
+export function setShippingMethod(code, req, res) {
+  const store = getStore(req)
+
+  if (!getRates(store.address).some(rate => rate.code === code)) {
+    throw new RequestError(`Shipping method "${code}" is not available for this address.`)
+  }
+
+  return saveStore({ ...store, shippingMethod: code }, req, res)
+}
+
+export function placeOrder({ payment } = {}, req, res) {
+  const cardNumber = getCardNumber(payment)
+  const store = getStore(req)
+  const items = getProducts(req, res)
+  const coupons = getCoupons(req)
+  const currency = getCurrency(req)
+
+  if (items.length === 0) {
+    throw new RequestError('Your cart is empty.')
+  } else if (!store.address) {
+    throw new RequestError('Please enter a shipping address.')
+  } else if (!store.shippingMethod) {
+    throw new RequestError('Please select a shipping method.')
+  } else if (!cardNumber) {
+    throw new RequestError('Please enter your payment information.')
+  } else if (cardNumber === DECLINED_CARD_NUMBER) {
+    throw new RequestError('Your card was declined.')
+  }
+
+  const orders = getCookie(req, ORDERS_COOKIE, [])
+  const lastOrder = orders[0]
+
+  const order = {
+    id: String(lastOrder ? Number(lastOrder.id) + 1 : FIRST_ORDER_NUMBER),
+    items: items.map(({ id, quantity }) => ({ id, quantity })),
+    address: store.address,
+    shippingMethod: store.shippingMethod,
+    coupons,
+    totals: getTotals(items, coupons, getShippingCost(store, currency), currency),
+    payment: { last4: cardNumber.slice(-4) },
+  }
+
+  setCookie(res, ORDERS_COOKIE, [order, ...orders].slice(0, MAX_ORDERS))
+  setCookie(res, CHECKOUT_COOKIE, {})
+  clearCart(req, res)
+  clearCoupons(req, res)
+
+  return {
+    order: toOrder(order),
+    cart: createCart([], [], currency),
+    checkout: toCheckout({}, [], [], currency),
+  }
+}
+
+export function findOrder(id, req) {
+  const order = getCookie(req, ORDERS_COOKIE, []).find(order => order.id === String(id))
+  return order ? toOrder(order) : null
+}
+
+function toOrder({ items, ...order }) {
+  return {
+    ...order,
+    items: items.map(({ id, quantity }) => ({
+      ...localizeProduct(createProduct(id), order.totals.currency),
+      quantity,
+    })),
+  }
+}
@@ -0,0 +1,47 @@
+import setCookie, { getCookie } from './setCookie'
+import { RequestError } from './requestErrors'
+
+const COUPONS_COOKIE = 'rsf_mock_coupons'
+
+export const COUPONS = {
+  SAVE10: { type: 'percent', value: 10, description: '10% off' },
+  SAVE20: { type: 'percent', value: 20, description: '20% off' },
+  // the description of fixed amount coupons is generated in the shopper's currency
+  TAKE5: { type: 'fixed', value: 5 },
+  TAKE25: { type: 'fixed', value: 25 },
+  FREESHIP: { type: 'shipping', description: 'Free shipping' },
+}
+
+function normalize(code) {
+  return (code || '').trim().toUpperCase()
+}
+
+export function getCoupons(req) {
+  return getCookie(req, COUPONS_COOKIE, []).filter(code => COUPONS[code])
+}
+
+export function addCoupon(code, req, res) {
+  const coupons = getCoupons(req)
+  const normalized = normalize(code)
+
+  if (!COUPONS[normalized]) {
+    throw new RequestError(`The coupon code "${code}" is not valid.`)
+  } else if (coupons.includes(normalized)) {
+    throw new RequestError(`The coupon code "${normalized}" has already been applied.`)
+  }
+
+  const newCoupons = [...coupons, normalized]
+  setCookie(res, COUPONS_COOKIE, newCoupons)
+  return newCoupons
+}
+
+export function removeCoupon(code, req, res) {
+  const newCoupons = getCoupons(req).filter(c => c !== normalize(code))
+  setCookie(res, COUPONS_COOKIE, newCoupons)
+  return newCoupons
+}
+
+export function clearCoupons(req, res) {
+  setCookie(res, COUPONS_COOKIE, [])
+  return []
+}
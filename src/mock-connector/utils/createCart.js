@@ -0,0 +1,74 @@
+import { COUPONS } from './couponStore'
+import { BASE_CURRENCY, convert } from './currency'
+import { price as formatPrice } from '../../utils/format'
+
+const TAX_RATE = 0.08
+
+function round(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+/**
+ * Computes the totals for a cart.  Coupons are applied in the order in which they were added, and
+ * the discount never exceeds the subtotal.  Tax is charged on the discounted subtotal.
+ * @param {Object[]} items The items in the cart
+ * @param {String[]} coupons The applied coupon codes
+ * @param {Number} shipping The cost of the selected shipping method, or `null` if one hasn't been selected
+ * @param {String} currency The currency of the item prices and shipping cost
+ * @return {Object}
+ */
+export function getTotals(items, coupons = [], shipping = null, currency = BASE_CURRENCY) {
+  const subtotal = round(items.reduce((sum, item) => sum + item.price * item.quantity, 0))
+  const discounts = []
+  let remaining = subtotal
+
+  for (let code of coupons) {
+    const { type, value } = COUPONS[code]
+    let { description } = COUPONS[code]
+    let amount = 0
+
+    if (type === 'percent') {
+      amount = round((subtotal * value) / 100)
+    } else if (type === 'fixed') {
+      amount = convert(value, currency)
+      description = `${formatPrice(amount, { currency })} off`
+    } else if (type === 'shipping' && shipping) {
+      amount = shipping
+    }
+
+    if (type !== 'shipping') {
+      amount = Math.min(amount, remaining)
+      remaining = round(remaining - amount)
+    }
+
+    discounts.push({ code, description, amount })
+  }
+
+  const discount = round(discounts.reduce((sum, d) => sum + d.amount, 0))
+  const tax = round(remaining * TAX_RATE)
+
+  return {
+    subtotal,
+    discounts,
+    discount,
+    tax,
+    shipping,
+    total: round(subtotal - discount + tax + (shipping || 0)),
+    currency,
+  }
+}
+
+/**
+ * Creates the cart returned by the connector
+ * @param {Object[]} items The items in the cart
+ * @param {String[]} coupons The applied coupon codes
+ * @param {String} currency The currency of the item prices
+ * @return {Object}
+ */
+export default function createCart(items, coupons = [], currency = BASE_CURRENCY) {
+  return {
+    items,
+    coupons,
+    totals: getTotals(items, coupons, null, currency),
+  }
+}
@@ -28,12 +28,22 @@ export default function createFacets() {
         { name: 'XXL', code: 'size:xxl' },
       ],
     },
+    {
+      name: 'Price',
+      ui: 'range',
+      code: 'price',
+      // The bounds and buckets are in the base currency of the catalog, while product prices are converted to
+      // the shopper's currency, so the facet has no currency and its values are not labeled as prices
+      min: 0,
+      max: 100,
+      buckets: Array.from({ length: 10 }, (value, i) => ({ from: i * 10, to: (i + 1) * 10 })),
+    },
     {
       name: 'Type',
       ui: 'checkboxes',
       options: [
-        { name: 'New', code: 'type:new', matches: 100 },
-        { name: 'Used', code: 'type:used', matches: 20 },
+        { name: 'New', code: 'type:new' },
+        { name: 'Used', code: 'type:used' },
       ],
     },
   ]
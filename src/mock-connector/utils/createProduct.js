@@ -1,19 +1,22 @@
 import colors, { colorForId } from './colors'
 import capitalize from 'lodash/capitalize'
 import { loremIpsum } from 'lorem-ipsum'
+import { price as formatPrice } from '../../utils/format'
+import { priceForId, ratingForId } from './productAttributes'
 
 export default function createProduct(id, numColors = 4) {
   const color = colorForId(id)
   const variants = [color, 'red', 'blue']
-  const price = (id % 10) * 10 + 0.99
+  const price = priceForId(id)
 
   return {
     id,
     url: `/p/${id}`,
     name: `Product ${id}`,
     price,
-    priceText: `$${price}`,
-    rating: (10 - (id % 10)) / 2.0,
+    priceText: formatPrice(price, { currency: 'USD' }),
+    currency: 'USD',
+    rating: ratingForId(id),
     thumbnail: {
       src: `https://dummyimage.com/400x400/${colors[color].background}/${
         colors[color].foreground
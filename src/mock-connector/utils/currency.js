@@ -0,0 +1,65 @@
+import setCookie, { getCookie } from './setCookie'
+import { RequestError } from './requestErrors'
+import { price as formatPrice } from '../../utils/format'
+
+const CURRENCY_COOKIE = 'rsf_mock_currency'
+
+/**
+ * The currency of the prices in the mock catalog
+ */
+export const BASE_CURRENCY = 'USD'
+
+/**
+ * The rate used to convert prices from the base currency to each supported currency
+ */
+export const EXCHANGE_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CAD: 1.36,
+}
+
+/**
+ * Returns the currency for the request.  A `currency` query parameter takes precedence over the
+ * currency selected for the session so that pages can be cached per currency.
+ */
+export function getCurrency(req) {
+  const fromQuery = req.query && req.query.currency
+
+  if (EXCHANGE_RATES[fromQuery]) {
+    return fromQuery
+  }
+
+  const fromCookie = getCookie(req, CURRENCY_COOKIE, BASE_CURRENCY)
+  return EXCHANGE_RATES[fromCookie] ? fromCookie : BASE_CURRENCY
+}
+
+export function setCurrency(currency, res) {
+  if (!EXCHANGE_RATES[currency]) {
+    throw new RequestError(`The currency "${currency}" is not supported.`)
+  }
+
+  setCookie(res, CURRENCY_COOKIE, currency)
+  return currency
+}
+
+/**
+ * Converts an amount from the base currency
+ */
+export function convert(amount, currency) {
+  return Math.round(amount * EXCHANGE_RATES[currency] * 100) / 100
+}
+
+/**
+ * Returns a copy of the product with its price converted to the specified currency
+ */
+export function localizeProduct(product, currency) {
+  const price = convert(product.price, currency)
+
+  return {
+    ...product,
+    price,
+    priceText: formatPrice(price, { currency }),
+    currency,
+  }
+}
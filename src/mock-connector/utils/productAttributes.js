@@ -0,0 +1,9 @@
+// Prices and ratings are derived from the product id so that the product pages and the search index agree
+
+export function priceForId(id) {
+  return (id % 10) * 10 + 0.99
+}
+
+export function ratingForId(id) {
+  return (10 - (id % 10)) / 2.0
+}
@@ -0,0 +1,23 @@
+/**
+ * Thrown when the shopper submits invalid data, for example an invalid coupon code.  The message is safe to display.
+ */
+export class RequestError extends Error {
+  statusCode = 400
+}
+
+/**
+ * Calls `fn` and returns its result.  If a `RequestError` is thrown, the response status is set
+ * to 400 and an object with the error message is returned instead.
+ * @param {Response} res
+ * @param {Function} fn
+ * @return {Object}
+ */
+export function withRequestErrors(res, fn) {
+  try {
+    return fn()
+  } catch (e) {
+    if (!e.statusCode) throw e
+    res.statusCode = e.statusCode
+    return { error: e.message }
+  }
+}
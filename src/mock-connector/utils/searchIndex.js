@@ -0,0 +1,367 @@
+import { colorForId } from './colors'
+import { priceForId, ratingForId } from './productAttributes'
+import createFacets from './createFacets'
+
+/**
+ * An in-memory search index over the mock catalog, used by the `subcategory` and `search` endpoints.
+ *
+ * Filters are facet option codes in the form `{field}:{value}`.  Options of the same facet are combined with OR
+ * and different facets are combined with AND, so `["color:red", "color:blue", "size:sm"]` matches small products
+ * that are red or blue.  Price filters are ranges in the form `price:{min}-{max}`, where either end may be omitted,
+ * for example `price:25-50` or `price:75-`.  Prices are in the base currency of the catalog.
+ */
+export const PAGE_SIZE = 10
+export const CATALOG_SIZE = 200
+
+const CATEGORIES = ['shirt', 'pants', 'shoes', 'hat', 'jacket', 'dress', 'socks', 'sweater']
+const SIZES = ['sm', 'md', 'lg', 'xl', 'xxl']
+
+let catalog
+
+/**
+ * Returns the attributes of every product in the catalog that can be searched, filtered and sorted on
+ */
+export function getCatalog() {
+  if (!catalog) {
+    catalog = Array.from({ length: CATALOG_SIZE }, (value, i) => createEntry(i + 1))
+  }
+
+  return catalog
+}
+
+function createEntry(id) {
+  const entry = {
+    id: String(id),
+    name: `Product ${id}`,
+    color: colorForId(id),
+    category: CATEGORIES[Math.floor(id / CATEGORIES.length) % CATEGORIES.length],
+    sizes: SIZES.filter((size, i) => (id + i) % 4 !== 0),
+    type: id % 5 === 0 ? 'used' : 'new',
+    price: priceForId(id),
+    rating: ratingForId(id),
+    popularity: (id * 37) % 101,
+  }
+
+  entry.keywords = [entry.name, entry.color, entry.category, entry.type]
+    .join(' ')
+    .toLowerCase()
+    .split(/\s+/)
+    .map(stem)
+
+  return entry
+}
+
+/**
+ * Searches the catalog
+ * @param {Object} options
+ * @param {String} options.q The search text.  Every word, or one of its synonyms, must match a word in the name,
+ *  color, category or type.
+ * @param {Object} options.synonyms Other words to match for each word of the search text, keyed by word
+ * @param {String} options.category Only products in this category are returned
+ * @param {String[]} options.pinned The ids of products to show first, in order, when no sort is selected
+ * @param {String[]} options.boosted The ids of products to rank above the rest when no sort is selected
+ * @param {String[]} options.filters The selected facet option codes
+ * @param {String} options.sort The code of the sort option
+ * @param {Number} options.page The zero-based page number
+ * @param {Number} options.pageSize The number of results on each page, which defaults to `PAGE_SIZE`
+ * @return {Object} An object with the `ids` of the products on the page, the `total` number of results,
+ *  `totalPages`, and the `facets` with the number of results that would match each option.
+ */
+export function searchCatalog({
+  q,
+  synonyms = {},
+  category,
+  pinned = [],
+  boosted = [],
+  filters = [],
+  sort,
+  page = 0,
+  pageSize = PAGE_SIZE,
+} = {}) {
+  const candidates = getCatalog().filter(
+    entry => (!category || entry.category === category) && matchesText(entry, q, synonyms),
+  )
+  const selected = groupFilters(filters)
+  const matching = candidates.filter(entry => matchesFilters(entry, selected))
+  const results = sort ? sortEntries(matching, sort) : promoteEntries(matching, pinned, boosted)
+  const start = page * pageSize
+
+  return {
+    ids: results.slice(start, start + pageSize).map(entry => entry.id),
+    total: results.length,
+    totalPages: Math.ceil(results.length / pageSize),
+    facets: countFacets(candidates, selected),
+  }
+}
+
+/**
+ * Returns the category of the products on a subcategory page.  The mock navigation links to numbered
+ * subcategories, which are assigned to the categories in turn.
+ * @param {String} slug The number of the subcategory
+ * @return {String} The category, or `undefined` when the slug is not a subcategory number
+ */
+export function categoryForSlug(slug) {
+  return CATEGORIES[(parseInt(slug) - 1) % CATEGORIES.length]
+}
+
+/**
+ * Returns ways to recover from a search that has no results:
+ *
+ * - `corrections` - Up to three spellings of the search text, with words that match nothing replaced by the
+ *   closest words in the catalog, that have results
+ * - `relaxed` - The result of searching with the fewest words of the search text removed, with the `q` that was
+ *   searched, the `dropped` words, the `ids` of the first `pageSize` products and the `total`, or `null` when no
+ *   words can be removed
+ * - `categories` - The most popular categories
+ *
+ * @param {Object} options
+ * @param {String} options.q The search text
+ * @param {Object} options.synonyms Other words to match for each word of the search text
+ * @param {String[]} options.filters The selected facet option codes, which are kept when relaxing the search
+ * @param {Number} options.pageSize The number of products to return for the relaxed search
+ * @return {Object}
+ */
+export function recoverSearch({ q, synonyms = {}, filters = [], pageSize = PAGE_SIZE } = {}) {
+  const words = getWords(q)
+  const search = words => searchCatalog({ q: words.join(' '), synonyms, filters, pageSize })
+
+  return {
+    corrections: getCorrections(words, synonyms)
+      .filter(correction => search(correction).total > 0)
+      .map(correction => correction.join(' ')),
+    relaxed: relaxSearch(words, synonyms, search),
+    categories: getPopularCategories(),
+  }
+}
+
+/**
+ * Returns the search text with each word that matches nothing replaced by the closest words in the catalog
+ */
+function getCorrections(words, synonyms) {
+  let corrections = [[]]
+
+  for (let word of words) {
+    const candidates = matchesWord(word, synonyms) ? [word] : getClosestWords(word)
+
+    if (candidates.length === 0) return []
+
+    corrections = corrections
+      .reduce((result, start) => result.concat(candidates.map(word => [...start, word])), [])
+      .slice(0, 3)
+  }
+
+  return words.length && corrections.some(correction => correction.join() !== words.join())
+    ? corrections
+    : []
+}
+
+function getClosestWords(word) {
+  const maxDistance = word.length > 4 ? 2 : 1
+  const candidates = getVocabulary()
+    .map(candidate => ({ candidate, distance: getDistance(word, candidate) }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+
+  return candidates.map(({ candidate }) => candidate)
+}
+
+/**
+ * Removes the words that match nothing, then one word at a time, choosing the word whose removal leaves the most
+ * results, until there are results
+ */
+function relaxSearch(words, synonyms, search) {
+  let kept = words.filter(word => matchesWord(word, synonyms))
+  const dropped = words.filter(word => !kept.includes(word))
+  const toRelaxed = ({ ids, total }) => ({ q: kept.join(' '), dropped, ids, total })
+
+  if (kept.length && dropped.length) {
+    const result = search(kept)
+    if (result.total > 0) return toRelaxed(result)
+  }
+
+  while (kept.length > 1) {
+    const options = kept.map((word, i) => {
+      const rest = kept.filter((other, j) => j !== i)
+      return { word, rest, result: search(rest) }
+    })
+    const best = options.reduce((best, option) =>
+      option.result.total > best.result.total ? option : best,
+    )
+
+    kept = best.rest
+    dropped.push(best.word)
+
+    if (best.result.total > 0) return toRelaxed(best.result)
+  }
+
+  return null
+}
+
+function getPopularCategories() {
+  const popularity = {}
+
+  for (let { category, popularity: value } of getCatalog()) {
+    popularity[category] = (popularity[category] || 0) + value
+  }
+
+  return Object.keys(popularity)
+    .sort((a, b) => popularity[b] - popularity[a])
+    .slice(0, 4)
+}
+
+// The words that a search can be corrected to.  Product names are left out since they only differ by number.
+function getVocabulary() {
+  const words = new Set()
+
+  for (let { color, category, type } of getCatalog()) {
+    words.add(color)
+    words.add(category)
+    words.add(type)
+  }
+
+  return [...words]
+}
+
+// The number of insertions, deletions, substitutions and transpositions needed to change one word into the other
+function getDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (row, i) => [i])
+
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost)
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+      }
+    }
+  }
+
+  return d[a.length][b.length]
+}
+
+/**
+ * Returns the facets with the number of results for each option.  Each count reflects the selected options of
+ * the other facets, but not of the option's own facet, since selecting another option of the same facet adds
+ * results rather than narrowing them.
+ */
+function countFacets(candidates, selected) {
+  return createFacets().map(facet => {
+    const field = facet.code || getField(facet.options[0].code)
+    const others = { ...selected }
+    delete others[field]
+
+    const matching = candidates.filter(entry => matchesFilters(entry, others))
+    const count = predicate => matching.filter(predicate).length
+
+    if (facet.ui === 'range') {
+      return {
+        ...facet,
+        buckets: facet.buckets.map(({ from, to }) => ({
+          from,
+          to,
+          matches: count(entry => entry.price >= from && entry.price < to),
+        })),
+      }
+    }
+
+    return {
+      ...facet,
+      options: facet.options.map(option => ({
+        ...option,
+        matches: count(entry => matchesOption(entry, option.code)),
+      })),
+    }
+  })
+}
+
+function groupFilters(filters) {
+  const groups = {}
+
+  for (let code of filters) {
+    const field = getField(code)
+    groups[field] = [...(groups[field] || []), code]
+  }
+
+  return groups
+}
+
+function matchesFilters(entry, selected) {
+  return Object.keys(selected).every(field =>
+    selected[field].some(code => matchesOption(entry, code)),
+  )
+}
+
+function matchesOption(entry, code) {
+  const field = getField(code)
+  const value = code.slice(field.length + 1)
+
+  switch (field) {
+    case 'price':
+      return inRange(entry.price, value)
+    case 'size':
+      return entry.sizes.includes(value)
+    default:
+      return String(entry[field]) === value
+  }
+}
+
+function matchesText(entry, q, synonyms) {
+  return getWords(q).every(word => matchesWord(word, synonyms, entry))
+}
+
+// Returns true when the word or one of its synonyms matches the entry, or any entry if none is specified
+function matchesWord(word, synonyms, entry) {
+  const alternatives = [word, ...(synonyms[word] || [])].map(stem)
+  const matches = ({ keywords }) =>
+    alternatives.some(alternative => keywords.some(keyword => keyword.startsWith(alternative)))
+
+  return entry ? matches(entry) : getCatalog().some(matches)
+}
+
+function getWords(q) {
+  return (q || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+}
+
+function inRange(price, range) {
+  const [min, max] = range.split('-').map(value => (value === '' ? null : parseFloat(value)))
+  return (min == null || price >= min) && (max == null || price <= max)
+}
+
+function sortEntries(entries, sort) {
+  const compare = {
+    price_asc: (a, b) => a.price - b.price,
+    price_desc: (a, b) => b.price - a.price,
+    pop: (a, b) => b.popularity - a.popularity,
+    rating: (a, b) => b.rating - a.rating,
+  }[sort]
+
+  // results are in catalog order when no sort is selected or for ties
+  return compare ? [...entries].sort((a, b) => compare(a, b) || a.id - b.id) : entries
+}
+
+// Pinned products come first in the order listed, followed by boosted products, then the rest in catalog order
+function promoteEntries(entries, pinned, boosted) {
+  const rank = entry => {
+    const index = pinned.indexOf(entry.id)
+    return index !== -1 ? index : pinned.length + (boosted.includes(entry.id) ? 0 : 1)
+  }
+
+  return [...entries].sort((a, b) => rank(a) - rank(b) || a.id - b.id)
+}
+
+function getField(code) {
+  return code.split(':')[0]
+}
+
+// Allows "shirts" to match "shirt"
+function stem(word) {
+  return word.length > 3 ? word.replace(/s$/, '') : word
+}
@@ -0,0 +1,34 @@
+/**
+ * Adds a cookie to the response, replacing any cookie with the same name that was already set
+ * while handling the request.  Unlike `res.setHeader('Set-Cookie', ...)`, this allows a single request to
+ * update several stores.
+ * @param {Response} res
+ * @param {String} name The cookie name
+ * @param {*} value The value, which is serialized as JSON
+ */
+export default function setCookie(res, name, value) {
+  const existing = [].concat(res.getHeader('Set-Cookie') || [])
+  const cookies = existing.filter(cookie => !cookie.startsWith(`${name}=`))
+  cookies.push(`${name}=${JSON.stringify(value)}; Path=/`)
+  res.setHeader('Set-Cookie', cookies)
+}
+
+/**
+ * Returns the parsed value of a JSON cookie
+ * @param {Request} req
+ * @param {String} name The cookie name
+ * @param {*} defaultValue The value to return when the cookie is missing or cannot be parsed
+ * @return {*}
+ */
+export function getCookie(req, name, defaultValue) {
+  const value = req.cookies[name]
+
+  if (!value) return defaultValue
+
+  try {
+    return JSON.parse(value)
+  } catch (err) {
+    console.log(`Failed parsing ${name} from cookie`, value)
+    return defaultValue
+  }
+}
@@ -0,0 +1,49 @@
+import createProduct from './createProduct'
+import setCookie, { getCookie } from './setCookie'
+import { getCurrency, localizeProduct } from './currency'
+
+const WISHLIST_COOKIE = 'rsf_mock_wishlist'
+
+function getStore(req) {
+  return getCookie(req, WISHLIST_COOKIE, [])
+}
+
+function saveStore(store, req, res) {
+  setCookie(res, WISHLIST_COOKIE, store)
+  return toProducts(store, getCurrency(req))
+}
+
+function toProducts(store, currency) {
+  return store.map(({ id }) => localizeProduct(createProduct(id), currency))
+}
+
+function contains(store, id) {
+  return store.some(item => String(item.id) === String(id))
+}
+
+export function getProducts(req, currency = getCurrency(req)) {
+  return toProducts(getStore(req), currency)
+}
+
+export function addItem(id, req, res) {
+  const store = getStore(req)
+  return saveStore(contains(store, id) ? store : [{ id }, ...store], req, res)
+}
+
+export function removeItem(id, req, res) {
+  return saveStore(
+    getStore(req).filter(item => String(item.id) !== String(id)),
+    req,
+    res,
+  )
+}
+
+/**
+ * Adds the items of a wishlist that was kept in the browser before the user signed in.  Items that are
+ * already in the wishlist are skipped.
+ */
+export function mergeItems(ids, req, res) {
+  const store = getStore(req)
+  const added = ids.filter((id, i) => !contains(store, id) && ids.indexOf(id) === i)
+  return saveStore([...added.map(id => ({ id })), ...store], req, res)
+}
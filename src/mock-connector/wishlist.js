@@ -0,0 +1,5 @@
+import { getProducts } from './utils/wishlistStore'
+
+export default async function wishlist(req, res) {
+  return { wishlist: { items: getProducts(req) } }
+}
@@ -0,0 +1,253 @@
+import React, { useContext } from 'react'
+import PropTypes from 'prop-types'
+import { makeStyles } from '@material-ui/core/styles'
+import { Button, Typography } from '@material-ui/core'
+import { Hbox } from '../Box'
+import SearchResultsContext from './SearchResultsContext'
+import AmpSearchForm from './AmpSearchForm'
+import useLocale from '../locale/useLocale'
+import {
+  CLEAR_FILTERS_ACTION,
+  FILTERS_PARAM_EXPRESSION,
+  getFiltersParam,
+  isSelectedExpression,
+  setRangeAction,
+  toggleFilterAction,
+} from './ampSearchState'
+import { getSelectedRange } from './rangeFilter'
+
+export const styles = theme => ({
+  /**
+   * Styles applied to the root element.
+   */
+  root: {
+    height: '100%',
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'stretch',
+    margin: 0,
+  },
+  /**
+   * Styles applied to the header.
+   */
+  header: {
+    borderBottom: `1px solid ${theme.palette.divider}`,
+    padding: theme.spacing(2),
+  },
+  /**
+   * Styles applied to the title element.
+   */
+  title: {
+    ...theme.typography.h6,
+    flex: 1,
+  },
+  /**
+   * Styles applied to the clear link.
+   */
+  clear: {
+    ...theme.typography.caption,
+    border: 'none',
+    padding: 0,
+    textDecoration: 'underline',
+    backgroundColor: 'transparent',
+  },
+  /**
+   * Styles applied to the wrapper element around the facet groups.
+   */
+  facetGroups: {
+    overflow: 'auto',
+    flex: '1',
+  },
+  /**
+   * Styles applied to each facet group.
+   */
+  group: {
+    border: 'none',
+    borderBottom: `1px solid ${theme.palette.divider}`,
+    margin: 0,
+    padding: theme.spacing(2),
+  },
+  /**
+   * Styles applied to the name of each facet group.
+   */
+  groupName: {
+    fontWeight: 'bold',
+    padding: 0,
+    marginBottom: theme.spacing(1),
+  },
+  /**
+   * Styles applied to each option.
+   */
+  option: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: theme.spacing(0.5, 0),
+  },
+  /**
+   * Styles applied to the number of matching products of each option.
+   */
+  matches: {
+    marginLeft: theme.spacing(0.5),
+    color: theme.palette.text.secondary,
+  },
+  /**
+   * Styles applied to the min and max inputs of range facets.
+   */
+  rangeInput: {
+    width: 80,
+    margin: theme.spacing(0, 1),
+  },
+  /**
+   * Styles applied to the footer.
+   */
+  footer: {
+    backgroundColor: theme.palette.secondary.main,
+    padding: '12px 20px',
+  },
+})
+
+const useStyles = makeStyles(styles, { name: 'RSFAmpFilter' })
+
+/**
+ * The AMP version of [`Filter`](/apiReference/plp/Filter), which renders this component automatically when the page
+ * is rendered as AMP.  The selected filters are kept in amp-state (see `react-storefront/plp/ampSearchState`) and
+ * applied by submitting an amp-form to the current page, which reloads it with the same `filters` query parameter
+ * that `SearchResultsProvider` uses outside of AMP.  Facets with `ui: 'range'` are rendered as inputs for the min
+ * and max values.
+ */
+export default function AmpFilter({
+  hideClearLink,
+  clearLinkText,
+  submitOnChange,
+  style,
+  classes,
+  title,
+  formId,
+}) {
+  classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
+  const {
+    pageData: { facets, filters = [] },
+  } = useContext(SearchResultsContext)
+
+  const submit = action => (submitOnChange ? `${action},${formId}.submit` : action)
+
+  return (
+    <AmpSearchForm id={formId} className={classes.root} style={style}>
+      <input
+        type="hidden"
+        name="filters"
+        value={getFiltersParam(filters)}
+        amp-bind={`value=>${FILTERS_PARAM_EXPRESSION}`}
+      />
+      <Hbox className={classes.header}>
+        <div className={classes.title}>{title || formatMessage('FilterHeader.title')}</div>
+        {hideClearLink ? null : (
+          <button
+            type="button"
+            className={classes.clear}
+            on={`tap:${submit(CLEAR_FILTERS_ACTION)}`}
+          >
+            {clearLinkText || formatMessage('FilterHeader.clear')}
+          </button>
+        )}
+      </Hbox>
+      <div className={classes.facetGroups}>
+        {facets &&
+          facets.map((group, i) => (
+            <fieldset key={i} className={classes.group}>
+              <legend className={classes.groupName}>{group.name}</legend>
+              {group.ui === 'range' && (
+                <div className={classes.option}>
+                  {getSelectedRange(filters, group).map((value, index) => (
+                    <React.Fragment key={index}>
+                      {index > 0 && (
+                        <Typography component="span">{formatMessage('RangeFilter.to')}</Typography>
+                      )}
+                      <input
+                        type="number"
+                        className={classes.rangeInput}
+                        aria-label={formatMessage(
+                          index === 0 ? 'RangeFilter.min' : 'RangeFilter.max',
+                        )}
+                        min={group.min}
+                        max={group.max}
+                        step={group.step || 1}
+                        defaultValue={value}
+                        on={`change:${submit(setRangeAction(group.code, index))}`}
+                      />
+                    </React.Fragment>
+                  ))}
+                </div>
+              )}
+              {(group.options || []).map(option => (
+                <label key={option.code} className={classes.option}>
+                  <input
+                    type="checkbox"
+                    defaultChecked={filters.includes(option.code)}
+                    on={`change:${submit(toggleFilterAction(option.code))}`}
+                    amp-bind={`checked=>${isSelectedExpression(option.code)}`}
+                  />
+                  <Typography component="span">{option.name}</Typography>
+                  {option.matches ? (
+                    <Typography component="span" variant="caption" className={classes.matches}>
+                      ({option.matches})
+                    </Typography>
+                  ) : null}
+                </label>
+              ))}
+            </fieldset>
+          ))}
+      </div>
+      {submitOnChange ? null : (
+        <Hbox className={classes.footer} justify="flex-end">
+          <Button type="submit" variant="contained" size="large" color="default">
+            {formatMessage('FilterFooter.viewResults')}
+          </Button>
+        </Hbox>
+      )}
+    </AmpSearchForm>
+  )
+}
+
+AmpFilter.propTypes = {
+  /**
+   * Override or extend the styles applied to the component. See [CSS API](#css) below for more details.
+   */
+  classes: PropTypes.object,
+
+  /**
+   * An optional title to display at the top of the component.  Defaults to the `FilterHeader.title` message.
+   */
+  title: PropTypes.string,
+
+  /**
+   * Set to `true` to reload the page when the user toggles a filter.
+   */
+  submitOnChange: PropTypes.bool,
+
+  /**
+   * If `true`, the clear link is hidden.
+   */
+  hideClearLink: PropTypes.bool,
+
+  /**
+   * Text to use for the clear link.  Defaults to the `FilterHeader.clear` message.
+   */
+  clearLinkText: PropTypes.string,
+
+  /**
+   * The id of the form element.
+   */
+  formId: PropTypes.string,
+
+  /**
+   * CSS styles to add to the root component.
+   */
+  style: PropTypes.object,
+}
+
+AmpFilter.defaultProps = {
+  submitOnChange: false,
+  formId: 'rsfFilterForm',
+}
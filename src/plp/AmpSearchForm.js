@@ -0,0 +1,40 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { useRouter } from 'next/router'
+import { getFormTarget } from './ampSearchState'
+
+/**
+ * An amp-form that submits the search controls to the current page with a full page load.  The query
+ * parameters of the current URL, like `q`, are kept, except for filters, sort and page, which are set by the
+ * fields in `children`.  Used by the AMP versions of `Filter` and `Sort`.
+ */
+export default function AmpSearchForm({ id, className, style, children }) {
+  const { asPath } = useRouter() || {}
+  const { action, params } = getFormTarget(asPath)
+
+  return (
+    <form id={id} className={className} style={style} method="GET" action={action} target="_top">
+      {Object.keys(params).map(name => (
+        <input key={name} type="hidden" name={name} value={params[name]} />
+      ))}
+      {children}
+    </form>
+  )
+}
+
+AmpSearchForm.propTypes = {
+  /**
+   * The id of the form, used to submit it from AMP actions, for example `on="change:myForm.submit"`.
+   */
+  id: PropTypes.string,
+
+  /**
+   * A CSS class to apply to the form.
+   */
+  className: PropTypes.string,
+
+  /**
+   * CSS styles to apply to the form.
+   */
+  style: PropTypes.object,
+}
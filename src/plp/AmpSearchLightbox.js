@@ -0,0 +1,73 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { makeStyles } from '@material-ui/core/styles'
+import { IconButton } from '@material-ui/core'
+import { Close as CloseIcon } from '@material-ui/icons'
+import useLocale from '../locale/useLocale'
+
+export const styles = theme => ({
+  /**
+   * Styles applied to the panel that contains the children.
+   */
+  root: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    height: '75vh',
+    display: 'flex',
+    flexDirection: 'column',
+    backgroundColor: theme.palette.background.paper,
+  },
+  /**
+   * Styles applied to the close button.
+   */
+  close: {
+    alignSelf: 'flex-end',
+  },
+  /**
+   * Styles applied to the element around the children.
+   */
+  content: {
+    flex: 1,
+    overflow: 'auto',
+  },
+})
+
+const useStyles = makeStyles(styles, { name: 'RSFAmpSearchLightbox' })
+
+/**
+ * An `amp-lightbox` that slides up from the bottom of the viewport.  Used by `FilterButton` and `SortButton`
+ * in place of a drawer when the page is rendered as AMP.  Open it with the AMP action `tap:{id}.open`.
+ */
+export default function AmpSearchLightbox({ id, classes, children }) {
+  classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
+
+  return (
+    <amp-lightbox id={id} layout="nodisplay" animate-in="fly-in-bottom">
+      <div className={classes.root}>
+        <IconButton
+          className={classes.close}
+          on={`tap:${id}.close`}
+          aria-label={formatMessage('AmpSearchLightbox.close')}
+        >
+          <CloseIcon />
+        </IconButton>
+        <div className={classes.content}>{children}</div>
+      </div>
+    </amp-lightbox>
+  )
+}
+
+AmpSearchLightbox.propTypes = {
+  /**
+   * Override or extend the styles applied to the component. See [CSS API](#css) below for more details.
+   */
+  classes: PropTypes.object,
+
+  /**
+   * The id of the lightbox.
+   */
+  id: PropTypes.string.isRequired,
+}
@@ -0,0 +1,99 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { makeStyles } from '@material-ui/core/styles'
+import { Button } from '@material-ui/core'
+import useLocale from '../locale/useLocale'
+
+export const styles = theme => ({
+  /**
+   * Styles applied to the element around the "Show More" button.
+   */
+  loadMore: {
+    margin: '15px 0',
+    display: 'flex',
+    justifyContent: 'center',
+  },
+  /**
+   * Styles applied to the "Show More" button.
+   */
+  button: {
+    [theme.breakpoints.down('xs')]: {
+      flex: 1,
+    },
+  },
+})
+
+const useStyles = makeStyles(styles, { name: 'RSFAmpSearchResults' })
+
+/**
+ * Renders search results in AMP using `amp-list`, with a "Show More" button that appends the next page of
+ * results without leaving the page.  The results are fetched from an API route created with
+ * `react-storefront/server/createAmpSearchResultsHandler`, and each product is rendered with the
+ * [amp-mustache](https://amp.dev/documentation/components/amp-mustache/) template passed as `children`.
+ *
+ * ```js
+ * <AmpSearchResults src={`/api/amp/s/${slug}${search}`} height={1000}>
+ *   <a href="{{url}}">
+ *     <amp-img src="{{thumbnail.src}}" width="200" height="200" layout="responsive" />
+ *     <div>{'{{name}}'}</div>
+ *   </a>
+ * </AmpSearchResults>
+ * ```
+ *
+ * The AMP document must include the `amp-list` and `amp-mustache` scripts.
+ */
+export default function AmpSearchResults({ src, height, classes, children, buttonText }) {
+  classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
+
+  return (
+    <amp-list
+      src={src}
+      items="items"
+      layout="fixed-height"
+      height={height}
+      load-more="manual"
+      load-more-bookmark="next"
+    >
+      <template type="amp-mustache">{children}</template>
+      <amp-list-load-more load-more-button="">
+        <div className={classes.loadMore}>
+          <Button
+            variant="contained"
+            color="primary"
+            className={classes.button}
+            load-more-clickable=""
+          >
+            {buttonText || formatMessage('ShowMore.label')}
+          </Button>
+        </div>
+      </amp-list-load-more>
+    </amp-list>
+  )
+}
+
+AmpSearchResults.propTypes = {
+  /**
+   * Override or extend the styles applied to the component. See [CSS API](#css) below for more details.
+   */
+  classes: PropTypes.object,
+
+  /**
+   * The URL of the first page of results.
+   */
+  src: PropTypes.string.isRequired,
+
+  /**
+   * The initial height of the list in pixels.  The list grows as more results are loaded.
+   */
+  height: PropTypes.number,
+
+  /**
+   * The text of the "Show More" button.  Defaults to the `ShowMore.label` message.
+   */
+  buttonText: PropTypes.string,
+}
+
+AmpSearchResults.defaultProps = {
+  height: 400,
+}
@@ -0,0 +1,85 @@
+import React, { useContext } from 'react'
+import PropTypes from 'prop-types'
+import { makeStyles } from '@material-ui/core/styles'
+import { Button } from '@material-ui/core'
+import SearchResultsContext from './SearchResultsContext'
+import AmpSearchForm from './AmpSearchForm'
+import { getFiltersParam } from './ampSearchState'
+
+export const styles = theme => ({
+  /**
+   * Styles applied to the root element.
+   */
+  root: {
+    margin: 0,
+  },
+  /**
+   * Styles applied to the element around the options.
+   */
+  container: {
+    padding: '15px 0 0 15px',
+  },
+  /**
+   * Styles applied to each option.
+   */
+  option: {
+    boxShadow: 'none',
+    width: 'calc(50% - 15px)',
+    margin: '0 15px 15px 0',
+  },
+})
+
+const useStyles = makeStyles(styles, { name: 'RSFAmpSort' })
+
+/**
+ * The AMP version of [`Sort`](/apiReference/plp/Sort), which renders this component automatically when the page
+ * is rendered as AMP.  Each sort option is a submit button of an amp-form that reloads the current page with the
+ * `sort` query parameter, keeping the applied filters.
+ */
+export default function AmpSort({ classes, formId }) {
+  classes = useStyles({ classes })
+
+  const {
+    pageData: { sort, sortOptions, filters },
+  } = useContext(SearchResultsContext)
+
+  return (
+    <AmpSearchForm id={formId} className={classes.root}>
+      {filters && filters.length ? (
+        <input type="hidden" name="filters" value={getFiltersParam(filters)} />
+      ) : null}
+      <div className={classes.container}>
+        {sortOptions &&
+          sortOptions.map((option, i) => (
+            <Button
+              type="submit"
+              name="sort"
+              value={option.code}
+              className={classes.option}
+              color={sort === option.code ? 'primary' : 'default'}
+              variant="contained"
+              key={i}
+            >
+              {option.name}
+            </Button>
+          ))}
+      </div>
+    </AmpSearchForm>
+  )
+}
+
+AmpSort.propTypes = {
+  /**
+   * Override or extend the styles applied to the component. See [CSS API](#css) below for more details.
+   */
+  classes: PropTypes.object,
+
+  /**
+   * The id of the form element.
+   */
+  formId: PropTypes.string,
+}
+
+AmpSort.defaultProps = {
+  formId: 'rsfSortForm',
+}
@@ -5,7 +5,10 @@ import { makeStyles } from '@material-ui/core/styles'
 import ExpandableSection from '../ExpandableSection'
 import CheckboxFilterGroup from './CheckboxFilterGroup'
 import ButtonFilterGroup from './ButtonFilterGroup'
+import RangeFilterGroup from './RangeFilterGroup'
+import { formatRangeValue, getSelectedRange, isRangeSelected } from './rangeFilter'
 import ListItem from '@material-ui/core/ListItem'
+import useLocale from '../locale/useLocale'
 
 const styles = theme => ({
   /**
@@ -35,6 +38,7 @@ export default function FacetGroup(props) {
     isSimpleList
   } = props
   const classes = useStyles(props.classes)
+  const { formatMessage } = useLocale()
   const {
     pageData: { filters },
   } = useContext(SearchResultsContext)
@@ -44,7 +48,7 @@ export default function FacetGroup(props) {
 
     const selection = []
 
-    for (let option of group.options) {
+    for (let option of group.options || []) {
       if (filters.indexOf(option.code) !== -1) {
         selection.push(option)
       }
@@ -54,16 +58,24 @@ export default function FacetGroup(props) {
 
     if (!Controls && group.ui === 'buttons') {
       Controls = ButtonFilterGroup
+    } else if (!Controls && group.ui === 'range') {
+      Controls = RangeFilterGroup
     } else if (!Controls) {
       Controls = CheckboxFilterGroup
     }
 
     let caption = null
 
-    if (selection.length === 1) {
+    if (group.ui === 'range') {
+      if (isRangeSelected(filters, group)) {
+        caption = getSelectedRange(filters, group)
+          .map(value => formatRangeValue(group, value))
+          .join(' - ')
+      }
+    } else if (selection.length === 1) {
       caption = selection[0].name
     } else if (selection.length > 0) {
-      caption = `${selection.length} selected`
+      caption = formatMessage('FacetGroup.selected', { count: selection.length })
     }
 
     if (isSimpleList) {
@@ -94,7 +106,7 @@ export default function FacetGroup(props) {
         />
       </ExpandableSection>
     )
-  }, [...Object.values(props), filters])
+  }, [...Object.values(props), filters, formatMessage])
 }
 
 FacetGroup.propTypes = {
@@ -5,6 +5,8 @@ import FacetGroup from './FacetGroup'
 import FilterHeader from './FilterHeader'
 import FilterFooter from './FilterFooter'
 import SearchResultsContext from './SearchResultsContext'
+import AmpFilter from './AmpFilter'
+import { useAmp } from 'next/amp'
 
 export const styles = theme => ({
   /**
@@ -33,8 +35,15 @@ const useStyles = makeStyles(styles, { name: 'RSFFilter' })
  * UI for filtering a list of products.  This component can be used on its own, or you can use
  * [`FilterButton`](/apiReference/plp/FilterButton) to automatically display this component in a
  * drawer that slides up from the bottom of the viewport.
+ *
+ * When the page is rendered as AMP, [`AmpFilter`](/apiReference/plp/AmpFilter) is rendered instead.
  */
-function Filter({
+function Filter(props) {
+  if (useAmp()) return <AmpFilter {...props} />
+  return <HtmlFilter {...props} />
+}
+
+function HtmlFilter({
   expandAll,
   hideClearLink,
   clearLinkText,
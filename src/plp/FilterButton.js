@@ -6,6 +6,10 @@ import PropTypes from 'prop-types'
 import Drawer from '../drawer/Drawer'
 import { makeStyles } from '@material-ui/core/styles'
 import { useRouter } from 'next/router'
+import useLocale from '../locale/useLocale'
+import { useAmp } from 'next/amp'
+import AmpSearchLightbox from './AmpSearchLightbox'
+import { formatRangeValue, getSelectedRange, isRangeSelected } from './rangeFilter'
 
 export const styles = theme => ({
   /**
@@ -18,12 +22,18 @@ export const styles = theme => ({
 
 const useStyles = makeStyles(styles, { name: 'RSFFilterButton' })
 
+const AMP_LIGHTBOX_ID = 'rsfFilterLightbox'
+
 /**
  * A button that when clicked, opens a drawer containing the `Filter` view. Current filters
  * are displayed in the button text.
+ *
+ * When the page is rendered as AMP, the `Filter` is displayed in an `amp-lightbox` instead of a drawer.
  */
 function FilterButton({ classes, title, drawerProps, onClick, href, ...props }) {
   classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
+  title = title || formatMessage('FilterButton.title')
 
   const {
     pageData: { filters, facets },
@@ -34,6 +44,7 @@ function FilterButton({ classes, title, drawerProps, onClick, href, ...props })
   const [state, setState] = useState({ open: openFilter, mountDrawer: openFilter })
   const { open, mountDrawer } = state
   const { clear, clearDisabled, drawer, ...buttonClasses } = useStyles(classes)
+  const amp = useAmp()
 
   const toggleOpen = open => {
     setState({ ...state, open, mountDrawer: mountDrawer || true })
@@ -56,12 +67,22 @@ function FilterButton({ classes, title, drawerProps, onClick, href, ...props })
 
   const getFilterList = () => {
     if (!filters || !facets || filters.length === 0) return null
-    if (filters.length > 1) return `${filters.length} selected`
+    if (filters.length > 1) return formatMessage('FilterButton.selected', { count: filters.length })
 
     const selected = filters[0]
 
     for (let group of facets) {
-      for (let option of group.options) {
+      if (group.ui === 'range') {
+        if (isRangeSelected(filters, group)) {
+          return getSelectedRange(filters, group)
+            .map(value => formatRangeValue(group, value))
+            .join(' - ')
+        }
+
+        continue
+      }
+
+      for (let option of group.options || []) {
         if (selected === option.code) {
           return option.name
         }
@@ -71,6 +92,23 @@ function FilterButton({ classes, title, drawerProps, onClick, href, ...props })
     return null
   }
 
+  if (amp && !href) {
+    return (
+      <>
+        <ActionButton
+          label={title}
+          value={getFilterList()}
+          classes={buttonClasses}
+          on={`tap:${AMP_LIGHTBOX_ID}.open`}
+          {...props}
+        />
+        <AmpSearchLightbox id={AMP_LIGHTBOX_ID}>
+          <Filter {...drawerProps} />
+        </AmpSearchLightbox>
+      </>
+    )
+  }
+
   return (
     <>
       <ActionButton
@@ -110,7 +148,7 @@ FilterButton.propTypes = {
   drawerProps: PropTypes.object,
 
   /**
-   * The label for the button and the drawer header.
+   * The label for the button and the drawer header.  Defaults to the `FilterButton.title` message.
    */
   title: PropTypes.string,
 
@@ -126,7 +164,6 @@ FilterButton.propTypes = {
 }
 
 FilterButton.defaultProps = {
-  title: 'Filter',
   drawerProps: {},
 }
 
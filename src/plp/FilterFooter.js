@@ -4,6 +4,7 @@ import { makeStyles } from '@material-ui/core/styles'
 import { Button, Typography } from '@material-ui/core'
 import { Hbox } from '../Box'
 import SearchResultsContext from './SearchResultsContext'
+import useLocale from '../locale/useLocale'
 
 export const styles = theme => ({
   /**
@@ -32,6 +33,7 @@ const useStyles = makeStyles(styles, { name: 'RSFFilterFooter' })
 export default function FilterFooter(props) {
   let { classes, submitOnChange, onViewResultsClick } = props
   classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
 
   const {
     pageData: { filters, filtersChanged },
@@ -42,11 +44,10 @@ export default function FilterFooter(props) {
   return (
     <Hbox className={classes.root} justify="space-between">
       <Typography variant="subtitle1" className={classes.itemsFound}>
-        {filters.length || 'No'} filter
-        {filters.length === 1 ? '' : 's'} selected
+        {formatMessage('FilterFooter.selected', { count: filters.length })}
       </Typography>
       <Button variant="contained" size="large" color="default" onClick={onViewResultsClick}>
-        View Results
+        {formatMessage('FilterFooter.viewResults')}
       </Button>
     </Hbox>
   )
@@ -3,6 +3,7 @@ import { Hbox } from '../Box'
 import { makeStyles } from '@material-ui/core/styles'
 import PropTypes from 'prop-types'
 import SearchResultsContext from './SearchResultsContext'
+import useLocale from '../locale/useLocale'
 
 const styles = theme => ({
   /**
@@ -50,7 +51,13 @@ const useStyles = makeStyles(styles, { name: 'RSFFilterHeader' })
  * A header to be placed at the top of the [`Filter`](/apiReference/plp/Filter).
  */
 export default function FilterHeader(props) {
-  const { title, clearLinkText, hideClearLink, submitOnChange } = props
+  const { formatMessage } = useLocale()
+  const {
+    title = formatMessage('FilterHeader.title'),
+    clearLinkText = formatMessage('FilterHeader.clear'),
+    hideClearLink,
+    submitOnChange,
+  } = props
   const classes = useStyles(props.classes)
   const {
     actions,
@@ -68,7 +75,7 @@ export default function FilterHeader(props) {
         )}
       </Hbox>
     ),
-    [filters, ...Object.values(props)],
+    [filters, title, clearLinkText, ...Object.values(props)],
   )
 }
 
@@ -78,7 +85,7 @@ FilterHeader.propTypes = {
    */
   classes: PropTypes.object,
   /**
-   * An optional title to display at the top of the component.
+   * An optional title to display at the top of the component.  Defaults to the `FilterHeader.title` message.
    */
   title: PropTypes.string,
   /**
@@ -90,12 +97,7 @@ FilterHeader.propTypes = {
    */
   hideClearLink: PropTypes.bool,
   /**
-   * Text to use for the clear link.
+   * Text to use for the clear link.  Defaults to the `FilterHeader.clear` message.
    */
   clearLinkText: PropTypes.string,
 }
-
-FilterHeader.defaultProps = {
-  title: 'Filter By',
-  clearLinkText: 'clear all',
-}
@@ -0,0 +1,254 @@
+import PropTypes from 'prop-types'
+import React, { useContext, useEffect, useState } from 'react'
+import clsx from 'clsx'
+import { Slider, TextField } from '@material-ui/core'
+import { makeStyles } from '@material-ui/core/styles'
+import { useRouter } from 'next/router'
+import SearchResultsContext from './SearchResultsContext'
+import NoScript from '../NoScript'
+import useLocale from '../locale/useLocale'
+import { formatRangeValue, getFiltersURL, getSelectedRange, setRangeFilter } from './rangeFilter'
+
+const styles = theme => ({
+  /**
+   * Styles applied to the root element.
+   */
+  root: {
+    padding: theme.spacing(0, 1),
+  },
+  /**
+   * Styles applied to the histogram.
+   */
+  histogram: {
+    display: 'flex',
+    alignItems: 'flex-end',
+    height: 40,
+  },
+  /**
+   * Styles applied to each bar of the histogram.
+   */
+  bar: {
+    margin: '0 1px',
+    backgroundColor: theme.palette.divider,
+  },
+  /**
+   * Styles applied to the bars of the histogram that are in the selected range.
+   */
+  selectedBar: {
+    backgroundColor: theme.palette.primary.light,
+  },
+  /**
+   * Styles applied to the element around the min and max inputs.
+   */
+  inputs: {
+    display: 'flex',
+    alignItems: 'center',
+    '& > *': {
+      flex: 1,
+    },
+  },
+  /**
+   * Styles applied to the text between the min and max inputs.
+   */
+  separator: {
+    flex: 'none',
+    margin: theme.spacing(0, 1),
+  },
+  /**
+   * Styles applied to the links that are displayed in place of the slider when JavaScript is disabled.
+   */
+  links: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+  },
+})
+
+const useStyles = makeStyles(styles, { name: 'RSFRangeFilterGroup' })
+
+/**
+ * A UI for facets with `ui: 'range'`, such as price, with a slider that has a thumb for each end of the range and
+ * inputs for the min and max values.  When the facet has `buckets`, a histogram of the number of products in each
+ * bucket is displayed above the slider.  The selected range is stored in the search results `filters` as
+ * described in `react-storefront/plp/rangeFilter`.
+ *
+ * Example facet:
+ *
+ * ```js
+ * {
+ *   name: 'Price',
+ *   ui: 'range',
+ *   code: 'price',
+ *   min: 0,
+ *   max: 100,
+ *   currency: 'USD',
+ *   buckets: [{ from: 0, to: 50, matches: 12 }, { from: 50, to: 100, matches: 4 }],
+ * }
+ * ```
+ *
+ * When JavaScript is disabled, each bucket is rendered as a link that selects its range.
+ */
+export default function RangeFilterGroup(props) {
+  const { group, submitOnChange } = props
+  const classes = useStyles(props.classes)
+  const { formatMessage } = useLocale()
+  const { asPath } = useRouter() || {}
+  const {
+    pageData: { filters },
+    actions: { setFilters },
+  } = useContext(SearchResultsContext)
+
+  const [selectedMin, selectedMax] = getSelectedRange(filters, group)
+  const [value, setValue] = useState([selectedMin, selectedMax])
+  const [min, max] = value.map((v, i) => toNumber(v, i === 0 ? group.min : group.max))
+
+  useEffect(() => {
+    setValue([selectedMin, selectedMax])
+  }, [selectedMin, selectedMax])
+
+  const commit = range => {
+    const next = normalize(range, group)
+    setValue(next)
+    setFilters(setRangeFilter(filters, group, next), submitOnChange)
+  }
+
+  const onInputChange = index => event => {
+    const next = [...value]
+    next[index] = event.target.value
+    setValue(next)
+  }
+
+  const onInputKeyDown = event => {
+    if (event.key === 'Enter') commit([min, max])
+  }
+
+  const buckets = group.buckets || []
+  const maxMatches = Math.max(1, ...buckets.map(bucket => bucket.matches || 0))
+
+  return (
+    <div className={classes.root}>
+      {buckets.length > 0 && (
+        <div className={classes.histogram} aria-hidden="true">
+          {buckets.map(bucket => (
+            <div
+              key={bucket.from}
+              className={clsx(classes.bar, {
+                [classes.selectedBar]: bucket.from < max && bucket.to > min,
+              })}
+              style={{
+                flex: bucket.to - bucket.from,
+                height: `${((bucket.matches || 0) / maxMatches) * 100}%`,
+              }}
+            />
+          ))}
+        </div>
+      )}
+      <Slider
+        value={[min, max]}
+        min={group.min}
+        max={group.max}
+        step={group.step || 1}
+        onChange={(event, value) => setValue(value)}
+        onChangeCommitted={(event, value) => commit(value)}
+        valueLabelDisplay="auto"
+        valueLabelFormat={value => formatRangeValue(group, value)}
+        getAriaLabel={index => formatMessage(index === 0 ? 'RangeFilter.min' : 'RangeFilter.max')}
+        getAriaValueText={value => formatRangeValue(group, value)}
+      />
+      <div className={classes.inputs}>
+        <TextField
+          type="number"
+          size="small"
+          variant="outlined"
+          label={formatMessage('RangeFilter.min')}
+          value={value[0]}
+          inputProps={{ min: group.min, max: group.max, step: group.step || 1 }}
+          onChange={onInputChange(0)}
+          onBlur={() => commit([min, max])}
+          onKeyDown={onInputKeyDown}
+        />
+        <span className={classes.separator}>{formatMessage('RangeFilter.to')}</span>
+        <TextField
+          type="number"
+          size="small"
+          variant="outlined"
+          label={formatMessage('RangeFilter.max')}
+          value={value[1]}
+          inputProps={{ min: group.min, max: group.max, step: group.step || 1 }}
+          onChange={onInputChange(1)}
+          onBlur={() => commit([min, max])}
+          onKeyDown={onInputKeyDown}
+        />
+      </div>
+      <NoScript>
+        <ul className={classes.links}>
+          {getFallbackRanges(group).map(({ from, to }) => (
+            <li key={from}>
+              <a href={getFiltersURL(asPath, setRangeFilter(filters, group, [from, to]))}>
+                {formatRangeValue(group, from)} - {formatRangeValue(group, to)}
+              </a>
+            </li>
+          ))}
+        </ul>
+      </NoScript>
+    </div>
+  )
+}
+
+/**
+ * Returns the ranges linked to when JavaScript is disabled: the buckets of the facet if it has any, otherwise
+ * the facet's range split into quarters.
+ */
+function getFallbackRanges(group) {
+  if (group.buckets && group.buckets.length) {
+    return group.buckets
+  }
+
+  const size = (group.max - group.min) / 4
+
+  return [0, 1, 2, 3].map(i => ({
+    from: group.min + Math.round(size * i),
+    to: i === 3 ? group.max : group.min + Math.round(size * (i + 1)),
+  }))
+}
+
+function toNumber(value, defaultValue) {
+  const number = parseFloat(value)
+  return isNaN(number) ? defaultValue : number
+}
+
+/**
+ * Keeps a range within the bounds of the facet, with min before max
+ */
+function normalize([min, max], group) {
+  const clamp = value => Math.min(Math.max(value, group.min), group.max)
+  return [clamp(Math.min(min, max)), clamp(Math.max(min, max))]
+}
+
+RangeFilterGroup.propTypes = {
+  /**
+   * Override or extend the styles applied to the component. See [CSS API](#css) below for more details.
+   */
+  classes: PropTypes.object,
+  /**
+   * Contains data for the range facet to be rendered.
+   */
+  group: PropTypes.shape({
+    code: PropTypes.string.isRequired,
+    min: PropTypes.number.isRequired,
+    max: PropTypes.number.isRequired,
+    step: PropTypes.number,
+    currency: PropTypes.string,
+    buckets: PropTypes.arrayOf(
+      PropTypes.shape({
+        from: PropTypes.number,
+        to: PropTypes.number,
+        matches: PropTypes.number,
+      }),
+    ),
+  }),
+  /**
+   * Set to `true` to refresh the results when the user changes the range.
+   */
+  submitOnChange: PropTypes.bool,
+}
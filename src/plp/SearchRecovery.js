@@ -0,0 +1,260 @@
+import React, { useContext } from 'react'
+import PropTypes from 'prop-types'
+import clsx from 'clsx'
+import { makeStyles } from '@material-ui/core/styles'
+import { Typography, Button, Chip } from '@material-ui/core'
+import SearchResultsContext from './SearchResultsContext'
+import ResponsiveTiles from '../ResponsiveTiles'
+import ForwardThumbnail from '../ForwardThumbnail'
+import Image from '../Image'
+import Link from '../link/Link'
+import Price from '../Price'
+import useLocale from '../locale/useLocale'
+
+export const styles = theme => ({
+  /**
+   * Styles applied to the root element.
+   */
+  root: {
+    margin: theme.spacing(2, 0),
+  },
+  /**
+   * Styles applied to the "No results" heading.
+   */
+  heading: {
+    marginBottom: theme.spacing(2),
+  },
+  /**
+   * Styles applied to the element around the spelling corrections, the relaxed search and the categories.
+   */
+  section: {
+    marginBottom: theme.spacing(3),
+  },
+  /**
+   * Styles applied to the title of each section.
+   */
+  title: {
+    marginBottom: theme.spacing(1),
+  },
+  /**
+   * Styles applied to each spelling correction.
+   */
+  correction: {
+    fontWeight: 'bold',
+    marginLeft: theme.spacing(1),
+  },
+  /**
+   * Styles applied to each word that was removed from the relaxed search.
+   */
+  dropped: {
+    marginLeft: theme.spacing(0.5),
+    color: theme.palette.text.secondary,
+  },
+  /**
+   * Styles applied to the link around each product of the relaxed search.
+   */
+  product: {
+    display: 'block',
+    color: 'inherit',
+    textDecoration: 'none',
+  },
+  /**
+   * Styles applied to the button that links to all results of the relaxed search.
+   */
+  viewAll: {
+    marginTop: theme.spacing(2),
+  },
+  /**
+   * Styles applied to each category.
+   */
+  category: {
+    margin: theme.spacing(0, 1, 1, 0),
+  },
+})
+
+const useStyles = makeStyles(styles, { name: 'RSFSearchRecovery' })
+
+/**
+ * Helps the user find something when a search has no results.  Renders the `recovery` returned by the connector
+ * in `pageData` with the search results:
+ *
+ * - `corrections` - Links to "did you mean" spelling corrections of the query
+ * - `relaxed` - A link to the results of the query with some words removed, along with the removed words in
+ *   `dropped`, the `total` number of results and the first few `products`
+ * - `categories` - Links to popular categories
+ *
+ * Place it next to the results inside a [`SearchResultsProvider`](/apiReference/plp/SearchResultsProvider).
+ * Nothing is rendered when there are products or no `recovery`.
+ *
+ * ```js
+ * <SearchResultsProvider store={store} updateStore={updateStore}>
+ *   <ResponsiveTiles>{products}</ResponsiveTiles>
+ *   <ShowMore />
+ *   <SearchRecovery />
+ * </SearchResultsProvider>
+ * ```
+ *
+ * The data for the pages that the links go to is prefetched, by default when the links are scrolled into view.
+ */
+export default function SearchRecovery({
+  classes,
+  className,
+  recovery,
+  prefetch,
+  cols,
+  renderProduct,
+}) {
+  classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
+  const { pageData = {} } = useContext(SearchResultsContext) || {}
+
+  if (!recovery) {
+    if (pageData.products && pageData.products.length) return null
+    recovery = pageData.recovery
+  }
+
+  if (!recovery) return null
+
+  const { text, corrections = [], relaxed, categories = [] } = recovery
+
+  const renderRelaxedProduct =
+    renderProduct ||
+    (product => (
+      <ForwardThumbnail key={product.id}>
+        <Link href="/p/[productId]" as={product.url} pageData={{ product }} prefetch={prefetch}>
+          <a className={classes.product}>
+            {product.thumbnail && (
+              <Image
+                src={product.thumbnail.src}
+                alt={product.thumbnail.alt || product.name}
+                aspectRatio={100}
+                contain
+              />
+            )}
+            <Typography variant="body2">{product.name}</Typography>
+            {product.price != null && (
+              <Typography variant="subtitle2">
+                <Price value={product.price} currency={product.currency} />
+              </Typography>
+            )}
+          </a>
+        </Link>
+      </ForwardThumbnail>
+    ))
+
+  return (
+    <div className={clsx(classes.root, className)}>
+      <Typography className={classes.heading} variant="h6" component="h2">
+        {text
+          ? formatMessage('SearchRecovery.noResults', { text })
+          : formatMessage('SearchRecovery.noResultsFound')}
+      </Typography>
+      {corrections.length > 0 && (
+        <Typography className={classes.section}>
+          {formatMessage('SearchRecovery.didYouMean')}
+          {corrections.map(link => (
+            <Link
+              key={link.as || link.href}
+              href={link.href}
+              as={link.as}
+              prefetch={prefetch}
+              className={classes.correction}
+            >
+              {link.text}
+            </Link>
+          ))}
+        </Typography>
+      )}
+      {relaxed && (
+        <div className={classes.section}>
+          <Typography className={classes.title}>
+            {formatMessage('SearchRecovery.relaxed', { text: relaxed.text })}
+          </Typography>
+          {relaxed.dropped.length > 0 && (
+            <Typography className={classes.title} variant="body2">
+              {formatMessage('SearchRecovery.dropped')}
+              {relaxed.dropped.map(word => (
+                <s key={word} className={classes.dropped}>
+                  {word}
+                </s>
+              ))}
+            </Typography>
+          )}
+          <ResponsiveTiles cols={cols}>
+            {relaxed.products.map(renderRelaxedProduct)}
+          </ResponsiveTiles>
+          <Link href={relaxed.href} as={relaxed.as} prefetch={prefetch}>
+            <Button className={classes.viewAll} variant="outlined" color="primary">
+              {formatMessage('SearchRecovery.viewAll', {
+                count: relaxed.total || relaxed.products.length,
+              })}
+            </Button>
+          </Link>
+        </div>
+      )}
+      {categories.length > 0 && (
+        <div className={classes.section}>
+          <Typography className={classes.title}>
+            {formatMessage('SearchRecovery.categories')}
+          </Typography>
+          {categories.map(link => (
+            <Link key={link.as || link.href} href={link.href} as={link.as} prefetch={prefetch}>
+              <Chip className={classes.category} component="a" label={link.text} clickable />
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+SearchRecovery.propTypes = {
+  /**
+   * Override or extend the styles applied to the component. See [CSS API](#css) below for more details.
+   */
+  classes: PropTypes.object,
+
+  /**
+   * A CSS class to apply to the root element.
+   */
+  className: PropTypes.string,
+
+  /**
+   * The data to display.  Defaults to `pageData.recovery` from the `SearchResultsContext` when there are no
+   * products.
+   */
+  recovery: PropTypes.shape({
+    text: PropTypes.string,
+    corrections: PropTypes.arrayOf(PropTypes.object),
+    relaxed: PropTypes.shape({
+      text: PropTypes.string,
+      href: PropTypes.string,
+      as: PropTypes.string,
+      dropped: PropTypes.arrayOf(PropTypes.string),
+      total: PropTypes.number,
+      products: PropTypes.arrayOf(PropTypes.object),
+    }),
+    categories: PropTypes.arrayOf(PropTypes.object),
+  }),
+
+  /**
+   * When to prefetch the data for the pages that the links go to.  See the `prefetch` prop of
+   * [`Link`](/apiReference/link/Link).
+   */
+  prefetch: PropTypes.oneOf(['always', 'visible', false]),
+
+  /**
+   * The number of columns of products in the relaxed search results.  See
+   * [`ResponsiveTiles`](/apiReference/ResponsiveTiles).
+   */
+  cols: PropTypes.object,
+
+  /**
+   * Renders a product of the relaxed search results.  Called with the product.
+   */
+  renderProduct: PropTypes.func,
+}
+
+SearchRecovery.defaultProps = {
+  prefetch: 'visible',
+}
@@ -4,6 +4,9 @@ import PropTypes from 'prop-types'
 import qs from 'qs'
 import replaceState from '../router/replaceState'
 import getAPIURL from '../api/getAPIURL'
+import { useAmp } from 'next/amp'
+import { AMP_SEARCH_STATE, getAmpSearchState } from './ampSearchState'
+import { serialize } from '../seo/structuredData'
 
 /**
  * Provides context to filter, sorting, and pagination components.
@@ -23,8 +26,13 @@ import getAPIURL from '../api/getAPIURL'
  *    )
  *  }
  * ```
+ *
+ * When the page is rendered as AMP, this component also renders the `amp-state` used by the AMP versions of
+ * the filter and sort components.
  */
 export default function SearchResultsProvider({ store, updateStore, queryForState, children }) {
+  const amp = useAmp()
+
   useEffect(() => {
     if (store.reloading) {
       async function refresh() {
@@ -36,7 +44,7 @@ export default function SearchResultsProvider({ store, updateStore, queryForStat
         replaceState(null, null, getURLForState(query))
 
         const {
-          pageData: { products, total },
+          pageData: { products, total, recovery },
         } = await fetch(getAPIURL(url)).then(res => res.json())
 
         updateStore(store => ({
@@ -44,6 +52,7 @@ export default function SearchResultsProvider({ store, updateStore, queryForStat
           pageData: {
             ...store.pageData,
             total,
+            recovery,
             products:
               store.pageData.page === 0 ? products : store.pageData.products.concat(products),
           },
@@ -197,6 +206,14 @@ export default function SearchResultsProvider({ store, updateStore, queryForStat
         },
       }}
     >
+      {amp && (
+        <amp-state id={AMP_SEARCH_STATE}>
+          <script
+            type="application/json"
+            dangerouslySetInnerHTML={{ __html: serialize(getAmpSearchState(store.pageData)) }}
+          />
+        </amp-state>
+      )}
       {children}
     </SearchResultsContext.Provider>
   )
@@ -5,6 +5,10 @@ import { CircularProgress, Button } from '@material-ui/core'
 import clsx from 'clsx'
 import SearchResultsContext from './SearchResultsContext'
 import VisibilitySensor from 'react-visibility-sensor'
+import useLocale from '../locale/useLocale'
+import { useAmp } from 'next/amp'
+import { useRouter } from 'next/router'
+import { getPageURL } from './ampSearchState'
 
 export const styles = theme => ({
   /**
@@ -61,6 +65,9 @@ const useStyles = makeStyles(styles, { name: 'RSFShowMore' })
  *
  * * `page` - The current page number
  * * `totalPages` - The total number of pages
+ *
+ * When the page is rendered as AMP, the button links to the next page of results.  To load more results
+ * without leaving the page in AMP, use [`AmpSearchResults`](/apiReference/plp/AmpSearchResults).
  */
 export default function ShowMore({
   className,
@@ -75,6 +82,9 @@ export default function ShowMore({
   const classes = useStyles(others)
   const [loading, setLoading] = useState(false)
   const { actions, pageData } = useContext(SearchResultsContext)
+  const { formatMessage } = useLocale()
+  const amp = useAmp()
+  const { asPath } = useRouter() || {}
 
   if (pageData && pageData.page >= pageData.totalPages - 1) return null
 
@@ -96,7 +106,11 @@ export default function ShowMore({
     }
   }
 
-  if (variant === VARIANTS.INFINITE) {
+  if (amp && !href) {
+    href = getPageURL(asPath, pageData.page + 1)
+  }
+
+  if (variant === VARIANTS.INFINITE && !amp) {
     return (
       <VisibilitySensor
         onChange={handleVisible}
@@ -122,7 +136,7 @@ export default function ShowMore({
             onClick={fetchMore}
             {...others}
           >
-            {children || 'Show More'}
+            {children || formatMessage('ShowMore.label')}
           </Button>
         )}
       </div>
@@ -139,7 +153,7 @@ ShowMore.propTypes = {
    * Which variant to use. One of `'button'` or `'infinite'`.
    *
    * When variant is set to `'button'`:
-   *   A button is rendered with contents of `{props.children}` or `'Show More'`.
+   *   A button is rendered with contents of `{props.children}` or the `ShowMore.label` message.
    *
    * When variant is set to `'infinite'`:
    *   The loading icon is rendered and contents of next page loaded when user
@@ -156,6 +170,7 @@ ShowMore.propTypes = {
   infiniteLoadOffset: PropTypes.number,
   /**
    * When specified, clicking the button will navigate to the specified URL with a full page reload.
+   * In AMP, defaults to the URL of the next page.
    */
   href: PropTypes.string,
   /**
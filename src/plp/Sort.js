@@ -3,6 +3,8 @@ import { makeStyles } from '@material-ui/core/styles'
 import { Button, MenuItem } from '@material-ui/core'
 import PropTypes from 'prop-types'
 import SearchResultsContext from './SearchResultsContext'
+import AmpSort from './AmpSort'
+import { useAmp } from 'next/amp'
 
 export const styles = theme => ({
   /**
@@ -27,8 +29,16 @@ const useStyles = makeStyles(styles, { name: 'RSFSort' })
  * UI for sorting a list of products.  This component can be used on its own, or you can use
  * [`SortButton`](/apiReference/plp/SortButton) to automatically display this component in a drawer
  * that slides up from the bottom of the viewport.
+ *
+ * When the page is rendered as AMP, [`AmpSort`](/apiReference/plp/AmpSort) is rendered instead, regardless
+ * of `variant`.  AMP pages do not run the app's JavaScript, so `onSelect` is not called there.
  */
-function Sort({ variant, classes, onSelect }) {
+function Sort(props) {
+  if (useAmp()) return <AmpSort {...props} />
+  return <HtmlSort {...props} />
+}
+
+function HtmlSort({ variant, classes, onSelect }) {
   classes = useStyles({ classes })
 
   const {
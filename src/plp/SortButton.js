@@ -6,13 +6,22 @@ import Drawer from '../drawer/Drawer'
 import { Menu, useMediaQuery } from '@material-ui/core'
 import { useTheme } from '@material-ui/core/styles'
 import SearchResultsContext from './SearchResultsContext'
+import useLocale from '../locale/useLocale'
+import { useAmp } from 'next/amp'
+import AmpSearchLightbox from './AmpSearchLightbox'
+
+const AMP_LIGHTBOX_ID = 'rsfSortLightbox'
 
 /**
  * A button that when clicked, opens a drawer containing the `Sort` view. The name of the currently
  * selected sort option is displayed in the button text.
+ *
+ * When the page is rendered as AMP, the `Sort` is displayed in an `amp-lightbox` instead of a drawer or menu.
  */
 function SortButton({ title, drawerProps, onClick, sortProps, drawerBreakpoint, href, ...props }) {
   const theme = useTheme()
+  const { formatMessage } = useLocale()
+  title = title || formatMessage('SortButton.title')
   const [state, setState] = useState({
     open: false,
     mountDrawer: false,
@@ -54,6 +63,23 @@ function SortButton({ title, drawerProps, onClick, sortProps, drawerBreakpoint,
   }
 
   const useDrawer = useMediaQuery(theme.breakpoints.down(drawerBreakpoint))
+  const amp = useAmp()
+
+  if (amp && !href) {
+    return (
+      <>
+        <ActionButton
+          label={title}
+          value={selectedOption && selectedOption.name}
+          on={`tap:${AMP_LIGHTBOX_ID}.open`}
+          {...props}
+        />
+        <AmpSearchLightbox id={AMP_LIGHTBOX_ID}>
+          <Sort {...sortProps} />
+        </AmpSearchLightbox>
+      </>
+    )
+  }
 
   return (
     <>
@@ -107,7 +133,7 @@ SortButton.propTypes = {
   sortProps: PropTypes.object,
 
   /**
-   * Text for the button label and the drawer header.
+   * Text for the button label and the drawer header.  Defaults to the `SortButton.title` message.
    */
   title: PropTypes.string,
 
@@ -128,7 +154,6 @@ SortButton.propTypes = {
 }
 
 SortButton.defaultProps = {
-  title: 'Sort',
   drawerProps: {},
   sortProps: {},
   drawerBreakpoint: 'xs',
@@ -0,0 +1,152 @@
+import qs from 'qs'
+import { getSelectedRange } from './rangeFilter'
+
+/**
+ * Helpers for the AMP versions of the search results components.  In AMP, the filters that the user has
+ * selected but not yet applied are kept in an `amp-state` with this id, which is rendered by
+ * `SearchResultsProvider`.  Filters and sort are applied by submitting a `GET` form to the current page,
+ * which produces the same URLs as `SearchResultsProvider` does outside of AMP.
+ */
+export const AMP_SEARCH_STATE = 'rsfSearchState'
+
+// Query parameters that are set by the filter and sort forms rather than copied from the current URL
+const CONTROLLED_PARAMS = ['filters', 'sort', 'page', 'more']
+
+/**
+ * Returns the initial value of the AMP search state.  The selected range of each facet with `ui: 'range'` is
+ * kept in `ranges` so that one end of the range can be changed without losing the other.
+ * @param {Object} pageData The search results state
+ * @return {Object}
+ */
+export function getAmpSearchState({ filters = [], sort, facets = [] } = {}) {
+  const ranges = {}
+
+  for (let group of facets) {
+    if (group.ui === 'range') {
+      ranges[group.code] = getSelectedRange(filters, group)
+    }
+  }
+
+  return { filters, sort, ranges }
+}
+
+/**
+ * Quotes a value for use in an amp-bind expression
+ * @param {String} value
+ * @return {String}
+ */
+export function quote(value) {
+  return JSON.stringify(String(value))
+}
+
+/**
+ * Returns an amp-bind expression that is `true` when the filter with the specified code is selected
+ * @param {String} code The code of a facet option
+ * @return {String}
+ */
+export function isSelectedExpression(code) {
+  return `${AMP_SEARCH_STATE}.filters.indexOf(${quote(code)}) != -1`
+}
+
+/**
+ * Returns an AMP action that selects or deselects a filter
+ * @param {String} code The code of a facet option
+ * @return {String}
+ */
+export function toggleFilterAction(code) {
+  const filters = `${AMP_SEARCH_STATE}.filters`
+  const value = quote(code)
+
+  return (
+    `AMP.setState({ ${AMP_SEARCH_STATE}: { filters: ${filters}.indexOf(${value}) == -1 ` +
+    `? ${filters}.concat([${value}]) : ${filters}.filter(f => f != ${value}) } })`
+  )
+}
+
+/**
+ * Returns an AMP action that sets one end of the selected range of a facet with `ui: 'range'` to the value of
+ * the input that triggered the action
+ * @param {String} code The code of the range facet
+ * @param {Number} index `0` for the min value or `1` for the max value
+ * @return {String}
+ */
+export function setRangeAction(code, index) {
+  const value = quote(code)
+  const current = `${AMP_SEARCH_STATE}.ranges[${value}]`
+  const [min, max] =
+    index === 0 ? ['event.value', `${current}[1]`] : [`${current}[0]`, 'event.value']
+  const range = `[${min}, ${max}]`
+  const filter = `${value} + ':' + ${min} + '-' + ${max}`
+
+  return (
+    `AMP.setState({ ${AMP_SEARCH_STATE}: { ranges: { ${value}: ${range} }, ` +
+    `filters: ${AMP_SEARCH_STATE}.filters.filter(f => f.indexOf(${quote(code + ':')}) != 0)` +
+    `.concat([${filter}]) } })`
+  )
+}
+
+/**
+ * An AMP action that deselects all filters
+ */
+export const CLEAR_FILTERS_ACTION = `AMP.setState({ ${AMP_SEARCH_STATE}: { filters: [] } })`
+
+// amp-bind has no JSON.stringify, so backslashes and quotes in filter codes are escaped by hand
+const ESCAPED_FILTER = [
+  ['\\', '\\\\'],
+  ['"', '\\"'],
+].reduce((expr, [from, to]) => `${expr}.split(${quote(from)}).join(${quote(to)})`, 'f')
+
+/**
+ * An amp-bind expression for the value of the `filters` query parameter: the selected filters as a JSON array,
+ * or an empty string when no filters are selected.
+ */
+export const FILTERS_PARAM_EXPRESSION =
+  `${AMP_SEARCH_STATE}.filters.length ? ` +
+  `'[' + ${AMP_SEARCH_STATE}.filters.map(f => '"' + ${ESCAPED_FILTER} + '"').join(',') + ']' : ''`
+
+/**
+ * Returns the value of the `filters` query parameter for a list of filters
+ * @param {String[]} filters
+ * @return {String}
+ */
+export function getFiltersParam(filters = []) {
+  return filters.length ? JSON.stringify(filters) : ''
+}
+
+/**
+ * Splits a URL into the action and hidden fields of a `GET` form that submits to the same page.  The
+ * parameters that are set by the filter and sort forms are omitted.
+ * @param {String} asPath The current URL, for example `useRouter().asPath`
+ * @return {Object} An object with `action`, the path, and `params`, the other query parameters
+ */
+export function getFormTarget(asPath = '') {
+  const [action, search = ''] = asPath.split('#')[0].split('?')
+  const params = qs.parse(search)
+
+  for (let name of Object.keys(params)) {
+    if (CONTROLLED_PARAMS.includes(name) || typeof params[name] !== 'string') {
+      delete params[name]
+    }
+  }
+
+  return { action, params }
+}
+
+/**
+ * Returns the URL of a page of search results
+ * @param {String} asPath The current URL, for example `useRouter().asPath`
+ * @param {Number} page The zero-based page number
+ * @return {String}
+ */
+export function getPageURL(asPath = '', page) {
+  const [path, search = ''] = asPath.split('#')[0].split('?')
+  const { more, ...query } = qs.parse(search)
+
+  if (page > 0) {
+    query.page = page
+  } else {
+    delete query.page
+  }
+
+  return path + qs.stringify(query, { addQueryPrefix: true })
+}
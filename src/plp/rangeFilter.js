@@ -0,0 +1,120 @@
+import qs from 'qs'
+import { price } from '../utils/format'
+
+/**
+ * Helpers for facets with `ui: 'range'`.  A range facet has a `code`, such as `price`, and `min` and `max` bounds.
+ * The selected range is stored in the `filters` of `SearchResultsProvider` like any other filter, as a code in the
+ * form `{code}:{min}-{max}`, for example `price:10-50`, so it is kept in the URL and sent to the connector with the
+ * other filters.  Either end of the range may be omitted, for example `price:75-`.
+ */
+
+/**
+ * Returns the filter code for a range
+ * @param {String} code The code of the range facet
+ * @param {Number[]} range The min and max values
+ * @return {String}
+ */
+export function getRangeFilter(code, [min, max]) {
+  return `${code}:${min == null ? '' : min}-${max == null ? '' : max}`
+}
+
+/**
+ * Parses a range filter code
+ * @param {String} filter A filter code, like `price:10-50`
+ * @return {Object} An object with `code`, `min` and `max`, or `null` if the filter is not a range.  `min` and
+ *  `max` are `null` when that end of the range is open.
+ */
+export function parseRangeFilter(filter) {
+  const match = /^([^:]+):(-?[\d.]*)-(-?[\d.]*)$/.exec(filter)
+
+  if (!match) return null
+
+  const [, code, min, max] = match
+  const toNumber = value => (value === '' ? null : parseFloat(value))
+
+  return { code, min: toNumber(min), max: toNumber(max) }
+}
+
+/**
+ * Returns the range selected for a facet, or the bounds of the facet when no range is selected
+ * @param {String[]} filters The selected filters
+ * @param {Object} group The range facet
+ * @return {Number[]} The min and max values
+ */
+export function getSelectedRange(filters = [], group) {
+  for (let filter of filters) {
+    const range = parseRangeFilter(filter)
+
+    if (range && range.code === group.code) {
+      return [
+        range.min == null ? group.min : Math.max(range.min, group.min),
+        range.max == null ? group.max : Math.min(range.max, group.max),
+      ]
+    }
+  }
+
+  return [group.min, group.max]
+}
+
+/**
+ * Returns `true` if a range is selected for a facet
+ * @param {String[]} filters The selected filters
+ * @param {Object} group The range facet
+ * @return {Boolean}
+ */
+export function isRangeSelected(filters = [], group) {
+  return filters.some(filter => isFilterForGroup(filter, group))
+}
+
+/**
+ * Returns the filters with the range for a facet replaced.  The range filter is removed when the range covers
+ * all values of the facet.
+ * @param {String[]} filters The selected filters
+ * @param {Object} group The range facet
+ * @param {Number[]} range The min and max values
+ * @return {String[]}
+ */
+export function setRangeFilter(filters = [], group, [min, max]) {
+  const others = filters.filter(filter => !isFilterForGroup(filter, group))
+
+  if (min <= group.min && max >= group.max) {
+    return others
+  }
+
+  return [...others, getRangeFilter(group.code, [min, max])]
+}
+
+/**
+ * Returns the URL of the current page with different filters applied.  Used for links that change filters without
+ * JavaScript.
+ * @param {String} asPath The current URL, for example `useRouter().asPath`
+ * @param {String[]} filters The filters
+ * @return {String}
+ */
+export function getFiltersURL(asPath = '', filters) {
+  const [path, search = ''] = asPath.split('#')[0].split('?')
+  const { page, more, ...query } = qs.parse(search)
+
+  if (filters.length) {
+    query.filters = JSON.stringify(filters)
+  } else {
+    delete query.filters
+  }
+
+  return path + qs.stringify(query, { addQueryPrefix: true })
+}
+
+/**
+ * Formats a value of a range facet for display.  Values are formatted as prices when the facet has a `currency`.
+ * @param {Object} group The range facet
+ * @param {Number} value
+ * @return {String}
+ */
+export function formatRangeValue(group, value) {
+  return group.currency ? price(value, { currency: group.currency, decimals: 0 }) : String(value)
+}
+
+function isFilterForGroup(filter, group) {
+  const range = parseRangeFilter(filter)
+  return range != null && range.code === group.code
+}
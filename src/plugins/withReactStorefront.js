@@ -7,13 +7,38 @@ const withServiceWorker = require('./withServiceWorker')
  * @param options
  * @param options.prefetchQueryParam If specified, this parameter will be added to the query string of all prefetch requests.
  * @param options.connector The connector package to use.  By default React Storefront's mock connector will be used.
+ * @param options.validateConnector Set to `true` to check that the connector implements the connector spec and that the data it returns
+ *  matches the spec's schemas.  Problems are logged as warnings with a diff of the expected and received values.  Defaults to `true` in development.
+ * @param options.locales The locales that the app supports, for example `['en', 'fr']`.  Pages for each locale other than the default
+ *  locale are served with the locale as a prefix, for example `/fr/p/1`.
+ * @param options.defaultLocale The locale of pages that are not prefixed.  Defaults to the first locale.
+ * @param options.sitemap Set to `true` to serve `/sitemap.xml` and its shards from `pages/api/sitemap.js`, and `/robots.txt`
+ *  from `pages/api/robots.js`.  See `react-storefront/server/createSitemapHandler` and `react-storefront/server/createRobotsHandler`.
  */
 module.exports = ({
   prefetchQueryParam,
   connector = 'react-storefront/mock-connector',
+  validateConnector = process.env.NODE_ENV === 'development',
+  locales = [],
+  defaultLocale = locales[0],
+  sitemap = false,
   ...nextConfig
 } = {}) => {
   const usePreact = process.env.preact === 'true'
+  const rewrites = []
+
+  if (sitemap) {
+    rewrites.push(...SITEMAP_REWRITES)
+  }
+
+  // next's i18n config is not used.  See react-storefront/locale/localeRouting for the reason.
+  if (locales.length > 1) {
+    rewrites.push(createLocaleRewrite(locales, defaultLocale))
+  }
+
+  if (rewrites.length) {
+    nextConfig.rewrites = withRewrites(rewrites, nextConfig.rewrites)
+  }
 
   nextConfig.serverRuntimeConfig = {
     ...nextConfig.serverRuntimeConfig,
@@ -40,9 +65,17 @@ module.exports = ({
       if (options.isServer) {
         console.log(`> Using connector ${connector}`)
 
-        config.resolve.alias = {
-          ...config.resolve.alias,
-          'react-storefront-connector': connector,
+        if (validateConnector) {
+          config.resolve.alias = {
+            ...config.resolve.alias,
+            'react-storefront-connector': 'react-storefront/connector/validatingConnector',
+            'react-storefront-connector-impl': connector,
+          }
+        } else {
+          config.resolve.alias = {
+            ...config.resolve.alias,
+            'react-storefront-connector': connector,
+          }
         }
       }
 
@@ -51,6 +84,8 @@ module.exports = ({
           'process.env.RSF_PREFETCH_QUERY_PARAM': JSON.stringify(prefetchQueryParam),
           'process.env.SERVICE_WORKER': JSON.stringify(process.env.SERVICE_WORKER),
           'process.env.FIREBASE_CONFIG': JSON.stringify(process.env.FIREBASE_CONFIG),
+          'process.env.RSF_LOCALES': JSON.stringify(locales.join(',')),
+          'process.env.RSF_DEFAULT_LOCALE': JSON.stringify(defaultLocale || ''),
         }),
       )
 
@@ -100,3 +135,37 @@ module.exports = ({
     },
   })
 }
+
+/**
+ * Serves the sitemap and robots.txt from api routes
+ */
+const SITEMAP_REWRITES = [
+  { source: '/sitemap.xml', destination: '/api/sitemap' },
+  { source: '/sitemap-:shard(\\d+).xml', destination: '/api/sitemap?shard=:shard' },
+  { source: '/robots.txt', destination: '/api/robots' },
+]
+
+/**
+ * Creates a rewrite that serves locale-prefixed URLs, like `/fr/p/1`, from the page for the unprefixed URL.
+ * @param {String[]} locales
+ * @param {String} defaultLocale
+ * @return {Object}
+ */
+function createLocaleRewrite(locales, defaultLocale) {
+  const prefixes = locales.filter(locale => locale !== defaultLocale)
+
+  return {
+    source: `/:locale(${prefixes.join('|')})/:path*`,
+    destination: '/:path*',
+  }
+}
+
+/**
+ * Adds rewrites before the app's own rewrites
+ * @param {Object[]} rewrites
+ * @param {Function} appRewrites The app's own rewrites
+ * @return {Function}
+ */
+function withRewrites(rewrites, appRewrites) {
+  return async () => [...rewrites, ...(appRewrites ? await appRewrites() : [])]
+}
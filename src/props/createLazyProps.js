@@ -1,3 +1,6 @@
+import Router from 'next/router'
+import { parseLocale, getCurrentLocale, localizePath } from '../locale/localeRouting'
+
 /**
  * Creates a function for next's `getInitialProps` that returns "lazy" props after a maximum `timeout` that
  * defaults to 50ms. This function should be used in conjunction with `hooks/useLazyState` in the component
@@ -43,6 +46,11 @@
  * }, { timeout: 50 })
  * ```
  *
+ * When the fetched data has a `redirect` with `href` and `as`, as returned by connectors for search queries that
+ * go straight to a page (see `react-storefront/connector/withSearchRules`), the user is sent to that page instead.
+ * On the server, a 302 response is sent.  On the client, the current history entry is replaced.  The redirect's `as`
+ * is prefixed with the locale of the current page, as it is by `Link`.
+ *
  * @param {Function} fetchCallback A function to use to create the URL
  * @param {Object} options
  * @param {Object} options.timeout The max duration to wait before resolving so that the page
@@ -51,9 +59,12 @@
  */
 export default function createLazyProps(fetchCallback, { timeout = 100 } = {}) {
   return (options /* from getInitialProps */) => {
+    const fetch = () =>
+      Promise.resolve(fetchCallback(options)).then(result => followRedirect(result, options))
+
     if (typeof window === 'undefined') {
       // server
-      return fetchCallback(options)
+      return fetch()
     } else {
       // client
       const { rsf } = window.history.state
@@ -66,7 +77,7 @@ export default function createLazyProps(fetchCallback, { timeout = 100 } = {}) {
         }
       } else {
         return new Promise((resolve, reject) => {
-          const fetchPromise = fetchCallback(options)
+          const fetchPromise = fetch()
 
           setTimeout(() => {
             resolve({ lazy: fetchPromise })
@@ -84,3 +95,27 @@ export default function createLazyProps(fetchCallback, { timeout = 100 } = {}) {
     }
   }
 }
+
+/**
+ * Sends the user to the page in the `redirect` of the fetched data, if any
+ * @param {Object} result The data returned by `fetchCallback`
+ * @param {Object} options The options object provided to `getInitialProps`
+ * @return {Object} The result
+ */
+function followRedirect(result, { res, asPath }) {
+  const { redirect } = result || {}
+
+  if (redirect) {
+    const locale = parseLocale(asPath).locale || getCurrentLocale()
+    const as = localizePath(redirect.as || redirect.href, locale)
+
+    if (res) {
+      res.writeHead(302, { Location: as })
+      res.end()
+    } else {
+      Router.replace(redirect.href, as)
+    }
+  }
+
+  return result
+}
@@ -1,19 +1,66 @@
+import { getServerCache } from '../server/serverCache'
+import { VERSION_PARAM } from '../api/addVersion'
+import { LOCALE_PARAM } from '../locale/localeRouting'
+
+/**
+ * The query params that are not part of the cache key for page data
+ */
+const IGNORED_PARAMS = ['_includeAppData', VERSION_PARAM]
+
 /**
  * Creates an API response that contains app level data only when `?_includeAppData=1` is present in
  * the query string. Otherwise, the `appData` promise provided will not be resolved.
  *
+ * When the `cache` option is provided, `appData` and `pageData` are stored in the server cache (see
+ * `react-storefront/server/serverCache`) and reused by later requests.  Since `appData` is the same
+ * for every page, it is cached once for each locale under the `appData` tag.  Page data is cached per
+ * URL, with the surrogate tags returned by `cache.tags`, so that it can be purged when the catalog changes:
+ *
+ * ```js
+ * return fulfillAPIRequest(req, {
+ *   appData: createAppData,
+ *   pageData: () => getProduct(id),
+ *   cache: {
+ *     maxAgeSeconds: 60 * 60,
+ *     tags: pageData => [`product:${pageData.product.id}`],
+ *   },
+ * })
+ * ```
+ *
  * @param {Request} req The request being served
  * @param {Object} options
  * @param {Function} options.appData An async function that returns a data for shared component in
  * the app such as menu, nav, and footer
  * @param {Function} options.pageData An async function that return data for the page component
+ * @param {Boolean|Object} options.cache Set to `true` or an object to cache results on the server
+ * @param {Number} options.cache.maxAgeSeconds The time to live for cached page data. Defaults to no expiration.
+ * @param {Number} options.cache.appDataMaxAgeSeconds The time to live for cached app data. Defaults to no expiration.
+ * @param {String[]|Function} options.cache.tags Surrogate tags for the page data, or a function that is passed
+ *  the page data and request and returns the tags
  * @return {Object} the result of `appData` and `pageData` merged into a single object.
  */
-export default async function fulfillAPIRequest(req, { appData, pageData }) {
-  const promises = [pageData(req).then(pageData => ({ pageData }))]
+export default async function fulfillAPIRequest(req, { appData, pageData, cache }) {
+  const cacheOptions = cache === true ? {} : cache
+
+  const promises = [
+    withCache(
+      cacheOptions && getPageDataCacheKey(req),
+      result => ({
+        tags: getPageDataTags(cacheOptions, result, req),
+        maxAgeSeconds: cacheOptions.maxAgeSeconds,
+      }),
+      () => pageData(req),
+    ).then(pageData => ({ pageData })),
+  ]
 
   if (req.query._includeAppData === '1') {
-    promises.push(appData(req).then(appData => ({ appData })))
+    promises.push(
+      withCache(
+        cacheOptions && getAppDataCacheKey(req),
+        () => ({ tags: ['appData'], maxAgeSeconds: cacheOptions.appDataMaxAgeSeconds }),
+        () => appData(req),
+      ).then(appData => ({ appData })),
+    )
   }
 
   const results = await Promise.all(promises)
@@ -25,3 +72,65 @@ export default async function fulfillAPIRequest(req, { appData, pageData }) {
 
   return data
 }
+
+/**
+ * Returns the cached value for the specified key, or calls `fetch` and caches the result.
+ * @param {String} key The cache key. If empty, the result is not cached.
+ * @param {Function} getOptions A function that is passed the result and returns the options for `cache.set`
+ * @param {Function} fetch An async function that returns the value
+ * @return {Promise}
+ */
+async function withCache(key, getOptions, fetch) {
+  if (!key) return fetch()
+
+  const cache = getServerCache()
+  const cached = await cache.get(key)
+
+  if (cached !== undefined) {
+    return cached
+  }
+
+  const result = await fetch()
+  await cache.set(key, result, getOptions(result))
+  return result
+}
+
+/**
+ * Returns the surrogate tags for the specified page data.
+ * @param {Object} cache The cache option passed to `fulfillAPIRequest`
+ * @param {Object} pageData
+ * @param {Request} req
+ * @return {String[]}
+ */
+function getPageDataTags({ tags = [] }, pageData, req) {
+  return typeof tags === 'function' ? tags(pageData, req) : tags
+}
+
+/**
+ * Returns the cache key for the page data for the specified request.  This is the request path and
+ * query string, without params that do not affect the page data.
+ * @param {Request} req
+ * @return {String}
+ */
+function getPageDataCacheKey(req) {
+  const url = new URL(req.url || '/', 'http://throwaway.api')
+
+  for (let param of IGNORED_PARAMS) {
+    url.searchParams.delete(param)
+  }
+
+  url.searchParams.sort()
+
+  return `pageData:${url.pathname}${url.search}`
+}
+
+/**
+ * Returns the cache key for the app data for the specified request.  App data is cached separately for
+ * each locale passed to the api.
+ * @param {Request} req
+ * @return {String}
+ */
+function getAppDataCacheKey(req) {
+  const locale = (req.query || {})[LOCALE_PARAM]
+  return locale ? `appData:${locale}` : 'appData'
+}
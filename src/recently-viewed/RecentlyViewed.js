@@ -0,0 +1,213 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import clsx from 'clsx'
+import { makeStyles } from '@material-ui/core/styles'
+import { Typography } from '@material-ui/core'
+import useRecentlyViewed from './useRecentlyViewed'
+import ResponsiveTiles from '../ResponsiveTiles'
+import Carousel from '../carousel/Carousel'
+import ForwardThumbnail from '../ForwardThumbnail'
+import Image from '../Image'
+import Link from '../link/Link'
+import Price from '../Price'
+import useLocale from '../locale/useLocale'
+
+export const styles = theme => ({
+  /**
+   * Styles applied to the root element.
+   */
+  root: {
+    margin: theme.spacing(2, 0),
+  },
+  /**
+   * Styles applied to the title.
+   */
+  title: {
+    marginBottom: theme.spacing(1),
+  },
+  /**
+   * Styles applied to each slide when `variant` is `carousel`.
+   */
+  slide: {
+    display: 'flex',
+    '& > *': {
+      flex: 1,
+      minWidth: 0,
+      padding: theme.spacing(0, 0.5),
+    },
+  },
+  /**
+   * Styles applied to the link around each product.
+   */
+  link: {
+    display: 'block',
+    color: 'inherit',
+    textDecoration: 'none',
+  },
+  /**
+   * Styles applied to the name of each product.
+   */
+  name: {
+    marginTop: theme.spacing(0.5),
+  },
+})
+
+const useStyles = makeStyles(styles, { name: 'RSFRecentlyViewed' })
+
+/**
+ * Displays the products that the user has recently viewed, as recorded by
+ * [`useTrackRecentlyViewed`](/apiReference/recently-viewed/useTrackRecentlyViewed).  Each product links to
+ * its product page and passes the saved product data as `pageData`, so the product page can render its name,
+ * price and thumbnail while the rest of the data is fetched.  Nothing is rendered when there are no products.
+ *
+ * ```js
+ * <RecentlyViewed exclude={product.id} variant="carousel" />
+ * ```
+ */
+export default function RecentlyViewed({
+  classes,
+  className,
+  title,
+  exclude,
+  maxItems,
+  storageKey,
+  variant,
+  cols,
+  slideSize,
+  href,
+  renderItem,
+}) {
+  classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
+  const items = useRecentlyViewed({ exclude, maxItems, storageKey })
+
+  if (items.length === 0) return null
+
+  const renderProduct =
+    renderItem ||
+    (item => (
+      <ForwardThumbnail key={item.id}>
+        <Link href={href} as={item.url} pageData={{ product: item }}>
+          <a className={classes.link}>
+            {item.thumbnail && (
+              <Image
+                src={item.thumbnail.src}
+                alt={item.thumbnail.alt || item.name}
+                aspectRatio={100}
+                contain
+              />
+            )}
+            <Typography className={classes.name} variant="body2">
+              {item.name}
+            </Typography>
+            {item.price != null && (
+              <Typography variant="subtitle2">
+                <Price value={item.price} currency={item.currency} />
+              </Typography>
+            )}
+          </a>
+        </Link>
+      </ForwardThumbnail>
+    ))
+
+  return (
+    <div className={clsx(classes.root, className)}>
+      <Typography className={classes.title} variant="h6" component="h3">
+        {title || formatMessage('RecentlyViewed.title')}
+      </Typography>
+      {variant === 'carousel' ? (
+        <Carousel indicators={false}>
+          {chunk(items, slideSize).map((slide, i) => (
+            <div key={i} className={classes.slide}>
+              {slide.map(item => (
+                <div key={item.id}>{renderProduct(item)}</div>
+              ))}
+              {/* keeps the products on the last slide the same width as on the others */}
+              {Array.from({ length: slideSize - slide.length }, (value, i) => (
+                <div key={`empty-${i}`} />
+              ))}
+            </div>
+          ))}
+        </Carousel>
+      ) : (
+        <ResponsiveTiles cols={cols}>{items.map(renderProduct)}</ResponsiveTiles>
+      )}
+    </div>
+  )
+}
+
+function chunk(items, size) {
+  const chunks = []
+
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size))
+  }
+
+  return chunks
+}
+
+RecentlyViewed.propTypes = {
+  /**
+   * Override or extend the styles applied to the component. See [CSS API](#css) below for more details.
+   */
+  classes: PropTypes.object,
+
+  /**
+   * A CSS class to apply to the root element.
+   */
+  className: PropTypes.string,
+
+  /**
+   * The title displayed above the products.  Defaults to the `RecentlyViewed.title` message.
+   */
+  title: PropTypes.node,
+
+  /**
+   * The id of a product to leave out, typically the product being viewed.
+   */
+  exclude: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+
+  /**
+   * The maximum number of products to display.
+   */
+  maxItems: PropTypes.number,
+
+  /**
+   * The local storage key that products are recorded under.  Must match the `storageKey` passed to
+   * `useTrackRecentlyViewed`.
+   */
+  storageKey: PropTypes.string,
+
+  /**
+   * Set to `carousel` to display the products in a [`Carousel`](/apiReference/carousel/Carousel) or
+   * `tiles` to display them in [`ResponsiveTiles`](/apiReference/ResponsiveTiles).
+   */
+  variant: PropTypes.oneOf(['tiles', 'carousel']),
+
+  /**
+   * The number of columns at each breakpoint when `variant` is `tiles`.  See `ResponsiveTiles`.
+   */
+  cols: PropTypes.object,
+
+  /**
+   * The number of products in each slide when `variant` is `carousel`.
+   */
+  slideSize: PropTypes.number,
+
+  /**
+   * The next.js route pattern for the product page.
+   */
+  href: PropTypes.string,
+
+  /**
+   * Overrides the default rendering of each product.  Called with the saved product data.
+   */
+  renderItem: PropTypes.func,
+}
+
+RecentlyViewed.defaultProps = {
+  maxItems: 10,
+  variant: 'tiles',
+  slideSize: 3,
+  href: '/p/[productId]',
+}
@@ -0,0 +1,54 @@
+import { readLocalStorage, writeLocalStorage } from '../utils/localStorage'
+
+/**
+ * Saves the products that the user has viewed in local storage.  Used by
+ * [`useTrackRecentlyViewed`](/apiReference/recently-viewed/useTrackRecentlyViewed) and
+ * [`useRecentlyViewed`](/apiReference/recently-viewed/useRecentlyViewed).
+ */
+export const DEFAULT_STORAGE_KEY = 'rsf_recently_viewed'
+export const DEFAULT_MAX_ITEMS = 12
+
+// Dispatched on window when a product is recorded so that lists that are already mounted are updated
+export const RECENTLY_VIEWED_CHANGED = 'rsf-recently-viewed-changed'
+
+/**
+ * Returns the recently viewed products, most recent first
+ * @param {String} storageKey The local storage key
+ * @return {Object[]}
+ */
+export function getRecentlyViewed(storageKey = DEFAULT_STORAGE_KEY) {
+  const items = readLocalStorage(storageKey, [])
+  return Array.isArray(items) ? items : []
+}
+
+/**
+ * Moves a product to the start of the recently viewed products, removing the oldest products when there
+ * are more than `maxItems`.
+ * @param {Object} product The product data
+ * @param {Object} options
+ * @param {String} options.storageKey The local storage key
+ * @param {Number} options.maxItems The maximum number of products to keep
+ * @return {Object[]} The updated list of products
+ */
+export function addRecentlyViewed(
+  product,
+  { storageKey = DEFAULT_STORAGE_KEY, maxItems = DEFAULT_MAX_ITEMS } = {},
+) {
+  const items = [
+    toItem(product),
+    ...getRecentlyViewed(storageKey).filter(item => String(item.id) !== String(product.id)),
+  ].slice(0, maxItems)
+
+  if (writeLocalStorage(storageKey, items)) {
+    window.dispatchEvent(new CustomEvent(RECENTLY_VIEWED_CHANGED, { detail: { storageKey } }))
+  }
+
+  return items
+}
+
+/**
+ * Only the product data needed to display the list and the skeleton of the PDP is saved
+ */
+function toItem({ id, name, url, price, priceText, currency, rating, thumbnail }) {
+  return { id, name, url, price, priceText, currency, rating, thumbnail }
+}
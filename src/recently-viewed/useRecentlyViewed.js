@@ -0,0 +1,40 @@
+import { useEffect, useState } from 'react'
+import {
+  getRecentlyViewed,
+  DEFAULT_STORAGE_KEY,
+  RECENTLY_VIEWED_CHANGED,
+} from './recentlyViewedStore'
+
+/**
+ * Returns the products that the user has recently viewed, most recent first.  The list is empty until
+ * after the component mounts, since it is only known in the browser.
+ *
+ * ```js
+ * const items = useRecentlyViewed({ exclude: product.id })
+ * ```
+ *
+ * @param {Object} options
+ * @param {String} options.exclude The id of a product to leave out, typically the product being viewed
+ * @param {Number} options.maxItems The maximum number of products to return
+ * @param {String} options.storageKey The local storage key.  Defaults to `rsf_recently_viewed`.
+ * @return {Object[]}
+ */
+export default function useRecentlyViewed({
+  exclude,
+  maxItems,
+  storageKey = DEFAULT_STORAGE_KEY,
+} = {}) {
+  const [items, setItems] = useState([])
+
+  useEffect(() => {
+    const update = () => setItems(getRecentlyViewed(storageKey))
+    const onChange = ({ detail = {} }) => detail.storageKey === storageKey && update()
+
+    update()
+    window.addEventListener(RECENTLY_VIEWED_CHANGED, onChange)
+    return () => window.removeEventListener(RECENTLY_VIEWED_CHANGED, onChange)
+  }, [storageKey])
+
+  const result = items.filter(item => exclude == null || String(item.id) !== String(exclude))
+  return maxItems == null ? result : result.slice(0, maxItems)
+}
@@ -0,0 +1,29 @@
+import { useEffect } from 'react'
+import get from 'lodash/get'
+import { addRecentlyViewed } from './recentlyViewedStore'
+
+/**
+ * Records a visit to a product page in the user's recently viewed products.  Pass the state returned by
+ * [`useLazyState`](/apiReference/hooks/useLazyState).  The product is recorded once the page data has
+ * loaded and contains a `product`, so the partial data passed from a `Link` via `pageData` is never saved.
+ *
+ * ```js
+ * const [state] = useLazyState(lazyProps)
+ * useTrackRecentlyViewed(state)
+ * ```
+ *
+ * @param {Object} state The page state returned by `useLazyState`
+ * @param {Object} options
+ * @param {String} options.storageKey The local storage key.  Defaults to `rsf_recently_viewed`.
+ * @param {Number} options.maxItems The maximum number of products to keep.  Defaults to 12.
+ */
+export default function useTrackRecentlyViewed(state, options) {
+  const product = get(state, 'pageData.product')
+  const ready = !get(state, 'loading') && product && product.id != null
+
+  useEffect(() => {
+    if (ready) {
+      addRecentlyViewed(product, options)
+    }
+  }, [ready, ready && product.id])
+}
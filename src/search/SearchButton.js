@@ -3,6 +3,7 @@ import React from 'react'
 import { IconButton } from '@material-ui/core'
 import { Search } from '@material-ui/icons'
 import { makeStyles } from '@material-ui/core/styles'
+import useLocale from '../locale/useLocale'
 
 export const styles = theme => ({
   /**
@@ -26,9 +27,15 @@ const useStyles = makeStyles(styles, { name: 'RSFSearchButton' })
  */
 export default function SearchButton({ children, classes, ...other }) {
   classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
 
   return (
-    <IconButton aria-label="Search" color="inherit" classes={{ label: classes.large }} {...other}>
+    <IconButton
+      aria-label={formatMessage('SearchButton.label')}
+      color="inherit"
+      classes={{ label: classes.large }}
+      {...other}
+    >
       {children || <Search className={classes.icon} />}
     </IconButton>
   )
@@ -1,4 +1,4 @@
-import React, { useRef, forwardRef } from 'react'
+import React, { useRef, forwardRef, useContext } from 'react'
 import { makeStyles, fade } from '@material-ui/core/styles'
 import PropTypes from 'prop-types'
 import { IconButton } from '@material-ui/core'
@@ -6,6 +6,8 @@ import ClearIcon from '@material-ui/icons/Clear'
 import SearchSubmitButton from './SearchSubmitButton'
 import { Fab, Button } from '@material-ui/core'
 import clsx from 'clsx'
+import useLocale from '../locale/useLocale'
+import SearchContext from './SearchContext'
 
 export const styles = theme => ({
   /**
@@ -86,11 +88,17 @@ const useStyles = makeStyles(styles, { name: 'RSFSearchField' })
 /**
  * A search text field. Additional props are spread to the underlying
  * [Input](https://material-ui.com/api/input/).
+ *
+ * When rendered inside a [`SearchProvider`](/apiReference/search/SearchProvider), the input is a
+ * [WAI-ARIA combobox](https://www.w3.org/TR/wai-aria-practices-1.1/#combobox) that controls the suggestions:
+ * the up and down arrow keys move the active suggestion, Enter follows the active suggestion's link and Escape
+ * closes the suggestions, or clears the text when they are already closed.
  */
 const SearchField = forwardRef(
   (
     {
       ariaLabel,
+      placeholder,
       classes,
       onChange,
       submitButtonVariant,
@@ -102,13 +110,17 @@ const SearchField = forwardRef(
       value,
       onFocus,
       submitButtonProps,
+      onKeyDown,
       ...others
     },
     ref,
   ) => {
     classes = useStyles({ classes })
+    const { formatMessage } = useLocale()
     const inputRef = ref || useRef(null)
     const empty = value.trim().length === 0
+    const search = useContext(SearchContext)
+    const combobox = search && search.listboxId ? search : null
 
     const handleInputFocus = () => {
       if (onFocus) {
@@ -122,16 +134,42 @@ const SearchField = forwardRef(
       onChange('')
     }
 
+    const handleKeyDown = e => {
+      if (onKeyDown) {
+        onKeyDown(e)
+      }
+
+      if (combobox && !e.defaultPrevented) {
+        handleComboboxKey(e, combobox, () => onChange(''))
+      }
+    }
+
+    const comboboxProps = combobox
+      ? {
+          role: 'combobox',
+          'aria-autocomplete': 'list',
+          'aria-expanded': Boolean(combobox.active) && combobox.suggestions.length > 0,
+          'aria-controls': combobox.listboxId,
+          'aria-activedescendant':
+            combobox.activeIndex >= 0 ? combobox.getOptionId(combobox.activeIndex) : undefined,
+        }
+      : null
+
     return (
       <div className={classes.root} data-empty={value.trim().length === 0 ? 'on' : 'off'}>
         <div className={classes.inputWrap}>
           <input
             {...others}
-            aria-label={ariaLabel}
+            aria-label={ariaLabel || formatMessage('SearchField.label')}
+            placeholder={
+              placeholder == null ? formatMessage('SearchField.placeholder') : placeholder
+            }
             type="text"
             value={value}
             onChange={e => onChange(e.target.value)}
             onFocus={handleInputFocus}
+            onKeyDown={handleKeyDown}
+            {...comboboxProps}
             ref={inputRef}
             className={clsx(classes.input, showClearButton && classes.inputClearIcon)}
             {...inputProps}
@@ -179,11 +217,61 @@ const SearchField = forwardRef(
   },
 )
 
+/**
+ * Handles the keys of the WAI-ARIA combobox pattern
+ * @param {KeyboardEvent} e
+ * @param {Object} context The search context
+ * @param {Function} clear Clears the search text
+ */
+function handleComboboxKey(e, context, clear) {
+  const { suggestions, activeIndex, setActiveIndex, getOptionId, active, close } = context
+  const count = suggestions.length
+
+  switch (e.key) {
+    case 'ArrowDown':
+    case 'ArrowUp':
+      if (count === 0) return
+      e.preventDefault()
+      // moves through every group, wrapping around at either end
+      if (e.key === 'ArrowDown') {
+        setActiveIndex(activeIndex >= count - 1 ? 0 : activeIndex + 1)
+      } else {
+        setActiveIndex(activeIndex <= 0 ? count - 1 : activeIndex - 1)
+      }
+      break
+    case 'Enter': {
+      const option = activeIndex >= 0 && document.getElementById(getOptionId(activeIndex))
+      const link = option && option.querySelector('a')
+
+      if (link) {
+        // the link handles navigation so that pageData and prefetching work as they do on click
+        e.preventDefault()
+        link.click()
+      }
+      break
+    }
+    case 'Escape':
+      e.preventDefault()
+
+      if (active && close) {
+        setActiveIndex(-1)
+        close()
+      } else {
+        clear()
+      }
+      break
+  }
+}
+
 SearchField.propTypes = {
   /**
-   * Label for accessibility, defaults to search-text
+   * Label for accessibility.  Defaults to the `SearchField.label` message.
    */
   ariaLabel: PropTypes.string,
+  /**
+   * Placeholder text for the input.  Defaults to the `SearchField.placeholder` message.
+   */
+  placeholder: PropTypes.string,
   /**
    * Override or extend the styles applied to the component. See [CSS API](#css) below for more details.
    */
@@ -228,14 +316,17 @@ SearchField.propTypes = {
    * A function to call when input is focused.
    */
   onFocus: PropTypes.func,
+  /**
+   * A function to call when a key is pressed in the input.  Call `preventDefault` on the event to skip the
+   * keyboard navigation of suggestions.
+   */
+  onKeyDown: PropTypes.func,
 }
 
 SearchField.defaultProps = {
   SubmitButtonComponent: SearchSubmitButton,
   submitButtonVariant: 'fab',
   showClearButton: true,
-  placeholder: 'Search...',
-  ariaLabel: 'search-text',
   name: 'q',
   value: '',
 }
@@ -1,8 +1,10 @@
 import PropTypes from 'prop-types'
-import React, { useRef } from 'react'
+import React, { useContext, useRef } from 'react'
 import makeStyles from '@material-ui/core/styles/makeStyles'
 import { useRouter } from 'next/router'
 import qs from 'qs'
+import SearchContext from './SearchContext'
+import { addRecentSearch } from './recentSearchesStore'
 
 export const styles = theme => ({
   /**
@@ -18,13 +20,17 @@ export const styles = theme => ({
 const useStyles = makeStyles(styles, { name: 'RSFSearchForm' })
 
 /**
- * A form used to submit a search query.
+ * A form used to submit a search query.  The submitted `q` parameter is recorded as a recent search, which
+ * [`SearchProvider`](/apiReference/search/SearchProvider) displays when the query is empty.  When the form is
+ * rendered inside a `SearchProvider`, the search is saved under the provider's `recentSearchesStorageKey`, and
+ * queries whose suggestions have a `redirect` go straight to that page instead of the search results.
  */
 export default function SearchForm({ classes, children, action, autoComplete }) {
   classes = useStyles({ classes })
 
   const ref = useRef()
   const router = useRouter()
+  const search = useContext(SearchContext)
 
   const handleSubmit = async e => {
     e.preventDefault()
@@ -36,6 +42,17 @@ export default function SearchForm({ classes, children, action, autoComplete })
       query[name] = value
     }
 
+    if (query.q) {
+      search ? search.addRecentSearch(query.q) : addRecentSearch(query.q)
+    }
+
+    const redirect = search && query.q && search.getRedirect(query.q)
+
+    if (redirect) {
+      router.push(redirect.href, redirect.as || redirect.href)
+      return false
+    }
+
     const url = `${action}${action.includes('?') ? '&' : '?'}${qs.stringify(query)}`
     router.push(action.split(/\?/)[0], url)
     return false
@@ -1,13 +1,67 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo, useRef } from 'react'
 import PropTypes from 'prop-types'
 import SearchContext from './SearchContext'
 import _fetch from '../fetch'
 import useDebounce from '../utils/useDebounce'
 import { fetchLatest, StaleResponseError } from '../utils/fetchLatest'
 import getAPIURL from '../api/getAPIURL'
+import useLocale from '../locale/useLocale'
+import createSuggestionCache from './createSuggestionCache'
+import normalizeQuery from '../utils/normalizeQuery'
+import {
+  getRecentSearches,
+  addRecentSearch,
+  removeRecentSearch,
+  clearRecentSearches,
+  DEFAULT_STORAGE_KEY,
+  RECENT_SEARCHES_CHANGED,
+} from './recentSearchesStore'
 
 const fetch = fetchLatest(_fetch)
 
+// Used to give each provider a unique listbox id
+let lastListboxId = 0
+
+/**
+ * Fetches search suggestions for the `query` and provides them to the search components via `SearchContext`.
+ *
+ * Responses are kept in an in-memory cache (see
+ * [`createSuggestionCache`](/apiReference/search/createSuggestionCache)), so suggestions for a query the user has
+ * already seen are displayed instantly.  Cached suggestions that are older than `cacheTTL` seconds are revalidated
+ * in the background.  The server can override `cacheTTL` by returning `ttl`, in seconds, with the suggestions.
+ * When the server returns `complete: true`, the suggestions contain every match for the query, and are narrowed
+ * on the client for longer queries that start with it instead of being fetched again.
+ *
+ * The context also tracks the active suggestion for keyboard navigation using the
+ * [WAI-ARIA combobox pattern](https://www.w3.org/TR/wai-aria-practices-1.1/#combobox).  The links of all groups
+ * are numbered in order, so the arrow keys in [`SearchField`](/apiReference/search/SearchField) move the active
+ * suggestion from one group to the next.  The context has:
+ *
+ * - `suggestions` - The links of all groups
+ * - `activeIndex` - The index of the active suggestion in `suggestions`, or `-1` when no suggestion is active
+ * - `setActiveIndex(index)` - Sets the active suggestion
+ * - `listboxId` - The id of the element that contains the suggestions.  When the `listboxId` prop is not set,
+ *   this is `null` until the provider has mounted.
+ * - `getOptionId(index)` - Returns the id of the element for a suggestion
+ * - `active` - The `active` prop
+ * - `close` - The `onClose` prop
+ *
+ * When the query is empty, the queries that the user has submitted with
+ * [`SearchForm`](/apiReference/search/SearchForm) are shown in a "Recent Searches" group before the groups
+ * returned by the server, such as trending searches.  Recent searches are kept in local storage and are added
+ * to the groups in the same shape as the other groups, with an `onClear` function on the group and an
+ * `onRemove` function on each link.  Links in the other groups that repeat a recent search are left out.
+ * The context also has:
+ *
+ * - `recentSearches` - The recent searches, most recent first
+ * - `addRecentSearch(text)` - Records a search
+ * - `removeRecentSearch(text)` - Removes a search
+ * - `clearRecentSearches()` - Removes all searches
+ *
+ * When the suggestions for a query include a `redirect` with `href` and `as`, for example from a keyword redirect
+ * in [`withSearchRules`](/apiReference/connector/withSearchRules), `getRedirect(text)` returns it so that
+ * [`SearchForm`](/apiReference/search/SearchForm) can go straight to the page when the query is submitted.
+ */
 export default function SearchProvider({
   children,
   query,
@@ -15,31 +69,113 @@ export default function SearchProvider({
   active,
   minQueryLength,
   debounceTime,
+  listboxId,
+  onClose,
+  maxRecentSearches,
+  recentSearchesStorageKey,
+  cacheSize,
+  cacheTTL,
 }) {
+  const { formatMessage } = useLocale()
   const [state, setState] = useState({
     groups: initialGroups,
     loading: true,
   })
-
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const [recentSearches, setRecentSearches] = useState([])
+  const [defaultListboxId, setDefaultListboxId] = useState(null)
+  const cache = useMemo(() => createSuggestionCache({ maxEntries: cacheSize }), [cacheSize])
+  const latestQuery = useRef(null)
   const debouncedQuery = useDebounce(query, debounceTime)
 
+  // The default id is assigned after mounting so that the server-rendered markup matches the first render.
+  // Until then, SearchField does not render the combobox attributes.
+  useEffect(() => {
+    setDefaultListboxId(`rsf-search-suggestions-${++lastListboxId}`)
+  }, [])
+
+  listboxId = listboxId || defaultListboxId
+
+  useEffect(() => {
+    const update = () => setRecentSearches(getRecentSearches(recentSearchesStorageKey))
+    const onChange = ({ detail = {} }) => detail.storageKey === recentSearchesStorageKey && update()
+
+    update()
+    window.addEventListener(RECENT_SEARCHES_CHANGED, onChange)
+    return () => window.removeEventListener(RECENT_SEARCHES_CHANGED, onChange)
+  }, [recentSearchesStorageKey])
+
+  const recentSearchActions = {
+    addRecentSearch: text => addRecentSearch(text, { storageKey: recentSearchesStorageKey }),
+    removeRecentSearch: text => removeRecentSearch(text, recentSearchesStorageKey),
+    clearRecentSearches: () => clearRecentSearches(recentSearchesStorageKey),
+  }
+
+  const groups = useMemo(() => {
+    const links = recentSearches.slice(0, maxRecentSearches).map(text => ({
+      ...getSearchLink(text),
+      onRemove: () => recentSearchActions.removeRecentSearch(text),
+    }))
+
+    if ((debouncedQuery || '').trim() || !links.length) {
+      return state.groups
+    }
+
+    const recentGroup = {
+      caption: formatMessage('SearchProvider.recentSearches'),
+      ui: 'list',
+      links,
+      onClear: recentSearchActions.clearRecentSearches,
+    }
+
+    return [recentGroup, ...withoutLinks(state.groups, links)]
+  }, [state.groups, debouncedQuery, recentSearches, maxRecentSearches])
+
+  const suggestions = useMemo(() => getSuggestions(groups), [groups])
+
+  useEffect(() => {
+    setActiveIndex(-1)
+  }, [groups, active])
+
   const fetchSuggestions = async text => {
-    try {
+    const key = normalizeQuery(text)
+    const cached = cache.get(key)
+
+    latestQuery.current = key
+
+    if (cached) {
       setState(state => ({
         ...state,
-        loading: true,
+        loading: false,
+        groups: cached.groups,
       }))
 
-      const url = getAPIURL(`/suggestions?q=${encodeURIComponent(text.trim())}`)
-      const { groups } = await fetch(url, { credentials: 'include' }).then(res => res.json())
-
+      if (!cached.stale) return
+    } else {
       setState(state => ({
         ...state,
-        loading: false,
-        groups,
+        loading: true,
       }))
+    }
+
+    try {
+      const url = getAPIURL(`/suggestions?q=${encodeURIComponent(text.trim())}`)
+      const { groups, complete, redirect, ttl = cacheTTL } = await fetch(url, {
+        credentials: 'include',
+      }).then(res => res.json())
+
+      cache.set(key, { groups, complete, redirect }, { maxAgeSeconds: ttl })
+
+      // a cached query may have been displayed while this request was in flight
+      if (latestQuery.current === key) {
+        setState(state => ({
+          ...state,
+          loading: false,
+          groups,
+        }))
+      }
     } catch (e) {
-      if (!StaleResponseError.is(e)) {
+      if (!StaleResponseError.is(e) && latestQuery.current === key) {
         setState(state => ({
           ...state,
           loading: false,
@@ -56,14 +192,58 @@ export default function SearchProvider({
 
   const context = {
     query: debouncedQuery,
-    state,
+    state: groups === state.groups ? state : { ...state, groups },
     setState,
     fetchSuggestions,
+    active,
+    close: onClose,
+    suggestions,
+    activeIndex,
+    setActiveIndex,
+    listboxId,
+    getOptionId: index => `${listboxId}-option-${index}`,
+    recentSearches,
+    ...recentSearchActions,
+    getRedirect: text => {
+      const cached = cache.get(text)
+      return cached && cached.redirect
+    },
   }
 
   return <SearchContext.Provider value={context}>{children}</SearchContext.Provider>
 }
 
+/**
+ * Returns the links of all suggestion groups in the order they are displayed
+ */
+function getSuggestions(groups) {
+  if (!Array.isArray(groups)) return []
+  return groups.reduce((links, group) => links.concat(group.links || []), [])
+}
+
+/**
+ * Returns a link to the search results for a query
+ */
+function getSearchLink(text) {
+  return { text, href: '/search', as: `/search?q=${encodeURIComponent(text)}` }
+}
+
+/**
+ * Removes the specified links from the groups, leaving out groups that have no links left
+ */
+function withoutLinks(groups, links) {
+  if (!Array.isArray(groups)) return []
+
+  const urls = links.map(link => link.as)
+
+  return groups
+    .map(group => ({
+      ...group,
+      links: (group.links || []).filter(link => !urls.includes(link.as)),
+    }))
+    .filter(group => group.links.length)
+}
+
 SearchProvider.propTypes = {
   open: PropTypes.bool,
   initialGroups: PropTypes.array,
@@ -75,9 +255,41 @@ SearchProvider.propTypes = {
    * Default is 250
    */
   debounceTime: PropTypes.number,
+  /**
+   * The id of the element that contains the suggestions, which is referenced by the `aria-controls` attribute of
+   * the search field.  Must be unique on the page.  Defaults to a unique id for each provider.
+   */
+  listboxId: PropTypes.string,
+  /**
+   * Called when the user presses Escape in the search field to close the suggestions.
+   */
+  onClose: PropTypes.func,
+  /**
+   * The maximum number of recent searches to show when the query is empty.  Set to `0` to hide recent
+   * searches.
+   */
+  maxRecentSearches: PropTypes.number,
+  /**
+   * The local storage key for recent searches.  Use a key that includes the id of the user to keep the
+   * searches of each user separate on shared devices.
+   */
+  recentSearchesStorageKey: PropTypes.string,
+  /**
+   * The maximum number of queries whose suggestions are cached.  Set to `0` to disable the cache.
+   */
+  cacheSize: PropTypes.number,
+  /**
+   * The number of seconds for which cached suggestions are displayed without being revalidated, unless the
+   * server returns a `ttl`.
+   */
+  cacheTTL: PropTypes.number,
 }
 
 SearchProvider.defaultProps = {
   minQueryLength: 3,
   debounceTime: 250,
+  maxRecentSearches: 5,
+  recentSearchesStorageKey: DEFAULT_STORAGE_KEY,
+  cacheSize: 50,
+  cacheTTL: 60,
 }
@@ -1,8 +1,10 @@
 import React from 'react'
 import makeStyles from '@material-ui/core/styles/makeStyles'
 import Typography from '@material-ui/core/Typography'
+import Button from '@material-ui/core/Button'
 import PropTypes from 'prop-types'
 import SearchSuggestionItem from './SearchSuggestionItem'
+import useLocale from '../locale/useLocale'
 
 export const styles = theme => ({
   /**
@@ -25,6 +27,17 @@ export const styles = theme => ({
     paddingBottom: 5,
     borderBottom: `1px solid ${theme.palette.divider}`,
     margin: theme.spacing(0, 0, 1, 0),
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  /**
+   * Styles applied to the button that clears the group, which is shown when the group has an `onClear` function.
+   */
+  clear: {
+    padding: 0,
+    minWidth: 0,
+    fontSize: 'inherit',
   },
   /**
    * Styles applied to the group's list element.
@@ -49,16 +62,34 @@ export const styles = theme => ({
 
 const useStyles = makeStyles(styles, { name: 'RSFSearchSuggestionGroup' })
 
-export default function SearchSuggestionGroup({ classes, ui, caption, links, children }) {
+export default function SearchSuggestionGroup({
+  classes,
+  ui,
+  caption,
+  links,
+  startIndex,
+  onClear,
+  children,
+}) {
   classes = useStyles({ classes })
+  const { formatMessage } = useLocale()
 
   return (
     <div className={classes.root}>
-      <Typography className={classes.caption}>{caption}</Typography>
-      <ul className={classes.list} data-ui={ui}>
+      <Typography className={classes.caption}>
+        {caption}
+        {onClear && (
+          <Button className={classes.clear} size="small" onClick={onClear}>
+            {formatMessage('SearchSuggestionGroup.clear')}
+          </Button>
+        )}
+      </Typography>
+      <ul className={classes.list} data-ui={ui} role="group" aria-label={caption}>
         {children
           ? children
-          : links.map((item, i) => <SearchSuggestionItem item={item} ui={ui} key={i} />)}
+          : links.map((item, i) => (
+              <SearchSuggestionItem item={item} ui={ui} key={i} index={startIndex + i} />
+            ))}
       </ul>
     </div>
   )
@@ -84,12 +115,23 @@ SearchSuggestionGroup.propTypes = {
       text: PropTypes.string,
       pageData: PropTypes.object,
       thumbnail: PropTypes.object,
+      onRemove: PropTypes.func,
     }),
   ),
   /**
    * A title for the list.
    */
   caption: PropTypes.string.isRequired,
+  /**
+   * The position of the group's first link among the links of all groups, used for keyboard navigation.
+   */
+  startIndex: PropTypes.number,
+  /**
+   * When set, a button that calls this function is displayed next to the caption.  Used to clear recent searches.
+   */
+  onClear: PropTypes.func,
 }
 
-SearchSuggestionGroup.defaultProps = {}
+SearchSuggestionGroup.defaultProps = {
+  startIndex: 0,
+}
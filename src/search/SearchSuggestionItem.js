@@ -1,10 +1,14 @@
-import React, { useContext } from 'react'
+import React, { useContext, useEffect, useRef } from 'react'
 import makeStyles from '@material-ui/core/styles/makeStyles'
 import Link from '../link/Link'
 import PropTypes from 'prop-types'
+import IconButton from '@material-ui/core/IconButton'
+import CloseIcon from '@material-ui/icons/Close'
 import Image from '../Image'
 import SearchContext from './SearchContext'
 import Highlight from '../Highlight'
+import clsx from 'clsx'
+import useLocale from '../locale/useLocale'
 
 export const styles = theme => ({
   root: {
@@ -30,6 +34,32 @@ export const styles = theme => ({
     },
   },
   text: {},
+  /**
+   * Styles applied to the root element when the item has an `onRemove` function.
+   */
+  removable: {
+    display: 'flex',
+    alignItems: 'center',
+    '& > a': {
+      flex: 1,
+    },
+  },
+  /**
+   * Styles applied to the button that removes the item.
+   */
+  remove: {
+    padding: 4,
+    '& svg': {
+      fontSize: 16,
+    },
+  },
+  /**
+   * Styles applied to the root element when the item is the active suggestion.
+   */
+  active: {
+    outline: `2px solid ${theme.palette.primary.main}`,
+    outlineOffset: 2,
+  },
   highlight: {
     backgroundColor: 'rgba(0,0,0,0.05)',
     borderRadius: '2px',
@@ -45,14 +75,31 @@ export default function SearchSuggestionItem({
   item,
   ui,
   thumbnailProps,
+  index,
   children,
 }) {
   classes = useStyles({ classes })
 
-  const { query } = useContext(SearchContext)
+  const { formatMessage } = useLocale()
+  const ref = useRef(null)
+  const { query, activeIndex, getOptionId } = useContext(SearchContext)
+  const option = getOptionId != null && index != null
+  const active = option && index === activeIndex
+
+  useEffect(() => {
+    if (active && ref.current.scrollIntoView) {
+      ref.current.scrollIntoView({ block: 'nearest' })
+    }
+  }, [active])
 
   return (
-    <li className={classes.root}>
+    <li
+      ref={ref}
+      className={clsx(classes.root, active && classes.active, item.onRemove && classes.removable)}
+      id={option ? getOptionId(index) : undefined}
+      role={option ? 'option' : undefined}
+      aria-selected={option ? active : undefined}
+    >
       <Link as={item.as} href={item.href} pageData={item.pageData}>
         {children ? (
           children
@@ -74,6 +121,15 @@ export default function SearchSuggestionItem({
           </a>
         )}
       </Link>
+      {item.onRemove && (
+        <IconButton
+          className={classes.remove}
+          onClick={item.onRemove}
+          aria-label={formatMessage('SearchSuggestionItem.remove', { text: item.text })}
+        >
+          <CloseIcon />
+        </IconButton>
+      )}
     </li>
   )
 }
@@ -97,6 +153,10 @@ SearchSuggestionItem.propTypes = {
     text: PropTypes.string,
     pageData: PropTypes.object,
     thumbnail: PropTypes.object,
+    /**
+     * When set, a button that calls this function is displayed after the link.  Used to remove a recent search.
+     */
+    onRemove: PropTypes.func,
   }),
   /**
    * Props to be passed to the image for thumbnails.
@@ -106,6 +166,10 @@ SearchSuggestionItem.propTypes = {
    * The component type to use to display images.
    */
   ImageComponent: PropTypes.elementType,
+  /**
+   * The position of the item among the links of all suggestion groups, used for keyboard navigation.
+   */
+  index: PropTypes.number,
 }
 
 SearchSuggestionItem.defaultProps = {
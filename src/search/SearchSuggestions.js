@@ -4,6 +4,7 @@ import SearchSuggestionGroup from './SearchSuggestionGroup'
 import SearchContext from './SearchContext'
 import LoadMask from '../LoadMask'
 import PropTypes from 'prop-types'
+import useLocale from '../locale/useLocale'
 
 export const styles = theme => ({
   /**
@@ -20,26 +21,56 @@ export const styles = theme => ({
   group: {
     margin: theme.spacing(0, 0, 2, 0),
   },
+  /**
+   * Styles applied to the live region that announces the number of suggestions.  It is only visible to
+   * screen readers.
+   */
+  status: {
+    position: 'absolute',
+    width: 1,
+    height: 1,
+    overflow: 'hidden',
+    clip: 'rect(0 0 0 0)',
+    whiteSpace: 'nowrap',
+  },
 })
 const useStyles = makeStyles(styles, { name: 'RSFSearchSuggestions' })
 
+/**
+ * Displays the suggestion groups fetched by [`SearchProvider`](/apiReference/search/SearchProvider) as the listbox
+ * of the search field's combobox.  The number of suggestions is announced to screen readers when they change.
+ */
 export default function SearchSuggestions({ classes, render }) {
   classes = useStyles({ classes })
-  const { state } = useContext(SearchContext)
+  const { formatMessage } = useLocale()
+  const { state, listboxId, suggestions } = useContext(SearchContext)
+  let index = 0
 
   return (
     <>
       <LoadMask show={state.loading} transparent />
-      <div className={classes.root}>
+      <div className={classes.root} id={listboxId} role={listboxId ? 'listbox' : undefined}>
         {render
           ? render(state)
           : state.groups &&
-            state.groups.map(group => (
-              <div key={group.caption} className={classes.group}>
-                <SearchSuggestionGroup {...group} />
-              </div>
-            ))}
+            state.groups.map(group => {
+              const startIndex = index
+              index += (group.links || []).length
+
+              return (
+                <div key={group.caption} className={classes.group}>
+                  <SearchSuggestionGroup {...group} startIndex={startIndex} />
+                </div>
+              )
+            })}
       </div>
+      {suggestions && (
+        <div className={classes.status} role="status" aria-live="polite">
+          {state.loading
+            ? null
+            : formatMessage('SearchSuggestions.results', { count: suggestions.length })}
+        </div>
+      )}
     </>
   )
 }
@@ -0,0 +1,102 @@
+import normalizeQuery from '../utils/normalizeQuery'
+
+/**
+ * Creates an in-memory, least-recently-used cache of search suggestion responses for use by
+ * [`SearchProvider`](/apiReference/search/SearchProvider).  Responses are keyed by the normalized query, so
+ * `"Red  Shirt "` and `"red shirt"` share an entry.  The cache has:
+ *
+ * - `get(query)` - Returns `{ groups, complete, redirect, stale }` or `undefined`.  Expired entries are still
+ *   returned, with `stale: true`, so that they can be displayed while they are revalidated.  When there is no entry
+ *   for the query but there is one for a shorter prefix of it that the server marked as `complete`, the prefix's
+ *   groups are narrowed to the links that match the query.  The prefix's `redirect` does not apply to the query.
+ * - `set(query, { groups, complete, redirect }, { maxAgeSeconds })` - Stores a response for the specified number
+ *   of seconds
+ * - `clear()` - Removes all entries
+ *
+ * @param {Object} options
+ * @param {Number} options.maxEntries The maximum number of entries to keep. When exceeded, the least recently used entry is removed. Defaults to 50.
+ * @return {Object} The cache
+ */
+export default function createSuggestionCache({ maxEntries = 50 } = {}) {
+  const entries = new Map()
+
+  const touch = (key, entry) => {
+    // move the entry to the end so that it is the most recently used
+    entries.delete(key)
+    entries.set(key, entry)
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value)
+    }
+  }
+
+  const toResult = ({ groups, complete, redirect, expires }) => ({
+    groups,
+    complete,
+    redirect,
+    stale: expires <= Date.now(),
+  })
+
+  return {
+    get(query) {
+      const key = normalizeQuery(query)
+      const entry = entries.get(key)
+
+      if (entry) {
+        touch(key, entry)
+        return toResult(entry)
+      }
+
+      for (let length = key.length - 1; length > 0; length--) {
+        const prefix = entries.get(key.slice(0, length))
+
+        if (prefix && prefix.complete) {
+          const narrowed = {
+            ...prefix,
+            groups: narrowGroups(prefix.groups, key),
+            redirect: undefined,
+          }
+          touch(key, narrowed)
+          return toResult(narrowed)
+        }
+      }
+
+      return undefined
+    },
+
+    set(query, { groups, complete, redirect }, { maxAgeSeconds = 0 } = {}) {
+      touch(normalizeQuery(query), {
+        groups,
+        complete: !!complete,
+        redirect,
+        expires: Date.now() + maxAgeSeconds * 1000,
+      })
+    },
+
+    clear() {
+      entries.clear()
+    },
+  }
+}
+
+/**
+ * Returns the groups with only the links whose text matches the query.  A link matches when every word
+ * of the query is the start of a word in its text.  Groups that have no matching links are removed.
+ * @param {Object[]} groups The suggestion groups
+ * @param {String} query
+ * @return {Object[]}
+ */
+export function narrowGroups(groups, query) {
+  if (!Array.isArray(groups)) return groups
+
+  const words = normalizeQuery(query).split(' ')
+
+  const matches = link => {
+    const textWords = normalizeQuery(link.text).split(' ')
+    return words.every(word => textWords.some(textWord => textWord.startsWith(word)))
+  }
+
+  return groups
+    .map(group => ({ ...group, links: (group.links || []).filter(matches) }))
+    .filter(group => group.links.length)
+}
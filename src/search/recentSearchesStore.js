@@ -0,0 +1,81 @@
+import { readLocalStorage, writeLocalStorage } from '../utils/localStorage'
+
+/**
+ * Saves the queries that the user has submitted in local storage.  Used by
+ * [`SearchForm`](/apiReference/search/SearchForm) to record searches and by
+ * [`SearchProvider`](/apiReference/search/SearchProvider) to display them as suggestions.
+ */
+export const DEFAULT_STORAGE_KEY = 'rsf_recent_searches'
+export const DEFAULT_MAX_ITEMS = 10
+
+// Dispatched on window when the recent searches change so that providers that are already mounted are updated
+export const RECENT_SEARCHES_CHANGED = 'rsf-recent-searches-changed'
+
+/**
+ * Returns the recent searches, most recent first
+ * @param {String} storageKey The local storage key
+ * @return {String[]}
+ */
+export function getRecentSearches(storageKey = DEFAULT_STORAGE_KEY) {
+  const items = readLocalStorage(storageKey, [])
+  return Array.isArray(items) ? items : []
+}
+
+/**
+ * Moves a query to the start of the recent searches, removing the oldest searches when there are more than
+ * `maxItems`.  Queries are compared without regard to case or extra whitespace.
+ * @param {String} text The submitted query
+ * @param {Object} options
+ * @param {String} options.storageKey The local storage key
+ * @param {Number} options.maxItems The maximum number of searches to keep
+ * @return {String[]} The updated list of searches
+ */
+export function addRecentSearch(
+  text,
+  { storageKey = DEFAULT_STORAGE_KEY, maxItems = DEFAULT_MAX_ITEMS } = {},
+) {
+  const query = normalize(text)
+
+  if (!query) return getRecentSearches(storageKey)
+
+  const items = [query, ...without(getRecentSearches(storageKey), query)].slice(0, maxItems)
+  save(storageKey, items)
+  return items
+}
+
+/**
+ * Removes a query from the recent searches
+ * @param {String} text The query
+ * @param {String} storageKey The local storage key
+ * @return {String[]} The updated list of searches
+ */
+export function removeRecentSearch(text, storageKey = DEFAULT_STORAGE_KEY) {
+  const items = without(getRecentSearches(storageKey), normalize(text))
+  save(storageKey, items)
+  return items
+}
+
+/**
+ * Removes all recent searches
+ * @param {String} storageKey The local storage key
+ */
+export function clearRecentSearches(storageKey = DEFAULT_STORAGE_KEY) {
+  save(storageKey, [])
+}
+
+function normalize(text) {
+  return String(text || '')
+    .trim()
+    .replace(/\s+/g, ' ')
+}
+
+function without(items, query) {
+  const key = query.toLowerCase()
+  return items.filter(item => item.toLowerCase() !== key)
+}
+
+function save(storageKey, items) {
+  if (writeLocalStorage(storageKey, items)) {
+    window.dispatchEvent(new CustomEvent(RECENT_SEARCHES_CHANGED, { detail: { storageKey } }))
+  }
+}
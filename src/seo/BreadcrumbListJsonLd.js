@@ -0,0 +1,33 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import JsonLd from './JsonLd'
+import { breadcrumbList } from './structuredData'
+
+/**
+ * Renders schema.org `BreadcrumbList` structured data for the same items displayed by
+ * [`Breadcrumbs`](/apiReference/Breadcrumbs).
+ *
+ * ```js
+ * import Breadcrumbs from 'react-storefront/Breadcrumbs'
+ * import BreadcrumbListJsonLd from 'react-storefront/seo/BreadcrumbListJsonLd'
+ *
+ * <Breadcrumbs items={breadcrumbs} />
+ * <BreadcrumbListJsonLd items={breadcrumbs} />
+ * ```
+ */
+export default function BreadcrumbListJsonLd({ items, baseUrl }) {
+  if (!items || items.length === 0) return null
+  return <JsonLd data={breadcrumbList(items, { baseUrl })} />
+}
+
+BreadcrumbListJsonLd.propTypes = {
+  /**
+   * The breadcrumbs, each with `text`, `href` and `as` values.
+   */
+  items: PropTypes.oneOfType([PropTypes.array, PropTypes.bool]),
+
+  /**
+   * The protocol and host used to create absolute URLs, for example `https://www.example.com`.
+   */
+  baseUrl: PropTypes.string,
+}
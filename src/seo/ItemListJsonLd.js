@@ -0,0 +1,46 @@
+import React, { useContext } from 'react'
+import PropTypes from 'prop-types'
+import get from 'lodash/get'
+import JsonLd from './JsonLd'
+import SearchResultsContext from '../plp/SearchResultsContext'
+import { itemList } from './structuredData'
+
+/**
+ * Renders schema.org `ItemList` structured data for a list of products.  When placed inside a
+ * [`SearchResultsProvider`](/apiReference/plp/SearchResultsProvider), the products in `pageData` are used by default.
+ *
+ * ```js
+ * <SearchResultsProvider store={store} updateStore={updateStore}>
+ *   <ItemListJsonLd name={store.pageData.title} />
+ *   ...
+ * </SearchResultsProvider>
+ * ```
+ */
+export default function ItemListJsonLd({ products, name, baseUrl }) {
+  const context = useContext(SearchResultsContext)
+
+  if (!products) {
+    products = get(context, 'pageData.products')
+  }
+
+  if (!products || products.length === 0) return null
+
+  return <JsonLd data={itemList(products, { name, baseUrl })} />
+}
+
+ItemListJsonLd.propTypes = {
+  /**
+   * The products.  Defaults to the products from `SearchResultsProvider`.
+   */
+  products: PropTypes.array,
+
+  /**
+   * The name of the list, for example the name of the category.
+   */
+  name: PropTypes.string,
+
+  /**
+   * The protocol and host used to create absolute URLs, for example `https://www.example.com`.
+   */
+  baseUrl: PropTypes.string,
+}
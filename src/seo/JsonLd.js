@@ -0,0 +1,26 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { serialize } from './structuredData'
+
+/**
+ * Renders structured data as a `<script type="application/ld+json">` element.  Since the element is
+ * rendered in the body, the structured data is included in the server-rendered HTML.
+ *
+ * ```js
+ * import JsonLd from 'react-storefront/seo/JsonLd'
+ *
+ * <JsonLd data={{ '@context': 'https://schema.org', '@type': 'Organization', name: 'My Store' }} />
+ * ```
+ */
+export default function JsonLd({ data }) {
+  if (!data) return null
+
+  return <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: serialize(data) }} />
+}
+
+JsonLd.propTypes = {
+  /**
+   * The structured data.  Nothing is rendered when empty.
+   */
+  data: PropTypes.oneOfType([PropTypes.object, PropTypes.array]),
+}
@@ -0,0 +1,42 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import JsonLd from './JsonLd'
+import { product as createProduct, AVAILABILITY } from './structuredData'
+
+/**
+ * Renders schema.org `Product` structured data, including an `Offer` and an `AggregateRating`, for a
+ * product returned by the connector.
+ *
+ * ```js
+ * import ProductJsonLd from 'react-storefront/seo/ProductJsonLd'
+ *
+ * <ProductJsonLd product={product} brand="Acme" baseUrl="https://www.example.com" />
+ * ```
+ */
+export default function ProductJsonLd({ product, ...options }) {
+  if (!product) return null
+  return <JsonLd data={createProduct(product, options)} />
+}
+
+ProductJsonLd.propTypes = {
+  /**
+   * The product.  The `id`, `name`, `url`, `price`, `currency`, `rating`, `reviewCount`, `description`,
+   * `media` and `thumbnail` properties are used.
+   */
+  product: PropTypes.object,
+
+  /**
+   * The protocol and host used to create absolute URLs, for example `https://www.example.com`.
+   */
+  baseUrl: PropTypes.string,
+
+  /**
+   * The name of the product's brand.
+   */
+  brand: PropTypes.string,
+
+  /**
+   * The availability of the product.
+   */
+  availability: PropTypes.oneOf(AVAILABILITY),
+}
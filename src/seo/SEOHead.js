@@ -0,0 +1,187 @@
+import React, { useContext } from 'react'
+import PropTypes from 'prop-types'
+import Head from 'next/head'
+import get from 'lodash/get'
+import qs from 'qs'
+import { useRouter } from 'next/router'
+import SearchResultsContext from '../plp/SearchResultsContext'
+import getSearchResultsLinks, {
+  DEFAULT_INDEXABLE_FILTERS,
+  DEFAULT_PRESERVED_PARAMS,
+} from './getSearchResultsLinks'
+import { absoluteUrl } from './structuredData'
+
+/**
+ * Sets the title, meta description, canonical URL, Open Graph and Twitter tags of the page.  Values that are not
+ * passed as props are taken from `pageData`: the `title` and `description` of the page, or the `name`, `description`
+ * and images of `pageData.product`.
+ *
+ * When rendered inside a [`SearchResultsProvider`](/apiReference/plp/SearchResultsProvider), the canonical URL and
+ * `rel="prev"`/`rel="next"` links are computed from the filters and page of the search results (see
+ * `react-storefront/seo/getSearchResultsLinks`), and pages with filter combinations that are not indexable get
+ * `<meta name="robots" content="noindex, follow">`.
+ *
+ * ```js
+ * <SearchResultsProvider store={store} updateStore={updateStore}>
+ *   <SEOHead
+ *     pageData={store.pageData}
+ *     baseUrl="https://www.example.com"
+ *     siteName="My Store"
+ *     indexableFilters={{ maxFilters: 1, facets: ['color'] }}
+ *   />
+ *   ...
+ * </SearchResultsProvider>
+ * ```
+ */
+export default function SEOHead({
+  pageData,
+  title,
+  description,
+  image,
+  type,
+  canonical,
+  baseUrl,
+  siteName,
+  twitterSite,
+  noIndex,
+  indexableFilters,
+  preservedParams,
+}) {
+  const router = useRouter()
+  const searchResults = useContext(SearchResultsContext)
+  const product = get(pageData, 'product')
+  const [path, search = ''] = get(router, 'asPath', '')
+    .split('#')[0]
+    .split('?')
+
+  title = title || get(pageData, 'title') || get(product, 'name')
+  description = description || get(pageData, 'description') || get(product, 'description')
+  image = image || getProductImage(product)
+  type = type || (product ? 'product' : 'website')
+
+  let links = { canonical: canonical || path, prev: null, next: null, indexable: true }
+
+  if (searchResults && !canonical) {
+    links = getSearchResultsLinks({
+      path,
+      query: qs.parse(search),
+      pageData: searchResults.pageData,
+      indexableFilters,
+      preservedParams,
+    })
+  }
+
+  const url = absoluteUrl(links.canonical, baseUrl)
+  image = absoluteUrl(image, baseUrl)
+
+  return (
+    <Head>
+      {title && <title key="title">{title}</title>}
+      {description && <meta key="description" name="description" content={description} />}
+      {(noIndex || !links.indexable) && (
+        <meta key="robots" name="robots" content="noindex, follow" />
+      )}
+      {url && <link key="canonical" rel="canonical" href={url} />}
+      {links.prev && <link key="prev" rel="prev" href={absoluteUrl(links.prev, baseUrl)} />}
+      {links.next && <link key="next" rel="next" href={absoluteUrl(links.next, baseUrl)} />}
+      <meta key="og:type" property="og:type" content={type} />
+      {title && <meta key="og:title" property="og:title" content={title} />}
+      {description && <meta key="og:description" property="og:description" content={description} />}
+      {url && <meta key="og:url" property="og:url" content={url} />}
+      {image && <meta key="og:image" property="og:image" content={image} />}
+      {siteName && <meta key="og:site_name" property="og:site_name" content={siteName} />}
+      <meta
+        key="twitter:card"
+        name="twitter:card"
+        content={image ? 'summary_large_image' : 'summary'}
+      />
+      {twitterSite && <meta key="twitter:site" name="twitter:site" content={twitterSite} />}
+      {title && <meta key="twitter:title" name="twitter:title" content={title} />}
+      {description && (
+        <meta key="twitter:description" name="twitter:description" content={description} />
+      )}
+      {image && <meta key="twitter:image" name="twitter:image" content={image} />}
+    </Head>
+  )
+}
+
+function getProductImage(product) {
+  return get(product, 'media.full[0].src') || get(product, 'thumbnail.src')
+}
+
+SEOHead.propTypes = {
+  /**
+   * The page data returned by the API.  Used for values that are not passed as props.
+   */
+  pageData: PropTypes.object,
+
+  /**
+   * The page title.  Defaults to `pageData.title` or the name of `pageData.product`.
+   */
+  title: PropTypes.string,
+
+  /**
+   * The meta description.  Defaults to `pageData.description` or the description of `pageData.product`.
+   */
+  description: PropTypes.string,
+
+  /**
+   * The URL of the image for social sharing.  Defaults to the first image of `pageData.product`.
+   */
+  image: PropTypes.string,
+
+  /**
+   * The Open Graph type.  Defaults to `product` when `pageData.product` is set and `website` otherwise.
+   */
+  type: PropTypes.string,
+
+  /**
+   * The canonical URL.  Defaults to the current path without the query string, or the URL computed
+   * from the search results when inside a `SearchResultsProvider`.
+   */
+  canonical: PropTypes.string,
+
+  /**
+   * The protocol and host used to create absolute URLs, for example `https://www.example.com`.
+   */
+  baseUrl: PropTypes.string,
+
+  /**
+   * The name of the site, used for `og:site_name`.
+   */
+  siteName: PropTypes.string,
+
+  /**
+   * The Twitter handle of the site, for example `@mystore`.
+   */
+  twitterSite: PropTypes.string,
+
+  /**
+   * Set to `true` to prevent search engines from indexing the page.
+   */
+  noIndex: PropTypes.bool,
+
+  /**
+   * The rules for which filter combinations search engines should index.  Either a function that is passed
+   * the selected filters and returns `true` if the page should be indexed, or an object with `maxFilters`, the
+   * maximum number of selected filters, and `facets`, the facets whose filters can be indexed.  By default,
+   * pages with filters are not indexed.
+   */
+  indexableFilters: PropTypes.oneOfType([
+    PropTypes.func,
+    PropTypes.shape({
+      maxFilters: PropTypes.number,
+      facets: PropTypes.arrayOf(PropTypes.string),
+    }),
+  ]),
+
+  /**
+   * The query parameters that are kept in the canonical URLs of search results, such as the search text.
+   */
+  preservedParams: PropTypes.arrayOf(PropTypes.string),
+}
+
+SEOHead.defaultProps = {
+  indexableFilters: DEFAULT_INDEXABLE_FILTERS,
+  preservedParams: DEFAULT_PRESERVED_PARAMS,
+}
@@ -0,0 +1,89 @@
+import qs from 'qs'
+
+/**
+ * The query parameters that identify a search results page, and are therefore kept in canonical URLs
+ */
+export const DEFAULT_PRESERVED_PARAMS = ['q']
+
+/**
+ * The default rules for indexable filter combinations: pages with filters are not indexed.
+ */
+export const DEFAULT_INDEXABLE_FILTERS = { maxFilters: 0 }
+
+/**
+ * Returns `true` if search engines should index a page with the specified filters
+ * @param {String[]} filters The codes of the selected filters, for example `['color:red']`
+ * @param {Object|Function} rules A function that is passed the filters and returns `true` if they are indexable,
+ *  or an object with:
+ *  - `maxFilters` - The maximum number of selected filters
+ *  - `facets` - The facets whose filters can be indexed, for example `['color']` to index `color:red` but not `size:sm`.
+ *    Facets are the part of the filter code before the colon.  When omitted, filters for all facets can be indexed.
+ * @return {Boolean}
+ */
+export function isIndexable(filters = [], rules = DEFAULT_INDEXABLE_FILTERS) {
+  if (filters.length === 0) return true
+  if (typeof rules === 'function') return Boolean(rules(filters))
+
+  const { maxFilters = 0, facets } = rules
+
+  if (filters.length > maxFilters) return false
+  if (!facets) return true
+
+  return filters.every(filter => facets.includes(filter.split(':')[0]))
+}
+
+/**
+ * Computes the canonical, previous and next page URLs of a search results page, so that search engines index one
+ * URL for each indexable combination of filters instead of every combination of filters, sort and page that
+ * `SearchResultsProvider` adds to the URL.
+ *
+ * - Sort is never part of the canonical URL.
+ * - When the filters are indexable, they are included in a consistent order, along with the page.  `prev` and `next`
+ *   link to the adjacent pages.
+ * - When the filters are not indexable, the canonical URL is the first page without filters and `indexable` is `false`.
+ *
+ * @param {Object} options
+ * @param {String} options.path The URL path of the page, without the query string
+ * @param {Object} options.query The query parameters of the page
+ * @param {Object} options.pageData The search results state: `filters`, `page` and `totalPages`
+ * @param {Object|Function} options.indexableFilters See `isIndexable`
+ * @param {String[]} options.preservedParams Query parameters to keep in the URLs. Defaults to `DEFAULT_PRESERVED_PARAMS`.
+ * @return {Object} An object with `canonical`, `prev`, `next` and `indexable`.  `prev` and `next` are `null` when
+ *  there is no such page.
+ */
+export default function getSearchResultsLinks({
+  path,
+  query = {},
+  pageData = {},
+  indexableFilters = DEFAULT_INDEXABLE_FILTERS,
+  preservedParams = DEFAULT_PRESERVED_PARAMS,
+}) {
+  const { filters = [], page = 0, totalPages } = pageData
+  const indexable = isIndexable(filters, indexableFilters)
+  const base = {}
+
+  for (let param of preservedParams) {
+    if (query[param] != null) base[param] = query[param]
+  }
+
+  if (!indexable) {
+    return { canonical: createURL(path, base), prev: null, next: null, indexable }
+  }
+
+  if (filters.length) {
+    base.filters = JSON.stringify([...filters].sort())
+  }
+
+  const urlForPage = page => createURL(path, page > 0 ? { ...base, page } : base)
+
+  return {
+    canonical: urlForPage(page),
+    prev: page > 0 ? urlForPage(page - 1) : null,
+    next: totalPages != null && page < totalPages - 1 ? urlForPage(page + 1) : null,
+    indexable,
+  }
+}
+
+function createURL(path, query) {
+  return path + qs.stringify(query, { addQueryPrefix: true })
+}
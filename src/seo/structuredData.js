@@ -0,0 +1,187 @@
+/**
+ * Helpers that create [schema.org](https://schema.org) structured data (JSON-LD) from the data used by
+ * react-storefront's components: products returned by connectors, `Rating`'s `value` and `reviewCount`,
+ * `Breadcrumbs` items, and the products in `SearchResultsProvider`.
+ *
+ * All helpers accept a `baseUrl` option, for example `https://www.example.com`, which is used to convert
+ * paths to absolute URLs.  When omitted, paths are left as is.
+ */
+
+export const SCHEMA_CONTEXT = 'https://schema.org'
+
+/**
+ * The values for the `availability` option of `offer` and `product`
+ */
+export const AVAILABILITY = ['InStock', 'OutOfStock', 'PreOrder', 'BackOrder', 'Discontinued']
+
+/**
+ * Converts a path to an absolute URL
+ * @param {String} path A path or URL
+ * @param {String} baseUrl The protocol and host, for example `https://www.example.com`
+ * @return {String}
+ */
+export function absoluteUrl(path, baseUrl) {
+  if (!path || !baseUrl || /^[a-z][a-z0-9+.-]*:/i.test(path)) return path
+  return baseUrl.replace(/\/$/, '') + (path.startsWith('/') ? path : `/${path}`)
+}
+
+/**
+ * Creates an `AggregateRating`.  Search engines require a review count, so `null` is returned when
+ * there are no reviews.
+ * @param {Object} rating
+ * @param {Number} rating.value The average rating, out of 5
+ * @param {Number} rating.reviewCount The number of reviews
+ * @return {Object}
+ */
+export function aggregateRating({ value, reviewCount } = {}) {
+  if (value == null || !reviewCount) return null
+
+  return {
+    '@type': 'AggregateRating',
+    ratingValue: value,
+    reviewCount,
+    bestRating: 5,
+    worstRating: 0,
+  }
+}
+
+/**
+ * Creates an `Offer` for a product.  Returns `null` if the product has no price.
+ * @param {Object} product A product
+ * @param {Object} options
+ * @param {String} options.baseUrl Used to create an absolute URL for the product
+ * @param {String} options.availability One of `AVAILABILITY`
+ * @param {String} options.currency The currency to use when the product does not have one.  Defaults to `USD`.
+ * @return {Object}
+ */
+export function offer(product, { baseUrl, availability, currency = 'USD' } = {}) {
+  if (product.price == null) return null
+
+  if (availability && !AVAILABILITY.includes(availability)) {
+    throw new Error(
+      `Invalid availability "${availability}". Expected one of ${AVAILABILITY.join(', ')}.`,
+    )
+  }
+
+  return compact({
+    '@type': 'Offer',
+    price: product.price,
+    priceCurrency: product.currency || currency,
+    url: absoluteUrl(product.url, baseUrl),
+    availability: availability && `${SCHEMA_CONTEXT}/${availability}`,
+  })
+}
+
+/**
+ * Creates a `Product` from a product returned by a connector, including its `Offer` and `AggregateRating`.
+ * @param {Object} product A product
+ * @param {Object} options
+ * @param {String} options.baseUrl Used to create absolute URLs
+ * @param {String} options.brand The name of the product's brand
+ * @param {String} options.availability One of `AVAILABILITY`
+ * @param {String} options.currency The currency to use when the product does not have one
+ * @return {Object}
+ */
+export function product(product, { brand, ...options } = {}) {
+  const { baseUrl } = options
+
+  return compact({
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'Product',
+    sku: String(product.id),
+    name: product.name,
+    url: absoluteUrl(product.url, baseUrl),
+    image: getImages(product).map(src => absoluteUrl(src, baseUrl)),
+    description: product.description,
+    brand: brand && { '@type': 'Brand', name: brand },
+    offers: offer(product, options),
+    aggregateRating: aggregateRating({ value: product.rating, reviewCount: product.reviewCount }),
+  })
+}
+
+/**
+ * Creates a `BreadcrumbList` from the items displayed by `Breadcrumbs`
+ * @param {Object[]} items Breadcrumbs, each with `text`, `href` and `as`
+ * @param {Object} options
+ * @param {String} options.baseUrl Used to create absolute URLs
+ * @return {Object}
+ */
+export function breadcrumbList(items, { baseUrl } = {}) {
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'BreadcrumbList',
+    itemListElement: (items || []).map((item, i) =>
+      compact({
+        '@type': 'ListItem',
+        position: i + 1,
+        name: item.text,
+        item: absoluteUrl(item.as || item.href, baseUrl),
+      }),
+    ),
+  }
+}
+
+/**
+ * Creates an `ItemList` from a list of products, such as search results
+ * @param {Object[]} products The products
+ * @param {Object} options
+ * @param {String} options.baseUrl Used to create absolute URLs
+ * @param {String} options.name The name of the list, for example the category name
+ * @return {Object}
+ */
+export function itemList(products, { baseUrl, name } = {}) {
+  products = products || []
+
+  return compact({
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'ItemList',
+    name,
+    numberOfItems: products.length,
+    itemListElement: products.map((product, i) =>
+      compact({
+        '@type': 'ListItem',
+        position: i + 1,
+        name: product.name,
+        url: absoluteUrl(product.url, baseUrl),
+      }),
+    ),
+  })
+}
+
+/**
+ * Serializes structured data for a `script` element.  `<` is escaped so that values cannot close the element.
+ * @param {Object} data
+ * @return {String}
+ */
+export function serialize(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c')
+}
+
+function getImages(product) {
+  const full = (product.media && product.media.full) || []
+
+  if (full.length) {
+    return full.map(image => image.src)
+  } else if (product.thumbnail) {
+    return [product.thumbnail.src]
+  } else {
+    return []
+  }
+}
+
+/**
+ * Removes empty values so that the structured data only contains properties that have a value
+ */
+function compact(object) {
+  const result = {}
+
+  for (let key in object) {
+    const value = object[key]
+
+    if (value != null && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+      result[key] = value
+    }
+  }
+
+  return result
+}
@@ -0,0 +1,90 @@
+import qs from 'qs'
+
+// Added to every amp-list request by the AMP runtime
+const SOURCE_ORIGIN_PARAM = '__amp_source_origin'
+
+/**
+ * Creates an API route that returns search results in the format expected by `amp-list`, for use with
+ * `react-storefront/plp/AmpSearchResults`.  The response has:
+ *
+ * - `items` - The products
+ * - `next` - The URL of the next page of results, or `null` on the last page.  Used by `amp-list` to load more results.
+ * - `page`, `totalPages` and `total` - From the search results
+ *
+ * ```js
+ * // pages/api/amp/s/[...categorySlug].js
+ * import createAmpSearchResultsHandler from 'react-storefront/server/createAmpSearchResultsHandler'
+ * import subcategory from 'react-storefront-connector/subcategory'
+ *
+ * export default createAmpSearchResultsHandler(
+ *   (query, req, res) => subcategory({ ...query, slug: query.categorySlug }, req, res),
+ *   { allowedOrigins: ['https://www.example.com'] },
+ * )
+ * ```
+ *
+ * @param {Function} fetchSearchResults Called with the query parameters, request and response.  Should return
+ *  the result of the connector's `subcategory` or `search` function.
+ * @param {Object} options
+ * @param {String[]} options.allowedOrigins Required.  The origins of the AMP pages that can fetch results, for example
+ *  `['https://www.example.com']`.  The host of the request is not trusted, because it is set by the client.
+ * @return {Function} An API route handler
+ */
+export default function createAmpSearchResultsHandler(fetchSearchResults, { allowedOrigins } = {}) {
+  if (!allowedOrigins) {
+    throw new Error('createAmpSearchResultsHandler requires allowedOrigins.')
+  }
+
+  return async function ampSearchResultsHandler(req, res) {
+    if (!setAmpCorsHeaders(req, res, allowedOrigins)) {
+      res.statusCode = 403
+      res.end()
+      return
+    }
+
+    const { pageData = {} } = (await fetchSearchResults(req.query, req, res)) || {}
+    const { products = [], totalPages, total } = pageData
+    const page = parseInt(pageData.page) || 0
+    const next = totalPages != null && page < totalPages - 1 ? getPageURL(req.url, page + 1) : null
+
+    res.setHeader('Content-Type', 'application/json')
+    res.end(JSON.stringify({ items: products, next, page, totalPages, total }))
+  }
+}
+
+/**
+ * Sets the headers required by [AMP's CORS protocol](https://amp.dev/documentation/guides-and-tutorials/learn/amp-caches-and-cors/amp-cors-requests/)
+ * for requests that have the `__amp_source_origin` query parameter.
+ * @param {Request} req
+ * @param {Response} res
+ * @param {String[]} allowedOrigins The allowed source origins
+ * @return {Boolean} `false` if the source origin is not allowed
+ */
+export function setAmpCorsHeaders(req, res, allowedOrigins = []) {
+  const sourceOrigin = req.query[SOURCE_ORIGIN_PARAM]
+
+  if (sourceOrigin == null) return true
+  if (!allowedOrigins.includes(sourceOrigin)) return false
+
+  if (req.headers.origin) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin)
+    res.setHeader('Access-Control-Allow-Credentials', 'true')
+  }
+
+  res.setHeader('AMP-Access-Control-Allow-Source-Origin', sourceOrigin)
+  res.setHeader('Access-Control-Expose-Headers', 'AMP-Access-Control-Allow-Source-Origin')
+
+  return true
+}
+
+/**
+ * Returns the URL of the request with the page number replaced
+ */
+function getPageURL(url, page) {
+  const [path, search = ''] = url.split('?')
+  const query = qs.parse(search)
+
+  delete query[SOURCE_ORIGIN_PARAM]
+  query.page = page
+
+  return path + qs.stringify(query, { addQueryPrefix: true })
+}
@@ -0,0 +1,69 @@
+/**
+ * Creates an in-memory, least-recently-used cache for use with `react-storefront/server/serverCache`.
+ * This is the default cache.  To share a cache between server instances, implement the same interface
+ * on top of Redis, the file system, or any other store:
+ *
+ * - `get(key)` - Resolves to the cached value or `undefined`
+ * - `set(key, value, { tags, maxAgeSeconds })` - Stores a value with surrogate tags such as `product:42` and
+ *   an optional time to live
+ * - `purge(tags)` - Removes all entries with any of the specified tags and resolves to the number of entries removed
+ * - `clear()` - Removes all entries
+ *
+ * Values are stored as JSON, so `get` returns a copy that callers can change without affecting later requests.
+ *
+ * @param {Object} options
+ * @param {Number} options.maxEntries The maximum number of entries to keep. When exceeded, the least recently used entry is removed. Defaults to 500.
+ * @return {Object} A cache adapter
+ */
+export default function createMemoryCache({ maxEntries = 500 } = {}) {
+  const entries = new Map()
+
+  return {
+    async get(key) {
+      const entry = entries.get(key)
+
+      if (!entry) return undefined
+
+      if (entry.expires && entry.expires <= Date.now()) {
+        entries.delete(key)
+        return undefined
+      }
+
+      // move the entry to the end so that it is the most recently used
+      entries.delete(key)
+      entries.set(key, entry)
+
+      return JSON.parse(entry.json)
+    },
+
+    async set(key, value, { tags = [], maxAgeSeconds } = {}) {
+      entries.delete(key)
+      entries.set(key, {
+        json: JSON.stringify(value),
+        tags,
+        expires: maxAgeSeconds ? Date.now() + maxAgeSeconds * 1000 : null,
+      })
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value)
+      }
+    },
+
+    async purge(tags) {
+      let count = 0
+
+      for (let [key, entry] of entries) {
+        if (entry.tags.some(tag => tags.includes(tag))) {
+          entries.delete(key)
+          count++
+        }
+      }
+
+      return count
+    },
+
+    async clear() {
+      entries.clear()
+    },
+  }
+}
@@ -0,0 +1,74 @@
+import { SITEMAP_INDEX_PATH } from './createSitemap'
+import { getBaseUrl, setVaryHeader } from './createSitemapHandler'
+import { absoluteUrl } from '../seo/structuredData'
+
+/**
+ * The rules used when none are specified.  Crawlers are allowed everywhere except the api.
+ */
+export const DEFAULT_ROBOTS_RULES = [{ userAgent: '*', disallow: ['/api/'] }]
+
+/**
+ * Renders robots.txt
+ * @param {Object} options
+ * @param {Object[]} options.rules Each rule has a `userAgent`, and `allow` and `disallow` lists of paths.  Defaults to `DEFAULT_ROBOTS_RULES`.
+ * @param {String|String[]|Boolean} options.sitemap The URL of the sitemap, or `false` to omit the sitemap.  Relative URLs are
+ *  resolved using `baseUrl`.  Defaults to `/sitemap.xml`.
+ * @param {String} options.baseUrl The protocol and host of the site
+ * @return {String}
+ */
+export function renderRobots({
+  rules = DEFAULT_ROBOTS_RULES,
+  sitemap = SITEMAP_INDEX_PATH,
+  baseUrl,
+} = {}) {
+  const lines = []
+
+  for (let { userAgent = '*', allow = [], disallow = [] } of rules) {
+    if (lines.length) lines.push('')
+
+    lines.push(
+      ...[].concat(userAgent).map(agent => `User-agent: ${agent}`),
+      ...[].concat(allow).map(path => `Allow: ${path}`),
+      ...[].concat(disallow).map(path => `Disallow: ${path}`),
+    )
+  }
+
+  if (sitemap) {
+    lines.push('', ...[].concat(sitemap).map(url => `Sitemap: ${absoluteUrl(url, baseUrl)}`))
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Creates an API route that serves robots.txt.  Set the `sitemap` option of `withReactStorefront` to `true` to
+ * serve this route at `/robots.txt`.
+ *
+ * ```js
+ * // pages/api/robots.js
+ * import createRobotsHandler from 'react-storefront/server/createRobotsHandler'
+ *
+ * export default createRobotsHandler({
+ *   baseUrl: 'https://www.example.com',
+ *   rules: [{ userAgent: '*', disallow: ['/api/', '/cart', '/checkout'] }],
+ * })
+ * ```
+ *
+ * @param {Object} options The options for `renderRobots`
+ * @param {String|String[]} options.baseUrl Required.  The protocol and host of the site, or of each host that the site is
+ *  served from.  See `createSitemapHandler`.
+ * @param {Number} options.maxAgeSeconds The time in seconds to cache robots.txt on the CDN. Defaults to 1 day.
+ * @return {Function} An API route handler
+ */
+export default function createRobotsHandler({ maxAgeSeconds = 60 * 60 * 24, ...options } = {}) {
+  if (!options.baseUrl) {
+    throw new Error('createRobotsHandler requires a baseUrl.')
+  }
+
+  return function robotsHandler(req, res) {
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8')
+    res.setHeader('Cache-Control', `max-age=0, s-maxage=${maxAgeSeconds}`)
+    setVaryHeader(res, options.baseUrl)
+    res.end(renderRobots({ ...options, baseUrl: getBaseUrl(req, options.baseUrl) }))
+  }
+}
@@ -0,0 +1,236 @@
+import listRoutes from './listRoutes'
+import { absoluteUrl } from '../seo/structuredData'
+import { getLocales } from '../locale/localeRouting'
+
+/**
+ * The maximum number of URLs in a sitemap allowed by the sitemap protocol
+ */
+export const MAX_URLS_PER_SITEMAP = 50000
+
+/**
+ * The path of the sitemap index
+ */
+export const SITEMAP_INDEX_PATH = '/sitemap.xml'
+
+// Next.js internals, api routes and error pages are never included in the sitemap
+const INTERNAL_ROUTE = /^\/(_|api(\/|$)|404$|500$)/
+
+const DYNAMIC_SEGMENT = /\[(\[)?(\.\.\.)?([^\]]+)\]\]?/g
+
+/**
+ * Returns the path of a sitemap in the sitemap index
+ * @param {Number} index The zero-based index of the sitemap
+ * @return {String}
+ */
+export function getSitemapPath(index) {
+  return `/sitemap-${index + 1}.xml`
+}
+
+/**
+ * Creates a sitemap index and the sitemaps that it references from the app's pages.  Pages with dynamic routes, like
+ * `/p/[productId]`, are expanded using the connector's `routeParams` function, which returns the params and optional
+ * `lastmod` for each page.  Dynamic routes are skipped when the connector does not return any params for them.
+ *
+ * When the app is configured with `locales`, every page is listed once per locale, with `hreflang` alternates that
+ * link the versions of the page.
+ *
+ * ```js
+ * import createSitemap from 'react-storefront/server/createSitemap'
+ * import * as connector from 'react-storefront-connector'
+ *
+ * const { index, sitemaps } = await createSitemap({ connector, baseUrl: 'https://www.example.com' })
+ * ```
+ *
+ * @param {Object} options
+ * @param {String} options.baseUrl The protocol and host of the site, for example `https://www.example.com`
+ * @param {Object} options.connector The connector
+ * @param {Object} options.routes The route manifest.  Defaults to the result of `listRoutes()`.
+ * @param {String[]|Function} options.exclude Routes to omit, for example `['/cart', '/checkout']`, or a function
+ *  that is passed each route and returns `true` to omit it
+ * @param {String[]} options.locales The locales to create alternates for.  Defaults to the locales configured in `withReactStorefront`.
+ * @param {String} options.defaultLocale The locale of unprefixed pages, used for the `x-default` alternate
+ * @param {Number} options.shardSize The maximum number of URLs in each sitemap. Defaults to `MAX_URLS_PER_SITEMAP`.
+ * @param {Request} options.req The request, passed to the connector
+ * @param {Response} options.res The response, passed to the connector
+ * @return {Promise} Resolves to an object with `index`, the XML for the sitemap index, and `sitemaps`, the XML for each sitemap
+ */
+export default async function createSitemap({
+  baseUrl,
+  shardSize = MAX_URLS_PER_SITEMAP,
+  locales = getLocales().locales,
+  defaultLocale = getLocales().defaultLocale || locales[0],
+  ...options
+}) {
+  const entries = localizeEntries(await getSitemapEntries(options), locales, defaultLocale)
+  const shards = []
+
+  for (let i = 0; i < Math.max(entries.length, 1); i += shardSize) {
+    shards.push(entries.slice(i, i + shardSize))
+  }
+
+  return {
+    index: renderSitemapIndex(
+      shards.map((shard, i) => ({
+        loc: absoluteUrl(getSitemapPath(i), baseUrl),
+        lastmod: getLatest(shard),
+      })),
+    ),
+    sitemaps: shards.map(shard => renderSitemap(shard, { baseUrl })),
+  }
+}
+
+/**
+ * Returns the path and `lastmod` of every page in the sitemap, without locale prefixes
+ * @param {Object} options See `createSitemap`
+ * @return {Promise} Resolves to an array of objects with `path` and `lastmod`
+ */
+export async function getSitemapEntries({
+  connector = {},
+  routes = listRoutes(),
+  exclude = [],
+  req,
+  res,
+}) {
+  const isExcluded = typeof exclude === 'function' ? exclude : route => exclude.includes(route)
+  const entries = []
+  const patterns = Object.values(routes)
+    .map(({ as }) => as.replace(/\/index$/, '') || '/')
+    .filter(route => !INTERNAL_ROUTE.test(route) && !isExcluded(route))
+
+  for (let route of patterns) {
+    if (!route.includes('[')) {
+      entries.push({ path: route })
+    } else if (typeof connector.routeParams === 'function') {
+      const results = (await connector.routeParams(route, req, res)) || []
+
+      for (let { params, lastmod } of results) {
+        entries.push({ path: toPath(route, params), lastmod: formatDate(lastmod) })
+      }
+    }
+  }
+
+  return entries
+}
+
+/**
+ * Renders a sitemap
+ * @param {Object[]} entries Objects with `path`, `lastmod` and `alternates`, an array of objects with `hreflang` and `path`
+ * @param {Object} options
+ * @param {String} options.baseUrl The protocol and host of the site
+ * @return {String}
+ */
+export function renderSitemap(entries, { baseUrl } = {}) {
+  const urls = entries.map(({ path, lastmod, alternates = [] }) =>
+    [
+      '<url>',
+      `<loc>${escapeXml(absoluteUrl(path, baseUrl))}</loc>`,
+      lastmod && `<lastmod>${escapeXml(lastmod)}</lastmod>`,
+      ...alternates.map(
+        alternate =>
+          `<xhtml:link rel="alternate" hreflang="${escapeXml(
+            alternate.hreflang,
+          )}" href="${escapeXml(absoluteUrl(alternate.path, baseUrl))}"/>`,
+      ),
+      '</url>',
+    ]
+      .filter(Boolean)
+      .join(''),
+  )
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+  ].join('\n')
+}
+
+/**
+ * Renders a sitemap index
+ * @param {Object[]} sitemaps Objects with the `loc` and `lastmod` of each sitemap
+ * @return {String}
+ */
+export function renderSitemapIndex(sitemaps) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps.map(({ loc, lastmod }) =>
+      [
+        '<sitemap>',
+        `<loc>${escapeXml(loc)}</loc>`,
+        lastmod && `<lastmod>${escapeXml(lastmod)}</lastmod>`,
+        '</sitemap>',
+      ]
+        .filter(Boolean)
+        .join(''),
+    ),
+    '</sitemapindex>',
+  ].join('\n')
+}
+
+/**
+ * Lists each entry once per locale, with alternates for the other locales.  Paths for the default locale are not prefixed.
+ */
+function localizeEntries(entries, locales, defaultLocale) {
+  if (locales.length < 2) return entries
+
+  const result = []
+
+  for (let { path, lastmod } of entries) {
+    const prefix = locale =>
+      locale === defaultLocale ? path : `/${locale}${path === '/' ? '' : path}`
+    const alternates = locales
+      .map(locale => ({ hreflang: locale, path: prefix(locale) }))
+      .concat({ hreflang: 'x-default', path })
+
+    for (let locale of locales) {
+      result.push({ path: prefix(locale), lastmod, alternates })
+    }
+  }
+
+  return result
+}
+
+/**
+ * Replaces the dynamic segments of a route with params
+ * @param {String} route A route, for example `/p/[productId]` or `/s/[...categorySlug]`
+ * @param {Object} params The value for each dynamic segment, for example `{ productId: '1' }`
+ * @return {String}
+ */
+function toPath(route, params = {}) {
+  return route.replace(DYNAMIC_SEGMENT, (segment, optional, catchAll, name) => {
+    const value = params[name]
+
+    if (value == null) {
+      if (optional) return ''
+      throw new Error(`routeParams did not return a value for "${name}" in ${route}`)
+    }
+
+    return catchAll
+      ? []
+          .concat(value)
+          .map(encodeURIComponent)
+          .join('/')
+      : encodeURIComponent(value)
+  })
+}
+
+function formatDate(date) {
+  return date instanceof Date ? date.toISOString() : date
+}
+
+function getLatest(entries) {
+  return entries.reduce(
+    (latest, { lastmod }) => (lastmod && (!latest || lastmod > latest) ? lastmod : latest),
+    undefined,
+  )
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
@@ -0,0 +1,97 @@
+import createSitemap from './createSitemap'
+import { getServerCache } from './serverCache'
+
+/**
+ * The surrogate tag of sitemaps in the server cache.  Use `purgeServerCache([SITEMAP_CACHE_TAG])` to
+ * rebuild the sitemap after the catalog changes.
+ */
+export const SITEMAP_CACHE_TAG = 'sitemap'
+
+/**
+ * Creates an API route that serves the sitemap index, or the sitemap specified by the `shard` query parameter.
+ * Sitemaps are kept in the server cache (see `react-storefront/server/serverCache`) so that the connector is not
+ * called for every request.  Set the `sitemap` option of `withReactStorefront` to `true` to serve this route
+ * at `/sitemap.xml` and `/sitemap-{shard}.xml`.
+ *
+ * ```js
+ * // pages/api/sitemap.js
+ * import createSitemapHandler from 'react-storefront/server/createSitemapHandler'
+ * import * as connector from 'react-storefront-connector'
+ *
+ * export default createSitemapHandler({
+ *   connector,
+ *   baseUrl: 'https://www.example.com',
+ *   exclude: ['/cart', '/checkout', '/account'],
+ * })
+ * ```
+ *
+ * @param {Object} options The options for `createSitemap`
+ * @param {String|String[]} options.baseUrl Required.  The protocol and host of the site.  When the site is served from several
+ *  hosts, pass the base URL of each one.  The one whose host matches the request is used, and the first one for any other host.
+ *  The host of the request is never used on its own, because sitemaps are cached on the server and CDN.
+ * @param {Number} options.maxAgeSeconds The time in seconds to cache sitemaps on the server and CDN. Defaults to 1 day.
+ * @return {Function} An API route handler
+ */
+export default function createSitemapHandler({ maxAgeSeconds = 60 * 60 * 24, ...options } = {}) {
+  if (!options.baseUrl) {
+    throw new Error('createSitemapHandler requires a baseUrl.')
+  }
+
+  return async function sitemapHandler(req, res) {
+    const baseUrl = getBaseUrl(req, options.baseUrl)
+    const cache = getServerCache()
+    const key = `sitemap:${baseUrl}`
+    let sitemap = await cache.get(key)
+
+    if (!sitemap) {
+      sitemap = await createSitemap({ ...options, baseUrl, req, res })
+      await cache.set(key, sitemap, { tags: [SITEMAP_CACHE_TAG], maxAgeSeconds })
+    }
+
+    const { shard } = req.query
+    const xml = shard ? sitemap.sitemaps[parseInt(shard) - 1] : sitemap.index
+
+    if (!xml) {
+      res.statusCode = 404
+      res.end()
+      return
+    }
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8')
+    res.setHeader('Cache-Control', `max-age=0, s-maxage=${maxAgeSeconds}`)
+    setVaryHeader(res, options.baseUrl)
+    res.end(xml)
+  }
+}
+
+/**
+ * Returns the configured base URL whose host matches the host of the request, or the first base URL
+ * when none match.
+ * @param {Request} req
+ * @param {String|String[]} baseUrl One or more base URLs, for example `https://www.example.com`
+ * @return {String}
+ */
+export function getBaseUrl(req, baseUrl) {
+  const baseUrls = [].concat(baseUrl)
+  const host = req.headers['x-forwarded-host'] || req.headers.host
+  return baseUrls.find(url => getHost(url) === host) || baseUrls[0]
+}
+
+/**
+ * Tells the CDN to cache a response for each host when it depends on the host of the request
+ * @param {Response} res
+ * @param {String|String[]} baseUrl
+ */
+export function setVaryHeader(res, baseUrl) {
+  if (Array.isArray(baseUrl) && baseUrl.length > 1) {
+    res.setHeader('Vary', 'Host, X-Forwarded-Host')
+  }
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).host
+  } catch (e) {
+    return null
+  }
+}
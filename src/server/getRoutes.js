@@ -1,11 +1,20 @@
 import { getRouteRegex } from 'next/dist/next-server/lib/router/utils/route-regex'
+import { getLocalePrefixPattern } from '../locale/localeRouting'
 
+/**
+ * Creates the route manifest used by `useSimpleNavigation` from next's pages manifest.  When the app is
+ * configured with `locales`, each route also matches paths that are prefixed with a locale, like `/fr/p/1`.
+ * @param {Object} pagesManifest
+ * @return {Object} An object whose keys are regular expressions and whose values contain the `component` and
+ *  the next.js route (`as`)
+ */
 export default function routes(pagesManifest) {
   const routes = {}
+  const localePrefix = getLocalePrefixPattern()
 
   for (let as in pagesManifest) {
     const component = pagesManifest[as]
-    const route = getRouteRegex(as).re.source
+    const route = getRouteRegex(as).re.source.replace(/^\^/, `^${localePrefix}`)
 
     routes[route] = {
       component,
@@ -0,0 +1,97 @@
+import createMemoryCache from './createMemoryCache'
+
+let cache = null
+
+/**
+ * Sets the cache used by `fulfillAPIRequest` to store `appData` and `pageData` on the server.  Use this to
+ * replace the default in-memory cache with an adapter for Redis or a file store. See `createMemoryCache` for
+ * the interface that adapters must implement.
+ *
+ * ```js
+ * import { setServerCache } from 'react-storefront/server/serverCache'
+ * import createRedisCache from '../lib/createRedisCache'
+ *
+ * setServerCache(createRedisCache(process.env.REDIS_URL))
+ * ```
+ *
+ * @param {Object} adapter The cache adapter
+ */
+export function setServerCache(adapter) {
+  cache = adapter
+}
+
+/**
+ * Returns the cache used by `fulfillAPIRequest`, creating an in-memory cache if none has been set.
+ * @return {Object}
+ */
+export function getServerCache() {
+  if (!cache) {
+    cache = createMemoryCache()
+  }
+
+  return cache
+}
+
+/**
+ * Removes all cached responses that have any of the specified surrogate tags.  Call this when
+ * the catalog changes.  For example, `purgeServerCache(['product:42'])` after product 42 is
+ * updated, or `purgeServerCache(['appData'])` after the menu changes.
+ * @param {String[]} tags
+ * @return {Promise} Resolves to the number of entries removed
+ */
+export function purgeServerCache(tags) {
+  return getServerCache().purge(tags)
+}
+
+/**
+ * Creates an api route handler that purges the server cache by tag.  The handler accepts POST requests with a
+ * JSON body like `{ "tags": ["product:42"] }`.  Requests must include the secret in an `x-rsf-purge-token` header.
+ *
+ * ```js
+ * // pages/api/purge.js
+ * import { createPurgeHandler } from 'react-storefront/server/serverCache'
+ *
+ * export default createPurgeHandler({ secret: process.env.PURGE_SECRET })
+ * ```
+ *
+ * @param {Object} options
+ * @param {String} options.secret The token that callers must provide
+ * @return {Function}
+ */
+export function createPurgeHandler({ secret }) {
+  return async function purgeHandler(req, res) {
+    res.setHeader('Content-Type', 'application/json')
+
+    if (!secret || req.headers['x-rsf-purge-token'] !== secret) {
+      res.statusCode = 401
+      return res.end(JSON.stringify({ error: 'Unauthorized' }))
+    }
+
+    if (req.method !== 'POST') {
+      res.statusCode = 405
+      return res.end(JSON.stringify({ error: 'Method not allowed' }))
+    }
+
+    let body = req.body || {}
+
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body)
+      } catch (e) {
+        res.statusCode = 400
+        return res.end(JSON.stringify({ error: 'Invalid JSON' }))
+      }
+    }
+
+    const { tags } = body || {}
+
+    if (!Array.isArray(tags) || !tags.length) {
+      res.statusCode = 400
+      return res.end(JSON.stringify({ error: 'Expected a non-empty array of tags' }))
+    }
+
+    const purged = await purgeServerCache(tags)
+
+    res.end(JSON.stringify({ purged }))
+  }
+}
@@ -0,0 +1,32 @@
+import fs from 'fs'
+import path from 'path'
+import createSitemap, { SITEMAP_INDEX_PATH, getSitemapPath } from './createSitemap'
+
+/**
+ * Writes the sitemap index and sitemaps created by `createSitemap` to a directory, for example `public`,
+ * so that they can be served as static files.
+ *
+ * ```js
+ * // scripts/sitemap.js
+ * import writeSitemap from 'react-storefront/server/writeSitemap'
+ * import * as connector from 'react-storefront/mock-connector'
+ *
+ * writeSitemap('public', { connector, baseUrl: 'https://www.example.com' })
+ * ```
+ *
+ * @param {String} dir The directory
+ * @param {Object} options The options for `createSitemap`
+ * @return {Promise} Resolves to the paths of the files that were written
+ */
+export default async function writeSitemap(dir, options) {
+  const { index, sitemaps } = await createSitemap(options)
+  const files = [[SITEMAP_INDEX_PATH, index], ...sitemaps.map((xml, i) => [getSitemapPath(i), xml])]
+
+  fs.mkdirSync(dir, { recursive: true })
+
+  return files.map(([name, xml]) => {
+    const file = path.join(dir, name)
+    fs.writeFileSync(file, xml, 'utf-8')
+    return file
+  })
+}
@@ -1,8 +1,16 @@
-import React, { useState, useEffect, useMemo } from 'react'
+import React, { useState, useEffect, useMemo, useRef, useContext } from 'react'
 import SessionContext from './SessionContext'
+import PWAContext from '../PWAContext'
 import PropTypes from 'prop-types'
 import fetch from '../fetch'
 import get from 'lodash/get'
+import {
+  REPLAY_MUTATIONS,
+  MUTATION_REPLAYED,
+  MUTATION_REJECTED,
+  MUTATION_ID_HEADER,
+} from '../sw/messages'
+import { readLocalStorage, writeLocalStorage } from '../utils/localStorage'
 
 const initialState = {
   signedIn: false,
@@ -11,19 +19,169 @@ const initialState = {
   },
 }
 
+// Anonymous users' wishlists are kept in local storage under this key until they sign in
+const WISHLIST_STORAGE_KEY = 'rsf_wishlist'
+
+let lastMutationId = 0
+
 /**
  * Fetches user session data from a specific URL and provides it to descendant components via `SessionContext`.
  *
  * User and session data such as the number of items in the cart, the user's name, and email should always be
  * fetched when the app mounts, not in `getInitialProps`, otherwise the SSR result would not be cacheable
  * since it would contain user-specific data.
+ *
+ * Cart actions (`addToCart`, `updateCart` and `removeCartItem`) update `session.cart.items` immediately, before the
+ * server responds.  Mutations are sent to the server one at a time, in the order in which they were made.  When
+ * the server rejects a mutation, it is rolled back and the promise returned by the action is rejected with the error.
+ * Cart totals (`session.cart.totals`) are computed by the server, so they are updated when the server responds.
+ *
+ * Coupon and checkout actions (`applyCoupon`, `removeCoupon`, `setShippingAddress`, `setShippingMethod` and
+ * `placeOrder`) are validated by the server before they are applied to the session, and are sent in order with
+ * cart mutations so that an order always contains the items that were added before it was placed.
+ *
+ * Wishlist actions (`addToWishlist`, `removeFromWishlist` and `moveToCart`) are sent to the server for signed in
+ * users.  For anonymous users, the wishlist is kept in local storage and is merged into the user's account when
+ * they sign in.  The wishlist is provided as `wishlist` in `SessionContext`.  Use `react-storefront/hooks/useWishlist`
+ * to access it.
+ *
+ * When the app is offline, the service worker created by `configureServiceWorker` stores cart and sign in mutations
+ * in IndexedDB and replays them once the connection returns.  Queued mutations remain applied to the session until
+ * they are replayed.  If the server rejects a replayed mutation, it is rolled back and `onSyncError` is called.
  */
-export default function SessionProvider({ url, children }) {
+export default function SessionProvider({ url, children, onSyncError }) {
   const [session, setSession] = useState(initialState)
+  const [localWishlist, setLocalWishlist] = useState([])
+  const { offline } = useContext(PWAContext) || {}
+
+  // kept in a ref so that the service worker listener is not re-added when an inline function is passed
+  const onSyncErrorRef = useRef(onSyncError)
+  onSyncErrorRef.current = onSyncError
+
+  // Mutations are applied to the session optimistically.  The session last returned by the server is kept in
+  // `confirmed` so that pending mutations can be re-applied on top of it or rolled back when the server rejects one.
+  const mutations = useRef({
+    confirmed: initialState,
+    pending: [],
+    queue: Promise.resolve(),
+  })
+
+  /**
+   * Applies data returned from the server to the session.  Any pending mutations are
+   * re-applied on top of the session returned by the server.
+   * @param {Object} result The response from the api
+   * @param {Boolean} replace Set to true to replace the session rather than merging
+   */
+  const applyServerSession = (result, replace = false) => {
+    const state = mutations.current
+    state.confirmed = replace ? result : { ...state.confirmed, ...result }
+    setSession(applyPendingMutations(state))
+  }
+
+  /**
+   * Removes a pending mutation and applies the result returned by the server for it.
+   * @param {Object} mutation
+   * @param {Object} result The response from the api
+   */
+  const settleMutation = (mutation, result) => {
+    const state = mutations.current
+    state.pending = state.pending.filter(m => m !== mutation)
+
+    if (mutation.update) {
+      state.confirmed = mutation.update(state.confirmed)
+    }
+
+    applyServerSession(result)
+  }
+
+  /**
+   * Removes a pending mutation without applying it to the session.
+   * @param {Object} mutation
+   */
+  const rollBackMutation = mutation => {
+    const state = mutations.current
+    state.pending = state.pending.filter(m => m !== mutation)
+    setSession(applyPendingMutations(state))
+  }
+
+  /**
+   * Applies a mutation to the session immediately, then posts it to the server.  Requests are
+   * serialized so that the server sees mutations in the order in which they were made.  If the server
+   * rejects a mutation, it is removed from the session and the returned promise is rejected.
+   * @param {Object} options
+   * @param {String} options.url The api URL
+   * @param {Object} options.body The data to post
+   * @param {Function} options.update A function that is passed the session and returns the optimistically updated session
+   * @param {Function} options.queuedUpdate The update to apply if the service worker queues the request because the app is offline. Defaults to `update`
+   * @param {String} options.errorMessage The error message to use when the server does not return one
+   * @return {Promise} Resolves to the response from the api
+   */
+  const mutate = ({ url, body, update, queuedUpdate = update, errorMessage }) => {
+    const state = mutations.current
+    const mutation = { id: `${Date.now()}-${++lastMutationId}`, update }
+
+    state.pending.push(mutation)
+    setSession(applyPendingMutations(state))
+
+    const request = async () => {
+      const response = await fetch(url, {
+        method: 'post',
+        headers: {
+          'Content-Type': 'application/json',
+          [MUTATION_ID_HEADER]: mutation.id,
+        },
+        body: JSON.stringify(body),
+      })
+
+      const result = await response.json()
+
+      if (!response.ok) {
+        throw new Error(get(result, 'error', errorMessage))
+      }
+
+      return result
+    }
+
+    const done = state.queue.then(request).then(
+      result => {
+        if (result.queued) {
+          // The service worker will replay this mutation when the app is back online.  Until then,
+          // it remains applied to the session.
+          mutation.update = queuedUpdate
+          setSession(applyPendingMutations(state))
+        } else {
+          settleMutation(mutation, result)
+        }
+
+        return result
+      },
+      error => {
+        rollBackMutation(mutation)
+        throw error
+      },
+    )
+
+    state.queue = done.catch(() => {})
+
+    return done
+  }
+
+  /**
+   * Updates the wishlist of an anonymous user and saves it to local storage
+   * @param {Function} update A function that is passed the wishlist items and returns the new items
+   */
+  const updateLocalWishlist = update => {
+    setLocalWishlist(items => {
+      const nextItems = update(items)
+      writeLocalStorage(WISHLIST_STORAGE_KEY, nextItems.length ? nextItems : undefined)
+      return nextItems
+    })
+  }
 
   const context = useMemo(() => {
     return {
       session,
+      wishlist: session.signedIn ? session.wishlist || { items: [] } : { items: localWishlist },
       actions: {
         /**
          * Signs an existing user in
@@ -31,19 +189,28 @@ export default function SessionProvider({ url, children }) {
          * @param {String} password The user's password
          */
         async signIn({ email, password }) {
-          const response = await fetch('/api/signIn', {
-            method: 'post',
-            body: JSON.stringify({
-              email,
-              password,
-            }),
+          await mutate({
+            url: '/api/signIn',
+            body: { email, password },
+            // the user is only shown as signed in before the server responds if the request is queued while offline
+            update: null,
+            queuedUpdate: session => ({ ...session, signedIn: true, email }),
+            errorMessage: 'An error occurred during sign in',
           })
-          const result = await response.json()
 
-          if (response.ok) {
-            setSession({ ...session, ...result })
-          } else {
-            throw new Error(get(result, 'error', 'An error occurred during sign in'))
+          if (localWishlist.length) {
+            const items = localWishlist
+
+            await mutate({
+              url: '/api/wishlist/merge',
+              body: { items },
+              update: null,
+              // while the merge is queued offline, the items are shown in the user's wishlist
+              queuedUpdate: session =>
+                updateWishlist(session, current => items.reduceRight(addWishlistItem, current)),
+              errorMessage: 'An unknown error occurred while saving your wishlist.',
+            })
+            updateLocalWishlist(() => [])
           }
         },
 
@@ -55,7 +222,7 @@ export default function SessionProvider({ url, children }) {
           const result = await response.json()
 
           if (response.ok) {
-            setSession({ ...session, ...result })
+            applyServerSession(result)
           } else {
             throw new Error(get(result, 'error', 'An error occurred during sign out'))
           }
@@ -85,12 +252,25 @@ export default function SessionProvider({ url, children }) {
           const result = await response.json()
 
           if (response.ok) {
-            setSession({ ...session, ...result })
+            applyServerSession(result)
           } else {
             throw new Error(get(result, 'error', 'An error occurred during sign up'))
           }
         },
 
+        /**
+         * Changes the currency for the session.  Prices in the cart are converted by the server.
+         * @param {String} currency The ISO 4217 currency code
+         */
+        async setCurrency(currency) {
+          await mutate({
+            url: '/api/session/currency',
+            body: { currency },
+            update: null,
+            errorMessage: 'An unknown error occurred while changing the currency.',
+          })
+        },
+
         /**
          * Adds items to the cart
          * @param {Object} product Product data object
@@ -98,31 +278,13 @@ export default function SessionProvider({ url, children }) {
          * @param {Object} otherParams Additional data to submit to api/addToCart
          */
         async addToCart({ product, quantity, ...otherParams }) {
-          const response = await fetch('/api/cart/add', {
-            method: 'post',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              product,
-              quantity,
-              ...otherParams,
-            }),
+          await mutate({
+            url: '/api/cart/add',
+            body: { product, quantity, ...otherParams },
+            update: session => ({ ...session, cart: addItem(session.cart, product, quantity) }),
+            errorMessage:
+              'An unknown error occurred while attempting to add the item to your cart.',
           })
-
-          const result = await response.json()
-
-          if (response.ok) {
-            setSession({ ...session, ...result })
-          } else {
-            throw new Error(
-              get(
-                result,
-                'error',
-                'An unknown error occurred while attempting to add the item to your cart.',
-              ),
-            )
-          }
         },
 
         /**
@@ -133,23 +295,12 @@ export default function SessionProvider({ url, children }) {
          * @param {Object} otherParams Additional data to submit to api/cart/update
          */
         async updateCart({ item, quantity, ...otherParams }) {
-          const response = await fetch('/api/cart/update', {
-            method: 'post',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ item, quantity, ...otherParams }),
+          await mutate({
+            url: '/api/cart/update',
+            body: { item, quantity, ...otherParams },
+            update: session => ({ ...session, cart: updateItem(session.cart, item, quantity) }),
+            errorMessage: 'An unknown error occurred while making changes to your cart.',
           })
-
-          const result = await response.json()
-
-          if (response.ok) {
-            setSession({ ...session, ...result })
-          } else {
-            throw new Error(
-              get(result, 'error', 'An unknown error occurred while making changes to your cart.'),
-            )
-          }
         },
 
         /**
@@ -158,33 +309,237 @@ export default function SessionProvider({ url, children }) {
          * @param {Object} otherParams Additional data to submit to /api/cart/remove
          */
         async removeCartItem({ item, ...otherParams }) {
-          const response = await fetch('/api/cart/remove', {
-            method: 'post',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ item, ...otherParams }),
+          await mutate({
+            url: '/api/cart/remove',
+            body: { item, ...otherParams },
+            update: session => ({ ...session, cart: removeItem(session.cart, item) }),
+            errorMessage: 'An unknown error occurred while removing item from your cart.',
+          })
+        },
+
+        /**
+         * Applies a coupon code to the cart.  `session.cart.totals` is updated once the server accepts the code.
+         * @param {String} code The coupon code
+         */
+        async applyCoupon(code) {
+          await mutate({
+            url: '/api/cart/coupon/apply',
+            body: { code },
+            update: null,
+            errorMessage: 'An unknown error occurred while applying your coupon.',
           })
+        },
 
+        /**
+         * Removes a coupon code from the cart
+         * @param {String} code The coupon code
+         */
+        async removeCoupon(code) {
+          await mutate({
+            url: '/api/cart/coupon/remove',
+            body: { code },
+            update: null,
+            errorMessage: 'An unknown error occurred while removing your coupon.',
+          })
+        },
+
+        /**
+         * Applies a promo code to the cart.  Pass `null` to remove all coupon codes.
+         * @deprecated Use `applyCoupon` and `removeCoupon`, which support more than one code.
+         * @param {String} code The promo code
+         */
+        async applyPromoCode(code) {
+          const codes = code ? [code] : get(session, 'cart.coupons', [])
+
+          for (let coupon of codes) {
+            await mutate({
+              url: code ? '/api/cart/coupon/apply' : '/api/cart/coupon/remove',
+              body: { code: coupon },
+              update: null,
+              errorMessage: 'An unknown error occurred while applying your promo code.',
+            })
+          }
+        },
+
+        /**
+         * Sets the shipping address for checkout
+         * @param {Object} address The address, with `firstName`, `lastName`, `address1`, `address2`, `city`,
+         *  `region`, `postalCode`, `country` and `phone`
+         * @param {Object} otherParams Additional data to submit to api/checkout/address
+         */
+        async setShippingAddress({ address, ...otherParams }) {
+          await mutate({
+            url: '/api/checkout/address',
+            body: { address, ...otherParams },
+            update: null,
+            errorMessage: 'An unknown error occurred while saving your address.',
+          })
+        },
+
+        /**
+         * Fetches the shipping rates available for the shipping address
+         * @return {Promise} Resolves to an array of rates, each with `code`, `name` and `price`
+         */
+        async getShippingRates() {
+          const response = await fetch('/api/checkout/shippingRates')
           const result = await response.json()
 
           if (response.ok) {
-            setSession({ ...session, ...result })
+            return result.shippingRates
           } else {
             throw new Error(
-              get(result, 'error', 'An unknown error occurred while removing item from your cart.'),
+              get(result, 'error', 'An unknown error occurred while fetching shipping rates.'),
             )
           }
         },
+
+        /**
+         * Selects a shipping method for checkout
+         * @param {String} code The code of one of the rates returned by `getShippingRates`
+         */
+        async setShippingMethod(code) {
+          await mutate({
+            url: '/api/checkout/shippingMethod',
+            body: { code },
+            update: null,
+            errorMessage: 'An unknown error occurred while selecting a shipping method.',
+          })
+        },
+
+        /**
+         * Places the order.  When the order is accepted, the cart is emptied.
+         * @param {Object} payment Payment details
+         * @param {Object} otherParams Additional data to submit to api/checkout/placeOrder
+         * @return {Promise} Resolves to the order.  Orders are not queued while offline by default.  Only when
+         *  `/api/checkout/placeOrder` is added to the service worker's `offlineMutations.paths` does this resolve to
+         *  `{ queued: true }` when the app is offline and the order will be placed when the connection returns
+         */
+        async placeOrder({ payment, ...otherParams }) {
+          const result = await mutate({
+            url: '/api/checkout/placeOrder',
+            body: { payment, ...otherParams },
+            update: null,
+            errorMessage: 'An unknown error occurred while placing your order.',
+          })
+
+          return result.queued ? { queued: true } : result.order
+        },
+
+        /**
+         * Adds a product to the wishlist
+         * @param {Object} product Product data object
+         * @param {Object} otherParams Additional data to submit to api/wishlist/add
+         */
+        async addToWishlist({ product, ...otherParams }) {
+          if (!session.signedIn) {
+            return updateLocalWishlist(items => addWishlistItem(items, product))
+          }
+
+          await mutate({
+            url: '/api/wishlist/add',
+            body: { product, ...otherParams },
+            update: session => updateWishlist(session, items => addWishlistItem(items, product)),
+            errorMessage: 'An unknown error occurred while adding the item to your wishlist.',
+          })
+        },
+
+        /**
+         * Removes an item from the wishlist
+         * @param {Object} item Wishlist item to be removed
+         * @param {Object} otherParams Additional data to submit to api/wishlist/remove
+         */
+        async removeFromWishlist({ item, ...otherParams }) {
+          if (!session.signedIn) {
+            return updateLocalWishlist(items => removeWishlistItem(items, item))
+          }
+
+          await mutate({
+            url: '/api/wishlist/remove',
+            body: { item, ...otherParams },
+            update: session => updateWishlist(session, items => removeWishlistItem(items, item)),
+            errorMessage: 'An unknown error occurred while removing the item from your wishlist.',
+          })
+        },
+
+        /**
+         * Adds an item in the wishlist to the cart and removes it from the wishlist
+         * @param {Object} item Wishlist item to be moved
+         * @param {Number} quantity The quantity to add to the cart.  Defaults to 1.
+         * @param {Object} otherParams Additional data to submit to api/wishlist/moveToCart or api/cart/add
+         */
+        async moveToCart({ item, quantity = 1, ...otherParams }) {
+          const errorMessage = 'An unknown error occurred while moving the item to your cart.'
+          const addToCart = session => ({ ...session, cart: addItem(session.cart, item, quantity) })
+
+          if (!session.signedIn) {
+            await mutate({
+              url: '/api/cart/add',
+              body: { product: item, quantity, ...otherParams },
+              update: addToCart,
+              errorMessage,
+            })
+            return updateLocalWishlist(items => removeWishlistItem(items, item))
+          }
+
+          await mutate({
+            url: '/api/wishlist/moveToCart',
+            body: { item, quantity, ...otherParams },
+            update: session =>
+              updateWishlist(addToCart(session), items => removeWishlistItem(items, item)),
+            errorMessage,
+          })
+        },
       },
     }
-  }, [session])
+  }, [session, localWishlist])
+
+  useEffect(() => {
+    // Local storage is read after mounting so that the server-rendered markup matches the first render
+    setLocalWishlist(readLocalStorage(WISHLIST_STORAGE_KEY, []))
+  }, [])
+
+  useEffect(() => {
+    const { serviceWorker } = typeof navigator === 'undefined' ? {} : navigator
+
+    if (!serviceWorker) return
+
+    const onMessage = ({ data = {} }) => {
+      const { type, id, result, error } = data
+
+      if (type !== MUTATION_REPLAYED && type !== MUTATION_REJECTED) return
+
+      const mutation = mutations.current.pending.find(m => m.id === id)
+
+      if (type === MUTATION_REPLAYED) {
+        if (mutation) {
+          settleMutation(mutation, result)
+        } else {
+          // the mutation was queued before the page was reloaded
+          applyServerSession(result)
+        }
+      } else {
+        if (mutation) rollBackMutation(mutation)
+        if (onSyncErrorRef.current) onSyncErrorRef.current(new Error(error))
+      }
+    }
+
+    serviceWorker.addEventListener('message', onMessage)
+    return () => serviceWorker.removeEventListener('message', onMessage)
+  }, [])
+
+  useEffect(() => {
+    const controller = get(navigator, 'serviceWorker.controller')
+
+    if (!offline && controller) {
+      controller.postMessage({ type: REPLAY_MUTATIONS })
+    }
+  }, [offline])
 
   useEffect(() => {
     async function fetchSession() {
       const response = await fetch(url)
       const result = await response.json()
-      setSession(result)
+      applyServerSession(result, true)
     }
 
     if (url) fetchSession()
@@ -193,10 +548,84 @@ export default function SessionProvider({ url, children }) {
   return <SessionContext.Provider value={context}>{children}</SessionContext.Provider>
 }
 
+/**
+ * Returns the session that results from applying all pending mutations to the session last returned by the server.
+ */
+function applyPendingMutations({ confirmed, pending }) {
+  return pending.reduce((session, { update }) => (update ? update(session) : session), confirmed)
+}
+
+function getItems(cart) {
+  return get(cart, 'items', [])
+}
+
+function addItem(cart, product, quantity = 1) {
+  if (!product) return cart
+
+  const items = getItems(cart)
+
+  if (items.some(item => item.id === product.id)) {
+    return {
+      ...cart,
+      items: items.map(item =>
+        item.id === product.id ? { ...item, quantity: item.quantity + quantity } : item,
+      ),
+    }
+  } else {
+    return { ...cart, items: [{ ...product, quantity }, ...items] }
+  }
+}
+
+function updateItem(cart, target, quantity) {
+  if (!target) return cart
+
+  return {
+    ...cart,
+    items: getItems(cart).map(item => (item.id === target.id ? { ...item, quantity } : item)),
+  }
+}
+
+function removeItem(cart, target) {
+  if (!target) return cart
+
+  return {
+    ...cart,
+    items: getItems(cart).filter(item => item.id !== target.id),
+  }
+}
+
+function updateWishlist(session, update) {
+  const wishlist = session.wishlist || {}
+  return { ...session, wishlist: { ...wishlist, items: update(wishlist.items || []) } }
+}
+
+function addWishlistItem(items, product) {
+  if (!product || items.some(item => item.id === product.id)) return items
+  return [toWishlistItem(product), ...items]
+}
+
+function removeWishlistItem(items, target) {
+  if (!target) return items
+  return items.filter(item => item.id !== target.id)
+}
+
+/**
+ * Only the product data needed to display the wishlist is kept
+ */
+function toWishlistItem({ id, name, url, price, priceText, currency, thumbnail }) {
+  return { id, name, url, price, priceText, currency, thumbnail }
+}
+
 SessionProvider.propTypes = {
   /**
    * A URL to fetch when the app mounts which establishes a user session and returns user and cart data
    * to be made available via `react-storefront/session/SessionContext`.
    */
   url: PropTypes.string,
+
+  /**
+   * A function to be called with an `Error` when the server rejects a mutation that was queued while the
+   * app was offline, for example because an item in the cart went out of stock.
+   */
+  onSyncError: PropTypes.func,
 }
@@ -0,0 +1,85 @@
+import { SW_CACHE_CONTROL_HEADER } from '../utils/withCaching'
+
+/**
+ * A header added to cached responses to record when they were stored.
+ * @private
+ */
+export const CACHED_AT_HEADER = 'x-sw-cached-at'
+
+/**
+ * Creates a workbox plugin that caches and expires each response according to the `x-sw-cache-control`
+ * header set by `react-storefront/utils/withCaching`.  This allows api handlers to declare how long their
+ * results can be cached in the service worker, so the time to live does not need to be duplicated in
+ * the service worker config.
+ *
+ * **Example**
+ *
+ * ```js
+ *  import { registerRoute } from 'workbox-routing'
+ *  import { CacheFirst } from 'workbox-strategies'
+ *  import cacheControlPlugin from 'react-storefront/sw/cacheControlPlugin'
+ *
+ *  registerRoute(/\/api\//, new CacheFirst({
+ *    cacheName: 'api',
+ *    plugins: [cacheControlPlugin({ requireHeader: true })]
+ *  }))
+ * ```
+ *
+ * @param {Object} options
+ * @param {Boolean} options.requireHeader Set to `true` to only cache responses with a 200 status that have an `x-sw-cache-control`
+ *  header.  Otherwise responses without the header are cached until they are expired by other plugins.
+ * @return {Object} A workbox plugin
+ */
+export default function cacheControlPlugin({ requireHeader = false } = {}) {
+  return {
+    cacheWillUpdate({ response }) {
+      const maxAgeSeconds = getMaxAgeSeconds(response)
+
+      if (requireHeader && (maxAgeSeconds == null || response.status !== 200)) {
+        return null
+      }
+
+      if (maxAgeSeconds == null) {
+        return response
+      }
+
+      if (maxAgeSeconds <= 0) {
+        return null
+      }
+
+      const headers = new Headers(response.headers)
+      headers.set(CACHED_AT_HEADER, Date.now().toString())
+
+      return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+      })
+    },
+
+    cachedResponseWillBeUsed({ cachedResponse }) {
+      if (!cachedResponse) return cachedResponse
+
+      const maxAgeSeconds = getMaxAgeSeconds(cachedResponse)
+      const cachedAt = parseInt(cachedResponse.headers.get(CACHED_AT_HEADER))
+
+      if (maxAgeSeconds == null || isNaN(cachedAt)) {
+        return cachedResponse
+      }
+
+      return Date.now() - cachedAt < maxAgeSeconds * 1000 ? cachedResponse : null
+    },
+  }
+}
+
+/**
+ * Returns the time to live in seconds declared in the response's `x-sw-cache-control` header, which
+ * has the form `max-age: {seconds}`.
+ * @param {Response} response
+ * @return {Number} The number of seconds or `null` if the response does not have the header
+ */
+export function getMaxAgeSeconds(response) {
+  const value = response.headers.get(SW_CACHE_CONTROL_HEADER)
+  const match = value && value.match(/max-age\s*[:=]\s*(\d+)/i)
+  return match ? parseInt(match[1]) : null
+}
@@ -1,9 +1,39 @@
 import { registerRoute } from 'workbox-routing'
 import { skipWaiting, clientsClaim } from 'workbox-core'
 import { precacheAndRoute } from 'workbox-precaching'
-import { CacheFirst } from 'workbox-strategies'
+import { CacheFirst, NetworkFirst, NetworkOnly, StaleWhileRevalidate } from 'workbox-strategies'
 import { ExpirationPlugin } from 'workbox-expiration'
 import { CacheableResponsePlugin } from 'workbox-cacheable-response'
+import { Queue } from 'workbox-background-sync'
+import cacheControlPlugin from './cacheControlPlugin'
+import {
+  REPLAY_MUTATIONS,
+  MUTATION_REPLAYED,
+  MUTATION_REJECTED,
+  MUTATION_ID_HEADER,
+  API_UPDATED,
+} from './messages'
+
+/**
+ * The workbox strategies that can be specified for each api route
+ */
+const STRATEGIES = {
+  cacheFirst: CacheFirst,
+  networkFirst: NetworkFirst,
+  staleWhileRevalidate: StaleWhileRevalidate,
+  networkOnly: NetworkOnly,
+}
+
+/**
+ * The api routes called by `SessionProvider` that are queued when the app is offline.
+ */
+const DEFAULT_MUTATION_PATHS = [
+  '/api/cart/add',
+  '/api/cart/update',
+  '/api/cart/remove',
+  '/api/signIn',
+  '/api/wishlist/merge',
+]
 
 /**
  * Configures prefetching and caching of static assets as well as caching of api requests
@@ -18,10 +48,12 @@ import { CacheableResponsePlugin } from 'workbox-cacheable-response'
  *
  *  configureServiceWorker({
  *    api: [
- *      { path: '/api/[version]/p/[productId]', maxAgeSeconds },
- *      { path: '/api/[version]/s/[subcategoryId]', maxAgeSeconds },
- *      { path: '/api/[version]/', maxAgeSeconds },
+ *      { path: '/api/[version]/p/[productId]', maxAgeSeconds, strategy: 'staleWhileRevalidate' },
+ *      { path: '/api/[version]/s/[subcategoryId]', maxAgeSeconds, strategy: 'networkFirst', networkTimeoutSeconds: 3 },
+ *      { path: '/api/[version]/search', strategy: 'networkOnly' },
+ *      { path: '/api/[version]/', maxAgeSeconds, cacheName: 'home', maxEntries: 1 },
  *    ],
+ *    offlineMutations: true,
  *  })
  * ```
  *
@@ -30,6 +62,22 @@ import { CacheableResponsePlugin } from 'workbox-cacheable-response'
  * @param {Object} config.api.maxAgeSeconds The time to live in seconds for api requests
  * @param {Object} config.api.paths The api paths to cache
  * @param {Object} config.api.statuses Only responses with these statuses will be cached. Defaults to only caching 200s.
+ * @param {String} config.api.strategy The caching strategy to use. Can be `cacheFirst`, `networkFirst`, `staleWhileRevalidate`,
+ *  or `networkOnly`. Defaults to `cacheFirst`.  When using `staleWhileRevalidate`, fresh responses that differ from the cached one
+ *  are posted to the page so that `useLazyState` can update the rendered page.
+ * @param {Number} config.api.networkTimeoutSeconds When using `networkFirst`, the time to wait for the network before falling back
+ *  to the cache.
+ * @param {String} config.api.cacheName The name of the cache in which responses are stored. Defaults to `api`.
+ * @param {Number} config.api.maxEntries The maximum number of responses to keep in the cache.
+ * @param {Boolean|Object} config.offlineMutations Set to `true` to store cart, sign in and wishlist merge requests made while
+ *  offline in IndexedDB and replay them in order when the connection returns.  Results are posted back to the page, where they
+ *  are applied to the session by `SessionProvider`.  You can also pass an object with the following properties:
+ * @param {String[]} config.offlineMutations.paths The api paths to queue. Defaults to the cart, sign in and wishlist merge apis used by `SessionProvider`
+ * @param {Number} config.offlineMutations.maxRetentionTime The time in minutes after which queued requests are discarded. Defaults to 24 hours.
+ * @param {Boolean|Object} config.serverCacheControl When `true`, api responses are cached for the time declared in the `x-sw-cache-control`
+ *  header set by `react-storefront/utils/withCaching`, even if their path is not listed in `api`.  The header is also honored by the
+ *  routes in `api`, whether or not this is set. Defaults to `false`.  You can also pass an object with the following properties:
+ * @param {Number} config.serverCacheControl.maxEntries The maximum number of responses to keep in the cache. Defaults to 100.
  */
 export default function configureServiceWorker(config) {
   skipWaiting()
@@ -39,6 +87,14 @@ export default function configureServiceWorker(config) {
   if (config.api) {
     cacheAPIRequests(config.api)
   }
+
+  if (config.offlineMutations) {
+    queueOfflineMutations(config.offlineMutations === true ? {} : config.offlineMutations)
+  }
+
+  if (config.serverCacheControl) {
+    cacheDeclaredAPIRequests(config.serverCacheControl === true ? {} : config.serverCacheControl)
+  }
 }
 
 /**
@@ -46,24 +102,220 @@ export default function configureServiceWorker(config) {
  * @param {Object[]} api
  */
 function cacheAPIRequests(api) {
-  for (let { path, maxAgeSeconds, statuses = [200] } of api) {
+  for (let {
+    path,
+    maxAgeSeconds,
+    maxEntries,
+    statuses = [200],
+    strategy = 'cacheFirst',
+    networkTimeoutSeconds,
+    cacheName = 'api',
+  } of api) {
     const url = new RegExp(`${self.origin}${nextRouteToRegex(path)}`, 'i')
+    const Strategy = STRATEGIES[strategy]
+
+    if (!Strategy) {
+      throw new Error(
+        `Invalid strategy "${strategy}" for api route ${path}. Expected one of ${Object.keys(
+          STRATEGIES,
+        ).join(', ')}.`,
+      )
+    }
+
+    log('Caching API route', path, url, strategy)
 
-    log('Caching API route', path, url)
+    let handler
+
+    if (Strategy === NetworkOnly) {
+      handler = new NetworkOnly()
+    } else {
+      const plugins = [
+        new CacheableResponsePlugin({ statuses }),
+        new ExpirationPlugin({ maxAgeSeconds, maxEntries }),
+        cacheControlPlugin(),
+      ]
+
+      if (Strategy === StaleWhileRevalidate) {
+        plugins.push(createUpdateNotificationPlugin())
+      }
+
+      handler = new Strategy({
+        cacheName,
+        plugins,
+        ...(Strategy === NetworkFirst ? { networkTimeoutSeconds } : {}),
+      })
+    }
 
     registerRoute(
       url, // we need to remove the ^ or requests will never match
-      new CacheFirst({
-        cacheName: 'api',
-        plugins: [
-          new CacheableResponsePlugin({ statuses }),
-          new ExpirationPlugin({ maxAgeSeconds }),
-        ],
-      }),
+      handler,
     )
   }
 }
 
+/**
+ * Creates a workbox route that caches any api response with an `x-sw-cache-control` header.  This
+ * route must be registered last so that the routes in the `api` config take precedence.
+ * @param {Object} options
+ */
+function cacheDeclaredAPIRequests({ maxEntries = 100 }) {
+  log('Caching API responses with an x-sw-cache-control header')
+
+  registerRoute(
+    new RegExp(`${self.origin}/api/`, 'i'),
+    new CacheFirst({
+      cacheName: 'api',
+      plugins: [new ExpirationPlugin({ maxEntries }), cacheControlPlugin({ requireHeader: true })],
+    }),
+  )
+}
+
+/**
+ * Creates a workbox plugin that posts fresh responses to the page when they differ from the
+ * response that was previously in the cache.
+ * @return {Object}
+ */
+function createUpdateNotificationPlugin() {
+  return {
+    async cacheDidUpdate({ request, oldResponse, newResponse }) {
+      if (!oldResponse) return
+
+      const [oldText, newText] = await Promise.all([
+        oldResponse.clone().text(),
+        newResponse.clone().text(),
+      ])
+
+      if (oldText === newText) return
+
+      let data
+
+      try {
+        data = JSON.parse(newText)
+      } catch (e) {
+        return
+      }
+
+      log('Fresh data received for', request.url)
+
+      await notifyClients({ type: API_UPDATED, url: request.url, data })
+    },
+  }
+}
+
+/**
+ * Creates workbox routes that queue mutations made while offline and replay them
+ * when the connection returns.
+ * @param {Object} options
+ */
+function queueOfflineMutations({ paths = DEFAULT_MUTATION_PATHS, maxRetentionTime = 24 * 60 }) {
+  let replaying = null
+
+  // Background sync and the page can both ask for a replay.  Only one replay runs at a time so that
+  // mutations are never sent twice or out of order.
+  const replay = () => {
+    if (!replaying) {
+      replaying = replayMutations({ queue }).finally(() => {
+        replaying = null
+      })
+    }
+
+    return replaying
+  }
+
+  const queue = new Queue('rsf-offline-mutations', {
+    maxRetentionTime,
+    onSync: replay,
+  })
+
+  const handler = async ({ request }) => {
+    const copy = request.clone()
+
+    try {
+      return await fetch(request)
+    } catch (e) {
+      log('Queueing offline mutation', request.url)
+
+      await queue.pushRequest({
+        request: copy,
+        metadata: { id: copy.headers.get(MUTATION_ID_HEADER) },
+      })
+
+      return new Response(JSON.stringify({ queued: true }), {
+        status: 202,
+        headers: { 'Content-Type': 'application/json' },
+      })
+    }
+  }
+
+  for (let path of paths) {
+    registerRoute(new RegExp(`${self.origin}${nextRouteToRegex(path)}`, 'i'), handler, 'POST')
+  }
+
+  // Background Sync is not available in all browsers, so the page also asks us to replay
+  // when it detects that the connection has returned.
+  self.addEventListener('message', event => {
+    if (event.data && event.data.type === REPLAY_MUTATIONS) {
+      event.waitUntil(replay())
+    }
+  })
+}
+
+/**
+ * Replays queued mutations in the order in which they were made and posts the results to all open pages.
+ * When the network is still unavailable, the current mutation is put back at the front of the queue so that
+ * it is retried on the next sync.
+ * @param {Object} options
+ * @param {Queue} options.queue
+ */
+async function replayMutations({ queue }) {
+  let entry
+
+  while ((entry = await queue.shiftRequest())) {
+    let response
+
+    try {
+      response = await fetch(entry.request.clone())
+    } catch (error) {
+      await queue.unshiftRequest(entry)
+      throw error
+    }
+
+    let result = {}
+
+    try {
+      result = await response.json()
+    } catch (e) {
+      // the response has no body
+    }
+
+    const { id } = entry.metadata || {}
+
+    log('Replayed offline mutation', entry.request.url, response.status)
+
+    if (response.ok) {
+      await notifyClients({ type: MUTATION_REPLAYED, id, result })
+    } else {
+      await notifyClients({
+        type: MUTATION_REJECTED,
+        id,
+        error: result.error || `The request to ${entry.request.url} failed while offline.`,
+      })
+    }
+  }
+}
+
+/**
+ * Posts a message to all pages controlled by the service worker.
+ * @param {Object} message
+ */
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' })
+
+  for (let client of clients) {
+    client.postMessage(message)
+  }
+}
+
 /**
  * Converts next clean route syntax to a regular expression
  * @param {String} route A next.js route pattern
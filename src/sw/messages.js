@@ -0,0 +1,33 @@
+/**
+ * Message types and headers used to communicate between the page and the service worker.
+ * @private
+ */
+
+/**
+ * Sent from the page to the service worker to replay queued mutations immediately, for example when
+ * the browser comes back online.
+ */
+export const REPLAY_MUTATIONS = 'rsf-replay-mutations'
+
+/**
+ * Sent from the service worker to the page when a queued mutation was accepted by the server.
+ */
+export const MUTATION_REPLAYED = 'rsf-mutation-replayed'
+
+/**
+ * Sent from the service worker to the page when the server rejected a queued mutation, for example
+ * because an item went out of stock while the user was offline.
+ */
+export const MUTATION_REJECTED = 'rsf-mutation-rejected'
+
+/**
+ * A request header containing a unique id for each mutation so that the page can match the results of
+ * replayed mutations with the ones it applied to the session.
+ */
+export const MUTATION_ID_HEADER = 'x-rsf-mutation-id'
+
+/**
+ * Sent from the service worker to the page when a stale api response was served from the cache and
+ * a fresh response that differs from it has been received from the network.
+ */
+export const API_UPDATED = 'rsf-api-updated'
@@ -0,0 +1,35 @@
+/**
+ * Returns the value saved in local storage as JSON under the specified key
+ * @param {String} key The local storage key
+ * @param {*} defaultValue Returned when nothing is saved, the saved value is not valid JSON, or local
+ *  storage is not available
+ * @return {*}
+ */
+export function readLocalStorage(key, defaultValue) {
+  try {
+    const value = JSON.parse(window.localStorage.getItem(key))
+    return value == null ? defaultValue : value
+  } catch (e) {
+    return defaultValue
+  }
+}
+
+/**
+ * Saves a value in local storage as JSON.  Passing `undefined` removes the key.
+ * @param {String} key The local storage key
+ * @param {*} value The value to save
+ * @return {Boolean} `false` when local storage is not available, for example in private browsing
+ */
+export function writeLocalStorage(key, value) {
+  try {
+    if (value === undefined) {
+      window.localStorage.removeItem(key)
+    } else {
+      window.localStorage.setItem(key, JSON.stringify(value))
+    }
+
+    return true
+  } catch (e) {
+    return false
+  }
+}
@@ -0,0 +1,12 @@
+/**
+ * Returns a query in the form used to compare queries: lower case, with leading, trailing and repeated
+ * whitespace removed
+ * @param {String} query
+ * @return {String}
+ */
+export default function normalizeQuery(query) {
+  return String(query || '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+}
@@ -1,3 +1,8 @@
+/**
+ * The response header that tells the service worker how long to cache an api response.
+ */
+export const SW_CACHE_CONTROL_HEADER = 'x-sw-cache-control'
+
 /**
  * Creates a cancelable event handler that will run unless the provided
  * handler calls `e.preventDefault()`.
@@ -9,7 +14,7 @@
 export default function withCaching(handler, maxAgeSeconds) {
   return (req, res) => {
     if (maxAgeSeconds) {
-      res.setHeader('x-sw-cache-control', `max-age: ${maxAgeSeconds}`)
+      res.setHeader(SW_CACHE_CONTROL_HEADER, `max-age: ${maxAgeSeconds}`)
     }
 
     return handler(req, res)
@@ -0,0 +1,36 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import Price from 'react-storefront/Price'
+import LocaleProvider from 'react-storefront/locale/LocaleProvider'
+
+describe('Price', () => {
+  let wrapper
+
+  afterEach(() => {
+    wrapper.unmount()
+  })
+
+  it('should format the value in the current currency', () => {
+    wrapper = mount(
+      <LocaleProvider currency="GBP" locale="en-GB">
+        <Price value={12.5} />
+      </LocaleProvider>,
+    )
+    expect(wrapper.text()).toBe('£12.50')
+  })
+
+  it('should use the currency prop', () => {
+    wrapper = mount(
+      <LocaleProvider currency="GBP">
+        <Price value={12} currency="USD" decimals={0} className="price" />
+      </LocaleProvider>,
+    )
+    expect(wrapper.text()).toBe('$12')
+    expect(wrapper.find('span').hasClass('price')).toBe(true)
+  })
+
+  it('should render nothing when there is no value', () => {
+    wrapper = mount(<Price value={null} />)
+    expect(wrapper.html()).toBe(null)
+  })
+})
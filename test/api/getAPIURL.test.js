@@ -23,4 +23,30 @@ describe('getAPIURL', () => {
     delete window.__NEXT_DATA__
     expect(getAPIURL('/foo')).toBe('/api/foo')
   })
+
+  describe('locales', () => {
+    beforeEach(() => {
+      process.env.RSF_LOCALES = 'en,fr'
+      delete window.__NEXT_DATA__
+    })
+
+    afterEach(() => {
+      delete process.env.RSF_LOCALES
+      window.history.pushState({}, '', '/')
+    })
+
+    it('should move the locale prefix to the query string', () => {
+      expect(getAPIURL('/fr/p/1')).toBe('/api/p/1?locale=fr')
+      expect(getAPIURL('/fr?q=1')).toBe('/api?q=1&locale=fr')
+    })
+
+    it('should not add the default locale', () => {
+      expect(getAPIURL('/en/p/1')).toBe('/api/p/1')
+    })
+
+    it('should use the locale of the current page', () => {
+      window.history.pushState({}, '', '/fr/s/1')
+      expect(getAPIURL('/p/1')).toBe('/api/p/1?locale=fr')
+    })
+  })
 })
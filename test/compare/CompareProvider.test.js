@@ -0,0 +1,149 @@
+import React, { useContext } from 'react'
+import { mount } from 'enzyme'
+import { act } from 'react-dom/test-utils'
+import { renderToString } from 'react-dom/server'
+import CompareProvider from 'react-storefront/compare/CompareProvider'
+import CompareContext from 'react-storefront/compare/CompareContext'
+
+describe('CompareProvider', () => {
+  let wrapper, context
+
+  const ContextGetter = () => {
+    context = useContext(CompareContext)
+    return null
+  }
+
+  const render = props =>
+    mount(
+      <CompareProvider {...props}>
+        <ContextGetter />
+      </CompareProvider>,
+    )
+
+  const product = id => ({
+    id,
+    name: `Product ${id}`,
+    url: `/p/${id}`,
+    thumbnail: { src: `/${id}.png` },
+    price: 10,
+  })
+
+  afterEach(() => {
+    wrapper && wrapper.unmount()
+    wrapper = null
+    window.localStorage.clear()
+  })
+
+  it('should add and remove items', () => {
+    wrapper = render()
+
+    act(() => {
+      expect(context.actions.add(product('1'))).toBe(true)
+    })
+
+    expect(context.items).toEqual([
+      { id: '1', name: 'Product 1', url: '/p/1', thumbnail: { src: '/1.png' } },
+    ])
+    expect(context.isSelected('1')).toBe(true)
+    expect(context.isSelected(1)).toBe(true)
+
+    act(() => {
+      context.actions.remove('1')
+    })
+
+    expect(context.items).toEqual([])
+    expect(context.isSelected('1')).toBe(false)
+  })
+
+  it('should not add the same product twice', () => {
+    wrapper = render()
+    act(() => {
+      context.actions.add(product('1'))
+    })
+    act(() => {
+      expect(context.actions.add(product('1'))).toBe(true)
+    })
+    expect(context.items.length).toBe(1)
+  })
+
+  it('should limit the number of items', () => {
+    wrapper = render({ maxItems: 2 })
+
+    act(() => {
+      context.actions.add(product('1'))
+    })
+    act(() => {
+      context.actions.add(product('2'))
+    })
+
+    expect(context.full).toBe(true)
+
+    act(() => {
+      expect(context.actions.add(product('3'))).toBe(false)
+    })
+
+    expect(context.items.map(item => item.id)).toEqual(['1', '2'])
+  })
+
+  it('should clear all items', () => {
+    wrapper = render()
+    act(() => {
+      context.actions.add(product('1'))
+    })
+    act(() => {
+      context.actions.clear()
+    })
+    expect(context.items).toEqual([])
+  })
+
+  it('should persist items in local storage', () => {
+    wrapper = render({ storageKey: 'compare' })
+    act(() => {
+      context.actions.add(product('1'))
+    })
+    expect(JSON.parse(window.localStorage.getItem('compare'))).toEqual(context.items)
+    wrapper.unmount()
+
+    wrapper = render({ storageKey: 'compare' })
+    expect(context.items.map(item => item.id)).toEqual(['1'])
+  })
+
+  it('should keep both products when two are added at once', () => {
+    wrapper = render()
+
+    act(() => {
+      context.actions.add(product('1'))
+      context.actions.add(product('2'))
+    })
+
+    expect(context.items.map(item => item.id)).toEqual(['1', '2'])
+    expect(JSON.parse(window.localStorage.getItem('rsf_compare')).map(item => item.id)).toEqual([
+      '1',
+      '2',
+    ])
+  })
+
+  it('should not exceed maxItems when products are added at once', () => {
+    wrapper = render({ maxItems: 1 })
+
+    act(() => {
+      context.actions.add(product('1'))
+      context.actions.add(product('2'))
+    })
+
+    expect(context.items.map(item => item.id)).toEqual(['1'])
+  })
+
+  it('should not read local storage while rendering on the server', () => {
+    const getItem = jest.spyOn(Storage.prototype, 'getItem')
+    const html = renderToString(
+      <CompareProvider>
+        <CompareContext.Consumer>{({ items }) => items.length}</CompareContext.Consumer>
+      </CompareProvider>,
+    )
+
+    expect(html).toBe('0')
+    expect(getItem).not.toHaveBeenCalled()
+    getItem.mockRestore()
+  })
+})
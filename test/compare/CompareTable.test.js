@@ -0,0 +1,96 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import CompareContext from 'react-storefront/compare/CompareContext'
+import CompareTable from 'react-storefront/compare/CompareTable'
+import Rating from 'react-storefront/Rating'
+import Link from 'react-storefront/link/Link'
+import LocaleProvider from 'react-storefront/locale/LocaleProvider'
+
+describe('CompareTable', () => {
+  let wrapper
+
+  afterEach(() => {
+    wrapper.unmount()
+  })
+
+  const products = [
+    {
+      id: '1',
+      name: 'Product 1',
+      url: '/p/1',
+      price: 10,
+      currency: 'USD',
+      rating: 4,
+      sizes: [
+        { id: 'sm', text: 'SM' },
+        { id: 'md', text: 'MD' },
+      ],
+    },
+    { id: '2', name: 'Product 2', url: '/p/2', price: 10, currency: 'USD' },
+  ]
+
+  const getRow = label =>
+    wrapper
+      .find('tbody tr')
+      .filterWhere(
+        row =>
+          row
+            .find('th')
+            .hostNodes()
+            .text() === label,
+      )
+      .find('td')
+      .hostNodes()
+      .map(cell => cell.text())
+
+  it('should compute rows from the products', () => {
+    wrapper = mount(<CompareTable products={products} />)
+    expect(getRow('Price')).toEqual(['$10.00', '$10.00'])
+    expect(getRow('Sizes')).toEqual(['SM, MD', '—'])
+    expect(wrapper.find(Rating).length).toBe(1)
+    expect(wrapper.find(Link).map(link => link.prop('as'))).toEqual(['/p/1', '/p/2'])
+  })
+
+  it('should translate the names of the default attributes', () => {
+    const rows = [
+      { code: 'price', name: 'Price', type: 'price', values: [10, 10] },
+      { code: 'sizes', name: 'Available Sizes', type: 'options', values: [['SM'], null] },
+    ]
+    wrapper = mount(
+      <LocaleProvider messages={{ 'CompareTable.price': 'Prix', 'CompareTable.sizes': 'Tailles' }}>
+        <CompareTable products={products} rows={rows} />
+      </LocaleProvider>,
+    )
+    expect(wrapper.find('tbody th').map(cell => cell.text())).toEqual(['Prix', 'Available Sizes'])
+  })
+
+  it('should render the specified rows', () => {
+    const rows = [{ code: 'material', name: 'Material', values: ['Cotton', 'Wool'] }]
+    wrapper = mount(<CompareTable products={products} rows={rows} />)
+    expect(getRow('Material')).toEqual(['Cotton', 'Wool'])
+    expect(wrapper.find('tbody tr').length).toBe(1)
+  })
+
+  it('should highlight differences', () => {
+    wrapper = mount(<CompareTable products={products} highlightDifferences />)
+    const rows = wrapper.find('tbody tr').hostNodes()
+    expect(rows.at(0).prop('className')).not.toContain('differs')
+    expect(rows.at(1).prop('className')).toContain('differs')
+  })
+
+  it('should remove products using the compare context', () => {
+    const remove = jest.fn()
+    wrapper = mount(
+      <CompareContext.Provider value={{ actions: { remove } }}>
+        <CompareTable products={products} />
+      </CompareContext.Provider>,
+    )
+    wrapper.find('button[aria-label="remove Product 1"]').simulate('click')
+    expect(remove).toHaveBeenCalledWith('1')
+  })
+
+  it('should not render remove buttons outside of a CompareProvider', () => {
+    wrapper = mount(<CompareTable products={products} />)
+    expect(wrapper.find('button').exists()).toBe(false)
+  })
+})
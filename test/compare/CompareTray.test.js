@@ -0,0 +1,64 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import { Button } from '@material-ui/core'
+import CompareContext from 'react-storefront/compare/CompareContext'
+import CompareTray from 'react-storefront/compare/CompareTray'
+import Link from 'react-storefront/link/Link'
+
+describe('CompareTray', () => {
+  let wrapper, actions
+
+  beforeEach(() => {
+    actions = { remove: jest.fn(), clear: jest.fn() }
+  })
+
+  afterEach(() => {
+    wrapper.unmount()
+  })
+
+  const render = (items, props) =>
+    mount(
+      <CompareContext.Provider value={{ items, maxItems: 3, actions }}>
+        <CompareTray {...props} />
+      </CompareContext.Provider>,
+    )
+
+  const items = [
+    { id: '1', name: 'Product 1', thumbnail: { src: '/1.png' } },
+    { id: '2', name: 'Product 2', thumbnail: { src: '/2.png' } },
+  ]
+
+  it('should render nothing when there are no items', () => {
+    wrapper = render([])
+    expect(wrapper.isEmptyRender()).toBe(true)
+  })
+
+  it('should render items and empty slots', () => {
+    wrapper = render(items)
+    expect(wrapper.find('img').map(img => img.prop('src'))).toEqual(['/1.png', '/2.png'])
+    expect(wrapper.find('div[className*="empty"]').length).toBe(1)
+  })
+
+  it('should link to the compare page', () => {
+    wrapper = render(items, { href: '/products/compare' })
+    expect(wrapper.find(Link).prop('href')).toBe('/products/compare?ids=1,2')
+    expect(wrapper.find(Button).text()).toBe('Compare (2)')
+  })
+
+  it('should disable the compare button until enough items are selected', () => {
+    wrapper = render(items.slice(0, 1))
+    expect(wrapper.find(Button).prop('disabled')).toBe(true)
+    expect(wrapper.find(Link).exists()).toBe(false)
+  })
+
+  it('should remove items and clear', () => {
+    wrapper = render(items)
+    wrapper.find('button[aria-label="remove Product 2"]').simulate('click')
+    expect(actions.remove).toHaveBeenCalledWith('2')
+    wrapper
+      .find('button[type="button"]')
+      .last()
+      .simulate('click')
+    expect(actions.clear).toHaveBeenCalled()
+  })
+})
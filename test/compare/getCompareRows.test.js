@@ -0,0 +1,60 @@
+import getCompareRows from 'react-storefront/compare/getCompareRows'
+
+describe('getCompareRows', () => {
+  const products = [
+    {
+      id: '1',
+      name: 'Product 1',
+      price: 9.99,
+      rating: 4,
+      sizes: [{ id: 'sm', text: 'SM' }],
+      colors: [{ id: 'red', text: 'Red' }],
+      specs: 'Cotton',
+    },
+    {
+      id: '2',
+      name: 'Product 2',
+      price: 19.99,
+      rating: 4,
+      sizes: [],
+      colors: [{ id: 'red', text: 'Red' }],
+    },
+  ]
+
+  it('should align attributes across products', () => {
+    expect(getCompareRows(products)).toEqual([
+      { code: 'price', name: 'Price', type: 'price', values: [9.99, 19.99], differs: true },
+      { code: 'rating', name: 'Rating', type: 'rating', values: [4, 4], differs: false },
+      {
+        code: 'colors',
+        name: 'Colors',
+        type: 'options',
+        values: [['Red'], ['Red']],
+        differs: false,
+      },
+      { code: 'sizes', name: 'Sizes', type: 'options', values: [['SM'], null], differs: true },
+      { code: 'specs', name: 'Specs', type: 'text', values: ['Cotton', null], differs: true },
+    ])
+  })
+
+  it('should omit attributes that no product has', () => {
+    expect(getCompareRows([{ id: '1', price: 5 }]).map(row => row.code)).toEqual(['price'])
+    expect(getCompareRows([])).toEqual([])
+  })
+
+  it('should accept custom attributes', () => {
+    const rows = getCompareRows(products, [
+      { code: 'material', name: 'Material', getValue: product => product.specs },
+    ])
+
+    expect(rows).toEqual([
+      {
+        code: 'material',
+        name: 'Material',
+        type: 'text',
+        values: ['Cotton', null],
+        differs: true,
+      },
+    ])
+  })
+})
@@ -0,0 +1,176 @@
+import composeConnectors from 'react-storefront/connector/composeConnectors'
+
+describe('composeConnectors', () => {
+  let commerce, search, warn
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation()
+    commerce = {
+      product: jest.fn(async ({ id }) => ({ source: 'commerce', id })),
+      search: jest.fn(async () => ({ source: 'commerce' })),
+      cart: jest.fn(async () => ({ source: 'commerce' })),
+      custom: jest.fn(async () => ({ source: 'commerce' })),
+    }
+    search = {
+      search: jest.fn(async () => ({ source: 'search' })),
+      searchSuggestions: jest.fn(async () => ({ source: 'search' })),
+    }
+  })
+
+  afterEach(() => {
+    warn.mockRestore()
+  })
+
+  it('should take functions from the default connector', async () => {
+    const connector = composeConnectors({ default: commerce })
+    expect(await connector.product({ id: '1' }, 'req', 'res')).toEqual({
+      source: 'commerce',
+      id: '1',
+    })
+    expect(commerce.product).toHaveBeenCalledWith({ id: '1' }, 'req', 'res')
+    expect(await connector.custom()).toEqual({ source: 'commerce' })
+  })
+
+  it('should route functions to the specified connectors', async () => {
+    const connector = composeConnectors({
+      default: commerce,
+      methods: { search, searchSuggestions: search },
+    })
+    expect(await connector.search()).toEqual({ source: 'search' })
+    expect(await connector.searchSuggestions()).toEqual({ source: 'search' })
+    expect(await connector.cart()).toEqual({ source: 'commerce' })
+    expect(commerce.search).not.toHaveBeenCalled()
+  })
+
+  it('should not export functions that no connector implements', () => {
+    const connector = composeConnectors({ default: commerce })
+    expect(connector.session).toBeUndefined()
+    expect(Object.keys(composeConnectors({}))).toEqual([])
+  })
+
+  it('should use the fallback when the connector throws', async () => {
+    search.search.mockImplementation(async () => {
+      throw new Error('down')
+    })
+    const connector = composeConnectors({
+      default: commerce,
+      methods: { search: { connector: search, fallback: commerce } },
+    })
+    expect(await connector.search()).toEqual({ source: 'commerce' })
+    expect(warn).toHaveBeenCalledWith(
+      'react-storefront-connector: search() failed, trying fallback 1.',
+      'down',
+    )
+  })
+
+  it('should use the fallback when the connector times out', async () => {
+    search.search.mockImplementation(() => new Promise(resolve => setTimeout(resolve, 1000)))
+    const connector = composeConnectors({
+      default: commerce,
+      timeout: 10000,
+      methods: { search: { connector: search, fallback: commerce, timeout: 10 } },
+    })
+    expect(await connector.search()).toEqual({ source: 'commerce' })
+  })
+
+  it('should apply the default timeout to methods', async () => {
+    search.search.mockImplementation(() => new Promise(resolve => setTimeout(resolve, 1000)))
+    const connector = composeConnectors({
+      timeout: 10,
+      methods: { search: { connector: search, fallback: () => ({ source: 'default' }) } },
+    })
+    expect(await connector.search()).toEqual({ source: 'default' })
+  })
+
+  it('should throw when the last connector times out', async () => {
+    search.search.mockImplementation(() => new Promise(resolve => setTimeout(resolve, 1000)))
+    const connector = composeConnectors({
+      methods: { search: { connector: search, timeout: 10 } },
+    })
+    await expect(connector.search()).rejects.toThrow('search() did not respond within 10ms.')
+  })
+
+  it('should try fallbacks in order', async () => {
+    const first = { search: jest.fn(async () => Promise.reject(new Error('first'))) }
+    const connector = composeConnectors({
+      methods: { search: { connector: search, fallback: [first, commerce] } },
+    })
+    search.search.mockImplementation(async () => {
+      throw new Error('down')
+    })
+    expect(await connector.search()).toEqual({ source: 'commerce' })
+    expect(first.search).toHaveBeenCalled()
+  })
+
+  it('should throw the last error when all connectors fail', async () => {
+    search.search.mockImplementation(async () => {
+      throw new Error('down')
+    })
+    const connector = composeConnectors({
+      methods: {
+        search: { connector: search, fallback: () => Promise.reject(new Error('also down')) },
+      },
+    })
+    await expect(connector.search()).rejects.toThrow('also down')
+  })
+
+  it('should pass errors from connectors without a timeout', async () => {
+    search.search.mockImplementation(async () => {
+      throw new Error('down')
+    })
+    const connector = composeConnectors({
+      methods: { search: { connector: search, timeout: 100 } },
+    })
+    await expect(connector.search()).rejects.toThrow('down')
+  })
+
+  it('should not apply the default timeout to mutations', async () => {
+    const cart = {
+      addToCart: jest.fn(() => new Promise(resolve => setTimeout(() => resolve('added'), 50))),
+    }
+    const connector = composeConnectors({
+      timeout: 10,
+      methods: { addToCart: { connector: cart, fallback: () => 'fallback' } },
+    })
+    expect(await connector.addToCart()).toBe('added')
+  })
+
+  it('should not allow a timeout for mutations', () => {
+    expect(() =>
+      composeConnectors({ methods: { placeOrder: { connector: commerce, timeout: 100 } } }),
+    ).toThrow('placeOrder() is a mutation and cannot have a timeout.')
+  })
+
+  it('should call onFallback instead of logging', async () => {
+    const onFallback = jest.fn()
+    const error = new Error('down')
+    search.search.mockImplementation(async () => {
+      throw error
+    })
+    const connector = composeConnectors({
+      onFallback,
+      methods: { search: { connector: search, fallback: commerce } },
+    })
+    expect(await connector.search()).toEqual({ source: 'commerce' })
+    expect(onFallback).toHaveBeenCalledWith('search', error, 1)
+    expect(warn).not.toHaveBeenCalled()
+  })
+
+  it('should not log fallbacks in production', async () => {
+    const env = process.env.NODE_ENV
+    process.env.NODE_ENV = 'production'
+    search.search.mockImplementation(async () => {
+      throw new Error('down')
+    })
+    const connector = composeConnectors({
+      methods: { search: { connector: search, fallback: commerce } },
+    })
+
+    try {
+      expect(await connector.search()).toEqual({ source: 'commerce' })
+      expect(warn).not.toHaveBeenCalled()
+    } finally {
+      process.env.NODE_ENV = env
+    }
+  })
+})
@@ -0,0 +1,77 @@
+import testConnector, { formatReport } from 'react-storefront/connector/testConnector'
+
+describe('testConnector', () => {
+  const product = { id: '1', name: 'Shirt', price: 10, quantity: 1 }
+
+  const createConnector = () => ({
+    home: async () => ({ pageData: { title: 'Home' } }),
+    product: async ({ id }) => ({ pageData: { title: 'Shirt', product: { ...product, id } } }),
+    subcategory: async () => ({ pageData: { title: 'Shirts', products: [product] } }),
+    searchSuggestions: async q => ({ text: q, groups: [] }),
+    session: async (req, res) => ({ cart: { items: req.cookies.cart ? [product] : [] } }),
+    cart: async () => ({ pageData: { title: 'Cart', cart: { items: [] } } }),
+    addToCart: async (params, req, res) => {
+      res.setHeader('Set-Cookie', 'cart=1; Path=/')
+      return { cart: { items: [product] } }
+    },
+    updateCartItem: async (item, quantity, req) => ({
+      cart: { items: req.cookies.cart ? [{ ...product, quantity }] : [] },
+    }),
+    removeCartItem: async () => ({ cart: { items: [] } }),
+  })
+
+  it('should pass a conforming connector', async () => {
+    const report = await testConnector(createConnector())
+    expect(formatReport(report)).toBe('')
+    expect(report.passed).toBe(true)
+    expect(report.results.map(r => r.method)).toEqual([
+      'home',
+      'product',
+      'subcategory',
+      'searchSuggestions',
+      'session',
+      'cart',
+      'addToCart',
+      'updateCartItem',
+      'removeCartItem',
+    ])
+  })
+
+  it('should pass fixtures and share cookies between calls', async () => {
+    const connector = createConnector()
+    connector.product = jest.fn(connector.product)
+    connector.updateCartItem = jest.fn(connector.updateCartItem)
+    await testConnector(connector, { fixtures: { product: [{ id: '42' }] } })
+    expect(connector.product).toHaveBeenCalledWith(
+      { id: '42' },
+      expect.objectContaining({
+        query: { _includeAppData: '1' },
+        url: '/api/product?_includeAppData=1',
+      }),
+      expect.any(Object),
+    )
+    expect(connector.updateCartItem.mock.calls[0][2].cookies).toEqual({ cart: '1' })
+  })
+
+  it('should report missing functions, invalid results and errors', async () => {
+    const connector = createConnector()
+    delete connector.home
+    connector.session = async () => ({ cart: { items: [{ id: '1' }] } })
+    connector.cart = async () => {
+      throw new Error('boom')
+    }
+    const report = await testConnector(connector, { cookies: { existing: '1' } })
+    const output = formatReport(report)
+    expect(report.passed).toBe(false)
+    expect(report.problems).toEqual(['home is required but was not exported by the connector.'])
+    expect(output).toContain('home is required')
+    expect(output).toContain('session() returned data that does not match')
+    expect(output).toContain('cart() threw Error: boom')
+  })
+
+  it('should format errors without a stack', () => {
+    expect(
+      formatReport({ problems: [], results: [{ method: 'cart', errors: [], error: 'boom' }] }),
+    ).toBe('react-storefront-connector: cart() threw boom')
+  })
+})
@@ -0,0 +1,100 @@
+import validateConnector, {
+  validateResult,
+  formatErrors,
+} from 'react-storefront/connector/validateConnector'
+import spec from 'react-storefront/connector/connectorSpec'
+import chalk from 'chalk'
+
+describe('validateConnector', () => {
+  const createConnector = () => {
+    const connector = {}
+
+    for (let method in spec) {
+      if (spec[method].required) connector[method] = () => {}
+    }
+
+    return connector
+  }
+
+  it('should return no problems when all required functions are exported', () => {
+    expect(validateConnector(createConnector())).toEqual([])
+  })
+
+  it('should report missing functions', () => {
+    const connector = createConnector()
+    delete connector.product
+    expect(validateConnector(connector)).toEqual([
+      'product is required but was not exported by the connector.',
+    ])
+  })
+
+  it('should report exports that are not functions', () => {
+    expect(validateConnector({ ...createConnector(), search: 'search' })).toEqual([
+      'search should be a function, but was string.',
+    ])
+  })
+
+  describe('validateResult', () => {
+    it('should validate results against the spec', () => {
+      expect(validateResult('removeCartItem', { cart: { items: [] } })).toEqual([])
+      expect(validateResult('removeCartItem', { cart: { items: [{ id: 1 }] } })).toEqual([
+        { path: 'cart.items[0].name', expected: 'string', received: undefined },
+        { path: 'cart.items[0].quantity', expected: 'number', received: undefined },
+      ])
+    })
+
+    it('should accept both product response shapes', () => {
+      const product = { id: '1', name: 'Shirt', price: 10 }
+      expect(validateResult('product', { pageData: { title: 'Shirt', product } })).toEqual([])
+      expect(validateResult('product', { product })).toEqual([])
+    })
+
+    it('should return no errors for functions that are not in the spec', () => {
+      expect(validateResult('custom', null)).toEqual([])
+    })
+  })
+
+  describe('formatErrors', () => {
+    let level
+
+    beforeAll(() => {
+      level = chalk.level
+      chalk.level = 0
+    })
+
+    afterAll(() => {
+      chalk.level = level
+    })
+
+    it('should show a diff of the expected and received values', () => {
+      expect(
+        formatErrors('product', [
+          { path: 'pageData.product.price', expected: 'number', received: '$10.99' },
+          { path: 'pageData.product.name', expected: 'string', received: undefined },
+          { path: 'pageData.product.media', expected: 'object', received: null },
+          { path: '', expected: 'object', received: 'x'.repeat(100) },
+        ]),
+      ).toBe(
+        [
+          'react-storefront-connector: product() returned data that does not match the connector spec:',
+          '',
+          '  pageData.product.price',
+          '    - expected: number',
+          '    + received: "$10.99" (string)',
+          '',
+          '  pageData.product.name',
+          '    - expected: string',
+          '    + received: undefined',
+          '',
+          '  pageData.product.media',
+          '    - expected: object',
+          '    + received: null',
+          '',
+          '  (result)',
+          '    - expected: object',
+          `    + received: "${'x'.repeat(56)}... (string)`,
+        ].join('\n'),
+      )
+    })
+  })
+})
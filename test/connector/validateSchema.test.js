@@ -0,0 +1,84 @@
+import validateSchema from 'react-storefront/connector/validateSchema'
+
+describe('validateSchema', () => {
+  it('should return no errors for valid values', () => {
+    const schema = {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: ['string', 'number'] },
+        tags: { type: 'array', items: { type: 'string' } },
+      },
+    }
+    expect(validateSchema({ id: 1, tags: ['a'] }, schema)).toEqual([])
+  })
+
+  it('should report type mismatches with their path', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          items: { type: 'object', properties: { price: { type: 'number' } } },
+        },
+      },
+    }
+    expect(validateSchema({ items: [{ price: 1 }, { price: '$1' }] }, schema)).toEqual([
+      { path: 'items[1].price', expected: 'number', received: '$1' },
+    ])
+  })
+
+  it('should report missing required properties', () => {
+    const schema = {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: { id: { type: 'string' } },
+    }
+    expect(validateSchema({}, schema)).toEqual([
+      { path: 'id', expected: 'string', received: undefined },
+      { path: 'name', expected: 'any value', received: undefined },
+    ])
+  })
+
+  it('should support integer, null, and object types', () => {
+    expect(validateSchema(1.5, { type: 'integer' })).toHaveLength(1)
+    expect(validateSchema(1, { type: 'integer' })).toEqual([])
+    expect(validateSchema(null, { type: ['string', 'null'] })).toEqual([])
+    expect(validateSchema([], { type: 'object' })).toHaveLength(1)
+  })
+
+  it('should support enum', () => {
+    expect(validateSchema('grid', { enum: ['buttons', 'checkboxes'] })).toEqual([
+      { path: '', expected: 'one of "buttons", "checkboxes"', received: 'grid' },
+    ])
+  })
+
+  it('should support minimum', () => {
+    expect(validateSchema(-1, { type: 'number', minimum: 0 })).toEqual([
+      { path: '', expected: 'a number >= 0', received: -1 },
+    ])
+  })
+
+  it('should support anyOf', () => {
+    const schema = { anyOf: [{ type: 'string' }, { enum: [1, 2] }] }
+    expect(validateSchema('a', schema)).toEqual([])
+    expect(validateSchema(2, schema)).toEqual([])
+    expect(validateSchema(3, schema)).toEqual([
+      { path: '', expected: 'string or one of 1, 2', received: 3 },
+    ])
+  })
+
+  it('should support additionalProperties', () => {
+    expect(validateSchema({ a: 1 }, { type: 'object', additionalProperties: false })).toEqual([
+      { path: 'a', expected: 'no such property', received: 1 },
+    ])
+    expect(
+      validateSchema({ a: 1 }, { type: 'object', additionalProperties: { type: 'string' } }),
+    ).toEqual([{ path: 'a', expected: 'string', received: 1 }])
+  })
+
+  it('should ignore undefined optional properties', () => {
+    const schema = { type: 'object', properties: { a: { type: 'string' } } }
+    expect(validateSchema({ a: undefined }, schema)).toEqual([])
+  })
+})
@@ -0,0 +1,117 @@
+import withSearchRules, {
+  getRedirect,
+  getSynonyms,
+  getPromotion,
+} from 'react-storefront/connector/withSearchRules'
+import { validateResult } from 'react-storefront/connector/validateConnector'
+
+describe('withSearchRules', () => {
+  const rules = {
+    redirects: [
+      { keywords: ['returns', 'Return Policy'], href: '/returns' },
+      { keywords: ['shirts'], href: '/s/[subcategoryId]', as: '/s/1' },
+    ],
+    synonyms: [
+      ['shirt', 'tee', 'top'],
+      ['top', 'blouse'],
+    ],
+    promotions: [
+      { keywords: ['shirt'], pinned: [12, '5'], boosted: ['40'] },
+      { keywords: ['shirt', 'tee'], pinned: ['5', '7'] },
+    ],
+  }
+
+  let connector
+
+  beforeEach(() => {
+    connector = {
+      product: jest.fn(),
+      search: jest.fn(async params => ({ pageData: { title: 'search', products: [], params } })),
+      subcategory: jest.fn(async () => ({ pageData: { title: 'subcategory', products: [] } })),
+      searchSuggestions: jest.fn(async q => ({ text: q, groups: [] })),
+    }
+  })
+
+  it('should keep the other functions of the connector', () => {
+    expect(withSearchRules(connector, rules).product).toBe(connector.product)
+  })
+
+  it('should return the redirect for a keyword instead of searching', async () => {
+    const wrapped = withSearchRules(connector, rules)
+    const result = await wrapped.search({ q: ' return  policy' }, 'req', 'res')
+
+    expect(result).toEqual({
+      redirect: { href: '/returns', as: '/returns' },
+      pageData: { title: ' return  policy', products: [] },
+    })
+    expect(validateResult('search', result)).toEqual([])
+    expect(connector.search).not.toHaveBeenCalled()
+
+    expect((await wrapped.subcategory({ slug: '2', q: 'Shirts' })).redirect).toEqual({
+      href: '/s/[subcategoryId]',
+      as: '/s/1',
+    })
+  })
+
+  it('should pass synonyms and promoted products to the connector', async () => {
+    await withSearchRules(connector, rules).search({ q: 'shirt', page: 1 }, 'req', 'res')
+
+    expect(connector.search).toHaveBeenCalledWith(
+      {
+        q: 'shirt',
+        page: 1,
+        synonyms: { shirt: ['tee', 'top'] },
+        pinned: ['12', '5', '7'],
+        boosted: ['40'],
+      },
+      'req',
+      'res',
+    )
+  })
+
+  it('should not change the parameters when no rules apply', async () => {
+    const wrapped = withSearchRules(connector, rules)
+
+    await wrapped.search({ q: 'hat' })
+    await wrapped.subcategory({ slug: '1' })
+
+    expect(connector.search).toHaveBeenCalledWith({ q: 'hat' })
+    expect(connector.subcategory).toHaveBeenCalledWith({ slug: '1' })
+  })
+
+  it('should add the redirect to the suggestions', async () => {
+    const wrapped = withSearchRules(connector, rules)
+
+    expect(await wrapped.searchSuggestions('returns', 'req', 'res')).toEqual({
+      text: 'returns',
+      groups: [],
+      redirect: { href: '/returns', as: '/returns' },
+    })
+    expect(await wrapped.searchSuggestions('return')).toEqual({ text: 'return', groups: [] })
+    expect(connector.searchSuggestions).toHaveBeenCalledWith('returns', 'req', 'res')
+  })
+
+  it('should not add functions that the connector does not have', () => {
+    expect(withSearchRules({ product: connector.product }, rules).search).toBeUndefined()
+  })
+
+  describe('getRedirect', () => {
+    it('should only match whole queries', () => {
+      expect(getRedirect(rules, 'returns shirt')).toBe(null)
+      expect(getRedirect({}, 'returns')).toBe(null)
+    })
+  })
+
+  describe('getSynonyms', () => {
+    it('should combine the sets that contain each word', () => {
+      expect(getSynonyms(rules, 'Red Top')).toEqual({ top: ['shirt', 'tee', 'blouse'] })
+      expect(getSynonyms({}, 'top')).toEqual({})
+    })
+  })
+
+  describe('getPromotion', () => {
+    it('should return empty lists when no rules match', () => {
+      expect(getPromotion(rules, 'hat')).toEqual({ pinned: [], boosted: [] })
+    })
+  })
+})
@@ -0,0 +1,46 @@
+import withValidation from 'react-storefront/connector/withValidation'
+
+describe('withValidation', () => {
+  let log
+
+  beforeEach(() => {
+    log = jest.fn()
+  })
+
+  it('should return results unchanged', async () => {
+    const result = { cart: { items: [] } }
+    const connector = withValidation({ removeCartItem: async () => result }, { log })
+    expect(await connector.removeCartItem({ id: '1' }, {}, {})).toBe(result)
+    expect(log).not.toHaveBeenCalled()
+  })
+
+  it('should log invalid results', async () => {
+    const connector = withValidation({ removeCartItem: async () => ({ cart: {} }) }, { log })
+    await connector.removeCartItem({ id: '1' }, {}, {})
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('removeCartItem()'))
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('cart.items'))
+  })
+
+  it('should validate synchronous results', () => {
+    const connector = withValidation({ productSuggestions: () => [{ id: 1 }] }, { log })
+    expect(connector.productSuggestions()).toEqual([{ id: 1 }])
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('[0].name'))
+  })
+
+  it('should pass arguments through', () => {
+    const product = jest.fn(() => ({ product: { id: '1', name: 'a' } }))
+    withValidation({ product }, { log }).product({ id: '1' }, 'req', 'res')
+    expect(product).toHaveBeenCalledWith({ id: '1' }, 'req', 'res')
+  })
+
+  it('should keep exports that are not functions', () => {
+    expect(withValidation({ version: '1.0' }).version).toBe('1.0')
+  })
+
+  it('should log with console.warn by default', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation()
+    await withValidation({ session: async () => ({}) }).session()
+    expect(warn).toHaveBeenCalled()
+    warn.mockRestore()
+  })
+})
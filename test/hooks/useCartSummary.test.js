@@ -0,0 +1,69 @@
+import React from 'react'
+import useCartSummary from 'react-storefront/hooks/useCartSummary'
+import SessionContext from 'react-storefront/session/SessionContext'
+import { mount } from 'enzyme'
+
+describe('useCartSummary', () => {
+  let totals
+
+  const Test = () => {
+    totals = useCartSummary()
+    return null
+  }
+
+  const render = session =>
+    mount(
+      <SessionContext.Provider value={{ session }}>
+        <Test />
+      </SessionContext.Provider>,
+    )
+
+  it('should return the totals from the cart', () => {
+    const cartTotals = {
+      subtotal: 100,
+      discounts: [{ code: 'SAVE10', description: '10% off', amount: 10 }],
+      discount: 10,
+      tax: 7.2,
+      shipping: null,
+      total: 97.2,
+      currency: 'EUR',
+    }
+    render({ currency: 'USD', cart: { items: [], totals: cartTotals } })
+    expect(totals).toEqual(cartTotals)
+  })
+
+  it('should fill in missing totals', () => {
+    render({ currency: 'EUR', cart: { items: [], totals: { subtotal: 10, total: 10 } } })
+    expect(totals).toEqual({
+      subtotal: 10,
+      discounts: [],
+      discount: 0,
+      tax: null,
+      shipping: null,
+      total: 10,
+      currency: 'EUR',
+    })
+  })
+
+  it('should compute the subtotal from the items when the cart has no totals', () => {
+    render({
+      cart: {
+        items: [{ price: 10, quantity: 2 }, { price: 5.5, quantity: 1 }, { quantity: 1 }],
+      },
+    })
+    expect(totals).toEqual({
+      subtotal: 25.5,
+      discounts: [],
+      discount: 0,
+      tax: null,
+      shipping: null,
+      total: 25.5,
+      currency: 'USD',
+    })
+  })
+
+  it('should handle a missing session', () => {
+    mount(<Test />)
+    expect(totals.total).toBe(0)
+  })
+})
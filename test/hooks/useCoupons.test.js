@@ -0,0 +1,35 @@
+import React from 'react'
+import useCoupons from 'react-storefront/hooks/useCoupons'
+import SessionContext from 'react-storefront/session/SessionContext'
+import { mount } from 'enzyme'
+
+describe('useCoupons', () => {
+  let result
+
+  const Test = () => {
+    result = useCoupons()
+    return null
+  }
+
+  it('should return the coupons and actions', () => {
+    const actions = { applyCoupon: jest.fn(), removeCoupon: jest.fn() }
+
+    mount(
+      <SessionContext.Provider value={{ session: { cart: { coupons: ['SAVE10'] } }, actions }}>
+        <Test />
+      </SessionContext.Provider>,
+    )
+
+    expect(result).toEqual({ coupons: ['SAVE10'], ...actions })
+  })
+
+  it('should return an empty list when no coupons have been applied', () => {
+    mount(
+      <SessionContext.Provider value={{ session: { cart: { items: [] } } }}>
+        <Test />
+      </SessionContext.Provider>,
+    )
+
+    expect(result.coupons).toEqual([])
+  })
+})
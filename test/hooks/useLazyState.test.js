@@ -230,4 +230,82 @@ describe('useLazyState', () => {
       expect(window.rsf_toggleLoading).not.toBeDefined()
     })
   })
+
+  describe('fresh data from the service worker', () => {
+    let listeners
+
+    beforeEach(() => {
+      listeners = []
+      navigator.serviceWorker = {
+        addEventListener: (type, listener) => listeners.push(listener),
+        removeEventListener: (type, listener) =>
+          (listeners = listeners.filter(l => l !== listener)),
+      }
+      jest.spyOn(window, 'location', 'get').mockReturnValue({
+        href: 'http://localhost/p/1?color=red',
+        pathname: '/p/1',
+        search: '?color=red',
+        hash: '',
+      })
+    })
+
+    afterEach(() => {
+      delete navigator.serviceWorker
+      windowLocationMock('/testurl')
+    })
+
+    const sendMessage = data => act(() => listeners.forEach(listener => listener({ data })))
+
+    it('should replace pageData when fresh data for the current page arrives', () => {
+      wrapper = mount(
+        <Test
+          pageData={{ product: { name: 'Old', price: 10 }, products: [{ id: '1' }, { id: '2' }] }}
+        />,
+      )
+
+      sendMessage({
+        type: 'rsf-api-updated',
+        url: 'http://localhost/api/p/1?color=red&__v__=development',
+        data: { pageData: { product: { name: 'New', price: 12 }, products: [{ id: '3' }] } },
+      })
+
+      expect(state.pageData).toEqual({
+        product: { name: 'New', price: 12 },
+        products: [{ id: '3' }],
+      })
+    })
+
+    it('should ignore fresh data without pageData', () => {
+      wrapper = mount(<Test pageData={{ product: { price: 10 } }} />)
+
+      sendMessage({
+        type: 'rsf-api-updated',
+        url: 'http://localhost/api/p/1?color=red',
+        data: { error: 'Not found' },
+      })
+
+      expect(state.pageData).toEqual({ product: { price: 10 } })
+    })
+
+    it('should ignore fresh data for other pages', () => {
+      wrapper = mount(<Test pageData={{ product: { price: 10 } }} />)
+
+      sendMessage({
+        type: 'rsf-api-updated',
+        url: 'http://localhost/api/p/2?color=red',
+        data: { pageData: { product: { price: 12 } } },
+      })
+      sendMessage({ type: 'other', url: 'http://localhost/api/p/1?color=red' })
+      sendMessage(undefined)
+
+      expect(state.pageData).toEqual({ product: { price: 10 } })
+    })
+
+    it('should stop listening when unmounted', () => {
+      wrapper = mount(<Test />)
+      expect(listeners).toHaveLength(1)
+      wrapper.unmount()
+      expect(listeners).toHaveLength(0)
+    })
+  })
 })
@@ -0,0 +1,42 @@
+import React from 'react'
+import useWishlist from 'react-storefront/hooks/useWishlist'
+import SessionContext from 'react-storefront/session/SessionContext'
+import { mount } from 'enzyme'
+
+describe('useWishlist', () => {
+  let result
+
+  const Test = () => {
+    result = useWishlist()
+    return null
+  }
+
+  it('should return the wishlist items and actions', () => {
+    const actions = {
+      addToWishlist: jest.fn(),
+      removeFromWishlist: jest.fn(),
+      moveToCart: jest.fn(),
+    }
+
+    mount(
+      <SessionContext.Provider value={{ wishlist: { items: [{ id: '1' }] }, actions }}>
+        <Test />
+      </SessionContext.Provider>,
+    )
+
+    expect(result).toMatchObject({ items: [{ id: '1' }], ...actions })
+    expect(result.isInWishlist('1')).toBe(true)
+    expect(result.isInWishlist('2')).toBe(false)
+  })
+
+  it('should return an empty list when there is no wishlist', () => {
+    mount(
+      <SessionContext.Provider value={{ session: {} }}>
+        <Test />
+      </SessionContext.Provider>,
+    )
+
+    expect(result.items).toEqual([])
+    expect(result.isInWishlist('1')).toBe(false)
+  })
+})
@@ -3,7 +3,7 @@ import { mount } from 'enzyme'
 import LinkContext from 'react-storefront/link/LinkContext'
 
 describe('Link', () => {
-  let wrapper, prefetch, Link
+  let wrapper, prefetch, Link, router
 
   beforeEach(() => {
     prefetch = jest.fn()
@@ -11,6 +11,7 @@ describe('Link', () => {
     jest.isolateModules(() => {
       jest.doMock('react-storefront/serviceWorker', () => ({ prefetch }))
       Link = require('react-storefront/link/Link').default
+      router = require('next/router').default
     })
   })
 
@@ -74,6 +75,51 @@ describe('Link', () => {
     expect(onClick).toHaveBeenCalled()
   })
 
+  describe('locales', () => {
+    const getAs = () => wrapper.findWhere(n => n.prop('passHref') !== undefined).prop('as')
+
+    beforeEach(() => {
+      process.env.RSF_LOCALES = 'en,fr'
+    })
+
+    afterEach(() => {
+      delete process.env.RSF_LOCALES
+      router.asPath = ''
+    })
+
+    it('should prefix the url with the locale prop', () => {
+      wrapper = mount(
+        <Link as="/p/1" href="/p/[productId]" locale="fr" prefetch="always">
+          Product 1
+        </Link>,
+      )
+      expect(getAs()).toBe('/fr/p/1')
+      expect(prefetch).toHaveBeenCalledWith('/api/p/1?locale=fr')
+    })
+
+    it('should use the locale of the current route', () => {
+      router.asPath = '/fr/s/1'
+
+      wrapper = mount(
+        <Link href="/cart" prefetch="always">
+          Cart
+        </Link>,
+      )
+      expect(getAs()).toBe('/fr/cart')
+    })
+
+    it('should not prefix the default locale', () => {
+      router.asPath = '/fr/s/1'
+
+      wrapper = mount(
+        <Link as="/p/1" href="/p/[productId]" locale="en">
+          Product 1
+        </Link>,
+      )
+      expect(getAs()).toBe('/p/1')
+    })
+  })
+
   describe('prefetch', () => {
     it('should support prefetch=visible', () => {
       const Test = () => {
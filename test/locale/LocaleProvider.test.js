@@ -0,0 +1,108 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import LocaleProvider from 'react-storefront/locale/LocaleProvider'
+import useLocale from 'react-storefront/locale/useLocale'
+import SessionContext from 'react-storefront/session/SessionContext'
+
+describe('LocaleProvider', () => {
+  let wrapper, locale
+
+  const Test = () => {
+    locale = useLocale()
+    return null
+  }
+
+  afterEach(() => {
+    wrapper.unmount()
+  })
+
+  it('should default to en-US and USD', () => {
+    wrapper = mount(
+      <LocaleProvider>
+        <Test />
+      </LocaleProvider>,
+    )
+    expect(locale.locale).toBe('en-US')
+    expect(locale.currency).toBe('USD')
+    expect(locale.currencies).toEqual(['USD'])
+    expect(locale.formatPrice(10.99)).toBe('$10.99')
+  })
+
+  it('should use the locale and currency from the session', () => {
+    const setCurrency = jest.fn()
+
+    wrapper = mount(
+      <SessionContext.Provider
+        value={{
+          session: { locale: 'de-DE', currency: 'EUR', currencies: ['USD', 'EUR'] },
+          actions: { setCurrency },
+        }}
+      >
+        <LocaleProvider>
+          <Test />
+        </LocaleProvider>
+      </SessionContext.Provider>,
+    )
+
+    expect(locale.locale).toBe('de-DE')
+    expect(locale.currency).toBe('EUR')
+    expect(locale.currencies).toEqual(['USD', 'EUR'])
+    expect(locale.formatPrice(10.5)).toBe('10,50 €')
+    locale.setCurrency('USD')
+    expect(setCurrency).toHaveBeenCalledWith('USD')
+  })
+
+  it('should give precedence to props', () => {
+    wrapper = mount(
+      <SessionContext.Provider value={{ session: { locale: 'de-DE', currency: 'EUR' } }}>
+        <LocaleProvider locale="en-GB" currency="GBP">
+          <Test />
+        </LocaleProvider>
+      </SessionContext.Provider>,
+    )
+
+    expect(locale.locale).toBe('en-GB')
+    expect(locale.currency).toBe('GBP')
+    expect(locale.formatPrice(10)).toBe('£10.00')
+  })
+
+  it('should accept formatting options', () => {
+    wrapper = mount(
+      <LocaleProvider currency="EUR">
+        <Test />
+      </LocaleProvider>,
+    )
+
+    expect(locale.formatPrice(10, { currency: 'USD', decimals: 0 })).toBe('$10')
+  })
+
+  it('should format messages from the catalog', () => {
+    wrapper = mount(
+      <LocaleProvider locale="fr-FR" messages={{ 'ShowMore.label': 'Voir plus' }}>
+        <Test />
+      </LocaleProvider>,
+    )
+
+    expect(locale.formatMessage('ShowMore.label')).toBe('Voir plus')
+    expect(locale.formatMessage('SortButton.title')).toBe('Sort')
+  })
+
+  it('should use the locale of the current route', () => {
+    const router = require('next/router').default
+    process.env.RSF_LOCALES = 'en,fr'
+    router.asPath = '/fr/p/1'
+
+    try {
+      wrapper = mount(
+        <LocaleProvider>
+          <Test />
+        </LocaleProvider>,
+      )
+
+      expect(locale.locale).toBe('fr')
+    } finally {
+      delete process.env.RSF_LOCALES
+      router.asPath = ''
+    }
+  })
+})
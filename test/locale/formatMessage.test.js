@@ -0,0 +1,36 @@
+import formatMessage from 'react-storefront/locale/formatMessage'
+
+describe('formatMessage', () => {
+  const messages = {
+    greeting: 'Hello {name}',
+    items: { zero: 'No items', one: '{count} item', other: '{count} items' },
+    reviews: { one: 'review', other: 'reviews' },
+  }
+
+  it('should replace placeholders', () => {
+    expect(formatMessage(messages, 'en-US', 'greeting', { name: 'Mark' })).toBe('Hello Mark')
+  })
+
+  it('should leave unknown placeholders as is', () => {
+    expect(formatMessage(messages, 'en-US', 'greeting')).toBe('Hello {name}')
+  })
+
+  it('should pick the plural form for the count', () => {
+    expect(formatMessage(messages, 'en-US', 'items', { count: 0 })).toBe('No items')
+    expect(formatMessage(messages, 'en-US', 'items', { count: 1 })).toBe('1 item')
+    expect(formatMessage(messages, 'en-US', 'items', { count: 2 })).toBe('2 items')
+  })
+
+  it('should fall back to other when there is no zero form', () => {
+    expect(formatMessage(messages, 'en-US', 'reviews', { count: 0 })).toBe('reviews')
+  })
+
+  it('should use the plural rules of the locale', () => {
+    expect(formatMessage(messages, 'fr-FR', 'reviews', { count: 1 })).toBe('review')
+    expect(formatMessage(messages, 'fr-FR', 'reviews', { count: 5 })).toBe('reviews')
+  })
+
+  it('should return the id when the message does not exist', () => {
+    expect(formatMessage(messages, 'en-US', 'missing')).toBe('missing')
+  })
+})
@@ -0,0 +1,89 @@
+import {
+  getLocales,
+  parseLocale,
+  localizePath,
+  getCurrentLocale,
+  getLocalePrefixPattern,
+} from 'react-storefront/locale/localeRouting'
+
+describe('localeRouting', () => {
+  beforeEach(() => {
+    process.env.RSF_LOCALES = 'en,fr,de'
+  })
+
+  afterEach(() => {
+    delete process.env.RSF_LOCALES
+    delete process.env.RSF_DEFAULT_LOCALE
+  })
+
+  describe('getLocales', () => {
+    it('should default to the first locale', () => {
+      expect(getLocales()).toEqual({ locales: ['en', 'fr', 'de'], defaultLocale: 'en' })
+    })
+
+    it('should use RSF_DEFAULT_LOCALE', () => {
+      process.env.RSF_DEFAULT_LOCALE = 'fr'
+      expect(getLocales().defaultLocale).toBe('fr')
+    })
+
+    it('should return no locales when none are configured', () => {
+      delete process.env.RSF_LOCALES
+      expect(getLocales()).toEqual({ locales: [], defaultLocale: null })
+    })
+  })
+
+  describe('parseLocale', () => {
+    it('should remove the locale prefix', () => {
+      expect(parseLocale('/fr/p/1?color=red')).toEqual({ locale: 'fr', path: '/p/1?color=red' })
+      expect(parseLocale('/fr')).toEqual({ locale: 'fr', path: '/' })
+      expect(parseLocale('/fr?q=1')).toEqual({ locale: 'fr', path: '/?q=1' })
+    })
+
+    it('should not treat other path segments as locales', () => {
+      expect(parseLocale('/p/1')).toEqual({ locale: null, path: '/p/1' })
+      expect(parseLocale('/french/fries')).toEqual({ locale: null, path: '/french/fries' })
+    })
+  })
+
+  describe('localizePath', () => {
+    it('should add the locale prefix', () => {
+      expect(localizePath('/p/1', 'fr')).toBe('/fr/p/1')
+      expect(localizePath('/', 'fr')).toBe('/fr')
+    })
+
+    it('should replace an existing prefix', () => {
+      expect(localizePath('/fr/p/1', 'de')).toBe('/de/p/1')
+    })
+
+    it('should not prefix the default locale', () => {
+      expect(localizePath('/fr/p/1', 'en')).toBe('/p/1')
+    })
+
+    it('should ignore locales that are not configured', () => {
+      expect(localizePath('/p/1', 'es')).toBe('/p/1')
+    })
+  })
+
+  describe('getCurrentLocale', () => {
+    it('should return the locale of the current page', () => {
+      window.history.pushState({}, '', '/fr/p/1')
+      expect(getCurrentLocale()).toBe('fr')
+      window.history.pushState({}, '', '/p/1')
+      expect(getCurrentLocale()).toBe(null)
+    })
+  })
+
+  describe('getLocalePrefixPattern', () => {
+    it('should match an optional locale prefix', () => {
+      const pattern = new RegExp(`^${getLocalePrefixPattern()}\\/p\\/1$`)
+      expect(pattern.test('/p/1')).toBe(true)
+      expect(pattern.test('/fr/p/1')).toBe(true)
+      expect(pattern.test('/es/p/1')).toBe(false)
+    })
+
+    it('should return an empty string when no locales are configured', () => {
+      delete process.env.RSF_LOCALES
+      expect(getLocalePrefixPattern()).toBe('')
+    })
+  })
+})
@@ -0,0 +1,21 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import useLocale from 'react-storefront/locale/useLocale'
+
+describe('useLocale', () => {
+  it('should return defaults when there is no LocaleProvider', () => {
+    let locale
+
+    const Test = () => {
+      locale = useLocale()
+      return null
+    }
+
+    mount(<Test />)
+
+    expect(locale.locale).toBe('en-US')
+    expect(locale.currency).toBe('USD')
+    expect(locale.setCurrency).toBeUndefined()
+    expect(locale.formatPrice(5)).toBe('$5.00')
+  })
+})
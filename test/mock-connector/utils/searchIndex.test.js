@@ -0,0 +1,177 @@
+import {
+  searchCatalog,
+  categoryForSlug,
+  getCatalog,
+  PAGE_SIZE,
+  CATALOG_SIZE,
+} from 'react-storefront/mock-connector/utils/searchIndex'
+
+describe('searchIndex', () => {
+  const idsWhere = predicate =>
+    getCatalog()
+      .filter(predicate)
+      .map(entry => entry.id)
+
+  const searchAll = options => searchCatalog({ ...options, pageSize: CATALOG_SIZE }).ids
+
+  const getFacet = (facets, name) => facets.find(facet => facet.name === name)
+
+  const getMatches = (facet, code) => facet.options.find(option => option.code === code).matches
+
+  describe('filters', () => {
+    it('should combine options of the same facet with OR', () => {
+      expect(searchAll({ filters: ['color:red', 'color:blue'] })).toEqual(
+        idsWhere(entry => entry.color === 'red' || entry.color === 'blue'),
+      )
+    })
+
+    it('should combine different facets with AND', () => {
+      expect(searchAll({ filters: ['color:red', 'color:blue', 'size:sm'] })).toEqual(
+        idsWhere(
+          entry => (entry.color === 'red' || entry.color === 'blue') && entry.sizes.includes('sm'),
+        ),
+      )
+      expect(searchAll({ filters: ['type:used', 'size:xl'] })).toEqual(
+        idsWhere(entry => entry.type === 'used' && entry.sizes.includes('xl')),
+      )
+    })
+
+    it('should filter by price range', () => {
+      expect(searchAll({ filters: ['price:25-50'] })).toEqual(
+        idsWhere(entry => entry.price >= 25 && entry.price <= 50),
+      )
+    })
+
+    it('should allow either end of a price range to be omitted', () => {
+      expect(searchAll({ filters: ['price:75-'] })).toEqual(idsWhere(entry => entry.price >= 75))
+      expect(searchAll({ filters: ['price:-20'] })).toEqual(idsWhere(entry => entry.price <= 20))
+    })
+
+    it('should combine price ranges with OR', () => {
+      expect(searchAll({ filters: ['price:-20', 'price:80-'] })).toEqual(
+        idsWhere(entry => entry.price <= 20 || entry.price >= 80),
+      )
+    })
+  })
+
+  describe('category', () => {
+    it('should only return products in the category', () => {
+      expect(searchAll({ category: 'hat', filters: ['type:new'] })).toEqual(
+        idsWhere(entry => entry.category === 'hat' && entry.type === 'new'),
+      )
+    })
+
+    it('should assign numbered subcategories to the categories in turn', () => {
+      expect(categoryForSlug('1')).toBe('shirt')
+      expect(categoryForSlug('2')).toBe('pants')
+      expect(categoryForSlug('9')).toBe('shirt')
+      expect(categoryForSlug('shirts')).toBeUndefined()
+    })
+  })
+
+  describe('sort', () => {
+    const sortedIds = compare =>
+      [...getCatalog()].sort((a, b) => compare(a, b) || a.id - b.id).map(entry => entry.id)
+
+    it('should sort by price ascending', () => {
+      expect(searchAll({ sort: 'price_asc' })).toEqual(sortedIds((a, b) => a.price - b.price))
+    })
+
+    it('should sort by price descending', () => {
+      expect(searchAll({ sort: 'price_desc' })).toEqual(sortedIds((a, b) => b.price - a.price))
+    })
+
+    it('should sort by popularity', () => {
+      expect(searchAll({ sort: 'pop' })).toEqual(sortedIds((a, b) => b.popularity - a.popularity))
+    })
+
+    it('should sort by rating', () => {
+      expect(searchAll({ sort: 'rating' })).toEqual(sortedIds((a, b) => b.rating - a.rating))
+    })
+
+    it('should keep catalog order when no sort is selected', () => {
+      expect(searchAll()).toEqual(idsWhere(() => true))
+    })
+  })
+
+  describe('paging', () => {
+    it('should return the first page and the totals', () => {
+      const { ids, total, totalPages } = searchCatalog()
+      expect(ids).toEqual(idsWhere(() => true).slice(0, PAGE_SIZE))
+      expect(total).toBe(CATALOG_SIZE)
+      expect(totalPages).toBe(CATALOG_SIZE / PAGE_SIZE)
+    })
+
+    it('should use pageSize for the offset and the number of pages', () => {
+      const { ids, total, totalPages } = searchCatalog({ page: 2, pageSize: 30 })
+      expect(ids).toEqual(idsWhere(() => true).slice(60, 90))
+      expect(total).toBe(CATALOG_SIZE)
+      expect(totalPages).toBe(Math.ceil(CATALOG_SIZE / 30))
+    })
+
+    it('should count the filtered results', () => {
+      const expected = idsWhere(entry => entry.type === 'used')
+      const { ids, total, totalPages } = searchCatalog({ filters: ['type:used'], page: 3 })
+      expect(total).toBe(expected.length)
+      expect(totalPages).toBe(Math.ceil(expected.length / PAGE_SIZE))
+      expect(ids).toEqual(expected.slice(3 * PAGE_SIZE, 4 * PAGE_SIZE))
+    })
+
+    it('should return no ids past the last page', () => {
+      expect(searchCatalog({ page: CATALOG_SIZE / PAGE_SIZE }).ids).toEqual([])
+    })
+  })
+
+  describe('facets', () => {
+    it('should count the results that match each option', () => {
+      const { facets } = searchCatalog()
+      const count = predicate => idsWhere(predicate).length
+
+      expect(getMatches(getFacet(facets, 'Type'), 'type:used')).toBe(
+        count(entry => entry.type === 'used'),
+      )
+      expect(getMatches(getFacet(facets, 'Size'), 'size:sm')).toBe(
+        count(entry => entry.sizes.includes('sm')),
+      )
+      expect(getFacet(facets, 'Price').buckets[0]).toEqual({
+        from: 0,
+        to: 10,
+        matches: count(entry => entry.price < 10),
+      })
+    })
+
+    it('should not apply the selected options of a facet to its own counts', () => {
+      const { facets } = searchCatalog({ filters: ['color:red', 'type:used'] })
+      const color = getFacet(facets, 'Color')
+      const type = getFacet(facets, 'Type')
+
+      expect(getMatches(color, 'color:blue')).toBe(
+        idsWhere(entry => entry.color === 'blue' && entry.type === 'used').length,
+      )
+      expect(getMatches(type, 'type:new')).toBe(
+        idsWhere(entry => entry.color === 'red' && entry.type === 'new').length,
+      )
+    })
+
+    it('should not apply a selected price range to the price buckets', () => {
+      const { facets } = searchCatalog({ filters: ['price:-20', 'size:xl'] })
+      const { buckets } = getFacet(facets, 'Price')
+      const xl = getCatalog().filter(entry => entry.sizes.includes('xl'))
+
+      expect(buckets[5].matches).toBe(
+        xl.filter(entry => entry.price >= 50 && entry.price < 60).length,
+      )
+      expect(getMatches(getFacet(facets, 'Size'), 'size:sm')).toBe(
+        idsWhere(entry => entry.price <= 20 && entry.sizes.includes('sm')).length,
+      )
+    })
+
+    it('should count only the results that match the search text', () => {
+      const { facets, total } = searchCatalog({ q: 'shirt' })
+      const type = getFacet(facets, 'Type')
+
+      expect(total).toBe(idsWhere(entry => entry.category === 'shirt').length)
+      expect(getMatches(type, 'type:new') + getMatches(type, 'type:used')).toBe(total)
+    })
+  })
+})
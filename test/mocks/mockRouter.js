@@ -17,6 +17,11 @@ const routerMocks = {
     as,
     options,
   })),
+  replace: jest.fn((url, as, options) => ({
+    url,
+    as,
+    options,
+  })),
   asPath: '',
   query: {},
 }
@@ -0,0 +1,115 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import router from 'next/router'
+import SearchResultsContext from 'react-storefront/plp/SearchResultsContext'
+import AmpFilter from 'react-storefront/plp/AmpFilter'
+
+describe('AmpFilter', () => {
+  let wrapper
+
+  const facets = [
+    {
+      name: 'Color',
+      options: [
+        { name: 'Red', code: 'color:red', matches: 10 },
+        { name: 'Blue', code: 'color:blue' },
+      ],
+    },
+    {
+      name: 'Size',
+      options: [{ name: 'SM', code: 'size:sm' }],
+    },
+  ]
+
+  beforeEach(() => {
+    router.asPath = '/s/1?q=shirt&filters=%5B%22color%3Ared%22%5D&sort=price&page=1'
+  })
+
+  afterEach(() => {
+    wrapper.unmount()
+    router.asPath = ''
+  })
+
+  const render = props =>
+    mount(
+      <SearchResultsContext.Provider value={{ pageData: { facets, filters: ['color:red'] } }}>
+        <AmpFilter {...props} />
+      </SearchResultsContext.Provider>,
+    )
+
+  it('should render a form that submits to the current page', () => {
+    wrapper = render()
+    const form = wrapper.find('form')
+    expect(form.prop('id')).toBe('rsfFilterForm')
+    expect(form.prop('method')).toBe('GET')
+    expect(form.prop('action')).toBe('/s/1')
+    expect(form.prop('target')).toBe('_top')
+    expect(wrapper.find('input[name="q"]').prop('value')).toBe('shirt')
+    expect(wrapper.find('input[name="sort"]').exists()).toBe(false)
+    expect(wrapper.find('input[name="page"]').exists()).toBe(false)
+  })
+
+  it('should bind the filters param to the amp state', () => {
+    wrapper = render()
+    const input = wrapper.find('input[name="filters"]')
+    expect(input.prop('value')).toBe('["color:red"]')
+    expect(input.prop('amp-bind')).toMatch(/^value=>rsfSearchState\.filters\.length/)
+  })
+
+  it('should render a checkbox for each option', () => {
+    wrapper = render()
+    const checkboxes = wrapper.find('input[type="checkbox"]')
+    expect(checkboxes.length).toBe(3)
+    expect(checkboxes.at(0).prop('defaultChecked')).toBe(true)
+    expect(checkboxes.at(1).prop('defaultChecked')).toBe(false)
+    expect(checkboxes.at(1).prop('on')).toMatch(/^change:AMP\.setState\(/)
+    expect(checkboxes.at(1).prop('on')).not.toContain('rsfFilterForm.submit')
+    expect(checkboxes.at(1).prop('amp-bind')).toBe(
+      'checked=>rsfSearchState.filters.indexOf("color:blue") != -1',
+    )
+    expect(wrapper.find('legend').map(legend => legend.text())).toEqual(['Color', 'Size'])
+    expect(wrapper.text()).toContain('(10)')
+  })
+
+  it('should render a submit button and clear link', () => {
+    wrapper = render()
+    expect(wrapper.find('button[type="submit"]').text()).toBe('View Results')
+    expect(wrapper.find('button[type="button"]').text()).toBe('clear all')
+    expect(wrapper.find('button[type="button"]').prop('on')).toBe(
+      'tap:AMP.setState({ rsfSearchState: { filters: [] } })',
+    )
+  })
+
+  it('should submit the form on change when submitOnChange is true', () => {
+    wrapper = render({ submitOnChange: true, hideClearLink: true, formId: 'filters' })
+    expect(wrapper.find('button[type="submit"]').exists()).toBe(false)
+    expect(wrapper.find('button[type="button"]').exists()).toBe(false)
+    expect(
+      wrapper
+        .find('input[type="checkbox"]')
+        .first()
+        .prop('on'),
+    ).toMatch(/,filters\.submit$/)
+  })
+
+  it('should render inputs for the min and max of range facets', () => {
+    const price = { name: 'Price', ui: 'range', code: 'price', min: 0, max: 100, step: 5 }
+
+    wrapper = mount(
+      <SearchResultsContext.Provider
+        value={{ pageData: { facets: [price], filters: ['price:10-'] } }}
+      >
+        <AmpFilter submitOnChange />
+      </SearchResultsContext.Provider>,
+    )
+
+    const inputs = wrapper.find('input[type="number"]')
+    expect(inputs.map(input => input.prop('defaultValue'))).toEqual([10, 100])
+    expect(inputs.map(input => input.prop('aria-label'))).toEqual(['Min', 'Max'])
+    expect(inputs.at(0).prop('step')).toBe(5)
+    expect(inputs.at(0).prop('on')).toMatch(
+      /^change:AMP\.setState\(\{ rsfSearchState: \{ ranges: \{ "price": \[event\.value,/,
+    )
+    expect(inputs.at(1).prop('on')).toMatch(/,rsfFilterForm\.submit$/)
+  })
+})
@@ -0,0 +1,34 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import { IconButton } from '@material-ui/core'
+import AmpSearchLightbox from 'react-storefront/plp/AmpSearchLightbox'
+import LocaleProvider from 'react-storefront/locale/LocaleProvider'
+
+describe('AmpSearchLightbox', () => {
+  let wrapper
+
+  afterEach(() => {
+    wrapper.unmount()
+  })
+
+  it('should render the children in an amp-lightbox that closes on tap', () => {
+    wrapper = mount(
+      <AmpSearchLightbox id="filter">
+        <div id="content" />
+      </AmpSearchLightbox>,
+    )
+    expect(wrapper.find('amp-lightbox').prop('id')).toBe('filter')
+    expect(wrapper.find(IconButton).prop('on')).toBe('tap:filter.close')
+    expect(wrapper.find(IconButton).prop('aria-label')).toBe('close')
+    expect(wrapper.find('#content').exists()).toBe(true)
+  })
+
+  it('should translate the close button label', () => {
+    wrapper = mount(
+      <LocaleProvider messages={{ 'AmpSearchLightbox.close': 'fermer' }}>
+        <AmpSearchLightbox id="sort" />
+      </LocaleProvider>,
+    )
+    expect(wrapper.find(IconButton).prop('aria-label')).toBe('fermer')
+  })
+})
@@ -0,0 +1,29 @@
+import React from 'react'
+import { renderToStaticMarkup } from 'react-dom/server'
+import AmpSearchResults from 'react-storefront/plp/AmpSearchResults'
+
+describe('AmpSearchResults', () => {
+  it('should render an amp-list with a load more button', () => {
+    const html = renderToStaticMarkup(
+      <AmpSearchResults src="/api/amp/s/1" height={1000}>
+        <a href="{{url}}">{'{{name}}'}</a>
+      </AmpSearchResults>,
+    )
+
+    expect(html).toContain(
+      '<amp-list src="/api/amp/s/1" items="items" layout="fixed-height" height="1000" load-more="manual" load-more-bookmark="next">',
+    )
+    expect(html).toContain(
+      '<template type="amp-mustache"><a href="{{url}}">{{name}}</a></template>',
+    )
+    expect(html).toContain('<amp-list-load-more load-more-button="">')
+    expect(html).toContain('load-more-clickable=""')
+    expect(html).toContain('Show More')
+  })
+
+  it('should accept button text', () => {
+    const html = renderToStaticMarkup(<AmpSearchResults src="/api/amp/s/1" buttonText="More" />)
+    expect(html).toContain('More')
+    expect(html).not.toContain('Show More')
+  })
+})
@@ -0,0 +1,47 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import router from 'next/router'
+import SearchResultsContext from 'react-storefront/plp/SearchResultsContext'
+import AmpSort from 'react-storefront/plp/AmpSort'
+
+describe('AmpSort', () => {
+  let wrapper
+
+  const sortOptions = [
+    { name: 'Price', code: 'price' },
+    { name: 'Rating', code: 'rating' },
+  ]
+
+  beforeEach(() => {
+    router.asPath = '/s/1?q=shirt&sort=price&page=2'
+  })
+
+  afterEach(() => {
+    wrapper.unmount()
+    router.asPath = ''
+  })
+
+  const render = pageData =>
+    mount(
+      <SearchResultsContext.Provider value={{ pageData: { sortOptions, ...pageData } }}>
+        <AmpSort />
+      </SearchResultsContext.Provider>,
+    )
+
+  it('should render a submit button for each option', () => {
+    wrapper = render({ sort: 'price', filters: [] })
+    const buttons = wrapper.find('button')
+    expect(wrapper.find('form').prop('action')).toBe('/s/1')
+    expect(buttons.map(button => button.prop('value'))).toEqual(['price', 'rating'])
+    expect(buttons.first().prop('name')).toBe('sort')
+    expect(buttons.first().prop('type')).toBe('submit')
+    expect(buttons.first().prop('className')).toContain('Primary')
+    expect(wrapper.find('input[name="q"]').prop('value')).toBe('shirt')
+    expect(wrapper.find('input[name="filters"]').exists()).toBe(false)
+  })
+
+  it('should keep the applied filters', () => {
+    wrapper = render({ filters: ['color:red'] })
+    expect(wrapper.find('input[name="filters"]').prop('value')).toBe('["color:red"]')
+  })
+})
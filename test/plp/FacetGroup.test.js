@@ -4,7 +4,9 @@ import SearchResultsContext from 'react-storefront/plp/SearchResultsContext'
 import FacetGroup from 'react-storefront/plp/FacetGroup'
 import CheckboxFilterGroup from 'react-storefront/plp/CheckboxFilterGroup'
 import ButtonFilterGroup from 'react-storefront/plp/ButtonFilterGroup'
+import RangeFilterGroup from 'react-storefront/plp/RangeFilterGroup'
 import ExpandableSection from 'react-storefront/ExpandableSection'
+import LocaleProvider from 'react-storefront/locale/LocaleProvider'
 
 describe('FacetGroup', () => {
   let wrapper
@@ -98,4 +100,45 @@ describe('FacetGroup', () => {
 
     expect(wrapper.find(ExpandableSection).prop('caption')).toBe('3 selected')
   })
+
+  it('should translate the number of selected filters', () => {
+    wrapper = mount(
+      <LocaleProvider messages={{ 'FacetGroup.selected': { other: '{count} sélectionnés' } }}>
+        <SearchResultsContext.Provider
+          value={{
+            pageData: { filters: ['size:sm', 'size:md'] },
+            actions: { toggleFilter: jest.fn() },
+          }}
+        >
+          <FacetGroup group={{ ...group, ui: '' }} />
+        </SearchResultsContext.Provider>
+      </LocaleProvider>,
+    )
+
+    expect(wrapper.find(ExpandableSection).prop('caption')).toBe('2 sélectionnés')
+  })
+
+  describe('range', () => {
+    const range = { name: 'Price', ui: 'range', code: 'price', min: 0, max: 100, currency: 'USD' }
+
+    const render = filters =>
+      mount(
+        <SearchResultsContext.Provider
+          value={{ pageData: { filters }, actions: { setFilters: jest.fn() } }}
+        >
+          <FacetGroup group={range} />
+        </SearchResultsContext.Provider>,
+      )
+
+    it('should render a range filter group when ui prop is range', () => {
+      wrapper = render([])
+      expect(wrapper.find(RangeFilterGroup).exists()).toBe(true)
+      expect(wrapper.find(ExpandableSection).prop('caption')).toBe(null)
+    })
+
+    it('should show the selected range', () => {
+      wrapper = render(['price:10-'])
+      expect(wrapper.find(ExpandableSection).prop('caption')).toBe('$10 - $100')
+    })
+  })
 })
@@ -3,6 +3,13 @@ import { mount } from 'enzyme'
 import SearchResultsContext from 'react-storefront/plp/SearchResultsContext'
 import FacetGroup from 'react-storefront/plp/FacetGroup'
 import Filter from 'react-storefront/plp/Filter'
+import AmpFilter from 'react-storefront/plp/AmpFilter'
+
+let mockAmp = false
+
+jest.mock('next/amp', () => ({
+  useAmp: () => mockAmp,
+}))
 
 describe('Filter', () => {
   let wrapper
@@ -51,4 +58,24 @@ describe('Filter', () => {
 
     expect(wrapper.find(FacetGroup).length).toBe(2)
   })
+
+  describe('in AMP', () => {
+    beforeEach(() => {
+      mockAmp = true
+    })
+
+    afterEach(() => {
+      mockAmp = false
+    })
+    it('should render AmpFilter', () => {
+      wrapper = mount(
+        <SearchResultsContext.Provider value={{ pageData: { facets, filters: [] } }}>
+          <Filter submitOnChange />
+        </SearchResultsContext.Provider>,
+      )
+
+      expect(wrapper.find(AmpFilter).prop('submitOnChange')).toBe(true)
+      expect(wrapper.find(FacetGroup).exists()).toBe(false)
+    })
+  })
 })
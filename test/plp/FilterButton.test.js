@@ -6,6 +6,13 @@ import Filter from 'react-storefront/plp/Filter'
 import ActionButton from 'react-storefront/ActionButton'
 import Drawer from 'react-storefront/drawer/Drawer'
 import { act } from 'react-dom/test-utils'
+import LocaleProvider from 'react-storefront/locale/LocaleProvider'
+
+let mockAmp = false
+
+jest.mock('next/amp', () => ({
+  useAmp: () => mockAmp,
+}))
 
 describe('FilterButton', () => {
   let wrapper
@@ -157,6 +164,20 @@ describe('FilterButton', () => {
     expect(wrapper.find(ActionButton).prop('value')).toBe('3 selected')
   })
 
+  it('should translate the filter count', () => {
+    wrapper = mount(
+      <LocaleProvider messages={{ 'FilterButton.selected': { other: '{count} sélectionnés' } }}>
+        <SearchResultsContext.Provider
+          value={{ pageData: { filters: ['size:sm', 'size:md'], facets } }}
+        >
+          <FilterButton />
+        </SearchResultsContext.Provider>
+      </LocaleProvider>,
+    )
+
+    expect(wrapper.find(ActionButton).prop('value')).toBe('2 sélectionnés')
+  })
+
   it('should not provide sub label to button when unknown filter', () => {
     wrapper = mount(
       <SearchResultsContext.Provider
@@ -173,4 +194,63 @@ describe('FilterButton', () => {
 
     expect(wrapper.find(ActionButton).prop('value')).toBe(null)
   })
+
+  describe('with a range facet', () => {
+    const facetsWithRange = [
+      facets[0],
+      { name: 'Price', ui: 'range', code: 'price', min: 0, max: 100, currency: 'USD' },
+      {
+        name: 'Type',
+        ui: 'checkboxes',
+        options: [
+          { name: 'New', code: 'type:new' },
+          { name: 'Used', code: 'type:used' },
+        ],
+      },
+    ]
+
+    const render = filters =>
+      mount(
+        <SearchResultsContext.Provider value={{ pageData: { filters, facets: facetsWithRange } }}>
+          <FilterButton />
+        </SearchResultsContext.Provider>,
+      )
+
+    it('should provide the selected range to the sub label when one range filter is selected', () => {
+      wrapper = render(['price:10-50'])
+      expect(wrapper.find(ActionButton).prop('value')).toBe('$10 - $50')
+    })
+
+    it('should provide the option name when one filter after a range facet is selected', () => {
+      wrapper = render(['type:new'])
+      expect(wrapper.find(ActionButton).prop('value')).toBe('New')
+    })
+  })
+
+  describe('in AMP', () => {
+    beforeEach(() => {
+      mockAmp = true
+    })
+
+    afterEach(() => {
+      mockAmp = false
+    })
+    it('should open the filter in an amp-lightbox', () => {
+      wrapper = mount(
+        <SearchResultsContext.Provider value={{ pageData: { facets, filters: [] } }}>
+          <FilterButton drawerProps={{ submitOnChange: true }} />
+        </SearchResultsContext.Provider>,
+      )
+
+      expect(wrapper.find(ActionButton).prop('on')).toBe('tap:rsfFilterLightbox.open')
+      expect(wrapper.find(Drawer).exists()).toBe(false)
+      expect(wrapper.find('amp-lightbox').prop('id')).toBe('rsfFilterLightbox')
+      expect(
+        wrapper
+          .find('amp-lightbox')
+          .find(Filter)
+          .prop('submitOnChange'),
+      ).toBe(true)
+    })
+  })
 })
@@ -0,0 +1,149 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import { act } from 'react-dom/test-utils'
+import { Slider, TextField } from '@material-ui/core'
+import router from 'next/router'
+import SearchResultsContext from 'react-storefront/plp/SearchResultsContext'
+import RangeFilterGroup from 'react-storefront/plp/RangeFilterGroup'
+
+describe('RangeFilterGroup', () => {
+  let wrapper, setFilters
+
+  const group = {
+    name: 'Price',
+    ui: 'range',
+    code: 'price',
+    min: 0,
+    max: 100,
+    currency: 'USD',
+    buckets: [
+      { from: 0, to: 50, matches: 10 },
+      { from: 50, to: 100, matches: 5 },
+    ],
+  }
+
+  beforeEach(() => {
+    setFilters = jest.fn()
+    router.asPath = '/s/1?sort=pop'
+  })
+
+  afterEach(() => {
+    wrapper.unmount()
+    router.asPath = ''
+  })
+
+  const render = (filters, props = {}) =>
+    mount(
+      <SearchResultsContext.Provider value={{ pageData: { filters }, actions: { setFilters } }}>
+        <RangeFilterGroup group={group} {...props} />
+      </SearchResultsContext.Provider>,
+    )
+
+  const inputs = () => wrapper.find(TextField).map(field => field.prop('value'))
+  const input = index =>
+    wrapper
+      .find(TextField)
+      .at(index)
+      .find('input')
+
+  it('should display the selected range', () => {
+    wrapper = render(['color:red', 'price:10-50'])
+    expect(wrapper.find(Slider).prop('value')).toEqual([10, 50])
+    expect(inputs()).toEqual([10, 50])
+  })
+
+  it('should display the bounds of the facet when no range is selected', () => {
+    wrapper = render([])
+    expect(wrapper.find(Slider).prop('value')).toEqual([0, 100])
+  })
+
+  it('should set the filters when the slider is released', () => {
+    wrapper = render(['color:red'], { submitOnChange: true })
+
+    act(() => {
+      wrapper.find(Slider).prop('onChange')({}, [20, 60])
+    })
+    wrapper.update()
+
+    expect(inputs()).toEqual([20, 60])
+    expect(setFilters).not.toHaveBeenCalled()
+
+    act(() => {
+      wrapper.find(Slider).prop('onChangeCommitted')({}, [20, 60])
+    })
+
+    expect(setFilters).toHaveBeenCalledWith(['color:red', 'price:20-60'], true)
+  })
+
+  it('should set the filters when an input loses focus', () => {
+    wrapper = render([])
+
+    input(0).simulate('change', { target: { value: '40' } })
+
+    expect(wrapper.find(Slider).prop('value')).toEqual([40, 100])
+
+    input(0).simulate('blur')
+
+    expect(setFilters).toHaveBeenCalledWith(['price:40-100'], undefined)
+  })
+
+  it('should keep the range in bounds and in order when Enter is pressed', () => {
+    wrapper = render([])
+
+    input(0).simulate('change', { target: { value: '500' } })
+    input(1).simulate('change', { target: { value: '20' } })
+    input(1).simulate('keydown', { key: 'Enter' })
+
+    expect(setFilters).toHaveBeenCalledWith(['price:20-100'], undefined)
+    expect(inputs()).toEqual([20, 100])
+  })
+
+  it('should remove the filter when the full range is selected', () => {
+    wrapper = render(['price:10-50'])
+
+    act(() => {
+      wrapper.find(Slider).prop('onChangeCommitted')({}, [0, 100])
+    })
+
+    expect(setFilters).toHaveBeenCalledWith([], undefined)
+  })
+
+  it('should update when the filters are cleared', () => {
+    wrapper = render(['price:10-50'])
+    wrapper.setProps({
+      children: <RangeFilterGroup group={group} />,
+      value: { pageData: { filters: [] }, actions: { setFilters } },
+    })
+    wrapper.update()
+    expect(inputs()).toEqual([0, 100])
+  })
+
+  it('should render a histogram of the buckets', () => {
+    wrapper = render(['price:60-100'])
+    const bars = wrapper.find('div[aria-hidden="true"] > div')
+    expect(bars.map(bar => bar.prop('style').height)).toEqual(['100%', '50%'])
+    expect(bars.at(0).prop('className')).not.toContain('selected')
+    expect(bars.at(1).prop('className')).toContain('selected')
+  })
+
+  it('should render links for each bucket when JavaScript is disabled', () => {
+    wrapper = render([])
+    const links = wrapper.find('a')
+    expect(links.map(link => link.text())).toEqual(['$0 - $50', '$50 - $100'])
+    expect(links.at(0).prop('href')).toBe('/s/1?sort=pop&filters=%5B%22price%3A0-50%22%5D')
+  })
+
+  it('should split the range into quarters for the links when there are no buckets', () => {
+    wrapper = mount(
+      <SearchResultsContext.Provider value={{ pageData: { filters: [] }, actions: { setFilters } }}>
+        <RangeFilterGroup group={{ ...group, buckets: undefined }} />
+      </SearchResultsContext.Provider>,
+    )
+    expect(wrapper.find('a').map(link => link.text())).toEqual([
+      '$0 - $25',
+      '$25 - $50',
+      '$50 - $75',
+      '$75 - $100',
+    ])
+  })
+})
@@ -0,0 +1,108 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import { Chip } from '@material-ui/core'
+import SearchRecovery from 'react-storefront/plp/SearchRecovery'
+import SearchResultsContext from 'react-storefront/plp/SearchResultsContext'
+import Link from 'react-storefront/link/Link'
+import Price from 'react-storefront/Price'
+
+describe('SearchRecovery', () => {
+  let wrapper
+
+  const recovery = {
+    text: 'red shrit xyz',
+    corrections: [{ text: 'red shirt', href: '/search', as: '/search?q=red%20shirt' }],
+    relaxed: {
+      text: 'red',
+      href: '/search',
+      as: '/search?q=red',
+      dropped: ['shrit', 'xyz'],
+      total: 25,
+      products: [
+        { id: '1', name: 'Product 1', url: '/p/1', price: 10, currency: 'EUR' },
+        { id: '2', name: 'Product 2', url: '/p/2', thumbnail: { src: '/2.png' } },
+      ],
+    },
+    categories: [
+      { text: 'Shirts', href: '/s/[subcategoryId]', as: '/s/1' },
+      { text: 'Hats', href: '/s/[subcategoryId]', as: '/s/2' },
+    ],
+  }
+
+  const render = (pageData, props) =>
+    mount(
+      <SearchResultsContext.Provider value={{ pageData }}>
+        <SearchRecovery {...props} />
+      </SearchResultsContext.Provider>,
+    )
+
+  afterEach(() => {
+    wrapper.unmount()
+  })
+
+  it('should render nothing when there are products', () => {
+    wrapper = render({ products: [{ id: '1' }], recovery })
+    expect(wrapper.isEmptyRender()).toBe(true)
+  })
+
+  it('should render nothing without recovery', () => {
+    wrapper = render({ products: [] })
+    expect(wrapper.isEmptyRender()).toBe(true)
+  })
+
+  it('should render the recovery from the search results', () => {
+    wrapper = render({ products: [], recovery })
+
+    expect(wrapper.find('h2').text()).toBe('No results for "red shrit xyz"')
+    expect(wrapper.text()).toContain('Did you mean')
+    expect(wrapper.text()).toContain('Showing results for "red"')
+    expect(wrapper.find('s').map(s => s.text())).toEqual(['shrit', 'xyz'])
+    expect(wrapper.text()).toContain('View all 25 results')
+    expect(wrapper.find(Price).props()).toMatchObject({ value: 10, currency: 'EUR' })
+    expect(wrapper.text()).toContain('Popular Categories')
+    expect(wrapper.find(Chip).map(chip => chip.prop('label'))).toEqual(['Shirts', 'Hats'])
+  })
+
+  it('should link to each correction, product, relaxed search and category with prefetching', () => {
+    wrapper = render({ products: [], recovery })
+
+    const links = wrapper.find(Link)
+
+    expect(links.map(link => link.prop('as'))).toEqual([
+      '/search?q=red%20shirt',
+      '/p/1',
+      '/p/2',
+      '/search?q=red',
+      '/s/1',
+      '/s/2',
+    ])
+    expect(links.everyWhere(link => link.prop('prefetch') === 'visible')).toBe(true)
+    expect(links.at(1).prop('pageData')).toEqual({ product: recovery.relaxed.products[0] })
+  })
+
+  it('should only render the sections that have data', () => {
+    wrapper = render({ products: [], recovery: { categories: recovery.categories } })
+
+    expect(wrapper.find('h2').text()).toBe('No results found')
+    expect(wrapper.text()).not.toContain('Did you mean')
+    expect(wrapper.find('s')).not.toExist()
+    expect(wrapper.find(Link).length).toBe(2)
+  })
+
+  it('should accept recovery, prefetch and renderProduct props', () => {
+    wrapper = mount(
+      <SearchRecovery
+        recovery={recovery}
+        prefetch={false}
+        renderProduct={product => (
+          <div key={product.id} className="product">
+            {product.name}
+          </div>
+        )}
+      />,
+    )
+
+    expect(wrapper.find('.product').length).toBe(2)
+    expect(wrapper.find(Link).everyWhere(link => link.prop('prefetch') === false)).toBe(true)
+  })
+})
@@ -4,6 +4,12 @@ import SearchResultsProvider from 'react-storefront/plp/SearchResultsProvider'
 import SearchResultsContext from 'react-storefront/plp/SearchResultsContext'
 import { act } from 'react-dom/test-utils'
 
+let mockAmp = false
+
+jest.mock('next/amp', () => ({
+  useAmp: () => mockAmp,
+}))
+
 describe('SearchResultsProvider', () => {
   const initialStore = {
     pageData: {
@@ -201,6 +207,20 @@ describe('SearchResultsProvider', () => {
       expect(fetch).toHaveBeenCalled()
     })
 
+    it('should update the recovery when filters are applied', async () => {
+      const recovery = { text: 'red', categories: [{ text: 'Shirts', href: '/s/1' }] }
+
+      fetchMock.mockResponseOnce(JSON.stringify({ pageData: { products: [], total: 0, recovery } }))
+      wrapper = mount(<Test />)
+
+      await act(async () => {
+        await context.actions.applyFilters()
+        await wrapper.update()
+      })
+
+      expect(getStore.pageData.recovery).toEqual(recovery)
+    })
+
     it('setSort', async () => {
       fetchMock.mockResponseOnce(
         JSON.stringify({
@@ -247,4 +267,27 @@ describe('SearchResultsProvider', () => {
     expect(providedState.filters).toEqual(['blue', 'red'])
     expect(fetch).toHaveBeenCalledWith('/api/test?foo=bar&__v__=development')
   })
+
+  describe('in AMP', () => {
+    beforeEach(() => {
+      mockAmp = true
+    })
+
+    afterEach(() => {
+      mockAmp = false
+    })
+    it('should render the amp-state for the search controls', () => {
+      wrapper = mount(
+        <SearchResultsProvider
+          store={{ pageData: { filters: ['color:red'], sort: 'price', page: 0 } }}
+          updateStore={Function.prototype}
+        />,
+      )
+
+      expect(wrapper.find('amp-state').prop('id')).toBe('rsfSearchState')
+      expect(wrapper.find('amp-state script').prop('dangerouslySetInnerHTML')).toEqual({
+        __html: '{"filters":["color:red"],"sort":"price","ranges":{}}',
+      })
+    })
+  })
 })
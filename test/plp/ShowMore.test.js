@@ -6,6 +6,13 @@ import { act } from 'react-dom/test-utils'
 import VisibilitySensor from 'react-visibility-sensor'
 
 jest.useFakeTimers()
+import router from 'next/router'
+
+let mockAmp = false
+
+jest.mock('next/amp', () => ({
+  useAmp: () => mockAmp,
+}))
 
 describe('ShowMore', () => {
   let wrapper
@@ -153,4 +160,34 @@ describe('ShowMore', () => {
       expect(fetch).toHaveBeenCalledTimes(1)
     })
   })
+
+  describe('in AMP', () => {
+    beforeEach(() => {
+      mockAmp = true
+      router.asPath = '/s/1?q=shirt&page=1'
+    })
+
+    afterEach(() => {
+      mockAmp = false
+      router.asPath = ''
+    })
+
+    const render = props =>
+      mount(
+        <SearchResultsContext.Provider value={{ pageData: { page: 1, totalPages: 5 } }}>
+          <ShowMore {...props} />
+        </SearchResultsContext.Provider>,
+      )
+
+    it('should link to the next page', () => {
+      wrapper = render({ variant: 'infinite' })
+      expect(wrapper.find(VisibilitySensor).exists()).toBe(false)
+      expect(wrapper.find('a').prop('href')).toBe('/s/1?q=shirt&page=2')
+    })
+
+    it('should use href when specified', () => {
+      wrapper = render({ href: '/s/1?more=1' })
+      expect(wrapper.find('a').prop('href')).toBe('/s/1?more=1')
+    })
+  })
 })
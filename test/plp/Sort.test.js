@@ -3,6 +3,13 @@ import { mount } from 'enzyme'
 import Sort from 'react-storefront/plp/Sort'
 import { Button, MenuItem } from '@material-ui/core'
 import SearchResultsContext from 'react-storefront/plp/SearchResultsContext'
+import AmpSort from 'react-storefront/plp/AmpSort'
+
+let mockAmp = false
+
+jest.mock('next/amp', () => ({
+  useAmp: () => mockAmp,
+}))
 
 describe('Sort', () => {
   const mockSetSort = jest.fn()
@@ -115,4 +122,38 @@ describe('Sort', () => {
 
     expect(mockSetSort).toHaveBeenCalledTimes(0)
   })
+
+  describe('in AMP', () => {
+    beforeEach(() => {
+      mockAmp = true
+    })
+
+    afterEach(() => {
+      mockAmp = false
+    })
+
+    it('should render AmpSort', () => {
+      variant = 'menu-items'
+      wrapper = mount(<Test />)
+
+      expect(wrapper.find(AmpSort).exists()).toBe(true)
+      expect(wrapper.find(MenuItem).exists()).toBe(false)
+    })
+
+    it('should pass classes to AmpSort', () => {
+      wrapper = mount(
+        <SearchResultsContext.Provider value={{ pageData: { sortOptions }, actions: {} }}>
+          <Sort classes={{ option: 'custom-option' }} />
+        </SearchResultsContext.Provider>,
+      )
+
+      expect(wrapper.find(AmpSort).prop('classes')).toEqual({ option: 'custom-option' })
+      expect(
+        wrapper
+          .find(Button)
+          .first()
+          .prop('className'),
+      ).toContain('custom-option')
+    })
+  })
 })
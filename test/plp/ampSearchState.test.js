@@ -0,0 +1,86 @@
+import {
+  FILTERS_PARAM_EXPRESSION,
+  getAmpSearchState,
+  getFiltersParam,
+  getFormTarget,
+  getPageURL,
+  isSelectedExpression,
+  setRangeAction,
+  toggleFilterAction,
+} from 'react-storefront/plp/ampSearchState'
+
+describe('ampSearchState', () => {
+  it('should return the initial state', () => {
+    expect(getAmpSearchState({ filters: ['color:red'], sort: 'price', page: 1 })).toEqual({
+      filters: ['color:red'],
+      sort: 'price',
+      ranges: {},
+    })
+    expect(getAmpSearchState()).toEqual({ filters: [], sort: undefined, ranges: {} })
+  })
+
+  it('should include the selected range of each range facet in the initial state', () => {
+    const facets = [
+      { name: 'Price', ui: 'range', code: 'price', min: 0, max: 100 },
+      { name: 'Weight', ui: 'range', code: 'weight', min: 1, max: 5 },
+      { name: 'Color', options: [] },
+    ]
+
+    expect(getAmpSearchState({ filters: ['price:10-50'], facets }).ranges).toEqual({
+      price: [10, 50],
+      weight: [1, 5],
+    })
+  })
+
+  it('should set one end of a range', () => {
+    expect(setRangeAction('price', 0)).toBe(
+      'AMP.setState({ rsfSearchState: { ranges: { "price": [event.value, rsfSearchState.ranges["price"][1]] }, ' +
+        'filters: rsfSearchState.filters.filter(f => f.indexOf("price:") != 0)' +
+        '.concat(["price" + \':\' + event.value + \'-\' + rsfSearchState.ranges["price"][1]]) } })',
+    )
+    expect(setRangeAction('price', 1)).toContain(
+      'ranges: { "price": [rsfSearchState.ranges["price"][0], event.value] }',
+    )
+  })
+
+  it('should quote filter codes in expressions', () => {
+    expect(isSelectedExpression('color:red')).toBe(
+      'rsfSearchState.filters.indexOf("color:red") != -1',
+    )
+    expect(toggleFilterAction("size:women's")).toBe(
+      'AMP.setState({ rsfSearchState: { filters: rsfSearchState.filters.indexOf("size:women\'s") == -1 ' +
+        '? rsfSearchState.filters.concat(["size:women\'s"]) ' +
+        ': rsfSearchState.filters.filter(f => f != "size:women\'s") } })',
+    )
+  })
+
+  it('should serialize the selected filters as JSON in amp-bind', () => {
+    const evaluate = filters =>
+      new Function('rsfSearchState', `return ${FILTERS_PARAM_EXPRESSION}`)({ filters })
+    const filters = ['color:red', 'size:10"', 'name:a\\b']
+
+    expect(JSON.parse(evaluate(filters))).toEqual(filters)
+    expect(evaluate(filters)).toBe(getFiltersParam(filters))
+    expect(evaluate([])).toBe('')
+  })
+
+  it('should serialize filters for the query string', () => {
+    expect(getFiltersParam(['color:red', 'size:sm'])).toBe('["color:red","size:sm"]')
+    expect(getFiltersParam([])).toBe('')
+  })
+
+  it('should keep uncontrolled params in form targets', () => {
+    expect(
+      getFormTarget('/s/1?q=shirt&amp=1&filters=%5B%5D&sort=price&page=2&more=1&a[b]=c#top'),
+    ).toEqual({
+      action: '/s/1',
+      params: { q: 'shirt', amp: '1' },
+    })
+    expect(getFormTarget('/s/1')).toEqual({ action: '/s/1', params: {} })
+  })
+
+  it('should return page URLs', () => {
+    expect(getPageURL('/s/1?amp=1&more=1&page=1', 2)).toBe('/s/1?amp=1&page=2')
+    expect(getPageURL('/s/1?page=1', 0)).toBe('/s/1')
+  })
+})
@@ -0,0 +1,62 @@
+import {
+  formatRangeValue,
+  getFiltersURL,
+  getRangeFilter,
+  getSelectedRange,
+  isRangeSelected,
+  parseRangeFilter,
+  setRangeFilter,
+} from 'react-storefront/plp/rangeFilter'
+
+describe('rangeFilter', () => {
+  const group = { name: 'Price', ui: 'range', code: 'price', min: 0, max: 100 }
+
+  it('should create range filters', () => {
+    expect(getRangeFilter('price', [10, 50])).toBe('price:10-50')
+    expect(getRangeFilter('price', [10, null])).toBe('price:10-')
+    expect(getRangeFilter('price', [null, 50])).toBe('price:-50')
+  })
+
+  it('should parse range filters', () => {
+    expect(parseRangeFilter('price:10-50.5')).toEqual({ code: 'price', min: 10, max: 50.5 })
+    expect(parseRangeFilter('price:75-')).toEqual({ code: 'price', min: 75, max: null })
+    expect(parseRangeFilter('temp:-10--5')).toEqual({ code: 'temp', min: -10, max: -5 })
+    expect(parseRangeFilter('color:red')).toBe(null)
+    expect(parseRangeFilter('size:x-large')).toBe(null)
+  })
+
+  it('should return the selected range within the bounds of the facet', () => {
+    expect(getSelectedRange(['color:red', 'price:10-50'], group)).toEqual([10, 50])
+    expect(getSelectedRange(['price:-500'], group)).toEqual([0, 100])
+    expect(getSelectedRange(['weight:1-2'], group)).toEqual([0, 100])
+    expect(getSelectedRange(undefined, group)).toEqual([0, 100])
+  })
+
+  it('should determine whether a range is selected', () => {
+    expect(isRangeSelected(['price:10-50'], group)).toBe(true)
+    expect(isRangeSelected(['color:red'], group)).toBe(false)
+  })
+
+  it('should replace the range of a facet', () => {
+    expect(setRangeFilter(['price:10-50', 'color:red'], group, [20, 30])).toEqual([
+      'color:red',
+      'price:20-30',
+    ])
+  })
+
+  it('should remove the range when it covers all values', () => {
+    expect(setRangeFilter(['price:10-50', 'color:red'], group, [0, 100])).toEqual(['color:red'])
+  })
+
+  it('should return the URL of the page with different filters', () => {
+    expect(getFiltersURL('/s/1?q=shirt&sort=pop&page=2&more=1#top', ['price:10-50'])).toBe(
+      '/s/1?q=shirt&sort=pop&filters=%5B%22price%3A10-50%22%5D',
+    )
+    expect(getFiltersURL('/s/1?filters=%5B%5D', [])).toBe('/s/1')
+  })
+
+  it('should format values as prices when the facet has a currency', () => {
+    expect(formatRangeValue(group, 10)).toBe('10')
+    expect(formatRangeValue({ ...group, currency: 'USD' }, 10)).toBe('$10')
+  })
+})
@@ -1,4 +1,5 @@
 import createLazyProps from 'react-storefront/props/createLazyProps'
+import Router from 'next/router'
 
 describe('createLazyProps', () => {
   describe('server', () => {
@@ -10,6 +11,31 @@ describe('createLazyProps', () => {
 
       expect(mockFetchCallback).toBeCalled()
     })
+
+    it('should send a redirect when the result has one', async () => {
+      jest.spyOn(global, 'window', 'get').mockImplementationOnce(() => undefined)
+      const res = { writeHead: jest.fn(), end: jest.fn() }
+      const result = { redirect: { href: '/s/[subcategoryId]', as: '/s/1' } }
+
+      expect(await createLazyProps(() => Promise.resolve(result))({ res })).toBe(result)
+      expect(res.writeHead).toHaveBeenCalledWith(302, { Location: '/s/1' })
+      expect(res.end).toHaveBeenCalled()
+    })
+
+    it('should keep the locale of the page in the redirect', async () => {
+      process.env.RSF_LOCALES = 'en,fr'
+
+      try {
+        jest.spyOn(global, 'window', 'get').mockImplementationOnce(() => undefined)
+        const res = { writeHead: jest.fn(), end: jest.fn() }
+        const result = { redirect: { href: '/s/[subcategoryId]', as: '/s/1' } }
+
+        await createLazyProps(() => Promise.resolve(result))({ res, asPath: '/fr/search?q=new' })
+        expect(res.writeHead).toHaveBeenCalledWith(302, { Location: '/fr/s/1' })
+      } finally {
+        delete process.env.RSF_LOCALES
+      }
+    })
   })
 
   describe('client', () => {
@@ -52,6 +78,34 @@ describe('createLazyProps', () => {
       expect(result.lazy).resolves.toBe('test')
     })
 
+    it('should replace the current page when the result has a redirect', async () => {
+      const mockFetchCallback = jest
+        .fn()
+        .mockReturnValueOnce(Promise.resolve({ redirect: { href: '/returns' } }))
+
+      await createLazyProps(mockFetchCallback)({})
+
+      expect(Router.replace).toHaveBeenCalledWith('/returns', '/returns')
+    })
+
+    it('should keep the locale of the page when replacing the current page', async () => {
+      process.env.RSF_LOCALES = 'en,fr'
+
+      try {
+        const mockFetchCallback = jest
+          .fn()
+          .mockReturnValueOnce(
+            Promise.resolve({ redirect: { href: '/s/[subcategoryId]', as: '/s/1' } }),
+          )
+
+        await createLazyProps(mockFetchCallback)({ asPath: '/fr/search?q=new' })
+
+        expect(Router.replace).toHaveBeenCalledWith('/s/[subcategoryId]', '/fr/s/1')
+      } finally {
+        delete process.env.RSF_LOCALES
+      }
+    })
+
     it('should catch promise errors', async () => {
       const mockFetchCallback = jest.fn().mockReturnValueOnce(Promise.reject(new Error('error')))
 
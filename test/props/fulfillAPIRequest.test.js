@@ -1,4 +1,6 @@
 import fulfillAPIRequest from 'react-storefront/props/fulfillAPIRequest'
+import { setServerCache } from 'react-storefront/server/serverCache'
+import createMemoryCache from 'react-storefront/server/createMemoryCache'
 
 describe('fulfillAPIRequest', () => {
   it('should fetch appData if includeAppData is present', async () => {
@@ -23,4 +25,102 @@ describe('fulfillAPIRequest', () => {
     expect(result.appData).toBe(undefined)
     expect(result.pageData).toBe(true)
   })
+
+  describe('cache', () => {
+    let cache, appData, pageData
+
+    beforeEach(() => {
+      cache = createMemoryCache()
+      setServerCache(cache)
+      appData = jest.fn(() => Promise.resolve({ menu: {} }))
+      pageData = jest.fn(() => Promise.resolve({ product: { id: '1' } }))
+    })
+
+    const request = (url = '/api/p/1?_includeAppData=1&__v__=1') => ({
+      url,
+      query: { _includeAppData: url.includes('_includeAppData=1') ? '1' : undefined },
+    })
+
+    it('should not cache by default', async () => {
+      await fulfillAPIRequest(request(), { appData, pageData })
+      await fulfillAPIRequest(request(), { appData, pageData })
+      expect(pageData).toHaveBeenCalledTimes(2)
+      expect(appData).toHaveBeenCalledTimes(2)
+    })
+
+    it('should reuse cached app and page data', async () => {
+      const first = await fulfillAPIRequest(request(), { appData, pageData, cache: true })
+      const second = await fulfillAPIRequest(request('/api/p/1?__v__=2'), {
+        appData,
+        pageData,
+        cache: true,
+      })
+      const third = await fulfillAPIRequest(request('/api/s/1?_includeAppData=1'), {
+        appData,
+        pageData,
+        cache: true,
+      })
+      expect(first).toEqual({ appData: { menu: {} }, pageData: { product: { id: '1' } } })
+      expect(second).toEqual({ pageData: { product: { id: '1' } } })
+      expect(third.appData).toEqual({ menu: {} })
+      expect(pageData).toHaveBeenCalledTimes(2)
+      expect(appData).toHaveBeenCalledTimes(1)
+    })
+
+    it('should cache app data for each locale', async () => {
+      appData = jest.fn(req => Promise.resolve({ menu: { locale: req.query.locale || 'en' } }))
+      const localized = locale => ({
+        url: `/api/p/1?_includeAppData=1${locale ? `&locale=${locale}` : ''}`,
+        query: { _includeAppData: '1', locale },
+      })
+
+      const en = await fulfillAPIRequest(localized(), { appData, pageData, cache: true })
+      const fr = await fulfillAPIRequest(localized('fr'), { appData, pageData, cache: true })
+      const frAgain = await fulfillAPIRequest(localized('fr'), { appData, pageData, cache: true })
+
+      expect(en.appData).toEqual({ menu: { locale: 'en' } })
+      expect(fr.appData).toEqual({ menu: { locale: 'fr' } })
+      expect(frAgain.appData).toEqual({ menu: { locale: 'fr' } })
+      expect(appData).toHaveBeenCalledTimes(2)
+      expect(await cache.purge(['appData'])).toBe(2)
+    })
+
+    it('should use the query string in the cache key', async () => {
+      await fulfillAPIRequest(request('/api/s/1?page=1&sort=price'), { pageData, cache: true })
+      await fulfillAPIRequest(request('/api/s/1?sort=price&page=1'), { pageData, cache: true })
+      await fulfillAPIRequest(request('/api/s/1?page=2&sort=price'), { pageData, cache: true })
+      expect(pageData).toHaveBeenCalledTimes(2)
+    })
+
+    it('should tag page data and app data so that they can be purged', async () => {
+      const options = {
+        appData,
+        pageData,
+        cache: { tags: (data, req) => [`product:${data.product.id}`] },
+      }
+      await fulfillAPIRequest(request(), options)
+      expect(await cache.purge(['product:1'])).toBe(1)
+      await fulfillAPIRequest(request(), options)
+      expect(pageData).toHaveBeenCalledTimes(2)
+      expect(appData).toHaveBeenCalledTimes(1)
+      expect(await cache.purge(['appData'])).toBe(1)
+    })
+
+    it('should accept an array of tags and maxAgeSeconds', async () => {
+      const set = jest.spyOn(cache, 'set')
+      await fulfillAPIRequest(request(), {
+        appData,
+        pageData,
+        cache: { tags: ['product:1'], maxAgeSeconds: 60, appDataMaxAgeSeconds: 600 },
+      })
+      expect(set).toHaveBeenCalledWith('pageData:/api/p/1', expect.any(Object), {
+        tags: ['product:1'],
+        maxAgeSeconds: 60,
+      })
+      expect(set).toHaveBeenCalledWith('appData', expect.any(Object), {
+        tags: ['appData'],
+        maxAgeSeconds: 600,
+      })
+    })
+  })
 })
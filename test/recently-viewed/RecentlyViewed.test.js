@@ -0,0 +1,100 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import { act } from 'react-dom/test-utils'
+import RecentlyViewed from 'react-storefront/recently-viewed/RecentlyViewed'
+import { addRecentlyViewed } from 'react-storefront/recently-viewed/recentlyViewedStore'
+import ResponsiveTiles from 'react-storefront/ResponsiveTiles'
+import Carousel from 'react-storefront/carousel/Carousel'
+import Link from 'react-storefront/link/Link'
+import Price from 'react-storefront/Price'
+
+describe('RecentlyViewed', () => {
+  let wrapper
+
+  const product = id => ({
+    id,
+    name: `Product ${id}`,
+    url: `/p/${id}`,
+    price: 9.99,
+    currency: 'EUR',
+    thumbnail: { src: `/${id}.png`, alt: `Product ${id}` },
+  })
+
+  beforeEach(() => {
+    addRecentlyViewed(product('1'))
+    addRecentlyViewed(product('2'))
+    addRecentlyViewed(product('3'))
+  })
+
+  afterEach(() => {
+    wrapper.unmount()
+    window.localStorage.clear()
+  })
+
+  it('should render the recently viewed products in tiles', () => {
+    wrapper = mount(<RecentlyViewed />)
+    expect(wrapper.find(ResponsiveTiles).exists()).toBe(true)
+    expect(wrapper.find('h3').text()).toBe('Recently Viewed')
+    expect(wrapper.find(Link).map(link => link.prop('as'))).toEqual(['/p/3', '/p/2', '/p/1'])
+    expect(
+      wrapper
+        .find('img')
+        .first()
+        .prop('src'),
+    ).toBe('/3.png')
+    expect(
+      wrapper
+        .find(Price)
+        .first()
+        .props(),
+    ).toMatchObject({ value: 9.99, currency: 'EUR' })
+  })
+
+  it('should pass the saved product data to the product page', () => {
+    wrapper = mount(<RecentlyViewed />)
+    const link = wrapper.find(Link).first()
+    expect(link.prop('href')).toBe('/p/[productId]')
+    expect(link.prop('pageData')).toEqual({ product: product('3') })
+  })
+
+  it('should exclude a product and limit the number of products', () => {
+    wrapper = mount(<RecentlyViewed exclude="3" maxItems={1} />)
+    expect(wrapper.find(Link).map(link => link.prop('as'))).toEqual(['/p/2'])
+  })
+
+  it('should render nothing when there are no products', () => {
+    window.localStorage.clear()
+    wrapper = mount(<RecentlyViewed />)
+    expect(wrapper.isEmptyRender()).toBe(true)
+  })
+
+  it('should group the products into slides in a carousel', () => {
+    wrapper = mount(<RecentlyViewed variant="carousel" slideSize={2} title="History" />)
+    expect(wrapper.find(Carousel).exists()).toBe(true)
+    expect(wrapper.find('h3').text()).toBe('History')
+    expect(wrapper.find(Carousel).prop('children').length).toBe(2)
+  })
+
+  it('should use renderItem', () => {
+    wrapper = mount(<RecentlyViewed renderItem={item => <span key={item.id}>{item.name}</span>} />)
+    expect(wrapper.find('span').map(span => span.text())).toEqual([
+      'Product 3',
+      'Product 2',
+      'Product 1',
+    ])
+  })
+
+  it('should update when a product is recorded', () => {
+    wrapper = mount(<RecentlyViewed />)
+    act(() => {
+      addRecentlyViewed(product('4'))
+    })
+    wrapper.update()
+    expect(
+      wrapper
+        .find(Link)
+        .first()
+        .prop('as'),
+    ).toBe('/p/4')
+  })
+})
@@ -0,0 +1,53 @@
+import {
+  getRecentlyViewed,
+  addRecentlyViewed,
+  RECENTLY_VIEWED_CHANGED,
+} from 'react-storefront/recently-viewed/recentlyViewedStore'
+
+describe('recentlyViewedStore', () => {
+  afterEach(() => {
+    window.localStorage.clear()
+  })
+
+  it('should return an empty list when nothing has been recorded', () => {
+    expect(getRecentlyViewed()).toEqual([])
+  })
+
+  it('should return an empty list when the stored value is invalid', () => {
+    window.localStorage.setItem('rsf_recently_viewed', '{not json')
+    expect(getRecentlyViewed()).toEqual([])
+  })
+
+  it('should save only the product data needed to display the list', () => {
+    addRecentlyViewed({ id: '1', name: 'Product 1', url: '/p/1', description: 'long' })
+    expect(getRecentlyViewed()).toEqual([{ id: '1', name: 'Product 1', url: '/p/1' }])
+  })
+
+  it('should move products that are viewed again to the start', () => {
+    addRecentlyViewed({ id: '1' })
+    addRecentlyViewed({ id: '2' })
+    addRecentlyViewed({ id: 1 })
+    expect(getRecentlyViewed().map(item => item.id)).toEqual([1, '2'])
+  })
+
+  it('should keep at most maxItems products', () => {
+    for (let id = 1; id <= 4; id++) {
+      addRecentlyViewed({ id }, { maxItems: 3 })
+    }
+    expect(getRecentlyViewed().map(item => item.id)).toEqual([4, 3, 2])
+  })
+
+  it('should use the storage key', () => {
+    addRecentlyViewed({ id: '1' }, { storageKey: 'other' })
+    expect(getRecentlyViewed()).toEqual([])
+    expect(getRecentlyViewed('other')).toEqual([{ id: '1' }])
+  })
+
+  it('should dispatch an event when a product is recorded', () => {
+    const listener = jest.fn()
+    window.addEventListener(RECENTLY_VIEWED_CHANGED, listener)
+    addRecentlyViewed({ id: '1' })
+    window.removeEventListener(RECENTLY_VIEWED_CHANGED, listener)
+    expect(listener.mock.calls[0][0].detail).toEqual({ storageKey: 'rsf_recently_viewed' })
+  })
+})
@@ -0,0 +1,47 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import useTrackRecentlyViewed from 'react-storefront/recently-viewed/useTrackRecentlyViewed'
+import { getRecentlyViewed } from 'react-storefront/recently-viewed/recentlyViewedStore'
+
+describe('useTrackRecentlyViewed', () => {
+  let wrapper
+
+  const Test = ({ state, options }) => {
+    useTrackRecentlyViewed(state, options)
+    return null
+  }
+
+  afterEach(() => {
+    wrapper.unmount()
+    window.localStorage.clear()
+  })
+
+  it('should record the product once the page data has loaded', () => {
+    const product = { id: '1', name: 'Product 1' }
+    wrapper = mount(<Test state={{ loading: true, pageData: { product } }} />)
+    expect(getRecentlyViewed()).toEqual([])
+    wrapper.setProps({ state: { loading: false, pageData: { product } } })
+    expect(getRecentlyViewed()).toEqual([product])
+  })
+
+  it('should record each product when navigating between product pages', () => {
+    wrapper = mount(<Test state={{ loading: false, pageData: { product: { id: '1' } } }} />)
+    wrapper.setProps({ state: { loading: false, pageData: { product: { id: '2' } } } })
+    expect(getRecentlyViewed()).toEqual([{ id: '2' }, { id: '1' }])
+  })
+
+  it('should not record anything when the page data has no product', () => {
+    wrapper = mount(<Test state={{ loading: false, pageData: {} }} />)
+    expect(getRecentlyViewed()).toEqual([])
+  })
+
+  it('should pass the options to the store', () => {
+    wrapper = mount(
+      <Test
+        state={{ loading: false, pageData: { product: { id: '1' } } }}
+        options={{ storageKey: 'other' }}
+      />,
+    )
+    expect(getRecentlyViewed('other')).toEqual([{ id: '1' }])
+  })
+})
@@ -4,6 +4,9 @@ import SearchField from 'react-storefront/search/SearchField'
 import SearchSubmitButton from 'react-storefront/search/SearchSubmitButton'
 import { Fab, Button } from '@material-ui/core'
 import { IconButton } from '@material-ui/core'
+import SearchProvider from 'react-storefront/search/SearchProvider'
+import SearchSuggestions from 'react-storefront/search/SearchSuggestions'
+import PWAContext from 'react-storefront/PWAContext'
 
 describe('SearchField', () => {
   let wrapper, getQuery
@@ -102,4 +105,144 @@ describe('SearchField', () => {
 
     expect(wrapper.find('button')).not.toExist()
   })
+
+  describe('combobox', () => {
+    let root, onClose, clicked
+
+    const groups = [
+      {
+        caption: 'Searches',
+        ui: 'list',
+        links: [
+          { text: 'red', href: '/search', as: '/search?q=red' },
+          { text: 'blue', href: '/search', as: '/search?q=blue' },
+        ],
+      },
+      {
+        caption: 'Products',
+        ui: 'list',
+        links: [{ text: 'Product 1', href: '/p/[productId]', as: '/p/1' }],
+      },
+    ]
+
+    beforeEach(() => {
+      root = document.createElement('div')
+      document.body.appendChild(root)
+      onClose = jest.fn()
+      clicked = []
+      // keeps the initial groups when suggestions are fetched
+      fetchMock.mockResponse(() => new Promise(() => {}))
+      // jsdom does not implement navigation
+      document.addEventListener('click', recordClick)
+    })
+
+    afterEach(() => {
+      document.removeEventListener('click', recordClick)
+      root.remove()
+      fetchMock.resetMocks()
+    })
+
+    const recordClick = e => {
+      clicked.push(e.target.getAttribute('href'))
+      e.preventDefault()
+    }
+
+    const render = (props = {}) =>
+      mount(
+        <PWAContext.Provider value={{ hydrating: false }}>
+          <SearchProvider
+            query=""
+            initialGroups={groups}
+            onClose={onClose}
+            listboxId="rsf-search-suggestions"
+            {...props}
+          >
+            <TestComponent />
+            <SearchSuggestions />
+          </SearchProvider>
+        </PWAContext.Provider>,
+        { attachTo: root },
+      )
+
+    const input = () => wrapper.find('input[name="q"]')
+    const press = key => input().simulate('keydown', { key })
+
+    it('should render the input as a combobox that controls the suggestions', () => {
+      wrapper = render({ active: true })
+      expect(input().prop('role')).toBe('combobox')
+      expect(input().prop('aria-autocomplete')).toBe('list')
+      expect(input().prop('aria-controls')).toBe('rsf-search-suggestions')
+      expect(input().prop('aria-expanded')).toBe(true)
+      expect(input().prop('aria-activedescendant')).toBe(undefined)
+      expect(wrapper.find('#rsf-search-suggestions').prop('role')).toBe('listbox')
+    })
+
+    it('should not be expanded when the suggestions are closed', () => {
+      wrapper = render()
+      expect(input().prop('aria-expanded')).toBe(false)
+    })
+
+    it('should move the active suggestion across groups with the arrow keys', () => {
+      wrapper = render()
+
+      press('ArrowDown')
+      expect(input().prop('aria-activedescendant')).toBe('rsf-search-suggestions-option-0')
+
+      press('ArrowDown')
+      press('ArrowDown')
+      expect(input().prop('aria-activedescendant')).toBe('rsf-search-suggestions-option-2')
+      expect(wrapper.find('li#rsf-search-suggestions-option-2').prop('aria-selected')).toBe(true)
+      expect(wrapper.find('li#rsf-search-suggestions-option-0').prop('aria-selected')).toBe(false)
+
+      press('ArrowDown')
+      expect(input().prop('aria-activedescendant')).toBe('rsf-search-suggestions-option-0')
+
+      press('ArrowUp')
+      expect(input().prop('aria-activedescendant')).toBe('rsf-search-suggestions-option-2')
+    })
+
+    it('should follow the link of the active suggestion on Enter', () => {
+      wrapper = render()
+      press('Enter')
+      expect(clicked).toEqual([])
+      press('ArrowDown')
+      press('ArrowDown')
+      press('Enter')
+      expect(clicked).toEqual(['/search?q=blue'])
+    })
+
+    it('should close the suggestions on Escape', () => {
+      wrapper = render({ active: true })
+      input().simulate('change', { target: { value: 'red' } })
+      press('ArrowDown')
+      press('Escape')
+      expect(onClose).toHaveBeenCalled()
+      expect(input().prop('aria-activedescendant')).toBe(undefined)
+      expect(getQuery).toBe('red')
+    })
+
+    it('should clear the text on Escape when the suggestions are closed', () => {
+      wrapper = render()
+      input().simulate('change', { target: { value: 'red' } })
+      press('Escape')
+      expect(onClose).not.toHaveBeenCalled()
+      expect(getQuery).toBe('')
+    })
+
+    it('should skip keyboard navigation when onKeyDown prevents the default', () => {
+      wrapper = mount(
+        <SearchProvider initialGroups={groups}>
+          <SearchField value="" onChange={jest.fn()} onKeyDown={e => e.preventDefault()} />
+        </SearchProvider>,
+      )
+      press('ArrowDown')
+      expect(input().prop('aria-activedescendant')).toBe(undefined)
+    })
+
+    it('should not be a combobox outside of a SearchProvider', () => {
+      wrapper = mount(<TestComponent />)
+      expect(input().prop('role')).toBe(undefined)
+      press('ArrowDown')
+    })
+  })
 })
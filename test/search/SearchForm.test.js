@@ -3,6 +3,8 @@ import { mount } from 'enzyme'
 import SearchForm from 'react-storefront/search/SearchForm'
 import { act } from 'react-dom/test-utils'
 import Router from '../mocks/mockRouter'
+import SearchContext from 'react-storefront/search/SearchContext'
+import { getRecentSearches } from 'react-storefront/search/recentSearchesStore'
 
 jest.useFakeTimers()
 
@@ -12,6 +14,7 @@ describe('SearchForm', () => {
   afterEach(() => {
     wrapper.unmount()
     jest.restoreAllMocks()
+    window.localStorage.clear()
   })
 
   beforeEach(() => {
@@ -67,4 +70,64 @@ describe('SearchForm', () => {
 
     expect(Router.push).toHaveBeenCalledWith('/api/test', '/api/test?key1=value1&key2=value2')
   })
+
+  describe('recent searches', () => {
+    beforeEach(() => {
+      jest.spyOn(global, 'FormData').mockImplementation(() => ({
+        entries: () => [['q', 'red shirt']],
+      }))
+    })
+
+    it('should record the submitted query', async () => {
+      wrapper = mount(<SearchForm />)
+
+      await act(async () => {
+        await wrapper.find('form').invoke('onSubmit')({ preventDefault: () => null })
+      })
+
+      expect(getRecentSearches()).toEqual(['red shirt'])
+    })
+
+    it('should record the submitted query with the search provider when there is one', async () => {
+      const addRecentSearch = jest.fn()
+
+      wrapper = mount(
+        <SearchContext.Provider value={{ addRecentSearch, getRedirect: () => null }}>
+          <SearchForm />
+        </SearchContext.Provider>,
+      )
+
+      await act(async () => {
+        await wrapper.find('form').invoke('onSubmit')({ preventDefault: () => null })
+      })
+
+      expect(addRecentSearch).toHaveBeenCalledWith('red shirt')
+      expect(getRecentSearches()).toEqual([])
+    })
+  })
+
+  describe('redirects', () => {
+    beforeEach(() => {
+      jest.spyOn(global, 'FormData').mockImplementation(() => ({
+        entries: () => [['q', 'shirts']],
+      }))
+    })
+
+    it('should go to the page that the query redirects to', async () => {
+      const getRedirect = jest.fn(() => ({ href: '/s/[subcategoryId]', as: '/s/1' }))
+
+      wrapper = mount(
+        <SearchContext.Provider value={{ addRecentSearch: jest.fn(), getRedirect }}>
+          <SearchForm />
+        </SearchContext.Provider>,
+      )
+
+      await act(async () => {
+        await wrapper.find('form').invoke('onSubmit')({ preventDefault: () => null })
+      })
+
+      expect(getRedirect).toHaveBeenCalledWith('shirts')
+      expect(Router.push).toHaveBeenCalledWith('/s/[subcategoryId]', '/s/1')
+    })
+  })
 })
@@ -4,6 +4,7 @@ import SearchProvider from 'react-storefront/search/SearchProvider'
 import SearchContext from 'react-storefront/search/SearchContext'
 import { StaleResponseError } from 'react-storefront/utils/fetchLatest'
 import { act } from 'react-dom/test-utils'
+import { addRecentSearch, getRecentSearches } from 'react-storefront/search/recentSearchesStore'
 
 describe('SearchProvider', () => {
   let wrapper, context
@@ -133,4 +134,281 @@ describe('SearchProvider', () => {
 
     expect(context.state.loading).toBe(true)
   })
+
+  it('should give each provider a unique listbox id by default', () => {
+    const ids = []
+    const IdGetter = () => {
+      ids.push(useContext(SearchContext).listboxId)
+      return null
+    }
+
+    wrapper = mount(
+      <div>
+        <SearchProvider>
+          <IdGetter />
+        </SearchProvider>
+        <SearchProvider>
+          <IdGetter />
+        </SearchProvider>
+      </div>,
+    )
+
+    const [first, second] = ids.slice(-2)
+    expect(ids[0]).toBe(null)
+    expect(first).toMatch(/^rsf-search-suggestions-\d+$/)
+    expect(second).toMatch(/^rsf-search-suggestions-\d+$/)
+    expect(first).not.toBe(second)
+  })
+
+  it('should number the links of all groups for keyboard navigation', async () => {
+    const groups = [
+      { caption: 'c1', links: [{ text: 'a' }, { text: 'b' }] },
+      { caption: 'c2', links: [{ text: 'c' }] },
+      { caption: 'c3' },
+    ]
+
+    wrapper = mount(
+      <SearchProvider initialGroups={groups} listboxId="search">
+        <ContextGetter />
+      </SearchProvider>,
+    )
+
+    expect(context.suggestions.map(link => link.text)).toEqual(['a', 'b', 'c'])
+    expect(context.activeIndex).toBe(-1)
+    expect(context.listboxId).toBe('search')
+    expect(context.getOptionId(1)).toBe('search-option-1')
+
+    act(() => {
+      context.setActiveIndex(2)
+    })
+
+    expect(context.activeIndex).toBe(2)
+
+    act(() => {
+      context.setState(state => ({ ...state, groups: [] }))
+    })
+
+    expect(context.suggestions).toEqual([])
+    expect(context.activeIndex).toBe(-1)
+  })
+
+  describe('recent searches', () => {
+    const trending = {
+      caption: 'Trending',
+      ui: 'list',
+      links: [
+        { text: 'shirt', href: '/search', as: '/search?q=shirt' },
+        { text: 'jacket', href: '/search', as: '/search?q=jacket' },
+      ],
+    }
+
+    afterEach(() => {
+      window.localStorage.clear()
+    })
+
+    it('should show recent searches before the other groups when the query is empty', () => {
+      addRecentSearch('shirt')
+      addRecentSearch('red pants')
+
+      wrapper = mount(
+        <SearchProvider query="" initialGroups={[trending]}>
+          <ContextGetter />
+        </SearchProvider>,
+      )
+
+      const [recent, other] = context.state.groups
+
+      expect(context.recentSearches).toEqual(['red pants', 'shirt'])
+      expect(recent.caption).toBe('Recent Searches')
+      expect(recent.ui).toBe('list')
+      expect(recent.links.map(({ text, href, as }) => ({ text, href, as }))).toEqual([
+        { text: 'red pants', href: '/search', as: '/search?q=red%20pants' },
+        { text: 'shirt', href: '/search', as: '/search?q=shirt' },
+      ])
+      expect(other.links.map(link => link.text)).toEqual(['jacket'])
+      expect(context.suggestions.map(link => link.text)).toEqual(['red pants', 'shirt', 'jacket'])
+    })
+
+    it('should not show recent searches when there is a query', () => {
+      addRecentSearch('shirt')
+
+      wrapper = mount(
+        <SearchProvider query="shi" debounceTime={0} initialGroups={[trending]}>
+          <ContextGetter />
+        </SearchProvider>,
+      )
+
+      expect(context.state.groups).toEqual([trending])
+    })
+
+    it('should limit the number of recent searches', () => {
+      addRecentSearch('shirt')
+      addRecentSearch('pants')
+
+      wrapper = mount(
+        <SearchProvider query="" initialGroups={[trending]} maxRecentSearches={1}>
+          <ContextGetter />
+        </SearchProvider>,
+      )
+
+      expect(context.state.groups[0].links.map(link => link.text)).toEqual(['pants'])
+
+      wrapper.setProps({ maxRecentSearches: 0 })
+      expect(context.state.groups).toEqual([trending])
+    })
+
+    it('should remove and clear recent searches', () => {
+      addRecentSearch('shirt')
+      addRecentSearch('pants')
+
+      wrapper = mount(
+        <SearchProvider query="" initialGroups={[trending]}>
+          <ContextGetter />
+        </SearchProvider>,
+      )
+
+      act(() => {
+        context.state.groups[0].links[0].onRemove()
+      })
+
+      expect(context.recentSearches).toEqual(['shirt'])
+
+      act(() => {
+        context.state.groups[0].onClear()
+      })
+
+      expect(context.recentSearches).toEqual([])
+      expect(context.state.groups).toEqual([trending])
+    })
+
+    it('should record searches under the storage key', () => {
+      wrapper = mount(
+        <SearchProvider query="" recentSearchesStorageKey="user1">
+          <ContextGetter />
+        </SearchProvider>,
+      )
+
+      act(() => {
+        context.addRecentSearch('shirt')
+      })
+
+      expect(context.recentSearches).toEqual(['shirt'])
+      expect(getRecentSearches('user1')).toEqual(['shirt'])
+      expect(getRecentSearches()).toEqual([])
+    })
+  })
+
+  describe('cache', () => {
+    const shirts = [{ caption: 'Searches', links: [{ text: 'red shirt' }, { text: 'blue shirt' }] }]
+    const pants = [{ caption: 'Searches', links: [{ text: 'red pants' }] }]
+
+    const fetchSuggestions = async text => {
+      await act(async () => {
+        await context.fetchSuggestions(text)
+      })
+    }
+
+    beforeEach(() => {
+      wrapper = mount(
+        <SearchProvider query="" cacheTTL={60}>
+          <ContextGetter />
+        </SearchProvider>,
+      )
+    })
+
+    it('should display cached suggestions without fetching them again', async () => {
+      fetchMock.mockResponseOnce(JSON.stringify({ groups: shirts }))
+      fetchMock.mockResponseOnce(JSON.stringify({ groups: pants }))
+
+      await fetchSuggestions('shirt')
+      await fetchSuggestions('pants')
+      await fetchSuggestions(' Shirt')
+
+      expect(context.state.groups).toEqual(shirts)
+      expect(context.state.loading).toBe(false)
+      expect(fetchMock).toHaveBeenCalledTimes(2)
+    })
+
+    it('should revalidate stale suggestions in the background', async () => {
+      const now = Date.now()
+      jest.spyOn(Date, 'now').mockReturnValue(now)
+      fetchMock.mockResponseOnce(JSON.stringify({ groups: shirts }))
+      await fetchSuggestions('shirt')
+
+      Date.now.mockReturnValue(now + 61000)
+      let respond
+      fetchMock.mockResponseOnce(() => new Promise(resolve => (respond = resolve)))
+
+      await act(async () => {
+        context.fetchSuggestions('shirt')
+        await sleep(0)
+      })
+
+      expect(context.state.groups).toEqual(shirts)
+      expect(context.state.loading).toBe(false)
+
+      await act(async () => {
+        respond(JSON.stringify({ groups: pants }))
+        await sleep(0)
+      })
+
+      expect(context.state.groups).toEqual(pants)
+      expect(fetchMock).toHaveBeenCalledTimes(2)
+    })
+
+    it('should use the ttl returned by the server', async () => {
+      fetchMock.mockResponseOnce(JSON.stringify({ groups: shirts, ttl: 0 }))
+      fetchMock.mockResponseOnce(JSON.stringify({ groups: shirts }))
+
+      await fetchSuggestions('shirt')
+      await fetchSuggestions('shirt')
+
+      expect(fetchMock).toHaveBeenCalledTimes(2)
+    })
+
+    it('should narrow complete suggestions for longer queries', async () => {
+      fetchMock.mockResponseOnce(JSON.stringify({ groups: shirts, complete: true }))
+
+      await fetchSuggestions('shirt')
+      await fetchSuggestions('shirt re')
+
+      expect(context.state.groups).toEqual([
+        { caption: 'Searches', links: [{ text: 'red shirt' }] },
+      ])
+      expect(fetchMock).toHaveBeenCalledTimes(1)
+    })
+
+    it('should return the redirect of the cached suggestions for a query', async () => {
+      const redirect = { href: '/returns', as: '/returns' }
+      fetchMock.mockResponseOnce(JSON.stringify({ groups: shirts, redirect, complete: true }))
+
+      await fetchSuggestions('returns')
+
+      expect(context.getRedirect('Returns ')).toEqual(redirect)
+      expect(context.getRedirect('returns policy')).toBeUndefined()
+      expect(context.getRedirect('shirts')).toBeUndefined()
+    })
+
+    it('should not display a response for a query that is no longer current', async () => {
+      fetchMock.mockResponseOnce(JSON.stringify({ groups: shirts }))
+      await fetchSuggestions('shirt')
+
+      let respond
+      fetchMock.mockResponseOnce(() => new Promise(resolve => (respond = resolve)))
+
+      await act(async () => {
+        context.fetchSuggestions('pants')
+        await sleep(0)
+      })
+
+      await fetchSuggestions('shirt')
+
+      await act(async () => {
+        respond(JSON.stringify({ groups: pants }))
+        await sleep(0)
+      })
+
+      expect(context.state.groups).toEqual(shirts)
+    })
+  })
 })
@@ -45,4 +45,20 @@ describe('SearchSuggestionGroup', () => {
 
     expect(wrapper.find(SearchSuggestionGroup).text()).toBe('test')
   })
+
+  it('should render a clear button when onClear is provided', () => {
+    const onClear = jest.fn()
+
+    wrapper = mount(
+      <SearchProvider>
+        <SearchSuggestionGroup links={[]} caption="test" onClear={onClear} />
+      </SearchProvider>,
+    )
+
+    const button = wrapper.find('button')
+
+    expect(button.text()).toBe('Clear')
+    button.simulate('click')
+    expect(onClear).toHaveBeenCalled()
+  })
 })
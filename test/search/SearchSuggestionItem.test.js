@@ -59,4 +59,22 @@ describe('SearchSuggestionItem', () => {
     expect(wrapper.find(Image).prop('testprop1')).toBe('test1')
     expect(wrapper.find(Image).prop('testprop2')).toBe('test2')
   })
+
+  it('should render a remove button when the item has onRemove', () => {
+    const onRemove = jest.fn()
+
+    wrapper = mount(
+      <PWAContext.Provider value={{ hydrating: false }}>
+        <SearchProvider>
+          <SearchSuggestionItem item={{ href: '/test', text: 'shirt', onRemove }} />
+        </SearchProvider>
+      </PWAContext.Provider>,
+    )
+
+    const button = wrapper.find('button')
+
+    expect(button.prop('aria-label')).toBe('remove shirt')
+    button.simulate('click')
+    expect(onRemove).toHaveBeenCalled()
+  })
 })
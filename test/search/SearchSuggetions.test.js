@@ -52,4 +52,42 @@ describe('SearchSuggestions', () => {
     expect(wrapper.find(SearchSuggestionGroup).length).toBe(2)
     expect(wrapper.find(LoadMask).prop('show')).toBe(false)
   })
+
+  it('should render a listbox and announce the number of suggestions', () => {
+    const groups = [
+      { caption: 'c1', links: [{ text: 'a', href: '/a' }] },
+      { caption: 'c2', links: [{ text: 'b', href: '/b' }] },
+    ]
+
+    wrapper = mount(
+      <SearchContext.Provider
+        value={{
+          state: { groups, loading: false },
+          suggestions: groups.map(group => group.links[0]),
+          listboxId: 'search',
+          activeIndex: 1,
+          getOptionId: index => `search-${index}`,
+        }}
+      >
+        <SearchSuggestions />
+      </SearchContext.Provider>,
+    )
+
+    expect(wrapper.find('div#search').prop('role')).toBe('listbox')
+    expect(wrapper.find('li').map(li => li.prop('id'))).toEqual(['search-0', 'search-1'])
+    expect(wrapper.find('li').map(li => li.prop('aria-selected'))).toEqual([false, true])
+    expect(wrapper.find('[role="status"]').text()).toBe('2 suggestions available')
+  })
+
+  it('should not announce the number of suggestions while loading', () => {
+    wrapper = mount(
+      <SearchContext.Provider
+        value={{ state: { groups: [], loading: true }, suggestions: [], listboxId: 'search' }}
+      >
+        <SearchSuggestions />
+      </SearchContext.Provider>,
+    )
+
+    expect(wrapper.find('[role="status"]').text()).toBe('')
+  })
 })
@@ -0,0 +1,95 @@
+import createSuggestionCache, { narrowGroups } from 'react-storefront/search/createSuggestionCache'
+
+describe('createSuggestionCache', () => {
+  const groups = [
+    {
+      caption: 'Suggested Searches',
+      links: [{ text: 'Red Shirt' }, { text: 'Red Shoes' }, { text: 'Blue Shirt' }],
+    },
+    {
+      caption: 'Suggested Products',
+      links: [{ text: 'Redwood Table' }],
+    },
+  ]
+
+  let cache
+
+  beforeEach(() => {
+    cache = createSuggestionCache({ maxEntries: 2 })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('should return undefined for queries that have not been cached', () => {
+    expect(cache.get('red')).toBeUndefined()
+  })
+
+  it('should key entries by the normalized query', () => {
+    cache.set(' Red  Shirt', { groups }, { maxAgeSeconds: 60 })
+    expect(cache.get('red shirt ')).toEqual({ groups, complete: false, stale: false })
+  })
+
+  it('should return expired entries as stale', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1000)
+    cache.set('red', { groups }, { maxAgeSeconds: 60 })
+    expect(cache.get('red').stale).toBe(false)
+    Date.now.mockReturnValue(61000)
+    expect(cache.get('red').stale).toBe(true)
+  })
+
+  it('should treat entries without a max age as stale', () => {
+    cache.set('red', { groups })
+    expect(cache.get('red').stale).toBe(true)
+  })
+
+  it('should remove the least recently used entry', () => {
+    cache.set('a', { groups })
+    cache.set('b', { groups })
+    cache.get('a')
+    cache.set('c', { groups })
+    expect(cache.get('a')).toBeDefined()
+    expect(cache.get('b')).toBeUndefined()
+    expect(cache.get('c')).toBeDefined()
+  })
+
+  it('should narrow the groups of a complete prefix', () => {
+    cache.set('re', { groups, complete: true }, { maxAgeSeconds: 60 })
+
+    expect(cache.get('red sh')).toEqual({
+      groups: [
+        {
+          caption: 'Suggested Searches',
+          links: [{ text: 'Red Shirt' }, { text: 'Red Shoes' }],
+        },
+      ],
+      complete: true,
+      stale: false,
+    })
+  })
+
+  it('should not narrow the groups of an incomplete prefix', () => {
+    cache.set('re', { groups }, { maxAgeSeconds: 60 })
+    expect(cache.get('red')).toBeUndefined()
+  })
+
+  it('should remove all entries', () => {
+    cache.set('red', { groups })
+    cache.clear()
+    expect(cache.get('red')).toBeUndefined()
+  })
+})
+
+describe('narrowGroups', () => {
+  it('should match words in any order', () => {
+    const groups = [{ caption: 'c', links: [{ text: 'Shirt, red' }, { text: 'Shirt' }] }]
+    expect(narrowGroups(groups, 'red shirt')).toEqual([
+      { caption: 'c', links: [{ text: 'Shirt, red' }] },
+    ])
+  })
+
+  it('should return groups that are not an array unchanged', () => {
+    expect(narrowGroups('test', 'red')).toBe('test')
+  })
+})
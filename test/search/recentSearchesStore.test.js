@@ -0,0 +1,73 @@
+import {
+  getRecentSearches,
+  addRecentSearch,
+  removeRecentSearch,
+  clearRecentSearches,
+  RECENT_SEARCHES_CHANGED,
+} from 'react-storefront/search/recentSearchesStore'
+
+describe('recentSearchesStore', () => {
+  afterEach(() => {
+    window.localStorage.clear()
+  })
+
+  it('should return an empty list when nothing has been recorded', () => {
+    expect(getRecentSearches()).toEqual([])
+  })
+
+  it('should return an empty list when the stored value is invalid', () => {
+    window.localStorage.setItem('rsf_recent_searches', '{not json')
+    expect(getRecentSearches()).toEqual([])
+  })
+
+  it('should trim the query and ignore empty queries', () => {
+    addRecentSearch('  red   shirt ')
+    addRecentSearch('   ')
+    expect(getRecentSearches()).toEqual(['red shirt'])
+  })
+
+  it('should move queries that are searched again to the start', () => {
+    addRecentSearch('shirt')
+    addRecentSearch('pants')
+    addRecentSearch('Shirt')
+    expect(getRecentSearches()).toEqual(['Shirt', 'pants'])
+  })
+
+  it('should keep at most maxItems queries', () => {
+    for (let query of ['a', 'b', 'c', 'd']) {
+      addRecentSearch(query, { maxItems: 3 })
+    }
+    expect(getRecentSearches()).toEqual(['d', 'c', 'b'])
+  })
+
+  it('should remove a query', () => {
+    addRecentSearch('shirt')
+    addRecentSearch('pants')
+    expect(removeRecentSearch('SHIRT')).toEqual(['pants'])
+    expect(getRecentSearches()).toEqual(['pants'])
+  })
+
+  it('should clear all queries', () => {
+    addRecentSearch('shirt')
+    clearRecentSearches()
+    expect(getRecentSearches()).toEqual([])
+  })
+
+  it('should use the storage key', () => {
+    addRecentSearch('shirt', { storageKey: 'other' })
+    expect(getRecentSearches()).toEqual([])
+    expect(getRecentSearches('other')).toEqual(['shirt'])
+  })
+
+  it('should dispatch an event when the searches change', () => {
+    const listener = jest.fn()
+    window.addEventListener(RECENT_SEARCHES_CHANGED, listener)
+    addRecentSearch('shirt')
+    clearRecentSearches('other')
+    window.removeEventListener(RECENT_SEARCHES_CHANGED, listener)
+    expect(listener.mock.calls.map(call => call[0].detail)).toEqual([
+      { storageKey: 'rsf_recent_searches' },
+      { storageKey: 'other' },
+    ])
+  })
+})
@@ -0,0 +1,67 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import { renderToString, renderToStaticMarkup } from 'react-dom/server'
+import JsonLd from 'react-storefront/seo/JsonLd'
+import ProductJsonLd from 'react-storefront/seo/ProductJsonLd'
+import BreadcrumbListJsonLd from 'react-storefront/seo/BreadcrumbListJsonLd'
+import ItemListJsonLd from 'react-storefront/seo/ItemListJsonLd'
+import SearchResultsContext from 'react-storefront/plp/SearchResultsContext'
+
+describe('JsonLd', () => {
+  let wrapper
+
+  const getData = () => JSON.parse(wrapper.find('script').prop('dangerouslySetInnerHTML').__html)
+
+  afterEach(() => {
+    if (wrapper) wrapper.unmount()
+    wrapper = null
+  })
+
+  it('should render a script element during SSR', () => {
+    const html = renderToStaticMarkup(<JsonLd data={{ '@type': 'Thing', name: 'a<b' }} />)
+    expect(html).toBe(
+      '<script type="application/ld+json">{"@type":"Thing","name":"a\\u003cb"}</script>',
+    )
+  })
+
+  it('should render nothing without data', () => {
+    expect(renderToString(<JsonLd />)).toBe('')
+  })
+
+  it('should render a product', () => {
+    wrapper = mount(<ProductJsonLd product={{ id: 1, name: 'Product 1', price: 5 }} brand="Acme" />)
+    expect(getData()).toMatchObject({
+      '@type': 'Product',
+      brand: { name: 'Acme' },
+      offers: { price: 5 },
+    })
+  })
+
+  it('should render breadcrumbs', () => {
+    wrapper = mount(<BreadcrumbListJsonLd items={[{ text: 'Home', href: '/' }]} />)
+    expect(getData()).toMatchObject({ '@type': 'BreadcrumbList' })
+  })
+
+  it('should render nothing without breadcrumbs', () => {
+    expect(renderToString(<BreadcrumbListJsonLd items={false} />)).toBe('')
+  })
+
+  it('should use the products from SearchResultsProvider', () => {
+    wrapper = mount(
+      <SearchResultsContext.Provider
+        value={{ pageData: { products: [{ id: 1, name: 'Product 1', url: '/p/1' }] } }}
+      >
+        <ItemListJsonLd name="Shirts" />
+      </SearchResultsContext.Provider>,
+    )
+    expect(getData()).toMatchObject({
+      '@type': 'ItemList',
+      name: 'Shirts',
+      itemListElement: [{ position: 1, url: '/p/1' }],
+    })
+  })
+
+  it('should render nothing when there are no products', () => {
+    expect(renderToString(<ItemListJsonLd products={[]} />)).toBe('')
+  })
+})
@@ -0,0 +1,143 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import SEOHead from 'react-storefront/seo/SEOHead'
+import SearchResultsContext from 'react-storefront/plp/SearchResultsContext'
+
+jest.mock('next/head', () => ({ children }) => <>{children}</>)
+
+describe('SEOHead', () => {
+  let wrapper, router
+
+  beforeEach(() => {
+    router = require('next/router').default
+  })
+
+  afterEach(() => {
+    router.asPath = ''
+    wrapper.unmount()
+  })
+
+  const getMeta = name =>
+    wrapper
+      .find('meta')
+      .filterWhere(n => n.prop('name') === name || n.prop('property') === name)
+      .map(n => n.prop('content'))[0]
+
+  const getLink = rel =>
+    wrapper
+      .find('link')
+      .filterWhere(n => n.prop('rel') === rel)
+      .map(n => n.prop('href'))[0]
+
+  it('should use props', () => {
+    router.asPath = '/about?utm_source=email#team'
+
+    wrapper = mount(
+      <SEOHead
+        title="About"
+        description="About us"
+        image="/about.png"
+        baseUrl="https://www.example.com"
+        siteName="My Store"
+        twitterSite="@mystore"
+      />,
+    )
+
+    expect(wrapper.find('title').text()).toBe('About')
+    expect(getMeta('description')).toBe('About us')
+    expect(getLink('canonical')).toBe('https://www.example.com/about')
+    expect(getMeta('og:type')).toBe('website')
+    expect(getMeta('og:title')).toBe('About')
+    expect(getMeta('og:description')).toBe('About us')
+    expect(getMeta('og:url')).toBe('https://www.example.com/about')
+    expect(getMeta('og:image')).toBe('https://www.example.com/about.png')
+    expect(getMeta('og:site_name')).toBe('My Store')
+    expect(getMeta('twitter:card')).toBe('summary_large_image')
+    expect(getMeta('twitter:site')).toBe('@mystore')
+    expect(getMeta('twitter:title')).toBe('About')
+    expect(getMeta('twitter:description')).toBe('About us')
+    expect(getMeta('twitter:image')).toBe('https://www.example.com/about.png')
+    expect(getMeta('robots')).toBeUndefined()
+  })
+
+  it('should use the product from page data', () => {
+    router.asPath = '/p/1?color=red'
+
+    wrapper = mount(
+      <SEOHead
+        pageData={{
+          product: {
+            name: 'Product 1',
+            description: 'A product',
+            media: { full: [{ src: 'https://cdn.example.com/1.png' }] },
+          },
+        }}
+      />,
+    )
+
+    expect(wrapper.find('title').text()).toBe('Product 1')
+    expect(getMeta('description')).toBe('A product')
+    expect(getMeta('og:type')).toBe('product')
+    expect(getMeta('og:image')).toBe('https://cdn.example.com/1.png')
+    expect(getLink('canonical')).toBe('/p/1')
+  })
+
+  it('should use a summary card when there is no image', () => {
+    router.asPath = '/'
+    wrapper = mount(<SEOHead pageData={{ title: 'Home' }} />)
+    expect(getMeta('twitter:card')).toBe('summary')
+    expect(getMeta('og:image')).toBeUndefined()
+  })
+
+  it('should not index when noIndex is set', () => {
+    router.asPath = '/cart'
+    wrapper = mount(<SEOHead noIndex />)
+    expect(getMeta('robots')).toBe('noindex, follow')
+  })
+
+  describe('search results', () => {
+    const mountSearch = (pageData, props = {}) => {
+      router.asPath = '/s/1?sort=price&page=1'
+
+      wrapper = mount(
+        <SearchResultsContext.Provider value={{ pageData }}>
+          <SEOHead baseUrl="https://www.example.com" {...props} />
+        </SearchResultsContext.Provider>,
+      )
+    }
+
+    it('should link to adjacent pages', () => {
+      mountSearch({ filters: [], page: 1, totalPages: 3, sort: 'price' })
+      expect(getLink('canonical')).toBe('https://www.example.com/s/1?page=1')
+      expect(getLink('prev')).toBe('https://www.example.com/s/1')
+      expect(getLink('next')).toBe('https://www.example.com/s/1?page=2')
+    })
+
+    it('should not index filters that are not indexable', () => {
+      mountSearch({ filters: ['size:sm'], page: 1, totalPages: 3 })
+      expect(getLink('canonical')).toBe('https://www.example.com/s/1')
+      expect(getLink('prev')).toBeUndefined()
+      expect(getLink('next')).toBeUndefined()
+      expect(getMeta('robots')).toBe('noindex, follow')
+    })
+
+    it('should apply indexableFilters', () => {
+      mountSearch(
+        { filters: ['color:red'], page: 0, totalPages: 3 },
+        {
+          indexableFilters: { maxFilters: 1, facets: ['color'] },
+        },
+      )
+      expect(getLink('canonical')).toBe(
+        `https://www.example.com/s/1?filters=${encodeURIComponent('["color:red"]')}`,
+      )
+      expect(getMeta('robots')).toBeUndefined()
+    })
+
+    it('should give precedence to the canonical prop', () => {
+      mountSearch({ filters: ['size:sm'], page: 1, totalPages: 3 }, { canonical: '/shirts' })
+      expect(getLink('canonical')).toBe('https://www.example.com/shirts')
+      expect(getLink('next')).toBeUndefined()
+    })
+  })
+})
@@ -0,0 +1,89 @@
+import getSearchResultsLinks, { isIndexable } from 'react-storefront/seo/getSearchResultsLinks'
+
+describe('getSearchResultsLinks', () => {
+  describe('isIndexable', () => {
+    it('should always index pages without filters', () => {
+      expect(isIndexable([])).toBe(true)
+    })
+
+    it('should not index filters by default', () => {
+      expect(isIndexable(['color:red'])).toBe(false)
+    })
+
+    it('should limit the number of filters', () => {
+      expect(isIndexable(['color:red'], { maxFilters: 1 })).toBe(true)
+      expect(isIndexable(['color:red', 'size:sm'], { maxFilters: 1 })).toBe(false)
+    })
+
+    it('should limit the facets', () => {
+      const rules = { maxFilters: 2, facets: ['color'] }
+      expect(isIndexable(['color:red', 'color:blue'], rules)).toBe(true)
+      expect(isIndexable(['color:red', 'size:sm'], rules)).toBe(false)
+    })
+
+    it('should accept a function', () => {
+      const rules = jest.fn(filters => filters.includes('brand:acme'))
+      expect(isIndexable(['brand:acme'], rules)).toBe(true)
+      expect(isIndexable(['brand:other'], rules)).toBe(false)
+      expect(rules).toHaveBeenCalledWith(['brand:acme'])
+    })
+  })
+
+  it('should remove sort and link to adjacent pages', () => {
+    expect(
+      getSearchResultsLinks({
+        path: '/s/1',
+        query: { sort: 'price', page: '1', utm_source: 'email' },
+        pageData: { filters: [], page: 1, totalPages: 5, sort: 'price' },
+      }),
+    ).toEqual({
+      canonical: '/s/1?page=1',
+      prev: '/s/1',
+      next: '/s/1?page=2',
+      indexable: true,
+    })
+  })
+
+  it('should not link past the last page', () => {
+    const links = getSearchResultsLinks({ path: '/s/1', pageData: { page: 4, totalPages: 5 } })
+    expect(links.next).toBe(null)
+    expect(links.prev).toBe('/s/1?page=3')
+  })
+
+  it('should not link to the next page when the number of pages is unknown', () => {
+    expect(getSearchResultsLinks({ path: '/s/1', pageData: { page: 0 } }).next).toBe(null)
+  })
+
+  it('should include indexable filters in a consistent order', () => {
+    const links = getSearchResultsLinks({
+      path: '/s/1',
+      pageData: { filters: ['size:sm', 'color:red'], page: 0, totalPages: 2 },
+      indexableFilters: { maxFilters: 2 },
+    })
+
+    const filters = encodeURIComponent(JSON.stringify(['color:red', 'size:sm']))
+    expect(links.canonical).toBe(`/s/1?filters=${filters}`)
+    expect(links.next).toBe(`/s/1?filters=${filters}&page=1`)
+  })
+
+  it('should point filters that are not indexable to the first unfiltered page', () => {
+    expect(
+      getSearchResultsLinks({
+        path: '/search',
+        query: { q: 'shirt', filters: '["color:red"]', page: '2' },
+        pageData: { filters: ['color:red'], page: 2, totalPages: 5 },
+      }),
+    ).toEqual({ canonical: '/search?q=shirt', prev: null, next: null, indexable: false })
+  })
+
+  it('should support custom preserved params', () => {
+    expect(
+      getSearchResultsLinks({
+        path: '/search',
+        query: { q: 'shirt', brand: 'acme' },
+        pageData: {},
+        preservedParams: ['brand'],
+      }).canonical,
+    ).toBe('/search?brand=acme')
+  })
+})
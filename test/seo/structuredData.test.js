@@ -0,0 +1,206 @@
+import {
+  absoluteUrl,
+  aggregateRating,
+  offer,
+  product,
+  breadcrumbList,
+  itemList,
+  serialize,
+} from 'react-storefront/seo/structuredData'
+
+// The schema.org properties that are expected on each type, see https://schema.org/docs/full.html
+const VOCABULARY = {
+  Product: ['sku', 'name', 'url', 'image', 'description', 'brand', 'offers', 'aggregateRating'],
+  Brand: ['name'],
+  Offer: ['price', 'priceCurrency', 'url', 'availability'],
+  AggregateRating: ['ratingValue', 'reviewCount', 'bestRating', 'worstRating'],
+  BreadcrumbList: ['itemListElement'],
+  ItemList: ['name', 'numberOfItems', 'itemListElement'],
+  ListItem: ['position', 'name', 'item', 'url'],
+}
+
+function expectValidSchema(data) {
+  expect(VOCABULARY).toHaveProperty(data['@type'])
+
+  for (let key in data) {
+    if (key.startsWith('@')) continue
+
+    expect(VOCABULARY[data['@type']]).toContain(key)
+
+    for (let value of [].concat(data[key])) {
+      if (value && typeof value === 'object') {
+        expectValidSchema(value)
+      }
+    }
+  }
+}
+
+describe('structuredData', () => {
+  const data = {
+    id: 1,
+    name: 'Product 1',
+    url: '/p/1',
+    price: 10.99,
+    currency: 'EUR',
+    rating: 4.5,
+    reviewCount: 12,
+    description: 'A product',
+    thumbnail: { src: 'https://example.com/thumbnail.png' },
+    media: { full: [{ src: '/images/1.png' }, { src: '/images/2.png' }] },
+  }
+
+  describe('absoluteUrl', () => {
+    it('should prepend the base url', () => {
+      expect(absoluteUrl('/p/1', 'https://example.com/')).toBe('https://example.com/p/1')
+      expect(absoluteUrl('p/1', 'https://example.com')).toBe('https://example.com/p/1')
+    })
+
+    it('should not change absolute urls', () => {
+      expect(absoluteUrl('https://cdn.com/1.png', 'https://example.com')).toBe(
+        'https://cdn.com/1.png',
+      )
+    })
+
+    it('should not change paths when there is no base url', () => {
+      expect(absoluteUrl('/p/1')).toBe('/p/1')
+    })
+  })
+
+  describe('aggregateRating', () => {
+    it('should return null when there are no reviews', () => {
+      expect(aggregateRating({ value: 4 })).toBe(null)
+      expect(aggregateRating({ reviewCount: 1 })).toBe(null)
+    })
+
+    it('should use a 5 star scale', () => {
+      expect(aggregateRating({ value: 4, reviewCount: 1 })).toEqual({
+        '@type': 'AggregateRating',
+        ratingValue: 4,
+        reviewCount: 1,
+        bestRating: 5,
+        worstRating: 0,
+      })
+    })
+  })
+
+  describe('offer', () => {
+    it('should return null when there is no price', () => {
+      expect(offer({ id: 1 })).toBe(null)
+    })
+
+    it('should default to USD', () => {
+      expect(offer({ price: 5 })).toEqual({ '@type': 'Offer', price: 5, priceCurrency: 'USD' })
+    })
+
+    it('should use the schema.org url for availability', () => {
+      expect(offer(data, { availability: 'InStock' }).availability).toBe(
+        'https://schema.org/InStock',
+      )
+    })
+
+    it('should throw an error for unknown availability', () => {
+      expect(() => offer(data, { availability: 'Maybe' })).toThrow(/Invalid availability "Maybe"/)
+    })
+  })
+
+  describe('product', () => {
+    it('should create a product', () => {
+      const result = product(data, { baseUrl: 'https://example.com', brand: 'Acme' })
+
+      expect(result).toEqual({
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        sku: '1',
+        name: 'Product 1',
+        url: 'https://example.com/p/1',
+        image: ['https://example.com/images/1.png', 'https://example.com/images/2.png'],
+        description: 'A product',
+        brand: { '@type': 'Brand', name: 'Acme' },
+        offers: {
+          '@type': 'Offer',
+          price: 10.99,
+          priceCurrency: 'EUR',
+          url: 'https://example.com/p/1',
+        },
+        aggregateRating: {
+          '@type': 'AggregateRating',
+          ratingValue: 4.5,
+          reviewCount: 12,
+          bestRating: 5,
+          worstRating: 0,
+        },
+      })
+
+      expectValidSchema(result)
+    })
+
+    it('should use the thumbnail when there is no media', () => {
+      expect(product({ ...data, media: undefined }).image).toEqual([
+        'https://example.com/thumbnail.png',
+      ])
+    })
+
+    it('should omit empty properties', () => {
+      expect(product({ id: 'a', name: 'A' })).toEqual({
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        sku: 'a',
+        name: 'A',
+      })
+    })
+  })
+
+  describe('breadcrumbList', () => {
+    it('should create a list item for each breadcrumb', () => {
+      const result = breadcrumbList(
+        [
+          { text: 'Home', href: '/' },
+          { text: 'Shirts', href: '/s/[subcategoryId]', as: '/s/1' },
+          { text: 'Product 1' },
+        ],
+        { baseUrl: 'https://example.com' },
+      )
+
+      expect(result).toEqual({
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: [
+          { '@type': 'ListItem', position: 1, name: 'Home', item: 'https://example.com/' },
+          { '@type': 'ListItem', position: 2, name: 'Shirts', item: 'https://example.com/s/1' },
+          { '@type': 'ListItem', position: 3, name: 'Product 1' },
+        ],
+      })
+
+      expectValidSchema(result)
+    })
+  })
+
+  describe('itemList', () => {
+    it('should create a list item for each product', () => {
+      const result = itemList([data, { ...data, name: 'Product 2', url: '/p/2' }], {
+        name: 'Shirts',
+      })
+
+      expect(result).toEqual({
+        '@context': 'https://schema.org',
+        '@type': 'ItemList',
+        name: 'Shirts',
+        numberOfItems: 2,
+        itemListElement: [
+          { '@type': 'ListItem', position: 1, name: 'Product 1', url: '/p/1' },
+          { '@type': 'ListItem', position: 2, name: 'Product 2', url: '/p/2' },
+        ],
+      })
+
+      expectValidSchema(result)
+    })
+  })
+
+  describe('serialize', () => {
+    it('should escape tags', () => {
+      expect(serialize({ name: '</script><script>alert(1)</script>' })).toBe(
+        '{"name":"\\u003c/script>\\u003cscript>alert(1)\\u003c/script>"}',
+      )
+    })
+  })
+})
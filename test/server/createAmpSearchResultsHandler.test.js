@@ -0,0 +1,93 @@
+import createAmpSearchResultsHandler, {
+  setAmpCorsHeaders,
+} from 'react-storefront/server/createAmpSearchResultsHandler'
+
+describe('createAmpSearchResultsHandler', () => {
+  let res, fetchSearchResults
+
+  const options = { allowedOrigins: ['https://www.example.com'] }
+
+  beforeEach(() => {
+    res = { setHeader: jest.fn(), end: jest.fn() }
+    fetchSearchResults = jest.fn(query => ({
+      pageData: {
+        products: [{ id: '1' }],
+        page: parseInt(query.page || 0),
+        totalPages: 3,
+        total: 30,
+      },
+    }))
+  })
+
+  const createRequest = (url, query = {}, headers = {}) => ({
+    url,
+    query,
+    headers: { host: 'www.example.com', ...headers },
+  })
+
+  const getBody = () => JSON.parse(res.end.mock.calls[0][0])
+
+  it('should return amp-list items and the next page', async () => {
+    const req = createRequest('/api/amp/s/1?q=red', { q: 'red' })
+    await createAmpSearchResultsHandler(fetchSearchResults, options)(req, res)
+    expect(fetchSearchResults).toHaveBeenCalledWith({ q: 'red' }, req, res)
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/json')
+    expect(getBody()).toEqual({
+      items: [{ id: '1' }],
+      next: '/api/amp/s/1?q=red&page=1',
+      page: 0,
+      totalPages: 3,
+      total: 30,
+    })
+  })
+
+  it('should return null for next on the last page', async () => {
+    const req = createRequest('/api/amp/s/1?page=2', { page: '2' })
+    await createAmpSearchResultsHandler(fetchSearchResults, options)(req, res)
+    expect(getBody().next).toBe(null)
+  })
+
+  it('should set AMP CORS headers and remove the source origin from next', async () => {
+    const req = createRequest(
+      '/api/amp/s/1?__amp_source_origin=https%3A%2F%2Fwww.example.com',
+      { __amp_source_origin: 'https://www.example.com' },
+      { origin: 'https://www-example-com.cdn.ampproject.org' },
+    )
+    await createAmpSearchResultsHandler(fetchSearchResults, options)(req, res)
+    expect(res.setHeader).toHaveBeenCalledWith(
+      'AMP-Access-Control-Allow-Source-Origin',
+      'https://www.example.com',
+    )
+    expect(res.setHeader).toHaveBeenCalledWith(
+      'Access-Control-Allow-Origin',
+      'https://www-example-com.cdn.ampproject.org',
+    )
+    expect(getBody().next).toBe('/api/amp/s/1?page=1')
+  })
+
+  it('should require allowedOrigins', () => {
+    expect(() => createAmpSearchResultsHandler(fetchSearchResults)).toThrow(
+      'createAmpSearchResultsHandler requires allowedOrigins.',
+    )
+  })
+
+  it('should reject other source origins', async () => {
+    const req = createRequest(
+      '/api/amp/s/1',
+      { __amp_source_origin: 'https://evil.example.com' },
+      { host: 'evil.example.com' },
+    )
+    await createAmpSearchResultsHandler(fetchSearchResults, options)(req, res)
+    expect(res.statusCode).toBe(403)
+    expect(fetchSearchResults).not.toHaveBeenCalled()
+  })
+
+  it('should accept allowedOrigins', () => {
+    const req = createRequest('/api/amp/s/1', { __amp_source_origin: 'https://shop.example.com' })
+    expect(setAmpCorsHeaders(req, res, ['https://shop.example.com'])).toBe(true)
+    expect(setAmpCorsHeaders(req, res, ['https://www.example.com'])).toBe(false)
+    expect(setAmpCorsHeaders(req, res)).toBe(false)
+    expect(setAmpCorsHeaders(createRequest('/api/amp/s/1'), res)).toBe(true)
+    expect(res.setHeader).toHaveBeenCalledTimes(2)
+  })
+})
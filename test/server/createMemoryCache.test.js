@@ -0,0 +1,75 @@
+import createMemoryCache from 'react-storefront/server/createMemoryCache'
+
+describe('createMemoryCache', () => {
+  let cache
+
+  beforeEach(() => {
+    cache = createMemoryCache({ maxEntries: 2 })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('should return undefined for missing keys', async () => {
+    expect(await cache.get('missing')).toBeUndefined()
+  })
+
+  it('should store and return values', async () => {
+    await cache.set('a', { value: 1 })
+    expect(await cache.get('a')).toEqual({ value: 1 })
+  })
+
+  it('should return a copy of the stored value', async () => {
+    const value = { products: [{ id: '1' }] }
+    await cache.set('a', value)
+    value.products.push({ id: '2' })
+    const first = await cache.get('a')
+    first.products.pop()
+    expect(await cache.get('a')).toEqual({ products: [{ id: '1' }] })
+  })
+
+  it('should remove the least recently used entry when full', async () => {
+    await cache.set('a', 1)
+    await cache.set('b', 2)
+    await cache.get('a')
+    await cache.set('c', 3)
+    expect(await cache.get('a')).toBe(1)
+    expect(await cache.get('b')).toBeUndefined()
+    expect(await cache.get('c')).toBe(3)
+  })
+
+  it('should expire entries after maxAgeSeconds', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0)
+    await cache.set('a', 1, { maxAgeSeconds: 10 })
+    now.mockReturnValue(9999)
+    expect(await cache.get('a')).toBe(1)
+    now.mockReturnValue(10000)
+    expect(await cache.get('a')).toBeUndefined()
+  })
+
+  it('should purge entries by tag', async () => {
+    await cache.set('a', 1, { tags: ['product:1', 'subcategory:1'] })
+    await cache.set('b', 2, { tags: ['product:2'] })
+    expect(await cache.purge(['subcategory:1', 'home'])).toBe(1)
+    expect(await cache.get('a')).toBeUndefined()
+    expect(await cache.get('b')).toBe(2)
+  })
+
+  it('should clear all entries', async () => {
+    await cache.set('a', 1)
+    await cache.clear()
+    expect(await cache.get('a')).toBeUndefined()
+  })
+
+  it('should default to 500 entries', async () => {
+    cache = createMemoryCache()
+
+    for (let i = 0; i <= 500; i++) {
+      await cache.set(`key${i}`, i)
+    }
+
+    expect(await cache.get('key0')).toBeUndefined()
+    expect(await cache.get('key500')).toBe(500)
+  })
+})
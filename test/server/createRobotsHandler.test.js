@@ -0,0 +1,58 @@
+import createRobotsHandler, { renderRobots } from 'react-storefront/server/createRobotsHandler'
+
+describe('createRobotsHandler', () => {
+  it('should render the default rules', () => {
+    expect(renderRobots({ baseUrl: 'https://www.example.com' })).toBe(
+      'User-agent: *\nDisallow: /api/\n\nSitemap: https://www.example.com/sitemap.xml\n',
+    )
+  })
+
+  it('should render custom rules', () => {
+    expect(
+      renderRobots({
+        rules: [
+          { userAgent: ['Googlebot', 'Bingbot'], allow: '/', disallow: ['/cart', '/checkout'] },
+          { userAgent: 'BadBot', disallow: '/' },
+        ],
+        sitemap: ['https://cdn.example.com/sitemap.xml', '/sitemap-news.xml'],
+        baseUrl: 'https://www.example.com',
+      }),
+    ).toBe(
+      [
+        'User-agent: Googlebot',
+        'User-agent: Bingbot',
+        'Allow: /',
+        'Disallow: /cart',
+        'Disallow: /checkout',
+        '',
+        'User-agent: BadBot',
+        'Disallow: /',
+        '',
+        'Sitemap: https://cdn.example.com/sitemap.xml',
+        'Sitemap: https://www.example.com/sitemap-news.xml',
+        '',
+      ].join('\n'),
+    )
+  })
+
+  it('should omit the sitemap', () => {
+    expect(renderRobots({ sitemap: false })).toBe('User-agent: *\nDisallow: /api/\n')
+  })
+
+  it('should serve robots.txt', () => {
+    const res = { setHeader: jest.fn(), end: jest.fn() }
+    createRobotsHandler({ maxAgeSeconds: 60, baseUrl: 'https://www.example.com' })(
+      { headers: { host: 'evil.example.com' } },
+      res,
+    )
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/plain; charset=utf-8')
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'max-age=0, s-maxage=60')
+    expect(res.end).toHaveBeenCalledWith(
+      'User-agent: *\nDisallow: /api/\n\nSitemap: https://www.example.com/sitemap.xml\n',
+    )
+  })
+
+  it('should require a baseUrl', () => {
+    expect(() => createRobotsHandler()).toThrow('createRobotsHandler requires a baseUrl.')
+  })
+})
@@ -0,0 +1,177 @@
+import createSitemap, {
+  getSitemapEntries,
+  renderSitemap,
+  renderSitemapIndex,
+} from 'react-storefront/server/createSitemap'
+
+describe('createSitemap', () => {
+  const routes = {
+    a: { as: '/index' },
+    b: { as: '/_app' },
+    c: { as: '/api/p/[productId]' },
+    d: { as: '/cart' },
+    e: { as: '/p/[productId]' },
+    f: { as: '/s/[...categorySlug]' },
+    g: { as: '/404' },
+  }
+
+  const connector = {
+    routeParams: jest.fn(async route => {
+      if (route === '/p/[productId]') {
+        return [
+          { params: { productId: '1' }, lastmod: '2020-01-01' },
+          { params: { productId: 'a b' }, lastmod: new Date(Date.UTC(2020, 1, 1)) },
+        ]
+      } else if (route === '/s/[...categorySlug]') {
+        return [{ params: { categorySlug: ['men', 'shirts'] } }]
+      }
+    }),
+  }
+
+  describe('getSitemapEntries', () => {
+    it('should expand dynamic routes using the connector', async () => {
+      expect(await getSitemapEntries({ routes, connector })).toEqual([
+        { path: '/' },
+        { path: '/cart' },
+        { path: '/p/1', lastmod: '2020-01-01' },
+        { path: '/p/a%20b', lastmod: '2020-02-01T00:00:00.000Z' },
+        { path: '/s/men/shirts', lastmod: undefined },
+      ])
+    })
+
+    it('should pass req and res to the connector', async () => {
+      const req = {},
+        res = {}
+      await getSitemapEntries({ routes, connector, req, res })
+      expect(connector.routeParams).toHaveBeenCalledWith('/p/[productId]', req, res)
+    })
+
+    it('should skip dynamic routes when the connector does not implement routeParams', async () => {
+      expect(await getSitemapEntries({ routes })).toEqual([{ path: '/' }, { path: '/cart' }])
+    })
+
+    it('should support exclude as a list of routes', async () => {
+      const entries = await getSitemapEntries({
+        routes,
+        connector,
+        exclude: ['/cart', '/p/[productId]'],
+      })
+      expect(entries.map(e => e.path)).toEqual(['/', '/s/men/shirts'])
+    })
+
+    it('should support exclude as a function', async () => {
+      const entries = await getSitemapEntries({
+        routes,
+        connector,
+        exclude: route => route !== '/',
+      })
+      expect(entries.map(e => e.path)).toEqual(['/'])
+    })
+
+    it('should throw an error when a param is missing', async () => {
+      await expect(
+        getSitemapEntries({
+          routes: { e: { as: '/p/[productId]' } },
+          connector: { routeParams: () => [{ params: { id: '1' } }] },
+        }),
+      ).rejects.toThrow('routeParams did not return a value for "productId" in /p/[productId]')
+    })
+
+    it('should allow empty optional catch-all segments', async () => {
+      const entries = await getSitemapEntries({
+        routes: { e: { as: '/c/[[...slug]]' } },
+        connector: { routeParams: () => [{ params: {} }, { params: { slug: ['a'] } }] },
+      })
+      expect(entries.map(e => e.path)).toEqual(['/c/', '/c/a'])
+    })
+  })
+
+  describe('renderSitemap', () => {
+    it('should render urls', () => {
+      expect(
+        renderSitemap([{ path: '/p/1?a=1&b=2', lastmod: '2020-01-01' }, { path: '/' }], {
+          baseUrl: 'https://example.com',
+        }),
+      ).toBe(
+        [
+          '<?xml version="1.0" encoding="UTF-8"?>',
+          '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+          '<url><loc>https://example.com/p/1?a=1&amp;b=2</loc><lastmod>2020-01-01</lastmod></url>',
+          '<url><loc>https://example.com/</loc></url>',
+          '</urlset>',
+        ].join('\n'),
+      )
+    })
+  })
+
+  describe('renderSitemapIndex', () => {
+    it('should render sitemaps', () => {
+      expect(renderSitemapIndex([{ loc: 'https://example.com/sitemap-1.xml' }])).toBe(
+        [
+          '<?xml version="1.0" encoding="UTF-8"?>',
+          '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+          '<sitemap><loc>https://example.com/sitemap-1.xml</loc></sitemap>',
+          '</sitemapindex>',
+        ].join('\n'),
+      )
+    })
+  })
+
+  describe('createSitemap', () => {
+    it('should shard the sitemap', async () => {
+      const { index, sitemaps } = await createSitemap({
+        routes,
+        connector,
+        baseUrl: 'https://example.com',
+        shardSize: 2,
+      })
+
+      expect(sitemaps).toHaveLength(3)
+      expect(sitemaps[0]).toContain('<loc>https://example.com/</loc>')
+      expect(sitemaps[0]).toContain('<loc>https://example.com/cart</loc>')
+      expect(sitemaps[1]).toContain('<loc>https://example.com/p/1</loc>')
+      expect(sitemaps[2]).toContain('<loc>https://example.com/s/men/shirts</loc>')
+      expect(index).toContain('<sitemap><loc>https://example.com/sitemap-1.xml</loc></sitemap>')
+      expect(index).toContain(
+        '<sitemap><loc>https://example.com/sitemap-2.xml</loc><lastmod>2020-02-01T00:00:00.000Z</lastmod></sitemap>',
+      )
+      expect(index).toContain('<sitemap><loc>https://example.com/sitemap-3.xml</loc></sitemap>')
+    })
+
+    it('should create one empty sitemap when there are no pages', async () => {
+      const { sitemaps } = await createSitemap({ routes: {} })
+      expect(sitemaps).toHaveLength(1)
+    })
+
+    it('should add hreflang alternates for each locale', async () => {
+      const { sitemaps } = await createSitemap({
+        routes: { a: { as: '/index' }, d: { as: '/cart' } },
+        baseUrl: 'https://example.com',
+        locales: ['en', 'fr'],
+      })
+
+      const alternates = [
+        '<xhtml:link rel="alternate" hreflang="en" href="https://example.com/cart"/>',
+        '<xhtml:link rel="alternate" hreflang="fr" href="https://example.com/fr/cart"/>',
+        '<xhtml:link rel="alternate" hreflang="x-default" href="https://example.com/cart"/>',
+      ].join('')
+
+      expect(sitemaps[0]).toContain(`<url><loc>https://example.com/cart</loc>${alternates}</url>`)
+      expect(sitemaps[0]).toContain(
+        `<url><loc>https://example.com/fr/cart</loc>${alternates}</url>`,
+      )
+      expect(sitemaps[0]).toContain('<url><loc>https://example.com/fr</loc>')
+    })
+
+    it('should use the locales configured in withReactStorefront', async () => {
+      process.env.RSF_LOCALES = 'en,de'
+
+      try {
+        const { sitemaps } = await createSitemap({ routes: { d: { as: '/cart' } } })
+        expect(sitemaps[0]).toContain('<url><loc>/de/cart</loc>')
+      } finally {
+        delete process.env.RSF_LOCALES
+      }
+    })
+  })
+})
@@ -0,0 +1,106 @@
+import createSitemapHandler, { getBaseUrl } from 'react-storefront/server/createSitemapHandler'
+import { setServerCache, purgeServerCache } from 'react-storefront/server/serverCache'
+import createMemoryCache from 'react-storefront/server/createMemoryCache'
+
+describe('createSitemapHandler', () => {
+  let res, connector
+
+  const routes = { a: { as: '/index' }, b: { as: '/p/[productId]' } }
+  const baseUrl = 'https://www.example.com'
+
+  beforeEach(() => {
+    setServerCache(createMemoryCache())
+    res = { setHeader: jest.fn(), end: jest.fn() }
+    connector = {
+      routeParams: jest.fn(() => [{ params: { productId: '1' } }, { params: { productId: '2' } }]),
+    }
+  })
+
+  const createRequest = (query = {}, headers = {}) => ({
+    query,
+    headers: { host: 'www.example.com', 'x-forwarded-proto': 'https', ...headers },
+  })
+
+  it('should require a baseUrl', () => {
+    expect(() => createSitemapHandler({ routes, connector })).toThrow(
+      'createSitemapHandler requires a baseUrl.',
+    )
+  })
+
+  it('should serve the sitemap index', async () => {
+    await createSitemapHandler({ routes, connector, baseUrl })(createRequest(), res)
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/xml; charset=utf-8')
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'max-age=0, s-maxage=86400')
+    expect(res.end.mock.calls[0][0]).toContain('<loc>https://www.example.com/sitemap-1.xml</loc>')
+    expect(res.setHeader).not.toHaveBeenCalledWith('Vary', expect.anything())
+  })
+
+  it('should not use the host of the request', async () => {
+    const handler = createSitemapHandler({ routes, connector, baseUrl })
+    await handler(createRequest({}, { host: 'evil.example.com' }), res)
+    await handler(createRequest({}, { 'x-forwarded-host': 'other.example.com' }), res)
+    expect(res.end.mock.calls[0][0]).toContain('<loc>https://www.example.com/sitemap-1.xml</loc>')
+    expect(res.end.mock.calls[1][0]).toBe(res.end.mock.calls[0][0])
+    expect(connector.routeParams).toHaveBeenCalledTimes(1)
+  })
+
+  it('should serve each configured host', async () => {
+    const handler = createSitemapHandler({
+      routes,
+      connector,
+      baseUrl: ['https://www.example.com', 'https://www.example.ca'],
+    })
+    await handler(createRequest({}, { 'x-forwarded-host': 'www.example.ca' }), res)
+    expect(res.end.mock.calls[0][0]).toContain('<loc>https://www.example.ca/sitemap-1.xml</loc>')
+    expect(res.setHeader).toHaveBeenCalledWith('Vary', 'Host, X-Forwarded-Host')
+  })
+
+  it('should serve a shard', async () => {
+    const handler = createSitemapHandler({
+      routes,
+      connector,
+      shardSize: 2,
+      baseUrl: 'https://shop.example.com',
+    })
+    await handler(createRequest({ shard: '2' }), res)
+    expect(res.end.mock.calls[0][0]).toContain('<loc>https://shop.example.com/p/2</loc>')
+  })
+
+  it('should return a 404 for shards that do not exist', async () => {
+    await createSitemapHandler({ routes, connector, baseUrl })(createRequest({ shard: '5' }), res)
+    expect(res.statusCode).toBe(404)
+  })
+
+  it('should cache the sitemap until it is purged', async () => {
+    const handler = createSitemapHandler({ routes, connector, baseUrl })
+    await handler(createRequest(), res)
+    await handler(createRequest({ shard: '1' }), res)
+    expect(connector.routeParams).toHaveBeenCalledTimes(1)
+    await purgeServerCache(['sitemap'])
+    await handler(createRequest(), res)
+    expect(connector.routeParams).toHaveBeenCalledTimes(2)
+  })
+
+  describe('getBaseUrl', () => {
+    const baseUrls = ['https://www.example.com', 'http://localhost:3000']
+
+    it('should return the base URL that matches the host of the request', () => {
+      expect(getBaseUrl({ headers: { host: 'localhost:3000' } }, baseUrls)).toBe(
+        'http://localhost:3000',
+      )
+      expect(
+        getBaseUrl(
+          { headers: { host: 'internal', 'x-forwarded-host': 'www.example.com' } },
+          baseUrls,
+        ),
+      ).toBe('https://www.example.com')
+    })
+
+    it('should return the first base URL for other hosts', () => {
+      expect(getBaseUrl({ headers: { host: 'evil.example.com' } }, baseUrls)).toBe(
+        'https://www.example.com',
+      )
+      expect(getBaseUrl({ headers: {} }, 'https://www.example.com')).toBe('https://www.example.com')
+    })
+  })
+})
@@ -17,4 +17,20 @@ describe('getRoutes', () => {
       },
     })
   })
+
+  it('should match locale prefixes', () => {
+    process.env.RSF_LOCALES = 'en,fr'
+
+    try {
+      const route = Object.keys(getRoutes(manifest)).find(
+        key => getRoutes(manifest)[key].as === '/p/[productId]',
+      )
+      const re = new RegExp(route)
+      expect(re.test('/p/1')).toBe(true)
+      expect(re.test('/fr/p/1')).toBe(true)
+      expect(re.test('/es/p/1')).toBe(false)
+    } finally {
+      delete process.env.RSF_LOCALES
+    }
+  })
 })
@@ -0,0 +1,89 @@
+import {
+  setServerCache,
+  getServerCache,
+  purgeServerCache,
+  createPurgeHandler,
+} from 'react-storefront/server/serverCache'
+import createMemoryCache from 'react-storefront/server/createMemoryCache'
+
+describe('serverCache', () => {
+  let cache
+
+  beforeEach(() => {
+    cache = createMemoryCache()
+    setServerCache(cache)
+  })
+
+  it('should create a memory cache by default', async () => {
+    setServerCache(null)
+    const cache = getServerCache()
+    await cache.set('a', 1)
+    expect(await getServerCache().get('a')).toBe(1)
+  })
+
+  it('should use the cache that was set', () => {
+    expect(getServerCache()).toBe(cache)
+  })
+
+  it('should purge by tag', async () => {
+    await cache.set('a', 1, { tags: ['product:1'] })
+    expect(await purgeServerCache(['product:1'])).toBe(1)
+    expect(await cache.get('a')).toBeUndefined()
+  })
+
+  describe('createPurgeHandler', () => {
+    let res
+
+    beforeEach(() => {
+      res = { setHeader: jest.fn(), end: jest.fn() }
+    })
+
+    const handler = createPurgeHandler({ secret: 'secret' })
+
+    const createRequest = (body, token = 'secret', method = 'POST') => ({
+      method,
+      headers: { 'x-rsf-purge-token': token },
+      body,
+    })
+
+    it('should purge the specified tags', async () => {
+      await cache.set('a', 1, { tags: ['product:1'] })
+      await handler(createRequest({ tags: ['product:1'] }), res)
+      expect(res.end).toHaveBeenCalledWith(JSON.stringify({ purged: 1 }))
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/json')
+    })
+
+    it('should accept a JSON string body', async () => {
+      await handler(createRequest(JSON.stringify({ tags: ['product:1'] })), res)
+      expect(res.end).toHaveBeenCalledWith(JSON.stringify({ purged: 0 }))
+    })
+
+    it('should return 400 when the body is not valid JSON', async () => {
+      await handler(createRequest('{tags'), res)
+      expect(res.statusCode).toBe(400)
+      expect(res.end).toHaveBeenCalledWith(JSON.stringify({ error: 'Invalid JSON' }))
+    })
+
+    it('should return 401 when the token is wrong', async () => {
+      await handler(createRequest({ tags: ['product:1'] }, 'wrong'), res)
+      expect(res.statusCode).toBe(401)
+    })
+
+    it('should return 401 when no secret is configured', async () => {
+      await createPurgeHandler({})(createRequest({ tags: ['product:1'] }, undefined), res)
+      expect(res.statusCode).toBe(401)
+    })
+
+    it('should return 405 for methods other than POST', async () => {
+      await handler(createRequest(undefined, 'secret', 'GET'), res)
+      expect(res.statusCode).toBe(405)
+    })
+
+    it('should return 400 when tags are missing', async () => {
+      await handler(createRequest(undefined), res)
+      expect(res.statusCode).toBe(400)
+      await handler(createRequest({ tags: [] }), res)
+      expect(res.statusCode).toBe(400)
+    })
+  })
+})
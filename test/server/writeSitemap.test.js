@@ -0,0 +1,31 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import writeSitemap from 'react-storefront/server/writeSitemap'
+
+describe('writeSitemap', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rsf-sitemap-'))
+  })
+
+  afterEach(() => {
+    fs.rmdirSync(dir, { recursive: true })
+  })
+
+  it('should write the index and each sitemap', async () => {
+    const files = await writeSitemap(path.join(dir, 'public'), {
+      routes: { a: { as: '/index' }, b: { as: '/cart' } },
+      baseUrl: 'https://www.example.com',
+      shardSize: 1,
+    })
+
+    expect(files).toEqual([
+      path.join(dir, 'public', 'sitemap.xml'),
+      path.join(dir, 'public', 'sitemap-1.xml'),
+      path.join(dir, 'public', 'sitemap-2.xml'),
+    ])
+    expect(fs.readFileSync(files[2], 'utf-8')).toContain('<loc>https://www.example.com/cart</loc>')
+  })
+})
@@ -1,6 +1,7 @@
 import React, { useContext } from 'react'
 import { mount } from 'enzyme'
 import SessionContext from 'react-storefront/session/SessionContext'
+import PWAContext from 'react-storefront/PWAContext'
 import { act } from 'react-dom/test-utils'
 
 describe('SessionProvider', () => {
@@ -8,6 +9,7 @@ describe('SessionProvider', () => {
     SessionProvider,
     actions,
     session,
+    wishlist,
     sessionResponse = { signedIn: false, cart: { items: [{ id: '1', name: 'Red Shoe' }] } }
 
   beforeEach(() => {
@@ -25,6 +27,7 @@ describe('SessionProvider', () => {
     const context = useContext(SessionContext)
     actions = context.actions
     session = context.session
+    wishlist = context.wishlist
     return null
   }
 
@@ -414,4 +417,665 @@ describe('SessionProvider', () => {
       })
     })
   })
+
+  describe('setCurrency', () => {
+    it('should call api/session/currency and apply the result to the session', async () => {
+      wrapper = mount(
+        <SessionProvider url="/api/session">
+          <Test />
+        </SessionProvider>,
+      )
+      await act(async () => await wrapper.update())
+
+      fetchMock.mockOnce(JSON.stringify({ currency: 'EUR', cart: { items: [] } }))
+      await act(() => actions.setCurrency('EUR'))
+
+      expect(fetchMock.mock.calls[1][0]).toBe('/api/session/currency')
+      expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({ currency: 'EUR' })
+      expect(session.currency).toBe('EUR')
+    })
+  })
+
+  describe('coupons', () => {
+    beforeEach(async () => {
+      wrapper = mount(
+        <SessionProvider url="/api/session">
+          <Test />
+        </SessionProvider>,
+      )
+      await act(async () => await wrapper.update())
+    })
+
+    it('should call api/cart/coupon/apply and apply the result to the session', async () => {
+      const cart = { ...sessionResponse.cart, coupons: ['SAVE10'], totals: { total: 9 } }
+      fetchMock.mockOnce(JSON.stringify({ cart }))
+      await act(() => actions.applyCoupon('SAVE10'))
+      expect(fetchMock.mock.calls[1][0]).toBe('/api/cart/coupon/apply')
+      expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({ code: 'SAVE10' })
+      expect(session.cart).toEqual(cart)
+    })
+
+    it('should throw the error returned for an invalid coupon', async () => {
+      fetchMock.mockOnce(JSON.stringify({ error: 'The coupon code "NOPE" is not valid.' }), {
+        status: 400,
+      })
+      await act(() =>
+        expect(actions.applyCoupon('NOPE')).rejects.toThrow('The coupon code "NOPE" is not valid.'),
+      )
+      expect(session.cart).toEqual(sessionResponse.cart)
+    })
+
+    it('should call api/cart/coupon/remove and apply the result to the session', async () => {
+      fetchMock.mockOnce(JSON.stringify({ cart: { ...sessionResponse.cart, coupons: [] } }))
+      await act(() => actions.removeCoupon('SAVE10'))
+      expect(fetchMock.mock.calls[1][0]).toBe('/api/cart/coupon/remove')
+      expect(session.cart.coupons).toEqual([])
+    })
+
+    it('should apply coupons with the deprecated applyPromoCode', async () => {
+      fetchMock.mockOnce(JSON.stringify({ cart: { ...sessionResponse.cart, coupons: ['SAVE10'] } }))
+      await act(() => actions.applyPromoCode('SAVE10'))
+      expect(fetchMock.mock.calls[1][0]).toBe('/api/cart/coupon/apply')
+      expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({ code: 'SAVE10' })
+      expect(session.cart.coupons).toEqual(['SAVE10'])
+    })
+
+    it('should remove all coupons when applyPromoCode is passed null', async () => {
+      const cart = { ...sessionResponse.cart, coupons: ['SAVE10', 'FREESHIP'] }
+      fetchMock.mockOnce(JSON.stringify({ cart }))
+      await act(() => actions.applyCoupon('FREESHIP'))
+      fetchMock.mockOnce(JSON.stringify({ cart: { ...cart, coupons: ['FREESHIP'] } }))
+      fetchMock.mockOnce(JSON.stringify({ cart: { ...cart, coupons: [] } }))
+      await act(() => actions.applyPromoCode(null))
+      expect(fetchMock.mock.calls.slice(2).map(call => JSON.parse(call[1].body))).toEqual([
+        { code: 'SAVE10' },
+        { code: 'FREESHIP' },
+      ])
+      expect(fetchMock.mock.calls[2][0]).toBe('/api/cart/coupon/remove')
+      expect(session.cart.coupons).toEqual([])
+    })
+  })
+
+  describe('checkout', () => {
+    const address = { firstName: 'Jane', lastName: 'Doe', country: 'US' }
+    const checkout = { address, shippingMethod: null, totals: { subtotal: 10, total: 10 } }
+
+    beforeEach(async () => {
+      wrapper = mount(
+        <SessionProvider url="/api/session">
+          <Test />
+        </SessionProvider>,
+      )
+      await act(async () => await wrapper.update())
+    })
+
+    it('should call api/checkout/address and apply the result to the session', async () => {
+      let request
+
+      fetchMock.mockOnce(async req => {
+        request = req
+        return JSON.stringify({ checkout })
+      })
+
+      await act(() => actions.setShippingAddress({ address }))
+
+      expect(request.url).toBe('/api/checkout/address')
+      expect(request.method).toBe('POST')
+      expect(JSON.parse(request.body.toString('utf8'))).toEqual({ address })
+      expect(session.checkout).toEqual(checkout)
+      expect(session.cart).toEqual(sessionResponse.cart)
+    })
+
+    it('should not apply the address until the server accepts it', async () => {
+      let promise
+
+      fetchMock.mockOnce(async () => {
+        await sleep(10)
+        return {
+          body: JSON.stringify({ error: 'Please enter the following fields: city.' }),
+          status: 400,
+        }
+      })
+
+      act(() => {
+        promise = actions.setShippingAddress({ address })
+      })
+
+      expect(session.checkout).toBeUndefined()
+      await act(() => expect(promise).rejects.toThrow('Please enter the following fields: city.'))
+      expect(session.checkout).toBeUndefined()
+    })
+
+    it('should fetch shipping rates', async () => {
+      const shippingRates = [{ code: 'standard', name: 'Standard', price: 5.99 }]
+      fetchMock.mockOnce(JSON.stringify({ shippingRates }))
+      expect(await actions.getShippingRates()).toEqual(shippingRates)
+      expect(fetchMock.mock.calls[1][0]).toBe('/api/checkout/shippingRates')
+    })
+
+    it('should throw an error when shipping rates cannot be fetched', async () => {
+      fetchMock.mockOnce(JSON.stringify({ error: 'Please enter a shipping address.' }), {
+        status: 400,
+      })
+      await expect(actions.getShippingRates()).rejects.toThrow('Please enter a shipping address.')
+    })
+
+    it('should call api/checkout/shippingMethod', async () => {
+      fetchMock.mockOnce(JSON.stringify({ checkout: { ...checkout, shippingMethod: 'express' } }))
+      await act(() => actions.setShippingMethod('express'))
+      expect(fetchMock.mock.calls[1][0]).toBe('/api/checkout/shippingMethod')
+      expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({ code: 'express' })
+      expect(session.checkout.shippingMethod).toBe('express')
+    })
+
+    it('should place the order after pending cart mutations and empty the cart', async () => {
+      const order = { id: '1001', items: [{ id: '2', quantity: 1 }], totals: { total: 10 } }
+      const urls = []
+      let result
+
+      fetchMock.mockOnce(async req => {
+        urls.push(req.url)
+        await sleep(10)
+        return JSON.stringify({ cart: { items: [{ id: '2', quantity: 1 }] } })
+      })
+
+      fetchMock.mockOnce(async req => {
+        urls.push(req.url)
+        return JSON.stringify({ order, cart: { items: [] } })
+      })
+
+      await act(async () => {
+        actions.addToCart({ product: { id: '2' }, quantity: 1 })
+        result = await actions.placeOrder({ payment: { cardNumber: '4111111111111111' } })
+      })
+
+      expect(urls).toEqual(['/api/cart/add', '/api/checkout/placeOrder'])
+      expect(result).toEqual(order)
+      expect(session.cart.items).toEqual([])
+    })
+
+    it('should throw an error when the order is rejected', async () => {
+      fetchMock.mockOnce(JSON.stringify({ error: 'Your card was declined.' }), { status: 400 })
+      await act(() =>
+        expect(actions.placeOrder({ payment: {} })).rejects.toThrow('Your card was declined.'),
+      )
+      expect(session.cart).toEqual(sessionResponse.cart)
+    })
+
+    it('should resolve to queued when the order is queued while offline', async () => {
+      fetchMock.mockOnce(JSON.stringify({ queued: true }), { status: 202 })
+      let result
+      await act(async () => {
+        result = await actions.placeOrder({ payment: {} })
+      })
+      expect(result).toEqual({ queued: true })
+    })
+  })
+
+  describe('optimistic cart mutations', () => {
+    const mountWithCart = async () => {
+      wrapper = mount(
+        <SessionProvider url="/api/session">
+          <Test />
+        </SessionProvider>,
+      )
+      await act(async () => await wrapper.update())
+    }
+
+    it('should apply addToCart to the session before the server responds', async () => {
+      await mountWithCart()
+
+      fetchMock.mockOnce(async () => {
+        await sleep(10)
+        return JSON.stringify({ cart: { items: [{ id: '2', name: 'Blue Shoe', quantity: 1 }] } })
+      })
+
+      let promise
+
+      act(() => {
+        promise = actions.addToCart({ product: { id: '2', name: 'Blue Shoe' }, quantity: 1 })
+      })
+
+      expect(session.cart.items).toEqual([
+        { id: '2', name: 'Blue Shoe', quantity: 1 },
+        { id: '1', name: 'Red Shoe' },
+      ])
+
+      await act(() => promise)
+
+      expect(session.cart.items).toEqual([{ id: '2', name: 'Blue Shoe', quantity: 1 }])
+    })
+
+    it('should increment the quantity when the product is already in the cart', async () => {
+      await mountWithCart()
+      fetchMock.mockOnce(() => new Promise(() => {}))
+
+      act(() => {
+        actions.addToCart({ product: { id: '1', name: 'Red Shoe' }, quantity: 2 })
+        actions.updateCart({ item: { id: '1' }, quantity: 3 })
+      })
+
+      expect(session.cart.items).toEqual([{ id: '1', name: 'Red Shoe', quantity: 3 }])
+    })
+
+    it('should roll back a mutation that the server rejects', async () => {
+      await mountWithCart()
+      fetchMock.mockOnce(JSON.stringify({ error: 'out of stock' }), { status: 500 })
+
+      let error, promise
+
+      act(() => {
+        promise = actions.removeCartItem({ item: { id: '1' } })
+      })
+
+      expect(session.cart.items).toEqual([])
+
+      await act(async () => {
+        try {
+          await promise
+        } catch (e) {
+          error = e
+        }
+      })
+
+      expect(error.message).toBe('out of stock')
+      expect(session.cart.items).toEqual([{ id: '1', name: 'Red Shoe' }])
+    })
+
+    it('should send mutations to the server one at a time, in order', async () => {
+      await mountWithCart()
+
+      const requests = []
+      let inFlight = 0
+
+      fetchMock.mockResponse(async req => {
+        const { quantity } = JSON.parse(req.body.toString('utf8'))
+        expect(inFlight).toBe(0)
+        inFlight++
+        requests.push(quantity)
+        await sleep(quantity === 2 ? 20 : 0)
+        inFlight--
+        return JSON.stringify({ cart: { items: [{ id: '1', name: 'Red Shoe', quantity }] } })
+      })
+
+      let first, second
+
+      act(() => {
+        first = actions.updateCart({ item: { id: '1' }, quantity: 2 })
+        second = actions.updateCart({ item: { id: '1' }, quantity: 3 })
+      })
+
+      expect(session.cart.items[0].quantity).toBe(3)
+      await act(() => Promise.all([first, second]))
+
+      expect(requests).toEqual([2, 3])
+      expect(session.cart.items).toEqual([{ id: '1', name: 'Red Shoe', quantity: 3 }])
+    })
+
+    it('should keep later pending mutations when an earlier one fails', async () => {
+      await mountWithCart()
+
+      fetchMock.mockOnce(JSON.stringify({ error: 'test' }), { status: 500 })
+      fetchMock.mockOnce(
+        JSON.stringify({ cart: { items: [{ id: '1', name: 'Red Shoe', quantity: 5 }] } }),
+      )
+
+      let first, second, error
+
+      act(() => {
+        first = actions.updateCart({ item: { id: '1' }, quantity: 4 })
+        second = actions.updateCart({ item: { id: '1' }, quantity: 5 })
+      })
+
+      await act(async () => {
+        try {
+          await first
+        } catch (e) {
+          error = e
+        }
+      })
+
+      expect(error.message).toBe('test')
+      expect(session.cart.items[0].quantity).toBe(5)
+      await act(() => second)
+
+      expect(session.cart.items).toEqual([{ id: '1', name: 'Red Shoe', quantity: 5 }])
+    })
+  })
+
+  describe('offline mutations', () => {
+    let listeners, postMessage
+
+    beforeEach(() => {
+      listeners = []
+      postMessage = jest.fn()
+      navigator.serviceWorker = {
+        controller: { postMessage },
+        addEventListener: (type, listener) => listeners.push(listener),
+        removeEventListener: (type, listener) =>
+          (listeners = listeners.filter(l => l !== listener)),
+      }
+    })
+
+    afterEach(() => {
+      delete navigator.serviceWorker
+    })
+
+    const sendMessage = data => act(() => listeners.forEach(listener => listener({ data })))
+
+    const mountOffline = async (props = {}, offline = true) => {
+      wrapper = mount(
+        <PWAContext.Provider value={{ offline }}>
+          <SessionProvider url="/api/session" {...props}>
+            <Test />
+          </SessionProvider>
+        </PWAContext.Provider>,
+      )
+      await act(async () => await wrapper.update())
+    }
+
+    it('should ask the service worker to replay mutations when online', async () => {
+      await mountOffline({}, false)
+      expect(postMessage).toHaveBeenCalledWith({ type: 'rsf-replay-mutations' })
+    })
+
+    it('should not ask the service worker to replay mutations when offline', async () => {
+      await mountOffline()
+      expect(postMessage).not.toHaveBeenCalled()
+    })
+
+    it('should keep queued mutations applied until they are replayed', async () => {
+      await mountOffline()
+
+      let request
+
+      fetchMock.mockOnce(async req => {
+        request = req
+        return { body: JSON.stringify({ queued: true }), status: 202 }
+      })
+
+      await act(() => actions.updateCart({ item: { id: '1' }, quantity: 2 }))
+      expect(session.cart.items).toEqual([{ id: '1', name: 'Red Shoe', quantity: 2 }])
+
+      sendMessage({
+        type: 'rsf-mutation-replayed',
+        id: request.headers.get('x-rsf-mutation-id'),
+        result: { cart: { items: [{ id: '1', name: 'Red Shoe', quantity: 2, price: 10 }] } },
+      })
+
+      expect(session.cart.items).toEqual([{ id: '1', name: 'Red Shoe', quantity: 2, price: 10 }])
+    })
+
+    it('should roll back queued mutations rejected by the server and call onSyncError', async () => {
+      const onSyncError = jest.fn()
+      await mountOffline({ onSyncError })
+
+      let request
+
+      fetchMock.mockOnce(async req => {
+        request = req
+        return { body: JSON.stringify({ queued: true }), status: 202 }
+      })
+
+      await act(() => actions.addToCart({ product: { id: '2', name: 'Blue Shoe' }, quantity: 1 }))
+      expect(session.cart.items).toHaveLength(2)
+
+      sendMessage({
+        type: 'rsf-mutation-rejected',
+        id: request.headers.get('x-rsf-mutation-id'),
+        error: 'Blue Shoe is out of stock',
+      })
+
+      expect(session.cart.items).toEqual([{ id: '1', name: 'Red Shoe' }])
+      expect(onSyncError).toHaveBeenCalledWith(new Error('Blue Shoe is out of stock'))
+    })
+
+    it('should show the user as signed in when sign in is queued', async () => {
+      await mountOffline()
+      fetchMock.mockOnce(JSON.stringify({ queued: true }), { status: 202 })
+      await act(() => actions.signIn({ email: 'user@domain.com', password: 'password' }))
+      expect(session.signedIn).toBe(true)
+      expect(session.email).toBe('user@domain.com')
+    })
+
+    it('should call the latest onSyncError without adding another listener', async () => {
+      const first = jest.fn()
+      const second = jest.fn()
+      await mountOffline({ onSyncError: first })
+      const [listener] = listeners
+
+      wrapper.setProps({
+        children: (
+          <SessionProvider url="/api/session" onSyncError={second}>
+            <Test />
+          </SessionProvider>
+        ),
+      })
+
+      expect(listeners).toEqual([listener])
+      sendMessage({ type: 'rsf-mutation-rejected', id: 'unknown', error: 'test' })
+      expect(first).not.toHaveBeenCalled()
+      expect(second).toHaveBeenCalledWith(new Error('test'))
+    })
+
+    it('should apply results of mutations queued before the page was reloaded', async () => {
+      await mountOffline()
+      sendMessage({ type: 'rsf-mutation-replayed', id: 'unknown', result: { cart: { items: [] } } })
+      expect(session.cart.items).toEqual([])
+    })
+
+    it('should ignore other messages', async () => {
+      await mountOffline()
+      sendMessage({ type: 'other' })
+      sendMessage(undefined)
+      sendMessage({ type: 'rsf-mutation-rejected', id: 'unknown', error: 'test' })
+      expect(session).toEqual(sessionResponse)
+    })
+  })
+
+  describe('wishlist', () => {
+    const product = { id: '2', name: 'Blue Shoe', price: 10, description: 'not stored' }
+
+    const mountProvider = async () => {
+      wrapper = mount(
+        <SessionProvider url="/api/session">
+          <Test />
+        </SessionProvider>,
+      )
+      await act(async () => await wrapper.update())
+    }
+
+    const signIn = async (response = { signedIn: true, wishlist: { items: [] } }) => {
+      fetchMock.mockOnce(JSON.stringify(response))
+      await act(() => actions.signIn({ email: 'user@domain.com', password: 'password' }))
+    }
+
+    afterEach(() => {
+      window.localStorage.clear()
+    })
+
+    describe('when anonymous', () => {
+      it('should add items to local storage without calling the api', async () => {
+        await mountProvider()
+        await act(() => actions.addToWishlist({ product }))
+        await act(() => actions.addToWishlist({ product }))
+        expect(fetchMock).toHaveBeenCalledTimes(1)
+        expect(wishlist.items).toEqual([{ id: '2', name: 'Blue Shoe', price: 10 }])
+        expect(JSON.parse(window.localStorage.getItem('rsf_wishlist'))).toEqual(wishlist.items)
+      })
+
+      it('should load the wishlist from local storage after mounting', async () => {
+        window.localStorage.setItem('rsf_wishlist', JSON.stringify([{ id: '3' }]))
+        await mountProvider()
+        expect(wishlist.items).toEqual([{ id: '3' }])
+      })
+
+      it('should remove items from local storage', async () => {
+        window.localStorage.setItem('rsf_wishlist', JSON.stringify([{ id: '2' }, { id: '3' }]))
+        await mountProvider()
+        await act(() => actions.removeFromWishlist({ item: { id: '2' } }))
+        expect(wishlist.items).toEqual([{ id: '3' }])
+        await act(() => actions.removeFromWishlist({ item: { id: '3' } }))
+        expect(window.localStorage.getItem('rsf_wishlist')).toBe(null)
+      })
+
+      it('should add the item to the cart and then remove it from the wishlist', async () => {
+        window.localStorage.setItem('rsf_wishlist', JSON.stringify([{ id: '2' }]))
+        await mountProvider()
+
+        let request
+
+        fetchMock.mockOnce(async req => {
+          request = req
+          return JSON.stringify({ cart: { items: [{ id: '2', quantity: 1 }] } })
+        })
+
+        await act(() => actions.moveToCart({ item: { id: '2' } }))
+
+        expect(request.url).toBe('/api/cart/add')
+        expect(JSON.parse(request.body.toString('utf8'))).toEqual({
+          product: { id: '2' },
+          quantity: 1,
+        })
+        expect(session.cart.items).toEqual([{ id: '2', quantity: 1 }])
+        expect(wishlist.items).toEqual([])
+      })
+
+      it('should keep the item in the wishlist when it cannot be added to the cart', async () => {
+        window.localStorage.setItem('rsf_wishlist', JSON.stringify([{ id: '2' }]))
+        await mountProvider()
+        fetchMock.mockOnce(JSON.stringify({ error: 'out of stock' }), { status: 500 })
+
+        let error
+
+        await act(async () => {
+          try {
+            await actions.moveToCart({ item: { id: '2' } })
+          } catch (e) {
+            error = e
+          }
+        })
+
+        expect(error.message).toBe('out of stock')
+        expect(wishlist.items).toEqual([{ id: '2' }])
+      })
+
+      it('should merge the local wishlist into the account on sign in', async () => {
+        window.localStorage.setItem('rsf_wishlist', JSON.stringify([{ id: '2' }]))
+        await mountProvider()
+
+        let request
+
+        fetchMock.mockOnce(JSON.stringify({ signedIn: true, wishlist: { items: [] } }))
+        fetchMock.mockOnce(async req => {
+          request = req
+          return JSON.stringify({ wishlist: { items: [{ id: '2' }, { id: '4' }] } })
+        })
+
+        await act(() => actions.signIn({ email: 'user@domain.com', password: 'password' }))
+
+        expect(request.url).toBe('/api/wishlist/merge')
+        expect(JSON.parse(request.body.toString('utf8'))).toEqual({ items: [{ id: '2' }] })
+        expect(wishlist.items).toEqual([{ id: '2' }, { id: '4' }])
+        expect(window.localStorage.getItem('rsf_wishlist')).toBe(null)
+      })
+
+      it('should show the local wishlist in the account when sign in is queued offline', async () => {
+        window.localStorage.setItem('rsf_wishlist', JSON.stringify([{ id: '2' }, { id: '3' }]))
+        await mountProvider()
+        fetchMock.mockOnce(JSON.stringify({ queued: true }), { status: 202 })
+        fetchMock.mockOnce(JSON.stringify({ queued: true }), { status: 202 })
+        await act(() => actions.signIn({ email: 'user@domain.com', password: 'password' }))
+        expect(session.signedIn).toBe(true)
+        expect(wishlist.items).toEqual([{ id: '2' }, { id: '3' }])
+        expect(window.localStorage.getItem('rsf_wishlist')).toBe(null)
+      })
+
+      it('should not call the merge api when the local wishlist is empty', async () => {
+        await mountProvider()
+        await signIn()
+        expect(fetchMock).toHaveBeenCalledTimes(2)
+      })
+    })
+
+    describe('when signed in', () => {
+      it('should call api/wishlist/add and apply the result to the session', async () => {
+        await mountProvider()
+        await signIn()
+
+        let request
+
+        fetchMock.mockOnce(async req => {
+          request = req
+          await sleep(10)
+          return JSON.stringify({ wishlist: { items: [{ id: '2', name: 'Blue Shoe' }] } })
+        })
+
+        let promise
+
+        act(() => {
+          promise = actions.addToWishlist({ product })
+        })
+
+        expect(wishlist.items).toEqual([{ id: '2', name: 'Blue Shoe', price: 10 }])
+
+        await act(() => promise)
+
+        expect(request.url).toBe('/api/wishlist/add')
+        expect(wishlist.items).toEqual([{ id: '2', name: 'Blue Shoe' }])
+        expect(window.localStorage.getItem('rsf_wishlist')).toBe(null)
+      })
+
+      it('should call api/wishlist/remove and roll back when it fails', async () => {
+        await mountProvider()
+        await signIn({ signedIn: true, wishlist: { items: [{ id: '2' }] } })
+        fetchMock.mockOnce(JSON.stringify({ error: 'failed' }), { status: 500 })
+
+        let error, promise
+
+        act(() => {
+          promise = actions.removeFromWishlist({ item: { id: '2' } })
+        })
+
+        expect(wishlist.items).toEqual([])
+
+        await act(async () => {
+          try {
+            await promise
+          } catch (e) {
+            error = e
+          }
+        })
+
+        expect(fetchMock.mock.calls[2][0]).toBe('/api/wishlist/remove')
+        expect(error.message).toBe('failed')
+        expect(wishlist.items).toEqual([{ id: '2' }])
+      })
+
+      it('should call api/wishlist/moveToCart and apply the result to the session', async () => {
+        await mountProvider()
+        await signIn({ signedIn: true, wishlist: { items: [{ id: '2' }] } })
+
+        let request
+
+        fetchMock.mockOnce(async req => {
+          request = req
+          return JSON.stringify({
+            wishlist: { items: [] },
+            cart: { items: [{ id: '2', quantity: 2 }] },
+          })
+        })
+
+        await act(() => actions.moveToCart({ item: { id: '2' }, quantity: 2 }))
+
+        expect(request.url).toBe('/api/wishlist/moveToCart')
+        expect(JSON.parse(request.body.toString('utf8'))).toEqual({
+          item: { id: '2' },
+          quantity: 2,
+        })
+        expect(session.cart.items).toEqual([{ id: '2', quantity: 2 }])
+        expect(wishlist.items).toEqual([])
+      })
+    })
+  })
 })
@@ -0,0 +1,88 @@
+import cacheControlPlugin, { getMaxAgeSeconds } from 'react-storefront/sw/cacheControlPlugin'
+
+describe('cacheControlPlugin', () => {
+  const createResponse = (headers = {}, status = 200) =>
+    new Response(JSON.stringify({ pageData: {} }), { status, headers })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('getMaxAgeSeconds', () => {
+    it('should parse the header set by withCaching', () => {
+      expect(getMaxAgeSeconds(createResponse({ 'x-sw-cache-control': 'max-age: 60' }))).toBe(60)
+    })
+
+    it('should accept max-age=N', () => {
+      expect(getMaxAgeSeconds(createResponse({ 'x-sw-cache-control': 'max-age=30' }))).toBe(30)
+    })
+
+    it('should return null when the header is missing or invalid', () => {
+      expect(getMaxAgeSeconds(createResponse())).toBe(null)
+      expect(getMaxAgeSeconds(createResponse({ 'x-sw-cache-control': 'no-cache' }))).toBe(null)
+    })
+  })
+
+  describe('cacheWillUpdate', () => {
+    it('should record when the response was cached', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000)
+      const response = await cacheControlPlugin().cacheWillUpdate({
+        response: createResponse({ 'x-sw-cache-control': 'max-age: 60' }),
+      })
+      expect(response.headers.get('x-sw-cached-at')).toBe('1000')
+      expect(response.headers.get('x-sw-cache-control')).toBe('max-age: 60')
+      expect(await response.json()).toEqual({ pageData: {} })
+    })
+
+    it('should not cache responses with a max-age of 0', async () => {
+      const response = await cacheControlPlugin().cacheWillUpdate({
+        response: createResponse({ 'x-sw-cache-control': 'max-age: 0' }),
+      })
+      expect(response).toBe(null)
+    })
+
+    it('should pass through responses without the header', async () => {
+      const response = createResponse()
+      expect(await cacheControlPlugin().cacheWillUpdate({ response })).toBe(response)
+    })
+
+    it('should not cache responses without the header when it is required', async () => {
+      const plugin = cacheControlPlugin({ requireHeader: true })
+      expect(await plugin.cacheWillUpdate({ response: createResponse() })).toBe(null)
+    })
+
+    it('should not cache errors when the header is required', async () => {
+      const plugin = cacheControlPlugin({ requireHeader: true })
+      const response = createResponse({ 'x-sw-cache-control': 'max-age: 60' }, 500)
+      expect(await plugin.cacheWillUpdate({ response })).toBe(null)
+    })
+  })
+
+  describe('cachedResponseWillBeUsed', () => {
+    const plugin = cacheControlPlugin()
+
+    const createCachedResponse = cachedAt =>
+      createResponse({ 'x-sw-cache-control': 'max-age: 60', 'x-sw-cached-at': cachedAt })
+
+    it('should return responses that have not expired', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(59000)
+      const cachedResponse = createCachedResponse('0')
+      expect(plugin.cachedResponseWillBeUsed({ cachedResponse })).toBe(cachedResponse)
+    })
+
+    it('should not return expired responses', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(60000)
+      const cachedResponse = createCachedResponse('0')
+      expect(plugin.cachedResponseWillBeUsed({ cachedResponse })).toBe(null)
+    })
+
+    it('should return responses without the header', () => {
+      const cachedResponse = createResponse()
+      expect(plugin.cachedResponseWillBeUsed({ cachedResponse })).toBe(cachedResponse)
+    })
+
+    it('should handle cache misses', () => {
+      expect(plugin.cachedResponseWillBeUsed({ cachedResponse: null })).toBe(null)
+    })
+  })
+})
@@ -1,10 +1,16 @@
 describe('configureServiceWorker', () => {
   let CacheFirst,
+    NetworkFirst,
+    NetworkOnly,
+    StaleWhileRevalidate,
+    strategyConfig,
     skipWaiting,
     clientsClaim,
     precacheAndRoute,
     ExpirationPlugin,
     CacheableResponsePlugin,
+    Queue,
+    queue,
     registerRoute,
     configureServiceWorker,
     expirationConfig,
@@ -12,6 +18,7 @@ describe('configureServiceWorker', () => {
     cacheFirstConfig
 
   beforeEach(() => {
+    strategyConfig = undefined
     jest.isolateModules(() => {
       jest.spyOn(console, 'log').mockImplementation()
       skipWaiting = jest.fn()
@@ -33,7 +40,43 @@ describe('configureServiceWorker', () => {
           cacheFirstConfig = config
         }
       }
+      NetworkFirst = class {
+        constructor(config) {
+          strategyConfig = config
+        }
+      }
+      NetworkOnly = class {
+        constructor(config) {
+          strategyConfig = config
+        }
+      }
+      StaleWhileRevalidate = class {
+        constructor(config) {
+          strategyConfig = config
+        }
+      }
 
+      Queue = class {
+        constructor(name, config) {
+          queue = this
+          this.name = name
+          this.config = config
+          this.entries = []
+        }
+        async pushRequest(entry) {
+          this.entries.push(entry)
+        }
+        async unshiftRequest(entry) {
+          this.entries.unshift(entry)
+        }
+        async shiftRequest() {
+          return this.entries.shift()
+        }
+      }
+
+      jest.doMock('workbox-background-sync', () => ({
+        Queue,
+      }))
       jest.doMock('workbox-expiration', () => ({
         ExpirationPlugin,
       }))
@@ -52,6 +95,9 @@ describe('configureServiceWorker', () => {
       }))
       jest.doMock('workbox-strategies', () => ({
         CacheFirst,
+        NetworkFirst,
+        NetworkOnly,
+        StaleWhileRevalidate,
       }))
 
       self.origin = 'http://localhost'
@@ -103,7 +149,319 @@ describe('configureServiceWorker', () => {
     })
   })
 
+  it('should default to the api cache', () => {
+    configureServiceWorker({ api: [{ path: '/api/p/[productId]' }] })
+    expect(cacheFirstConfig.cacheName).toBe('api')
+  })
+
+  it('should accept a cache name and max entries', () => {
+    configureServiceWorker({
+      api: [{ path: '/api/p/[productId]', cacheName: 'products', maxEntries: 20 }],
+      serverCacheControl: false,
+    })
+    expect(cacheFirstConfig.cacheName).toBe('products')
+    expect(expirationConfig).toEqual({ maxEntries: 20 })
+  })
+
+  it('should support the networkFirst strategy with a timeout', () => {
+    configureServiceWorker({
+      api: [
+        {
+          path: '/api/s/[subcategoryId]',
+          strategy: 'networkFirst',
+          networkTimeoutSeconds: 3,
+          maxAgeSeconds: 60,
+        },
+      ],
+    })
+    expect(registerRoute).toHaveBeenCalledWith(expect.any(RegExp), expect.any(NetworkFirst))
+    expect(strategyConfig).toEqual({
+      cacheName: 'api',
+      networkTimeoutSeconds: 3,
+      plugins: [
+        expect.any(CacheableResponsePlugin),
+        expect.any(ExpirationPlugin),
+        expect.objectContaining({ cacheWillUpdate: expect.any(Function) }),
+      ],
+    })
+  })
+
+  it('should support the networkOnly strategy', () => {
+    configureServiceWorker({ api: [{ path: '/api/search', strategy: 'networkOnly' }] })
+    expect(registerRoute).toHaveBeenCalledWith(expect.any(RegExp), expect.any(NetworkOnly))
+    expect(strategyConfig).toBeUndefined()
+  })
+
+  it('should throw an error for unknown strategies', () => {
+    expect(() =>
+      configureServiceWorker({ api: [{ path: '/api/search', strategy: 'cacheOnly' }] }),
+    ).toThrowError(
+      'Invalid strategy "cacheOnly" for api route /api/search. Expected one of cacheFirst, networkFirst, staleWhileRevalidate, networkOnly.',
+    )
+  })
+
+  describe('staleWhileRevalidate', () => {
+    let messages, plugin
+
+    beforeEach(() => {
+      messages = []
+      self.clients = {
+        matchAll: jest.fn(async () => [{ postMessage: message => messages.push(message) }]),
+      }
+      configureServiceWorker({
+        api: [{ path: '/api/p/[productId]', strategy: 'staleWhileRevalidate' }],
+      })
+      plugin = strategyConfig.plugins[3]
+    })
+
+    afterEach(() => {
+      delete self.clients
+    })
+
+    const request = { url: 'http://localhost/api/p/1' }
+
+    it('should register the route', () => {
+      expect(registerRoute).toHaveBeenCalledWith(
+        expect.any(RegExp),
+        expect.any(StaleWhileRevalidate),
+      )
+      expect(strategyConfig.networkTimeoutSeconds).toBeUndefined()
+    })
+
+    it('should post fresh data to the page', async () => {
+      await plugin.cacheDidUpdate({
+        request,
+        oldResponse: new Response(JSON.stringify({ pageData: { price: 10 } })),
+        newResponse: new Response(JSON.stringify({ pageData: { price: 12 } })),
+      })
+      expect(messages).toEqual([
+        { type: 'rsf-api-updated', url: request.url, data: { pageData: { price: 12 } } },
+      ])
+    })
+
+    it('should not notify the page when nothing was served from the cache', async () => {
+      await plugin.cacheDidUpdate({
+        request,
+        newResponse: new Response(JSON.stringify({ pageData: { price: 12 } })),
+      })
+      expect(messages).toEqual([])
+    })
+
+    it('should not notify the page when the data has not changed', async () => {
+      await plugin.cacheDidUpdate({
+        request,
+        oldResponse: new Response(JSON.stringify({ pageData: { price: 12 } })),
+        newResponse: new Response(JSON.stringify({ pageData: { price: 12 } })),
+      })
+      expect(messages).toEqual([])
+    })
+
+    it('should not notify the page when the response is not JSON', async () => {
+      await plugin.cacheDidUpdate({
+        request,
+        oldResponse: new Response('a'),
+        newResponse: new Response('b'),
+      })
+      expect(messages).toEqual([])
+    })
+  })
+
+  describe('serverCacheControl', () => {
+    it('should not register the catch-all route by default', () => {
+      configureServiceWorker({ api: [{ path: '/api/p/[productId]' }] })
+      expect(registerRoute).toHaveBeenCalledTimes(1)
+    })
+
+    it('should cache any api response with an x-sw-cache-control header when enabled', () => {
+      configureServiceWorker({ serverCacheControl: true })
+      expect(registerRoute).toHaveBeenCalledWith(
+        /http:\/\/localhost\/api\//i,
+        expect.any(CacheFirst),
+      )
+      expect(cacheFirstConfig.cacheName).toBe('api')
+      expect(cacheFirstConfig.plugins).toHaveLength(2)
+    })
+
+    it('should limit the number of cached responses', () => {
+      configureServiceWorker({ serverCacheControl: true })
+      expect(cacheFirstConfig.plugins[0]).toEqual(expect.any(ExpirationPlugin))
+      expect(expirationConfig).toEqual({ maxEntries: 100 })
+    })
+
+    it('should accept maxEntries', () => {
+      configureServiceWorker({ serverCacheControl: { maxEntries: 20 } })
+      expect(registerRoute).toHaveBeenCalledWith(
+        /http:\/\/localhost\/api\//i,
+        expect.any(CacheFirst),
+      )
+      expect(expirationConfig).toEqual({ maxEntries: 20 })
+    })
+
+    it('should register the catch-all route after the api routes', () => {
+      configureServiceWorker({ api: [{ path: '/api/p/[productId]' }], serverCacheControl: true })
+      expect(registerRoute.mock.calls[1][0]).toEqual(/http:\/\/localhost\/api\//i)
+    })
+
+    it('should honor the header in the api routes', () => {
+      configureServiceWorker({ api: [{ path: '/api/p/[productId]' }] })
+      expect(cacheFirstConfig.plugins[2]).toEqual(
+        expect.objectContaining({ cachedResponseWillBeUsed: expect.any(Function) }),
+      )
+    })
+  })
+
   it('should not require an api config', () => {
     expect(() => configureServiceWorker({})).not.toThrowError()
   })
+
+  describe('offlineMutations', () => {
+    let messages, messageListener
+
+    beforeEach(() => {
+      messages = []
+      self.clients = {
+        matchAll: jest.fn(async () => [{ postMessage: message => messages.push(message) }]),
+      }
+      jest.spyOn(self, 'addEventListener').mockImplementation((type, listener) => {
+        if (type === 'message') messageListener = listener
+      })
+    })
+
+    afterEach(() => {
+      self.addEventListener.mockRestore()
+      delete self.clients
+    })
+
+    const createRequest = (id = '1') =>
+      new Request('http://localhost/api/cart/add', {
+        method: 'POST',
+        headers: { 'x-rsf-mutation-id': id },
+        body: JSON.stringify({ product: { id: '1' } }),
+      })
+
+    it('should not queue mutations by default', () => {
+      configureServiceWorker({})
+      expect(registerRoute).not.toHaveBeenCalledWith(
+        expect.any(RegExp),
+        expect.any(Function),
+        'POST',
+      )
+      expect(queue).toBeUndefined()
+    })
+
+    it('should register POST routes for the session apis', () => {
+      configureServiceWorker({ offlineMutations: true })
+      expect(registerRoute.mock.calls.filter(call => call[2] === 'POST')).toHaveLength(5)
+      expect(registerRoute).toHaveBeenCalledWith(
+        /http:\/\/localhost\/api\/cart\/add($|\?.*$)/i,
+        expect.any(Function),
+        'POST',
+      )
+      expect(queue.config.maxRetentionTime).toBe(24 * 60)
+    })
+
+    it('should accept custom paths and retention time', () => {
+      configureServiceWorker({
+        offlineMutations: { paths: ['/api/wishlist/add'], maxRetentionTime: 60 },
+      })
+      expect(registerRoute.mock.calls.filter(call => call[2] === 'POST')).toHaveLength(1)
+      expect(registerRoute.mock.calls[0][0].test('http://localhost/api/wishlist/add?__v__=1')).toBe(
+        true,
+      )
+      expect(queue.config.maxRetentionTime).toBe(60)
+    })
+
+    it('should pass requests through to the network when online', async () => {
+      configureServiceWorker({ offlineMutations: true })
+      fetchMock.mockOnce(JSON.stringify({ cart: { items: [] } }))
+      const handler = registerRoute.mock.calls[0][1]
+      const response = await handler({ request: createRequest() })
+      expect(await response.json()).toEqual({ cart: { items: [] } })
+      expect(queue.entries).toHaveLength(0)
+    })
+
+    it('should queue requests that fail because the network is unavailable', async () => {
+      configureServiceWorker({ offlineMutations: true })
+      fetchMock.mockRejectOnce(new TypeError('Failed to fetch'))
+      const handler = registerRoute.mock.calls[0][1]
+      const response = await handler({ request: createRequest('abc') })
+      expect(response.status).toBe(202)
+      expect(await response.json()).toEqual({ queued: true })
+      expect(queue.entries).toHaveLength(1)
+      expect(queue.entries[0].metadata).toEqual({ id: 'abc' })
+    })
+
+    it('should replay queued mutations in order and notify the page', async () => {
+      configureServiceWorker({ offlineMutations: true })
+      queue.entries = [
+        { request: createRequest('1'), metadata: { id: '1' } },
+        { request: createRequest('2'), metadata: { id: '2' } },
+      ]
+      fetchMock.mockOnce(JSON.stringify({ cart: { items: [{ id: '1' }] } }))
+      fetchMock.mockOnce(JSON.stringify({ error: 'Out of stock' }), { status: 409 })
+      await queue.config.onSync({ queue })
+      expect(messages).toEqual([
+        { type: 'rsf-mutation-replayed', id: '1', result: { cart: { items: [{ id: '1' }] } } },
+        { type: 'rsf-mutation-rejected', id: '2', error: 'Out of stock' },
+      ])
+      expect(queue.entries).toHaveLength(0)
+    })
+
+    it('should use a default error when a rejected mutation does not return JSON', async () => {
+      configureServiceWorker({ offlineMutations: true })
+      queue.entries = [{ request: createRequest('1'), metadata: { id: '1' } }]
+      fetchMock.mockOnce('Internal Server Error', { status: 500 })
+      await queue.config.onSync({ queue })
+      expect(messages[0].error).toBe(
+        'The request to http://localhost/api/cart/add failed while offline.',
+      )
+    })
+
+    it('should keep mutations queued when the network is still unavailable', async () => {
+      configureServiceWorker({ offlineMutations: true })
+      const entry = { request: createRequest('1'), metadata: { id: '1' } }
+      queue.entries = [entry]
+      fetchMock.mockRejectOnce(new TypeError('Failed to fetch'))
+      await expect(queue.config.onSync({ queue })).rejects.toThrow('Failed to fetch')
+      expect(queue.entries).toEqual([entry])
+      expect(messages).toEqual([])
+    })
+
+    it('should replay when the page asks', async () => {
+      configureServiceWorker({ offlineMutations: true })
+      queue.entries = [{ request: createRequest('1'), metadata: { id: '1' } }]
+      fetchMock.mockOnce(JSON.stringify({ signedIn: true }))
+      let replay
+      messageListener({ data: { type: 'rsf-replay-mutations' }, waitUntil: p => (replay = p) })
+      await replay
+      expect(messages).toEqual([
+        { type: 'rsf-mutation-replayed', id: '1', result: { signedIn: true } },
+      ])
+    })
+
+    it('should run one replay at a time', async () => {
+      configureServiceWorker({ offlineMutations: true })
+      queue.entries = [
+        { request: createRequest('1'), metadata: { id: '1' } },
+        { request: createRequest('2'), metadata: { id: '2' } },
+      ]
+      fetchMock.mockOnce(JSON.stringify({ cart: { items: [{ id: '1' }] } }))
+      fetchMock.mockOnce(JSON.stringify({ cart: { items: [{ id: '1' }, { id: '2' }] } }))
+      let replay
+      const sync = queue.config.onSync({ queue })
+      messageListener({ data: { type: 'rsf-replay-mutations' }, waitUntil: p => (replay = p) })
+      expect(replay).toBe(sync)
+      await Promise.all([sync, replay])
+      expect(fetchMock).toHaveBeenCalledTimes(2)
+      expect(messages.map(message => message.id)).toEqual(['1', '2'])
+    })
+
+    it('should ignore other messages', () => {
+      configureServiceWorker({ offlineMutations: true })
+      const waitUntil = jest.fn()
+      messageListener({ data: { type: 'other' }, waitUntil })
+      messageListener({ waitUntil })
+      expect(waitUntil).not.toHaveBeenCalled()
+    })
+  })
 })
@@ -0,0 +1,36 @@
+import { readLocalStorage, writeLocalStorage } from 'react-storefront/utils/localStorage'
+
+describe('localStorage', () => {
+  afterEach(() => {
+    window.localStorage.clear()
+    jest.restoreAllMocks()
+  })
+
+  it('should save and read values as JSON', () => {
+    expect(writeLocalStorage('value', { items: [1] })).toBe(true)
+    expect(window.localStorage.getItem('value')).toBe('{"items":[1]}')
+    expect(readLocalStorage('value', {})).toEqual({ items: [1] })
+  })
+
+  it('should return the default value when nothing is saved', () => {
+    expect(readLocalStorage('value', [])).toEqual([])
+  })
+
+  it('should return the default value when the saved value is not valid JSON', () => {
+    window.localStorage.setItem('value', '{')
+    expect(readLocalStorage('value', [])).toEqual([])
+  })
+
+  it('should remove the key when the value is undefined', () => {
+    window.localStorage.setItem('value', '1')
+    expect(writeLocalStorage('value', undefined)).toBe(true)
+    expect(window.localStorage.getItem('value')).toBe(null)
+  })
+
+  it('should return false when local storage is not available', () => {
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError')
+    })
+    expect(writeLocalStorage('value', 1)).toBe(false)
+  })
+})
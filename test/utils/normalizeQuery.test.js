@@ -0,0 +1,8 @@
+import normalizeQuery from 'react-storefront/utils/normalizeQuery'
+
+describe('normalizeQuery', () => {
+  it('should lower case the query and remove extra whitespace', () => {
+    expect(normalizeQuery('  Red   Shirt ')).toBe('red shirt')
+    expect(normalizeQuery(null)).toBe('')
+  })
+})